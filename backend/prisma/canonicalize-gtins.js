@@ -0,0 +1,101 @@
+// Rewrites stored UPC/EAN codes to canonical GTIN-14 (see src/services/gtin.js).
+//
+//   npm run prisma:canonicalize-gtins -- [--dry-run]
+//
+// Products whose codes only differed by format ("027242925120" vs "0027242925120") are merged
+// into the one with the most watchers, offers and orders before the code is rewritten, since
+// Product.upc is unique. Codes that fail the check digit are legacy codes: they move unchanged to
+// Product.legacyUpc, where they stay visible but never match a scan, and are never guessed into a
+// "corrected" code that may belong to another product. Recognition sessions are rewritten too (a
+// legacy session code is left as it was), and the search index is brought up to date at the end.
+// Safe to run more than once.
+require('../src/config');
+const { prisma } = require('../src/db');
+const { canonicalGtin } = require('../src/services/gtin');
+const { mergeProducts, rankMergeTarget } = require('../src/services/productMatching');
+const { ensureSearchIndex } = require('../src/services/productSearch');
+
+function parseArgs(argv) {
+  const args = { dryRun: false };
+  for (const arg of argv) {
+    if (arg === '--dry-run') args.dryRun = true;
+    else throw new Error(`Unknown argument ${arg}`);
+  }
+  return args;
+}
+
+async function canonicalizeProducts({ dryRun }) {
+  const products = await prisma.product.findMany({
+    where: { upc: { not: null } },
+    include: { _count: { select: { offers: true, watchers: true, orders: true } } }
+  });
+  const stats = { products: products.length, rewritten: 0, merged: 0, legacy: 0 };
+
+  const groups = new Map();
+  for (const product of products) {
+    if (!product.upc) continue;
+    const gtin = canonicalGtin(product.upc);
+    if (!gtin) {
+      console.log(`legacy   ${product.id} ${JSON.stringify(product.upc)} ${product.title}`);
+      if (!dryRun) {
+        await prisma.product.update({ where: { id: product.id }, data: { upc: null, legacyUpc: product.upc } });
+      }
+      stats.legacy += 1;
+      continue;
+    }
+    if (!groups.has(gtin)) groups.set(gtin, []);
+    groups.get(gtin).push(product);
+  }
+
+  for (const [gtin, group] of groups) {
+    let target = group[0];
+    for (const product of group.slice(1)) {
+      const [winner, loser] = rankMergeTarget(target, product);
+      console.log(`merge    ${loser.id} (${loser.upc}) -> ${winner.id} (${winner.upc}) ${gtin}`);
+      if (!dryRun) await mergeProducts({ sourceProductId: loser.id, targetProductId: winner.id });
+      stats.merged += 1;
+      target = winner;
+    }
+    if (target.upc === gtin) continue;
+    console.log(`rewrite  ${target.id} ${target.upc} -> ${gtin}`);
+    if (!dryRun) await prisma.product.update({ where: { id: target.id }, data: { upc: gtin } });
+    stats.rewritten += 1;
+  }
+  return stats;
+}
+
+async function canonicalizeSessions({ dryRun }) {
+  const sessions = await prisma.recognitionSession.findMany({
+    where: { upc: { not: null } },
+    select: { id: true, upc: true }
+  });
+  let rewritten = 0;
+  for (const session of sessions) {
+    const gtin = canonicalGtin(session.upc);
+    if (!gtin || gtin === session.upc) continue;
+    if (!dryRun) await prisma.recognitionSession.update({ where: { id: session.id }, data: { upc: gtin } });
+    rewritten += 1;
+  }
+  return { sessions: sessions.length, rewritten };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const products = await canonicalizeProducts(args);
+  const sessions = await canonicalizeSessions(args);
+  // Reinstalls the search triggers and reindexes rows still holding the old UPC format.
+  if (!args.dryRun) await ensureSearchIndex();
+
+  console.log(
+    `${args.dryRun ? '[dry run] ' : ''}products: ${products.products} with a UPC, ${products.rewritten} rewritten, ` +
+      `${products.merged} merged, ${products.legacy} moved to legacyUpc; ` +
+      `recognition sessions: ${sessions.rewritten} of ${sessions.sessions} rewritten`
+  );
+}
+
+main()
+  .catch((error) => {
+    console.error(error?.message || error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
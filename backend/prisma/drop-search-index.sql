@@ -0,0 +1,8 @@
+-- Run by `npm run prisma:push` before `prisma db push`. The FTS5 product search index and its
+-- triggers are not in schema.prisma, so db push would report them as drift and refuse to continue
+-- without --accept-data-loss. The index only holds copies of Product columns; the server recreates
+-- and refills it on its next search or restart (see src/services/productSearch.js).
+DROP TRIGGER IF EXISTS product_search_insert;
+DROP TRIGGER IF EXISTS product_search_update;
+DROP TRIGGER IF EXISTS product_search_delete;
+DROP TABLE IF EXISTS ProductSearch;
@@ -1,6 +1,7 @@
 const { PrismaClient } = require('@prisma/client');
 const catalog = require('../src/data/mockCatalog.json');
 const vendors = require('../src/data/mockVendors.json');
+const { canonicalGtin } = require('../src/services/gtin');
 
 const prisma = new PrismaClient();
 
@@ -18,6 +19,7 @@ function basePriceForTitle(title) {
 
 async function main() {
   await prisma.pendingNotification.deleteMany();
+  await prisma.priceObservation.deleteMany();
   await prisma.order.deleteMany();
   await prisma.watchlist.deleteMany();
   await prisma.offer.deleteMany();
@@ -50,11 +52,18 @@ async function main() {
   const createdProducts = [];
 
   for (const product of catalog) {
+    // Some demo catalog codes predate check-digit validation and are not valid GTINs. They are kept
+    // as legacyUpc (no barcode scan can match them) rather than corrected to a different product's code.
+    const upc = canonicalGtin(product.upc);
+    if (product.upc && !upc) {
+      console.warn(`Seed: ${product.title} UPC ${product.upc} fails the check digit; stored as legacyUpc`);
+    }
     const created = await prisma.product.create({
       data: {
         title: product.title,
         brand: product.brand,
-        upc: product.upc || null,
+        upc,
+        legacyUpc: product.upc && !upc ? String(product.upc) : null,
         imageUrl: product.imageUrl || null
       }
     });
@@ -66,7 +75,7 @@ async function main() {
     for (const vendor of vendors) {
       const price = Math.round(basePrice * vendor.priceMultiplier);
       const pseudoId = created.id.slice(-10).toUpperCase();
-      await prisma.offer.create({
+      const offer = await prisma.offer.create({
         data: {
           productId: created.id,
           vendorId: vendor.vendorId,
@@ -79,6 +88,19 @@ async function main() {
           productUrl: `${vendor.baseUrl}${pseudoId}`
         }
       });
+      await prisma.priceObservation.create({
+        data: {
+          productId: offer.productId,
+          offerId: offer.id,
+          vendorId: offer.vendorId,
+          vendorName: offer.vendorName,
+          priceCents: offer.priceCents,
+          shippingCents: offer.shippingCents,
+          etaDays: offer.etaDays,
+          inStock: offer.inStock,
+          source: 'seed'
+        }
+      });
     }
   }
 
@@ -0,0 +1,260 @@
+// Replays a labeled fixture set through recognition and reports precision/recall per signal.
+//
+//   npm run eval:recognition -- --database-url file:./eval.db
+//                               [--fixtures scripts/fixtures/recognition.sample.json]
+//                               [--backend openai|openai-chat|fixture]
+//                               [--vision-url http://host:port] [--model gpt-4.1-mini] [--json]
+//
+// Each fixture has `upc`, `textHints`, `imageBase64` or `image` (a file path relative to the
+// fixture file), the canned `vision` output for its image, and the `expected` product
+// ({ productId?, upc?, title, brand }, or null when nothing should match). The AI signal uses
+// only the --backend vision backend (default `openai`). Unless --vision-url is given, the
+// `openai` and `openai-chat` backends talk to a local stand-in that answers each image with its
+// fixture's `vision` output, so runs are repeatable offline; the `fixture` backend reads the
+// fixture file directly. Point --vision-url at a real endpoint (and pass --model) to compare
+// models or prompt changes.
+//
+// Recognition reads products and confirmation aliases from the database and writes a
+// recognitionSession row per fixture (origin `eval`, never confirmed), so the database must be
+// named with --database-url rather than taken from DATABASE_URL, and NODE_ENV=production is refused.
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { canonicalGtin } = require('../src/services/gtin');
+
+function parseArgs(argv, env = process.env) {
+  const args = {
+    fixtures: path.resolve(__dirname, 'fixtures', 'recognition.sample.json'),
+    backend: 'openai',
+    json: false
+  };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--json') args.json = true;
+    else if (arg === '--fixtures') args.fixtures = path.resolve(argv[++i]);
+    else if (arg === '--backend') args.backend = argv[++i];
+    else if (arg === '--vision-url') args.visionUrl = argv[++i];
+    else if (arg === '--model') args.model = argv[++i];
+    else if (arg === '--database-url') args.databaseUrl = argv[++i];
+    else throw new Error(`Unknown argument ${arg}`);
+  }
+  if (!['openai', 'openai-chat', 'fixture'].includes(args.backend)) {
+    throw new Error(`Unknown backend ${args.backend}`);
+  }
+  if (env.NODE_ENV === 'production') {
+    throw new Error('Refusing to run with NODE_ENV=production; the eval writes recognition sessions');
+  }
+  if (!args.databaseUrl) {
+    throw new Error('--database-url is required (a seeded copy, not the app database)');
+  }
+  return args;
+}
+
+function loadFixtures(file) {
+  const fixtures = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(fixtures)) throw new Error(`${file} must contain a JSON array`);
+  return fixtures.map((fixture, idx) => ({
+    ...fixture,
+    name: fixture.name || `fixture ${idx + 1}`,
+    imageBase64: fixture.image
+      ? fs.readFileSync(path.resolve(path.dirname(file), fixture.image)).toString('base64')
+      : fixture.imageBase64 || null,
+    expected: fixture.expected || null
+  }));
+}
+
+function hashImage(imageBase64) {
+  return crypto.createHash('sha256').update(String(imageBase64)).digest('hex');
+}
+
+function imageFromRequest(body) {
+  const content = body.input?.[0]?.content || body.messages?.[0]?.content || [];
+  const image = content.find((c) => c.type === 'input_image' || c.type === 'image_url');
+  const url = typeof image?.image_url === 'string' ? image.image_url : image?.image_url?.url;
+  return String(url || '').replace(/^data:[^,]*,/, '');
+}
+
+// Minimal POST /v1/responses and /v1/chat/completions that return each fixture's `vision` JSON
+// for its image.
+function startStandInVision(fixtures) {
+  const outputs = new Map(
+    fixtures.filter((f) => f.imageBase64 && f.vision).map((f) => [hashImage(f.imageBase64), f.vision])
+  );
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      const chat = req.url === '/v1/chat/completions';
+      if (req.method !== 'POST' || (!chat && req.url !== '/v1/responses')) {
+        res.writeHead(404, { 'content-type': 'application/json' });
+        return res.end(JSON.stringify({ error: { message: 'not found' } }));
+      }
+      let imageBase64 = '';
+      try {
+        imageBase64 = imageFromRequest(JSON.parse(body));
+      } catch {
+        imageBase64 = '';
+      }
+      const text = JSON.stringify(outputs.get(hashImage(imageBase64)) || {});
+      const id = `standin_${Date.now()}`;
+      res.writeHead(200, { 'content-type': 'application/json' });
+      return res.end(
+        JSON.stringify(
+          chat
+            ? { id, choices: [{ message: { role: 'assistant', content: text }, finish_reason: 'stop' }] }
+            : { id, status: 'completed', output: [{ type: 'message', content: [{ type: 'output_text', text }] }] }
+        )
+      );
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+// productMatching reads config on first require, and main() sets the environment config is read
+// from, so it is required here rather than at the top.
+function matches(expected, candidate) {
+  if (!expected || !candidate) return false;
+  if (expected.productId) return candidate.productId === expected.productId;
+  const { scoreProductMatch, matchThreshold } = require('../src/services/productMatching');
+  // Fixture codes that fail the check digit are legacy demo codes; candidates carry them as legacyUpc.
+  const expectedGtin = canonicalGtin(expected.upc);
+  if (expectedGtin && candidate.upc) return expectedGtin === candidate.upc;
+  if (expected.upc && !expectedGtin && candidate.legacyUpc) return String(expected.upc) === candidate.legacyUpc;
+  return scoreProductMatch(expected, candidate).score >= matchThreshold();
+}
+
+// A signal's prediction is the candidate it was most confident about.
+function predictionFor(candidates, source) {
+  let best = null;
+  for (const candidate of candidates) {
+    const signal = candidate.signals.find((s) => s.source === source);
+    if (signal && (!best || signal.confidence > best.confidence)) best = { candidate, confidence: signal.confidence };
+  }
+  return best?.candidate || null;
+}
+
+function ratio(numerator, denominator) {
+  return denominator ? Number((numerator / denominator).toFixed(3)) : null;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const fixtures = loadFixtures(args.fixtures);
+
+  let server = null;
+  let visionUrl = args.visionUrl || '';
+  if (args.backend === 'fixture') {
+    process.env.VISION_FIXTURE_PATH = args.fixtures;
+  } else if (!visionUrl) {
+    server = await startStandInVision(fixtures);
+    visionUrl = `http://127.0.0.1:${server.address().port}`;
+  }
+  if (args.backend === 'openai') {
+    process.env.OPENAI_API_BASE_URL = visionUrl;
+    if (server) process.env.OPENAI_API_KEY = 'standin';
+    if (args.model) process.env.OPENAI_VISION_MODEL = args.model;
+  } else if (args.backend === 'openai-chat') {
+    process.env.VISION_CHAT_BASE_URL = visionUrl;
+    process.env.VISION_CHAT_MODEL = args.model || process.env.VISION_CHAT_MODEL || 'standin';
+  }
+  process.env.DATABASE_URL = args.databaseUrl;
+  process.env.VISION_BACKENDS = args.backend;
+  process.env.ENABLE_AI_RECOGNITION = 'true';
+
+  // Config reads the environment on first require, so these load after the overrides above.
+  const { prisma } = require('../src/db');
+  const { SIGNAL, recognizeProduct } = require('../src/services/recognitionService');
+  const { PROMPT_VERSION } = require('../src/services/aiVisionService');
+
+  const sources = [...Object.values(SIGNAL), 'FUSED', 'AUTO_ACCEPTED'];
+  const tally = new Map(sources.map((source) => [source, { fired: 0, correct: 0 }]));
+  const positives = fixtures.filter((f) => f.expected).length;
+  const results = [];
+  const aiModels = new Set();
+
+  try {
+    for (const fixture of fixtures) {
+      const result = await recognizeProduct({
+        imageBase64: fixture.imageBase64,
+        upc: fixture.upc,
+        textHints: fixture.textHints,
+        origin: 'eval'
+      });
+      const session = await prisma.recognitionSession.findUnique({ where: { id: result.sessionId } });
+      if (session?.aiModel) aiModels.add(session.aiModel);
+      const predictions = {};
+      for (const source of Object.values(SIGNAL)) predictions[source] = predictionFor(result.candidates, source);
+      predictions.FUSED = result.candidates[0] || null;
+      predictions.AUTO_ACCEPTED = result.status === 'ok' ? result.candidates[0] : null;
+
+      for (const source of sources) {
+        if (!predictions[source]) continue;
+        const entry = tally.get(source);
+        entry.fired += 1;
+        if (matches(fixture.expected, predictions[source])) entry.correct += 1;
+      }
+      results.push({
+        name: fixture.name,
+        status: result.status,
+        top: predictions.FUSED ? `${predictions.FUSED.brand} ${predictions.FUSED.title}` : null,
+        confidence: predictions.FUSED?.confidence ?? null,
+        correct: fixture.expected ? matches(fixture.expected, predictions.FUSED) : !predictions.FUSED,
+        latencyMs: session?.latencyMs ?? null,
+        sessionId: result.sessionId
+      });
+    }
+  } finally {
+    if (server) server.close();
+    await prisma.$disconnect();
+  }
+
+  const report = {
+    fixtures: fixtures.length,
+    positives,
+    backend: args.backend,
+    models: [...aiModels],
+    promptVersion: PROMPT_VERSION,
+    visionEndpoint: args.backend === 'fixture' ? null : args.visionUrl || 'stand-in',
+    signals: sources.map((source) => {
+      const { fired, correct } = tally.get(source);
+      return { source, fired, correct, precision: ratio(correct, fired), recall: ratio(correct, positives) };
+    }),
+    meanLatencyMs: ratio(
+      results.reduce((sum, r) => sum + (r.latencyMs || 0), 0),
+      results.length
+    ),
+    results
+  };
+
+  if (args.json) {
+    process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+    return;
+  }
+  const pct = (value) => (value === null ? '   -' : `${(value * 100).toFixed(0).padStart(3)}%`);
+  console.log(
+    `${report.fixtures} fixtures (${positives} labeled), ${report.models.join(', ') || report.backend}, prompt ${report.promptVersion}, vision ${report.visionEndpoint || args.fixtures}`
+  );
+  for (const r of results) {
+    console.log(`${r.correct ? 'ok  ' : 'MISS'} ${r.name}: ${r.status}${r.top ? ` -> ${r.top} (${r.confidence})` : ''} [${r.latencyMs}ms]`);
+  }
+  console.log('');
+  console.log('signal         fired correct precision recall');
+  for (const s of report.signals) {
+    console.log(`${s.source.padEnd(14)} ${String(s.fired).padStart(5)} ${String(s.correct).padStart(7)} ${pct(s.precision).padStart(9)} ${pct(s.recall).padStart(6)}`);
+  }
+  console.log(`mean latency ${report.meanLatencyMs}ms`);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error?.message || error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { parseArgs, matches, predictionFor };
@@ -10,12 +10,42 @@ function bool(value, defaultValue = false) {
   return ['1', 'true', 'yes', 'on'].includes(String(value).toLowerCase());
 }
 
+function list(value, defaultValue = []) {
+  if (value === undefined) return defaultValue;
+  return String(value)
+    .split(',')
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// "web:30,affiliate:60" -> { web: 30, affiliate: 60 }
+function numberMap(value) {
+  const out = {};
+  for (const entry of list(value)) {
+    const [key, raw] = entry.split(':');
+    const num = Number(raw);
+    if (key && Number.isFinite(num)) out[key] = num;
+  }
+  return out;
+}
+
 module.exports = {
   port: Number(process.env.PORT || 4000),
   nodeEnv: process.env.NODE_ENV || 'development',
 
   enableAIRecognition: bool(process.env.ENABLE_AI_RECOGNITION, true),
   aiRecognitionTimeoutMs: Number(process.env.AI_RECOGNITION_TIMEOUT_MS || 9000),
+  // A top recognition candidate that is already a product and fuses to at least this confidence is
+  // returned as `ok`; anything else asks the user to confirm (POST /recognize/:sessionId/confirm).
+  recognitionAutoAcceptConfidence: Number(process.env.RECOGNITION_AUTO_ACCEPT_CONFIDENCE || 0.9),
+  recognitionMaxCandidates: Number(process.env.RECOGNITION_MAX_CANDIDATES || 8),
+  // Barcodes (UPC-A, EAN-13, EAN-8, GTIN QR codes) are decoded from /recognize photos before the
+  // vision model runs. Photos are scaled down to BARCODE_MAX_IMAGE_SIDE for decoding, which runs on a
+  // worker thread and is abandoned after BARCODE_DECODE_TIMEOUT_MS.
+  enableBarcodeDecoding: bool(process.env.ENABLE_BARCODE_DECODING, true),
+  barcodeMaxImageSide: Number(process.env.BARCODE_MAX_IMAGE_SIDE || 1280),
+  barcodeMaxImageMegapixels: Number(process.env.BARCODE_MAX_IMAGE_MEGAPIXELS || 24),
+  barcodeDecodeTimeoutMs: Number(process.env.BARCODE_DECODE_TIMEOUT_MS || 5000),
 
   openaiApiBaseUrl: process.env.OPENAI_API_BASE_URL || 'https://api.openai.com',
   openaiApiKey: process.env.OPENAI_API_KEY || '',
@@ -23,16 +53,49 @@ module.exports = {
   openaiVisionReasoningEffort: process.env.OPENAI_VISION_REASONING_EFFORT || '',
   openaiVisionMaxOutputTokens: Number(process.env.OPENAI_VISION_MAX_OUTPUT_TOKENS || 1200),
 
+  // Vision backends for photo recognition, in fallback order: openai (Responses API), openai-chat
+  // (OpenAI-compatible chat completions, e.g. a local llama.cpp or Ollama server), fixture.
+  visionBackends: list(process.env.VISION_BACKENDS, ['openai']),
+  visionChatBaseUrl: process.env.VISION_CHAT_BASE_URL || '',
+  visionChatApiKey: process.env.VISION_CHAT_API_KEY || '',
+  visionChatModel: process.env.VISION_CHAT_MODEL || '',
+  visionChatJsonMode: bool(process.env.VISION_CHAT_JSON_MODE, true),
+  visionFixturePath: process.env.VISION_FIXTURE_PATH || '',
+
   enableWebSearchOffers: bool(process.env.ENABLE_WEB_SEARCH_OFFERS, true),
   webSearchRequestTimeoutMs: Number(process.env.WEB_SEARCH_REQUEST_TIMEOUT_MS || 5500),
   webSearchRetailerLimit: Number(process.env.WEB_SEARCH_RETAILER_LIMIT || 4),
 
+  webSearchVendors: list(process.env.WEB_SEARCH_VENDORS, ['amazon', 'ebay', 'walmart', 'target', 'bestbuy', 'newegg']),
+
+  // Offer providers, in priority order (earlier providers win when two return the same vendor).
+  offerProviders: list(process.env.OFFER_PROVIDERS, ['web']),
+  offerProviderRateLimits: numberMap(process.env.OFFER_PROVIDER_RATE_LIMITS),
+  offerCsvFeedPath: process.env.OFFER_CSV_FEED_PATH || '',
+  affiliateFeedUrl: process.env.AFFILIATE_FEED_URL || '',
+  affiliateFeedApiKey: process.env.AFFILIATE_FEED_API_KEY || '',
+  affiliateFeedTimeoutMs: Number(process.env.AFFILIATE_FEED_TIMEOUT_MS || 5000),
+
   enableSerpApiProxy: bool(process.env.ENABLE_SERPAPI_PROXY, true),
   serpApiBaseUrl: process.env.SERPAPI_BASE_URL || 'https://serpapi.com',
   serpApiApiKey: process.env.SERPAPI_API_KEY || '',
   serpApiEngine: process.env.SERPAPI_ENGINE || 'google',
   serpApiCountry: process.env.SERPAPI_COUNTRY || 'us',
   serpApiLanguage: process.env.SERPAPI_LANGUAGE || 'en',
+
+  // Amounts are converted through this currency; users without a currency/locale see it by default.
+  baseCurrency: process.env.BASE_CURRENCY || 'USD',
+  defaultLocale: process.env.DEFAULT_LOCALE || 'en-US',
+  // Tried in order: `static` reads EXCHANGE_RATES_PATH (bundled src/data/exchangeRates.json by default),
+  // `http` fetches EXCHANGE_RATES_URL.
+  exchangeRateSources: list(process.env.EXCHANGE_RATE_SOURCES, ['static']),
+  exchangeRatesPath: process.env.EXCHANGE_RATES_PATH || '',
+  exchangeRatesUrl: process.env.EXCHANGE_RATES_URL || '',
+  exchangeRatesTimeoutMs: Number(process.env.EXCHANGE_RATES_TIMEOUT_MS || 5000),
+  exchangeRatesCacheMs: Number(process.env.EXCHANGE_RATES_CACHE_MS || 6 * 60 * 60 * 1000),
+  // Sales tax / import duty table for landed-cost estimates (bundled src/data/taxRates.json by default).
+  taxRatesPath: process.env.TAX_RATES_PATH || '',
+  enableImportDuties: bool(process.env.ENABLE_IMPORT_DUTIES, true),
   serpApiRequestTimeoutMs: Number(process.env.SERPAPI_REQUEST_TIMEOUT_MS || 12000),
 
   enableUpcDbLookup: bool(process.env.ENABLE_UPC_DB_LOOKUP, true),
@@ -43,12 +106,80 @@ module.exports = {
   enableOpenFoodFactsLookup: bool(process.env.ENABLE_OPENFOODFACTS_LOOKUP, true),
   openFoodFactsApiBaseUrl: process.env.OPENFOODFACTS_API_BASE_URL || 'https://world.openfoodfacts.org',
 
+  // Scores from services/productMatching.js: new items reuse a product at or above the match
+  // threshold; pairs above the review threshold show up in /admin/products/duplicates.
+  productMatchThreshold: Number(process.env.PRODUCT_MATCH_THRESHOLD || 0.85),
+  productDuplicateReviewThreshold: Number(process.env.PRODUCT_DUPLICATE_REVIEW_THRESHOLD || 0.6),
+
+  enablePriceMonitor: bool(process.env.ENABLE_PRICE_MONITOR, true),
+  // `live` re-fetches offers for watched products; `demo` applies random drift instead.
+  priceMonitorMode: process.env.PRICE_MONITOR_MODE || 'live',
+  priceMonitorTickMs: Number(process.env.PRICE_MONITOR_TICK_MS || 30000),
+  priceMonitorBaseIntervalMs: Number(process.env.PRICE_MONITOR_BASE_INTERVAL_MS || 6 * 60 * 60 * 1000),
+  priceMonitorMinIntervalMs: Number(process.env.PRICE_MONITOR_MIN_INTERVAL_MS || 15 * 60 * 1000),
+  priceMonitorMaxIntervalMs: Number(process.env.PRICE_MONITOR_MAX_INTERVAL_MS || 24 * 60 * 60 * 1000),
+  priceMonitorJitterPct: Number(process.env.PRICE_MONITOR_JITTER_PCT || 0.15),
+  priceMonitorConcurrency: Number(process.env.PRICE_MONITOR_CONCURRENCY || 2),
+  // Offers their provider stops returning are marked out of stock after this many consecutive refreshes.
+  offerMissingRefreshLimit: Number(process.env.OFFER_MISSING_REFRESH_LIMIT || 2),
+  // Offer freshness: per-source TTLs ("web:6,csv:72,shared:24"), otherwise the provider's own default.
+  offerTtlHours: numberMap(process.env.OFFER_TTL_HOURS),
+  offerDefaultTtlHours: Number(process.env.OFFER_DEFAULT_TTL_HOURS || 24),
+  // `flag` keeps stale offers in responses (never recommended); `exclude` drops them.
+  offerStalePolicy: process.env.OFFER_STALE_POLICY || 'flag',
+  enableOfferCleanup: bool(process.env.ENABLE_OFFER_CLEANUP, true),
+  offerCleanupTickMs: Number(process.env.OFFER_CLEANUP_TICK_MS || 60 * 60 * 1000),
+  offerArchiveAfterDays: Number(process.env.OFFER_ARCHIVE_AFTER_DAYS || 30),
+
+  publicBaseUrl: process.env.PUBLIC_BASE_URL || `http://localhost:${Number(process.env.PORT || 4000)}`,
+  authSessionTtlHours: Number(process.env.AUTH_SESSION_TTL_HOURS || 24 * 30),
+  authMagicLinkTtlMinutes: Number(process.env.AUTH_MAGIC_LINK_TTL_MINUTES || 15),
+  // Sign-in links that may be requested per hour; 0 = unlimited.
+  authMagicLinkPerEmailPerHour: Number(process.env.AUTH_MAGIC_LINK_PER_EMAIL_PER_HOUR || 5),
+  authMagicLinkPerIpPerHour: Number(process.env.AUTH_MAGIC_LINK_PER_IP_PER_HOUR || 20),
+  // Local demo shortcuts that bypass sign-in: /demo/bootstrap hands out sessions, /debug/mail-outbox shows
+  // magic links, and /admin and job routes are open without ADMIN_API_TOKEN. Off unless asked for, and
+  // ignored in production.
+  enableDemoAuth: bool(process.env.ENABLE_DEMO_AUTH, false),
+
+  // Local stand-in for outbound email: `outbox` keeps messages in memory, `file` also writes them to disk.
+  mailTransport: process.env.MAIL_TRANSPORT || 'outbox',
+  mailOutboxDir: process.env.MAIL_OUTBOX_DIR || '',
+  mailFrom: process.env.MAIL_FROM || 'OmniCart <no-reply@omnicart.app>',
+
+  // Delivery worker that drains PendingNotification through the transports below.
+  enableNotificationWorker: bool(process.env.ENABLE_NOTIFICATION_WORKER, true),
+  notificationWorkerTickMs: Number(process.env.NOTIFICATION_WORKER_TICK_MS || 5000),
+  notificationWorkerBatchSize: Number(process.env.NOTIFICATION_WORKER_BATCH_SIZE || 25),
+  notificationMaxAttempts: Number(process.env.NOTIFICATION_MAX_ATTEMPTS || 6),
+  notificationRetryBaseMs: Number(process.env.NOTIFICATION_RETRY_BASE_MS || 30000),
+  notificationRetryMaxMs: Number(process.env.NOTIFICATION_RETRY_MAX_MS || 60 * 60 * 1000),
+  // `email` only reaches the local mail stand-in, so it is opt-in.
+  notificationChannels: list(process.env.NOTIFICATION_CHANNELS, ['apns', 'webhook']),
+  // Per watch item and alert type, e.g. "price_drop:12,target_price:24,shipping_improved:24".
+  alertCooldownHours: numberMap(process.env.ALERT_COOLDOWN_HOURS),
+  // `log` records APNs requests in memory (see /debug/apns-log); `live` sends over HTTP/2.
+  apnsMode: process.env.APNS_MODE || 'log',
+  apnsKeyId: process.env.APNS_KEY_ID || '',
+  apnsTeamId: process.env.APNS_TEAM_ID || '',
+  apnsBundleId: process.env.APNS_BUNDLE_ID || '',
+  apnsPrivateKeyPath: process.env.APNS_PRIVATE_KEY_PATH || '',
+  apnsTimeoutMs: Number(process.env.APNS_TIMEOUT_MS || 10000),
+  notificationWebhookSecret: process.env.NOTIFICATION_WEBHOOK_SECRET || '',
+  notificationWebhookTimeoutMs: Number(process.env.NOTIFICATION_WEBHOOK_TIMEOUT_MS || 5000),
+  // Webhooks to loopback, link-local and private addresses are refused unless this is set (local receivers).
+  notificationWebhookAllowPrivate: bool(process.env.NOTIFICATION_WEBHOOK_ALLOW_PRIVATE, false),
+
   paymentProvider: process.env.PAYMENT_PROVIDER || 'mock',
   visaApiBaseUrl: process.env.VISA_API_BASE_URL || '',
   visaApiKey: process.env.VISA_API_KEY || '',
   visaApiSecret: process.env.VISA_API_SECRET || '',
 
+  vendorWebhookSecret: process.env.VENDOR_WEBHOOK_SECRET || '',
   extensionWebhookSecret: process.env.EXTENSION_WEBHOOK_SECRET || '',
+  promotionsWebhookSecret: process.env.PROMOTIONS_WEBHOOK_SECRET || '',
+  // Guards /admin and job routes; when unset they are closed unless ENABLE_DEMO_AUTH is on.
+  adminApiToken: process.env.ADMIN_API_TOKEN || '',
   sharedWatchlistWebhookSecret: process.env.SHARED_WATCHLIST_WEBHOOK_SECRET || '',
 
   enableSharedRemoteWatchlistSync: bool(process.env.ENABLE_SHARED_REMOTE_WATCHLIST_SYNC, false),
@@ -5,12 +5,13 @@ const crypto = require('crypto');
 const { prisma } = require('./db');
 const config = require('./config');
 
-const { recognizeProduct } = require('./services/recognitionService');
+const { recognizeProduct, confirmRecognition, listRecognitionSessions } = require('./services/recognitionService');
 const {
   isEnabled: aiEnabled,
   getAIMetrics,
-  pingOpenAI,
-  getLastAIDebug
+  pingVisionBackend,
+  getLastAIDebug,
+  getVisionBackendStatus
 } = require('./services/aiVisionService');
 const {
   isEnabled: serpEnabled,
@@ -20,10 +21,100 @@ const {
   getRankedOffers,
   searchOfferCandidates,
   normalizeOffer,
-  ensureActionableOffer
+  ensureActionableOffer,
+  withConvertedPrices,
+  shippingAddressFor
 } = require('./services/offerService');
+const { normalizeCountry, destinationFor, withLandedCosts } = require('./services/landedCost');
+const {
+  PROMOTION_SOURCE,
+  validatePromotion,
+  upsertPromotion,
+  activePromotionsFor,
+  discountFor,
+  withPromotions,
+  describePromotion
+} = require('./services/promotions');
+const { getProviderStatus: getOfferProviderStatus } = require('./services/offerProviders');
+const { parseStoredWeights, normalizeWeights } = require('./services/offerRanking');
+const { validateWatchRules, parseStoredRules, isExpired, vendorMatches } = require('./services/watchRules');
+const {
+  findMatchingProduct,
+  productKeyData,
+  findDuplicateCandidates,
+  mergeProducts,
+  canonicalProductId
+} = require('./services/productMatching');
+const {
+  assignFamily,
+  variantsFor,
+  setProductFamily,
+  watchVariantScope,
+  withVariantInfo
+} = require('./services/productVariants');
+const { ensureSearchIndex, searchProducts } = require('./services/productSearch');
+const { OFFER_SOURCE, applyStalePolicy } = require('./services/offerFreshness');
+const { PRICED_OFFER_WHERE } = require('./services/searchLinks');
+const {
+  normalizeCurrency,
+  normalizeLocale,
+  minorToMajor,
+  majorToMinor,
+  formatMoney,
+  moneyContextFor
+} = require('./services/money');
+const { getRateTable, getRateSourceStatus } = require('./services/exchangeRates');
+const {
+  normalizeNotificationPreferences,
+  parseStoredNotificationPreferences
+} = require('./services/notificationPreferences');
 const { createPaymentService } = require('./services/payment');
+const { isBlockedWebhookUrl } = require('./services/notifications/webhookTransport');
+const { ALERT_TYPE, dispatchDealAlert } = require('./services/alertPolicy');
+const {
+  ORDER_STATUS,
+  hashPurchaseRequest,
+  transitionOrder,
+  placeOrder,
+  completePaymentChallenge,
+  getOrderWithHistory,
+  cancelOrder,
+  refundOrder
+} = require('./services/orderService');
+const {
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  checkoutCart,
+  completeCheckoutChallenge,
+  getCheckout,
+  cancelCheckout,
+  cancelVendorOrder,
+  refundVendorOrder,
+  updateVendorOrderStatus
+} = require('./services/cartService');
+const {
+  normalizeEmail,
+  ensureUserByEmail,
+  takeMagicLinkSlot,
+  createMagicLink,
+  createSessionToken,
+  createApiToken,
+  consumeMagicLink,
+  resolveToken,
+  revokeToken,
+  listApiTokens
+} = require('./services/authService');
+const { sendMail, getOutbox } = require('./services/mailService');
 const { runPriceTick } = require('./services/priceMonitor');
+const priceMonitorScheduler = require('./services/priceMonitorScheduler');
+const notificationWorker = require('./services/notificationDeliveryWorker');
+const offerCleanupJob = require('./services/offerCleanupJob');
+const { apnsTransport } = require('./services/notifications/apnsTransport');
+const { recordOfferObservation, getPriceHistory } = require('./services/priceHistoryService');
+const { getStockEvents } = require('./services/stockTrackingService');
+const { canonicalGtin } = require('./services/gtin');
 const {
   isEnabled: sharedRemoteSyncEnabled,
   isPullEnabled: sharedRemotePullEnabled,
@@ -49,10 +140,18 @@ function respondError(res, req, status, publicMessage, error) {
   return res.status(status).json(payload);
 }
 
+// A 501 from a service (e.g. a payment provider without refunds) keeps its status and message.
 function respond500(res, req, publicMessage, error) {
+  if (Number(error?.httpStatus) === 501) return respondError(res, req, 501, error.message, error);
   return respondError(res, req, 500, publicMessage, error);
 }
 
+// Services signal client errors by setting `httpStatus` (4xx) on the thrown Error.
+function isClientError(error) {
+  const status = Number(error?.httpStatus);
+  return status >= 400 && status < 500;
+}
+
 // Add a requestId and simple access log (useful for debugging 500s from the iOS app).
 app.use((req, res, next) => {
   req.requestId = crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(16).slice(2)}`;
@@ -69,16 +168,84 @@ app.use((req, res, next) => {
   next();
 });
 
-function normalizeWhitespace(value) {
-  return String(value || '').replace(/\s+/g, ' ').trim();
+function bearerToken(req) {
+  const auth = String(req.get('authorization') || '').trim();
+  if (auth.toLowerCase().startsWith('bearer ')) return auth.slice(7).trim();
+  return '';
 }
 
-function normalizeEmail(value) {
-  const email = String(value || '').trim().toLowerCase();
-  if (!email) return '';
-  if (!email.includes('@')) return '';
-  if (email.length > 254) return '';
-  return email;
+// Attach `req.user` when a valid session/API token is present. Never rejects on its own;
+// routes that need a user add `requireAuth`.
+app.use(async (req, res, next) => {
+  try {
+    const record = await resolveToken(bearerToken(req));
+    if (record?.user) {
+      req.user = record.user;
+      req.authToken = record;
+    }
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+});
+
+function requireAuth(req, res, next) {
+  if (!req.user) return res.status(401).json({ error: 'Authentication required' });
+  return next();
+}
+
+// Routes used to take a raw `userId`. It is still accepted for compatibility,
+// but must match the authenticated user.
+function rejectForeignUserId(req, res, requestedUserId) {
+  const requested = String(requestedUserId || '').trim();
+  if (requested && requested !== req.user.id) {
+    res.status(403).json({ error: 'Not allowed to access another user' });
+    return true;
+  }
+  return false;
+}
+
+function requireSelf(req, res, next) {
+  if (rejectForeignUserId(req, res, req.params.id)) return undefined;
+  return next();
+}
+
+function demoAuthEnabled() {
+  return Boolean(config.enableDemoAuth) && config.nodeEnv !== 'production';
+}
+
+function secretMatches(incoming, secret) {
+  const a = Buffer.from(String(incoming || ''));
+  const b = Buffer.from(String(secret || ''));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Admin and job routes take ADMIN_API_TOKEN in the same headers as the integration webhooks. Without
+// a token configured they are closed, unless ENABLE_DEMO_AUTH opens them for local demos.
+function requireAdmin(req, res, next) {
+  const token = String(config.adminApiToken || '').trim();
+  const allowed = token ? secretMatches(headerToken(req), token) : demoAuthEnabled();
+  if (!allowed) return res.status(403).json({ error: 'Admin access required' });
+  return next();
+}
+
+// Integration webhooks authenticate with their shared secret and fail closed when it isn't set.
+function requireWebhookSecret(secretKey, label) {
+  return (req, res, next) => {
+    const secret = String(config[secretKey] || '').trim();
+    if (!secret) return res.status(503).json({ error: `${label} is not configured` });
+    if (!secretMatches(headerToken(req), secret)) return res.status(403).json({ error: `Invalid ${label}` });
+    return next();
+  };
+}
+
+const requireSharedWatchlistSecret = requireWebhookSecret('sharedWatchlistWebhookSecret', 'shared watchlist secret');
+const requireVendorSecret = requireWebhookSecret('vendorWebhookSecret', 'vendor webhook secret');
+const requirePromotionsSecret = requireWebhookSecret('promotionsWebhookSecret', 'promotions secret');
+const requireExtensionSecret = requireWebhookSecret('extensionWebhookSecret', 'extension webhook secret');
+
+function normalizeWhitespace(value) {
+  return String(value || '').replace(/\s+/g, ' ').trim();
 }
 
 function headerToken(req) {
@@ -106,10 +273,10 @@ function dollarsToCents(value) {
   return Math.round(num * 100);
 }
 
-function centsToDollars(priceCents) {
+function centsToMajorUnits(priceCents, currency) {
   const cents = Number(priceCents);
   if (!Number.isFinite(cents) || cents <= 0) return null;
-  return Number((cents / 100).toFixed(2));
+  return minorToMajor(cents, currency);
 }
 
 function slugifyToken(value, fallback) {
@@ -127,22 +294,33 @@ function vendorIdForSharedDomain(domain) {
   return `shared:${slugifyToken(normalized, 'site')}`;
 }
 
-async function ensureUserByEmail(email) {
-  const normalized = normalizeEmail(email);
-  if (!normalized) return null;
-  const existing = await prisma.user.findUnique({ where: { email: normalized } });
-  if (existing) return existing;
-  const name = normalized.split('@')[0].slice(0, 48) || 'OmniCart User';
-  return prisma.user.create({
-    data: {
-      name,
-      email: normalized,
-      preference: 'BALANCED',
-      visaTestToken: 'visa_test_tok_4242',
-      defaultPctDropThreshold: 15,
-      shippingImprovementOn: false
-    }
-  });
+function serializeUserSettings(user) {
+  return {
+    id: user.id,
+    name: user.name,
+    email: user.email,
+    preference: user.preference,
+    visaTestToken: user.visaTestToken,
+    defaultPctDropThreshold: user.defaultPctDropThreshold,
+    defaultTargetPriceCents: user.defaultTargetPriceCents,
+    shippingImprovementOn: user.shippingImprovementOn,
+    rankingWeights: parseStoredWeights(user.rankingWeights),
+    notificationWebhookUrl: user.notificationWebhookUrl || null,
+    notificationPreferences: parseStoredNotificationPreferences(user.notificationPreferences),
+    locale: user.locale || null,
+    currency: user.currency || null,
+    // What the user actually sees after locale/server defaults are applied.
+    money: moneyContextFor(user)
+  };
+}
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(String(value));
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch {
+    return false;
+  }
 }
 
 async function ensureProductFromSharedItem(sharedItem) {
@@ -160,7 +338,8 @@ async function ensureProductFromSharedItem(sharedItem) {
     if (existingByUrl?.product) return existingByUrl.product;
   }
 
-  const upc = String(sharedItem?.upc || '').replace(/\D/g, '');
+  // Shared items carry whatever barcode form the site showed; an invalid one is ignored.
+  const upc = canonicalGtin(sharedItem?.upc) || '';
   if (upc) {
     const byUpc = await prisma.product.findFirst({ where: { upc } });
     if (byUpc) return byUpc;
@@ -170,14 +349,15 @@ async function ensureProductFromSharedItem(sharedItem) {
   const brand = normalizeWhitespace(sharedItem?.brand) || 'Unknown';
   if (!title) return null;
 
-  const existing = await prisma.product.findFirst({ where: { title, brand } });
-  if (existing) return existing;
+  const matched = await findMatchingProduct({ title, brand, upc });
+  if (matched) return matched.product;
 
-  return prisma.product.create({
+  const created = await prisma.product.create({
     data: {
       title,
       brand,
       upc: upc || null,
+      ...productKeyData({ title, brand }),
       imageUrl: sharedItem?.imageUrl
         ? String(sharedItem.imageUrl)
         : sharedItem?.image_url
@@ -185,6 +365,7 @@ async function ensureProductFromSharedItem(sharedItem) {
           : null
     }
   });
+  return assignFamily(created);
 }
 
 function normalizeSharedAlertRules(sharedItem, user) {
@@ -268,7 +449,7 @@ async function applySharedWatchlistSync({ email, items, replace }) {
         : dollarsToCents(sharedItem?.price);
     if (preferredProductUrl && listingDomain && listingPriceCents) {
       const vendorId = vendorIdForSharedDomain(listingDomain);
-      await prisma.offer.upsert({
+      const sharedOffer = await prisma.offer.upsert({
         where: {
           productId_vendorId: {
             productId: product.id,
@@ -282,7 +463,9 @@ async function applySharedWatchlistSync({ email, items, replace }) {
           shippingCents: 0,
           etaDays: 5,
           inStock: true,
-          productUrl: preferredProductUrl
+          productUrl: preferredProductUrl,
+          source: OFFER_SOURCE.SHARED,
+          lastVerifiedAt: new Date()
         },
         create: {
           productId: product.id,
@@ -293,9 +476,11 @@ async function applySharedWatchlistSync({ email, items, replace }) {
           shippingCents: 0,
           etaDays: 5,
           inStock: true,
-          productUrl: preferredProductUrl
+          productUrl: preferredProductUrl,
+          source: OFFER_SOURCE.SHARED
         }
       });
+      await recordOfferObservation(sharedOffer, 'shared-watchlist');
     }
 
     await prisma.watchlist.upsert({
@@ -354,38 +539,60 @@ async function applySharedWatchlistSync({ email, items, replace }) {
   };
 }
 
+// Landed totals in the user's display currency when a rate is known, else in the offer's own currency.
+function displayTotalCents(offer) {
+  const amounts = offer.converted || offer;
+  return amounts.landedTotalCents ?? amounts.priceCents + amounts.shippingCents;
+}
+
+// Fresh offers beat stale ones regardless of price; stale ones are only a last resort.
+function isBetterWatchOffer(next, existing) {
+  if (!existing) return true;
+  if (existing.freshness.stale !== next.freshness.stale) return existing.freshness.stale;
+  const existingTotal = displayTotalCents(existing);
+  const nextTotal = displayTotalCents(next);
+  return nextTotal < existingTotal || (nextTotal === existingTotal && next.etaDays < existing.etaDays);
+}
+
+// `items` must include `product`. Any-variant items pick their best offer across the family.
 async function buildWatchlistItemsResponse(items, userId) {
-  const productIds = [...new Set(items.map((item) => item.productId))];
+  const scope = await watchVariantScope(items);
+  const productIds = scope.productIds;
   const offers = await prisma.offer.findMany({
-    where: { productId: { in: productIds }, inStock: true }
+    where: { productId: { in: productIds }, inStock: true, ...PRICED_OFFER_WHERE }
   });
 
+  const [user, rateTable, address, promotions] = await Promise.all([
+    prisma.user.findUnique({ where: { id: userId } }),
+    getRateTable(),
+    shippingAddressFor(userId),
+    activePromotionsFor(productIds)
+  ]);
+  const money = moneyContextFor(user);
+  const promotedOffers = withPromotions(applyStalePolicy(offers.map(normalizeOffer)), promotions, rateTable);
+  const landedOffers = withLandedCosts(promotedOffers, destinationFor(address), rateTable);
+  const normalizedOffers = withVariantInfo(withConvertedPrices(landedOffers, rateTable, money), scope.products);
   const offersByProductId = new Map();
-  for (const offer of offers) {
-    const normalized = normalizeOffer(offer);
-    const existing = offersByProductId.get(offer.productId) || [];
+  for (const normalized of normalizedOffers) {
+    const existing = offersByProductId.get(normalized.productId) || [];
     existing.push(normalized);
-    offersByProductId.set(offer.productId, existing);
+    offersByProductId.set(normalized.productId, existing);
   }
 
   const bestByProductId = new Map();
-  for (const offer of offers) {
-    const normalized = normalizeOffer(offer);
-    const existing = bestByProductId.get(offer.productId);
-    if (!existing) {
-      bestByProductId.set(offer.productId, normalized);
-      continue;
-    }
-    const existingTotal = existing.priceCents + existing.shippingCents;
-    const nextTotal = normalized.priceCents + normalized.shippingCents;
-    if (nextTotal < existingTotal || (nextTotal === existingTotal && normalized.etaDays < existing.etaDays)) {
-      bestByProductId.set(offer.productId, normalized);
+  for (const normalized of normalizedOffers) {
+    if (isBetterWatchOffer(normalized, bestByProductId.get(normalized.productId))) {
+      bestByProductId.set(normalized.productId, normalized);
     }
   }
 
   return Promise.all(
     items.map(async (item) => {
-      const productOffers = offersByProductId.get(item.productId) || [];
+      const itemProductIds = scope.productIdsFor(item);
+      const productOffers = itemProductIds.flatMap((productId) => offersByProductId.get(productId) || []);
+      const familyBest = itemProductIds
+        .map((productId) => bestByProductId.get(productId))
+        .reduce((best, next) => (next && isBetterWatchOffer(next, best) ? next : best), null);
       const preferredOffer =
         (item.preferredOfferId &&
           productOffers.find((o) => o.id === item.preferredOfferId)) ||
@@ -395,18 +602,30 @@ async function buildWatchlistItemsResponse(items, userId) {
           productOffers.find((o) => String(o.productUrl || '') === String(item.preferredProductUrl || ''))) ||
         null;
 
-      const bestOfferRaw = preferredOffer || bestByProductId.get(item.productId) || null;
+      const bestOfferRaw = preferredOffer || familyBest;
       const bestOffer = bestOfferRaw ? await ensureActionableOffer(bestOfferRaw) : null;
-      const lastSeen = item.lastSeenBestPriceCents || bestOffer?.priceCents || 0;
+      const currentPrice = bestOffer ? bestOffer.converted?.priceCents ?? bestOffer.priceCents : 0;
+      const lastSeen = item.lastSeenBestPriceCents || currentPrice || 0;
       const deltaPct =
         lastSeen > 0 && bestOffer
-          ? Number((((bestOffer.priceCents - lastSeen) / lastSeen) * 100).toFixed(1))
+          ? Number((((currentPrice - lastSeen) / lastSeen) * 100).toFixed(1))
+          : 0;
+      // Same comparison on the landed total (price + shipping + estimated tax and duty).
+      const currentLanded = bestOffer ? displayTotalCents(bestOffer) : 0;
+      const lastSeenLanded = item.lastSeenBestTotalCents || currentLanded || 0;
+      const landedDeltaPct =
+        lastSeenLanded > 0 && bestOffer
+          ? Number((((currentLanded - lastSeenLanded) / lastSeenLanded) * 100).toFixed(1))
           : 0;
 
+      const rules = parseStoredRules(item);
       return {
         ...item,
+        rules,
+        rulesExpired: isExpired(rules),
         bestOffer,
-        deltaPct
+        deltaPct,
+        landedDeltaPct
       };
     })
   );
@@ -427,7 +646,7 @@ async function syncRemoteWatchlistFromLocal(userId) {
 
     const productIds = [...new Set(watchItems.map((w) => w.productId))];
     const offers = await prisma.offer.findMany({
-      where: { productId: { in: productIds }, inStock: true }
+      where: { productId: { in: productIds }, inStock: true, ...PRICED_OFFER_WHERE }
     });
     const offersByProductId = new Map();
     for (const offer of offers) {
@@ -459,7 +678,8 @@ async function syncRemoteWatchlistFromLocal(userId) {
       const url = preferredUrl || String(bestOffer?.productUrl || '').trim();
       if (!url) continue;
       const domain = sharedRemoteDomainFromUrl(url) || String(item.preferredVendorName || '').trim().toLowerCase();
-      const price = centsToDollars(bestOffer?.priceCents);
+      const currency = bestOffer?.currency || 'USD';
+      const price = centsToMajorUnits(bestOffer?.priceCents, currency);
       if (!domain || !price) continue;
 
       remoteItems.push({
@@ -467,7 +687,7 @@ async function syncRemoteWatchlistFromLocal(userId) {
         title: item.product.title,
         domain,
         price,
-        currency: 'USD'
+        currency
       });
     }
 
@@ -499,16 +719,18 @@ app.get('/debug/ai-status', (req, res) => {
     maxOutputTokens: config.openaiVisionMaxOutputTokens,
     apiBaseUrl: config.openaiApiBaseUrl,
     timeoutMs: config.aiRecognitionTimeoutMs,
+    backendOrder: config.visionBackends,
+    backends: getVisionBackendStatus(),
     metrics: getAIMetrics()
   });
 });
 
 app.post('/debug/ai-ping', async (req, res) => {
   try {
-    const result = await pingOpenAI();
+    const result = await pingVisionBackend();
     return res.json(result);
   } catch (error) {
-    return respond500(res, req, error?.message || 'OpenAI ping failed', error);
+    return respond500(res, req, error?.message || 'Vision backend ping failed', error);
   }
 });
 
@@ -529,6 +751,8 @@ app.get('/debug/serpapi-status', (req, res) => {
 app.get('/debug/offers-status', (req, res) => {
   return res.json({
     webSearchEnabled: config.enableWebSearchOffers,
+    webSearchVendors: config.webSearchVendors,
+    providers: getOfferProviderStatus(),
     serpapi: {
       enabled: serpEnabled(),
       apiKeySet: Boolean(config.serpApiApiKey),
@@ -538,7 +762,136 @@ app.get('/debug/offers-status', (req, res) => {
   });
 });
 
+app.get('/debug/exchange-rates', async (req, res) => {
+  try {
+    // Loads the table so the status reflects the active source rather than an empty cache.
+    await getRateTable();
+    return res.json(getRateSourceStatus());
+  } catch (error) {
+    return respond500(res, req, 'Could not load exchange rates', error);
+  }
+});
+
+app.get('/debug/mail-outbox', (req, res) => {
+  // Holds every magic link, so it is part of the demo sign-in bypass.
+  if (!demoAuthEnabled()) return res.status(404).json({ error: 'Not found' });
+  return res.json({ transport: config.mailTransport, messages: getOutbox() });
+});
+
+app.get('/debug/apns-log', (req, res) => {
+  if (config.nodeEnv === 'production') return res.status(404).json({ error: 'Not found' });
+  return res.json({ mode: config.apnsMode, requests: apnsTransport.getSentLog() });
+});
+
+app.post('/auth/magic-link', async (req, res) => {
+  const email = normalizeEmail(req.body?.email);
+  if (!email) return res.status(400).json({ error: 'A valid email is required' });
+  if (!takeMagicLinkSlot({ email, ip: req.ip })) {
+    res.set('Retry-After', '3600');
+    return res.status(429).json({ error: 'Too many sign-in links requested; try again later' });
+  }
+
+  try {
+    const link = await createMagicLink(email);
+    if (!link) return res.status(400).json({ error: 'Invalid email' });
+    await sendMail({
+      to: email,
+      subject: 'Your OmniCart sign-in link',
+      text: `Sign in to OmniCart: ${link.url}\n\nThis link expires at ${link.expiresAt.toISOString()} and can be used once.`
+    });
+    return res.json({ ok: true, expiresAt: link.expiresAt });
+  } catch (error) {
+    console.error('magic link failed', error);
+    return respond500(res, req, 'Could not send sign-in link', error);
+  }
+});
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (ch) => `&#${ch.charCodeAt(0)};`);
+}
+
+// Mail scanners and link previews fetch the emailed URL, so GET only shows a confirmation form and
+// the single-use token is consumed by the POST it submits.
+app.get('/auth/verify', (req, res) => {
+  const token = String(req.query?.token || '').trim();
+  if (!token) return res.status(400).json({ error: 'token is required' });
+  res.set('Cache-Control', 'no-store');
+  res.set('Referrer-Policy', 'no-referrer');
+  return res.type('html').send(`<!doctype html>
+<html><head><meta charset="utf-8"><meta name="robots" content="noindex"><title>Sign in to OmniCart</title></head>
+<body>
+<form method="post" action="/auth/verify">
+<input type="hidden" name="token" value="${escapeHtml(token)}">
+<button type="submit">Sign in to OmniCart</button>
+</form>
+</body></html>`);
+});
+
+app.post('/auth/verify', express.urlencoded({ extended: false }), async (req, res) => {
+  const token = String(req.body?.token || '').trim();
+  if (!token) return res.status(400).json({ error: 'token is required' });
+
+  try {
+    const session = await consumeMagicLink(token);
+    if (!session?.user) return res.status(401).json({ error: 'Sign-in link is invalid or expired' });
+    return res.json({
+      token: session.token,
+      expiresAt: session.expiresAt,
+      user: serializeUserSettings(session.user)
+    });
+  } catch (error) {
+    console.error('magic link verify failed', error);
+    return respond500(res, req, 'Could not verify sign-in link', error);
+  }
+});
+
+app.get('/auth/me', requireAuth, (req, res) => {
+  return res.json({ user: serializeUserSettings(req.user), tokenKind: req.authToken.kind });
+});
+
+app.post('/auth/logout', requireAuth, async (req, res) => {
+  try {
+    await revokeToken(req.authToken.id, req.user.id);
+    return res.json({ ok: true });
+  } catch (error) {
+    console.error('logout failed', error);
+    return respond500(res, req, 'Could not log out', error);
+  }
+});
+
+app.get('/auth/api-tokens', requireAuth, async (req, res) => {
+  try {
+    return res.json({ tokens: await listApiTokens(req.user.id) });
+  } catch (error) {
+    console.error('api token list failed', error);
+    return respond500(res, req, 'Could not list API tokens', error);
+  }
+});
+
+app.post('/auth/api-tokens', requireAuth, async (req, res) => {
+  try {
+    const created = await createApiToken(req.user.id, req.body?.name);
+    // The plaintext token is only ever returned here.
+    return res.json(created);
+  } catch (error) {
+    console.error('api token create failed', error);
+    return respond500(res, req, 'Could not create API token', error);
+  }
+});
+
+app.delete('/auth/api-tokens/:id', requireAuth, async (req, res) => {
+  try {
+    const revoked = await revokeToken(String(req.params.id), req.user.id);
+    if (!revoked) return res.status(404).json({ error: 'API token not found' });
+    return res.json({ ok: true });
+  } catch (error) {
+    console.error('api token revoke failed', error);
+    return respond500(res, req, 'Could not revoke API token', error);
+  }
+});
+
 app.get('/demo/bootstrap', async (req, res) => {
+  if (!demoAuthEnabled()) return res.status(404).json({ error: 'Not found' });
   const requested = normalizeEmail((req.query.email || '').toString());
   const email = requested || 'demo@omnicart.app';
 
@@ -576,18 +929,12 @@ app.get('/demo/bootstrap', async (req, res) => {
     }
     if (!user) return respond500(res, req, 'Could not bootstrap user');
 
+    const session = await createSessionToken(user.id);
     return res.json({
-      user: {
-        id: user.id,
-        name: user.name,
-        email: user.email,
-        preference: user.preference,
-        visaTestToken: user.visaTestToken,
-        defaultPctDropThreshold: user.defaultPctDropThreshold,
-        defaultTargetPriceCents: user.defaultTargetPriceCents,
-        shippingImprovementOn: user.shippingImprovementOn
-      },
-      addresses: user.addresses
+      user: serializeUserSettings(user),
+      addresses: user.addresses,
+      token: session.token,
+      tokenExpiresAt: session.expiresAt
     });
   } catch (error) {
     console.error('bootstrap failed', error);
@@ -595,7 +942,7 @@ app.get('/demo/bootstrap', async (req, res) => {
   }
 });
 
-app.get('/users/:id/settings', async (req, res) => {
+app.get('/users/:id/settings', requireAuth, requireSelf, async (req, res) => {
   try {
     const user = await prisma.user.findUnique({
       where: { id: req.params.id },
@@ -603,16 +950,7 @@ app.get('/users/:id/settings', async (req, res) => {
     });
     if (!user) return res.status(404).json({ error: 'User not found' });
     return res.json({
-      user: {
-        id: user.id,
-        name: user.name,
-        email: user.email,
-        preference: user.preference,
-        visaTestToken: user.visaTestToken,
-        defaultPctDropThreshold: user.defaultPctDropThreshold,
-        defaultTargetPriceCents: user.defaultTargetPriceCents,
-        shippingImprovementOn: user.shippingImprovementOn
-      },
+      user: serializeUserSettings(user),
       addresses: user.addresses
     });
   } catch (error) {
@@ -621,17 +959,61 @@ app.get('/users/:id/settings', async (req, res) => {
   }
 });
 
-app.put('/users/:id/settings', async (req, res) => {
+app.put('/users/:id/settings', requireAuth, requireSelf, async (req, res) => {
   const {
     name,
     preference,
     visaTestToken,
     defaultPctDropThreshold,
     defaultTargetPriceCents,
-    shippingImprovementOn
+    shippingImprovementOn,
+    rankingWeights,
+    notificationWebhookUrl,
+    notificationPreferences,
+    locale,
+    currency
   } = req.body || {};
+  if (rankingWeights !== undefined && rankingWeights !== null && typeof rankingWeights !== 'object') {
+    return res.status(400).json({ error: 'rankingWeights must be an object' });
+  }
+  if (notificationWebhookUrl && !isHttpUrl(notificationWebhookUrl)) {
+    return res.status(400).json({ error: 'notificationWebhookUrl must be an http(s) URL' });
+  }
+  if (notificationWebhookUrl && isBlockedWebhookUrl(notificationWebhookUrl)) {
+    return res.status(400).json({ error: 'notificationWebhookUrl must point at a public host' });
+  }
+  if (
+    notificationPreferences !== undefined &&
+    notificationPreferences !== null &&
+    typeof notificationPreferences !== 'object'
+  ) {
+    return res.status(400).json({ error: 'notificationPreferences must be an object' });
+  }
+  if (locale && !normalizeLocale(locale)) {
+    return res.status(400).json({ error: 'locale must be a BCP 47 language tag such as en-GB' });
+  }
 
   try {
+    if (currency) {
+      const rates = await getRateTable();
+      if (!rates.rates[normalizeCurrency(currency)]) {
+        return res.status(400).json({ error: `currency must be one of ${Object.keys(rates.rates).sort().join(', ')}` });
+      }
+    }
+    // Preferences are a partial update merged onto what is stored.
+    let mergedNotificationPreferences;
+    if (notificationPreferences) {
+      const existing = await prisma.user.findUnique({
+        where: { id: req.params.id },
+        select: { notificationPreferences: true }
+      });
+      mergedNotificationPreferences = JSON.stringify(
+        normalizeNotificationPreferences(
+          notificationPreferences,
+          parseStoredNotificationPreferences(existing?.notificationPreferences)
+        )
+      );
+    }
     const user = await prisma.user.update({
       where: { id: req.params.id },
       data: {
@@ -644,22 +1026,24 @@ app.put('/users/:id/settings', async (req, res) => {
         ...(defaultTargetPriceCents !== undefined
           ? { defaultTargetPriceCents: normalizeCents(defaultTargetPriceCents) }
           : {}),
-        ...(shippingImprovementOn !== undefined ? { shippingImprovementOn: Boolean(shippingImprovementOn) } : {})
+        ...(shippingImprovementOn !== undefined ? { shippingImprovementOn: Boolean(shippingImprovementOn) } : {}),
+        ...(rankingWeights !== undefined
+          ? { rankingWeights: rankingWeights ? JSON.stringify(normalizeWeights(rankingWeights)) : null }
+          : {}),
+        ...(notificationWebhookUrl !== undefined
+          ? { notificationWebhookUrl: notificationWebhookUrl ? String(notificationWebhookUrl) : null }
+          : {}),
+        ...(notificationPreferences !== undefined
+          ? { notificationPreferences: mergedNotificationPreferences || null }
+          : {}),
+        ...(locale !== undefined ? { locale: locale ? normalizeLocale(locale) : null } : {}),
+        ...(currency !== undefined ? { currency: currency ? normalizeCurrency(currency) : null } : {})
       },
       include: { addresses: true }
     });
 
     return res.json({
-      user: {
-        id: user.id,
-        name: user.name,
-        email: user.email,
-        preference: user.preference,
-        visaTestToken: user.visaTestToken,
-        defaultPctDropThreshold: user.defaultPctDropThreshold,
-        defaultTargetPriceCents: user.defaultTargetPriceCents,
-        shippingImprovementOn: user.shippingImprovementOn
-      },
+      user: serializeUserSettings(user),
       addresses: user.addresses
     });
   } catch (error) {
@@ -668,17 +1052,23 @@ app.put('/users/:id/settings', async (req, res) => {
   }
 });
 
-app.post('/users/:id/addresses', async (req, res) => {
-  const { addressId, name, line1, city, state, zip } = req.body || {};
+app.post('/users/:id/addresses', requireAuth, requireSelf, async (req, res) => {
+  const { addressId, name, line1, city, state, zip, country } = req.body || {};
   if (!name || !line1 || !city || !state || !zip) {
     return res.status(400).json({ error: 'name, line1, city, state, zip are required' });
   }
+  if (country && !normalizeCountry(country)) {
+    return res.status(400).json({ error: 'country must be an ISO 3166-1 alpha-2 code such as US' });
+  }
+  const countryCode = country ? normalizeCountry(country) : undefined;
   try {
     let address;
     if (addressId) {
+      const owned = await prisma.address.findFirst({ where: { id: String(addressId), userId: req.user.id } });
+      if (!owned) return res.status(404).json({ error: 'Address not found' });
       address = await prisma.address.update({
         where: { id: addressId },
-        data: { name, line1, city, state, zip }
+        data: { name, line1, city, state, zip, ...(countryCode ? { country: countryCode } : {}) }
       });
     } else {
       address = await prisma.address.create({
@@ -688,7 +1078,8 @@ app.post('/users/:id/addresses', async (req, res) => {
           line1,
           city,
           state,
-          zip
+          zip,
+          ...(countryCode ? { country: countryCode } : {})
         }
       });
     }
@@ -702,7 +1093,7 @@ app.post('/users/:id/addresses', async (req, res) => {
 app.post('/recognize', async (req, res) => {
   const { imageBase64, upc, textHints } = req.body || {};
   try {
-    const result = await recognizeProduct({ imageBase64, upc, textHints });
+    const result = await recognizeProduct({ imageBase64, upc, textHints, userId: req.user?.id || null });
     return res.json(result);
   } catch (error) {
     console.error('recognize failed', error);
@@ -710,37 +1101,207 @@ app.post('/recognize', async (req, res) => {
   }
 });
 
+app.post('/recognize/:sessionId/confirm', requireAuth, async (req, res) => {
+  const { candidateId, productId, product } = req.body || {};
+  try {
+    const result = await confirmRecognition({
+      sessionId: req.params.sessionId,
+      userId: req.user.id,
+      candidateId,
+      productId,
+      product
+    });
+    return res.json(result);
+  } catch (error) {
+    if (isClientError(error)) return res.status(error.httpStatus).json({ error: error.message });
+    console.error('recognition confirm failed', error);
+    return respond500(res, req, 'Could not confirm recognition', error);
+  }
+});
+
+app.get('/admin/recognition/sessions', requireAdmin, async (req, res) => {
+  try {
+    const sessions = await listRecognitionSessions({
+      origin: req.query.origin ? String(req.query.origin) : undefined,
+      status: req.query.status ? String(req.query.status).toUpperCase() : undefined,
+      limit: req.query.limit
+    });
+    return res.json({ sessions });
+  } catch (error) {
+    console.error('recognition session list failed', error);
+    return respond500(res, req, 'Could not list recognition sessions', error);
+  }
+});
+
+function queryList(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values.flatMap((v) => String(v ?? '').split(',')).map((v) => v.trim()).filter(Boolean);
+}
+
+// Ranked full-text search (see services/productSearch.js). Filters: brand (repeat or comma list),
+// minPriceCents/maxPriceCents on the lowest current offer in `currency`; pages via `cursor`.
 app.get('/products', async (req, res) => {
   const q = (req.query.q || '').toString().trim();
-  const take = Math.min(Number(req.query.limit || 20), 50);
-  try {
-    if (!q) return res.json({ products: [] });
-
-    const needle = q.toLowerCase();
-    const like = `%${needle.replace(/%/g, '\\%').replace(/_/g, '\\_')}%`;
-    const products = await prisma.$queryRaw`
-      SELECT id, title, brand, upc, imageUrl
-      FROM Product
-      WHERE lower(title) LIKE ${like} ESCAPE '\\'
-         OR lower(brand) LIKE ${like} ESCAPE '\\'
-         OR (upc IS NOT NULL AND upc LIKE ${like} ESCAPE '\\')
-      ORDER BY title ASC
-      LIMIT ${take}
-    `;
-    return res.json({ products });
+  if (!q) return res.json({ products: [], facets: { brands: [], price: null }, nextCursor: null });
+
+  const currency = req.query.currency ? normalizeCurrency(req.query.currency) : moneyContextFor(req.user).currency;
+  if (!currency) return res.status(400).json({ error: 'currency must be an ISO 4217 code' });
+  const priceBounds = {};
+  for (const key of ['minPriceCents', 'maxPriceCents']) {
+    if (req.query[key] === undefined || req.query[key] === '') continue;
+    const cents = Number(req.query[key]);
+    if (!Number.isInteger(cents) || cents < 0) return res.status(400).json({ error: `${key} must be a non-negative integer` });
+    priceBounds[key] = cents;
+  }
+
+  try {
+    const result = await searchProducts({
+      query: q,
+      brands: queryList(req.query.brand),
+      ...priceBounds,
+      currency,
+      cursor: req.query.cursor ? String(req.query.cursor) : null,
+      limit: req.query.limit
+    });
+    return res.json(result);
   } catch (error) {
+    if (isClientError(error)) return res.status(error.httpStatus).json({ error: error.message });
     console.error('products search failed', error);
     return respond500(res, req, 'Could not search products', error);
   }
 });
 
+app.get('/products/:id/price-history', async (req, res) => {
+  try {
+    const product = await prisma.product.findUnique({ where: { id: String(req.params.id) } });
+    if (!product) return res.status(404).json({ error: 'Product not found' });
+    const history = await getPriceHistory(product.id, {
+      days: req.query.days ? Number(req.query.days) : 30
+    });
+    return res.json({ product, ...history });
+  } catch (error) {
+    console.error('price history failed', error);
+    return respond500(res, req, 'Could not fetch price history', error);
+  }
+});
+
+app.get('/products/:id/stock-events', async (req, res) => {
+  try {
+    const product = await prisma.product.findUnique({ where: { id: String(req.params.id) } });
+    if (!product) return res.status(404).json({ error: 'Product not found' });
+    const [events, offers] = await Promise.all([
+      getStockEvents(product.id, { limit: req.query.limit }),
+      prisma.offer.findMany({
+        where: { productId: product.id },
+        select: { id: true, vendorId: true, vendorName: true, inStock: true, missedRefreshes: true, providerId: true }
+      })
+    ]);
+    return res.json({ product, offers, events });
+  } catch (error) {
+    console.error('stock events failed', error);
+    return respond500(res, req, 'Could not fetch stock events', error);
+  }
+});
+
+// Active promotions for vendors that currently have an offer on this product.
+app.get('/products/:id/promotions', async (req, res) => {
+  try {
+    const product = await prisma.product.findUnique({ where: { id: String(req.params.id) } });
+    if (!product) return res.status(404).json({ error: 'Product not found' });
+    const [offers, promotions] = await Promise.all([
+      prisma.offer.findMany({ where: { productId: product.id, ...PRICED_OFFER_WHERE } }),
+      activePromotionsFor([product.id])
+    ]);
+    return res.json({
+      product,
+      promotions: promotions.filter((promotion) => offers.some((offer) => vendorMatches(offer, promotion.vendor)))
+    });
+  } catch (error) {
+    console.error('product promotions failed', error);
+    return respond500(res, req, 'Could not fetch promotions', error);
+  }
+});
+
+// The product's family and sibling variants, each with its cheapest in-stock stored offer.
+app.get('/products/:id/variants', async (req, res) => {
+  try {
+    const context = await variantsFor(await canonicalProductId(String(req.params.id)));
+    if (!context) return res.status(404).json({ error: 'Product not found' });
+    const offers = await prisma.offer.findMany({
+      where: { productId: { in: context.variants.map((v) => v.id) }, inStock: true, ...PRICED_OFFER_WHERE },
+      orderBy: { priceCents: 'asc' }
+    });
+    const variants = context.variants.map((variant) => {
+      const lowest = offers.find((offer) => offer.productId === variant.id);
+      return {
+        ...variant,
+        lowestOffer: lowest
+          ? { id: lowest.id, vendorName: lowest.vendorName, priceCents: lowest.priceCents, currency: lowest.currency }
+          : null
+      };
+    });
+    return res.json({ ...context, variants });
+  } catch (error) {
+    console.error('product variants failed', error);
+    return respond500(res, req, 'Could not fetch product variants', error);
+  }
+});
+
+app.get('/admin/products/duplicates', requireAdmin, async (req, res) => {
+  try {
+    const candidates = await findDuplicateCandidates({
+      minScore: req.query.minScore !== undefined ? Number(req.query.minScore) : undefined,
+      limit: req.query.limit
+    });
+    return res.json({ candidates });
+  } catch (error) {
+    console.error('duplicate scan failed', error);
+    return respond500(res, req, 'Could not scan for duplicate products', error);
+  }
+});
+
+app.post('/admin/products/merge', requireAdmin, async (req, res) => {
+  const { sourceProductId, targetProductId, score } = req.body || {};
+  try {
+    const result = await mergeProducts({
+      sourceProductId: String(sourceProductId || ''),
+      targetProductId: String(targetProductId || ''),
+      score: Number.isFinite(Number(score)) ? Number(score) : null
+    });
+    return res.json(result);
+  } catch (error) {
+    if (isClientError(error)) return res.status(error.httpStatus).json({ error: error.message });
+    console.error('product merge failed', error);
+    return respond500(res, req, 'Could not merge products', error);
+  }
+});
+
+// Moves a product into another family ({ familyId: null } splits it into its own) and/or
+// overrides its { size, color, capacity } attributes.
+app.put('/admin/products/:id/family', requireAdmin, async (req, res) => {
+  const { familyId, attributes } = req.body || {};
+  try {
+    const result = await setProductFamily({
+      productId: String(req.params.id),
+      familyId: familyId ? String(familyId) : null,
+      attributes
+    });
+    return res.json(result);
+  } catch (error) {
+    if (isClientError(error)) return res.status(error.httpStatus).json({ error: error.message });
+    console.error('product family update failed', error);
+    return respond500(res, req, 'Could not update product family', error);
+  }
+});
+
 app.get('/offers', async (req, res) => {
-  const { productId, userId, strategy } = req.query;
+  const { productId, strategy, addressId } = req.query;
   if (!productId) return res.status(400).json({ error: 'productId is required' });
   try {
     const bundle = await getRankedOffers({
-      productId: String(productId),
-      userId: userId ? String(userId) : undefined,
+      productId: await canonicalProductId(String(productId)),
+      userId: req.user?.id,
+      addressId: addressId ? String(addressId) : undefined,
       strategy: strategy ? String(strategy) : 'BALANCED',
       refreshLive: true
     });
@@ -751,17 +1312,18 @@ app.get('/offers', async (req, res) => {
   }
 });
 
-app.get('/offers/search', async (req, res) => {
-  const { q, brand, userId, strategy, limit } = req.query;
+app.get('/offers/search', requireAuth, async (req, res) => {
+  const { q, brand, strategy, limit, create } = req.query;
   if (!q) return res.status(400).json({ error: 'q is required' });
-  if (!userId) return res.status(400).json({ error: 'userId is required' });
+  if (rejectForeignUserId(req, res, req.query.userId)) return undefined;
   try {
     const result = await searchOfferCandidates({
       query: String(q),
       brandHint: brand ? String(brand) : undefined,
-      userId: String(userId),
+      userId: req.user.id,
       strategy: strategy ? String(strategy) : 'BALANCED',
-      limit: limit ? Number(limit) : 8
+      limit: limit ? Number(limit) : 8,
+      createIfMissing: String(create || '').toLowerCase() === 'true'
     });
     return res.json(result);
   } catch (error) {
@@ -770,21 +1332,40 @@ app.get('/offers/search', async (req, res) => {
   }
 });
 
-app.post('/watchlist', async (req, res) => {
-  const { userId, productId, preferredOfferId, alertRules = {} } = req.body || {};
-  if (!userId || !productId) return res.status(400).json({ error: 'userId and productId are required' });
+app.post('/watchlist', requireAuth, async (req, res) => {
+  const { productId, preferredOfferId, alertRules = {}, rules, anyVariant } = req.body || {};
+  if (!productId) return res.status(400).json({ error: 'productId is required' });
+  if (rejectForeignUserId(req, res, req.body?.userId)) return undefined;
+  // `rules` (structured, see services/watchRules.js) takes precedence over the flat alertRules; null clears it.
+  let storedRules;
+  if (rules !== undefined && rules !== null) {
+    const validated = validateWatchRules(rules);
+    if (validated.errors.length) {
+      return res.status(400).json({ error: 'Invalid alert rules', details: validated.errors });
+    }
+    storedRules = JSON.stringify(validated.rules);
+  } else if (rules === null) {
+    storedRules = null;
+  }
+  const userId = req.user.id;
+  const user = req.user;
 
   try {
-    const user = await prisma.user.findUnique({ where: { id: String(userId) } });
-    if (!user) return res.status(404).json({ error: 'User not found' });
-
+    // Ids of products merged away keep working for clients that cached them.
+    const canonicalId = await canonicalProductId(String(productId));
+    // Any-variant watches need the product's family; older products get one on first use.
+    if (anyVariant) await assignFamily(await prisma.product.findUnique({ where: { id: canonicalId } }));
     const bestOfferBundle = await getRankedOffers({
-      productId: String(productId),
+      productId: canonicalId,
       userId: String(userId),
       strategy: 'BEST_PRICE',
       refreshLive: true
     });
-    const bestOffer = bestOfferBundle.offers[0] ? await ensureActionableOffer(bestOfferBundle.offers[0]) : null;
+    // The baseline is the offer the UI recommends, which skips stale and out-of-stock prices.
+    const recommended = bestOfferBundle.recommendedOfferId
+      ? bestOfferBundle.offers.find((o) => o.id === bestOfferBundle.recommendedOfferId) || null
+      : bestOfferBundle.offers[0] || null;
+    const bestOffer = recommended ? await ensureActionableOffer(recommended) : null;
 
     let preferredOffer =
       preferredOfferId
@@ -793,6 +1374,8 @@ app.post('/watchlist', async (req, res) => {
     if (preferredOffer) preferredOffer = await ensureActionableOffer(preferredOffer);
 
     const trackedOffer = preferredOffer || bestOffer;
+    // Baselines are kept in the watcher's display currency, like the monitor's comparisons.
+    const trackedAmounts = trackedOffer ? trackedOffer.converted || trackedOffer : null;
     const resolvedPctDrop = Number(alertRules.pctDropThreshold ?? user.defaultPctDropThreshold ?? 15);
     const resolvedTarget =
       alertRules.targetPriceCents !== undefined && alertRules.targetPriceCents !== null
@@ -800,47 +1383,75 @@ app.post('/watchlist', async (req, res) => {
         : user.defaultTargetPriceCents;
     const resolvedShippingRule = Boolean(alertRules.shippingImprovementOn ?? user.shippingImprovementOn);
 
-    const watchItem = await prisma.watchlist.upsert({
+    let watchItem = await prisma.watchlist.upsert({
       where: {
         userId_productId: {
           userId: String(userId),
-          productId: String(productId)
+          productId: canonicalId
         }
       },
       update: {
         pctDropThreshold: resolvedPctDrop,
         targetPriceCents: resolvedTarget,
         shippingImprovementOn: resolvedShippingRule,
+        ...(storedRules !== undefined ? { rules: storedRules } : {}),
+        ...(anyVariant !== undefined ? { anyVariant: Boolean(anyVariant) } : {}),
         ...(preferredOffer
           ? {
               preferredOfferId: preferredOffer.id,
               preferredVendorId: preferredOffer.vendorId,
               preferredVendorName: preferredOffer.vendorName,
               preferredProductUrl: preferredOffer.productUrl,
-              lastSeenBestPriceCents: trackedOffer?.priceCents,
+              lastSeenBestPriceCents: trackedAmounts?.priceCents,
+              lastSeenBestTotalCents: trackedOffer ? displayTotalCents(trackedOffer) : null,
               lastSeenBestEtaDays: trackedOffer?.etaDays
             }
           : {})
       },
       create: {
         userId: String(userId),
-        productId: String(productId),
+        productId: canonicalId,
         pctDropThreshold: resolvedPctDrop,
         targetPriceCents: resolvedTarget,
         shippingImprovementOn: resolvedShippingRule,
+        rules: storedRules || null,
+        anyVariant: Boolean(anyVariant),
         preferredOfferId: preferredOffer?.id || null,
         preferredVendorId: preferredOffer?.vendorId || null,
         preferredVendorName: preferredOffer?.vendorName || null,
         preferredProductUrl: preferredOffer?.productUrl || null,
-        lastSeenBestPriceCents: trackedOffer?.priceCents,
-        lastSeenBestEtaDays: trackedOffer?.etaDays
+        lastSeenBestPriceCents: trackedAmounts?.priceCents,
+        lastSeenBestTotalCents: trackedOffer ? displayTotalCents(trackedOffer) : null,
+        lastSeenBestEtaDays: trackedOffer?.etaDays,
+        lastSeenInStock: Boolean(trackedOffer)
       },
       include: { product: true }
     });
 
+    // Any-variant baselines come from the cheapest variant, or the first monitor pass would report
+    // a cheaper sibling as a price drop.
+    let watchedOffer = trackedOffer;
+    if (anyVariant && !preferredOffer) {
+      const [familyView] = await buildWatchlistItemsResponse([watchItem], String(userId));
+      if (familyView.bestOffer) {
+        watchedOffer = familyView.bestOffer;
+        watchItem = await prisma.watchlist.update({
+          where: { id: watchItem.id },
+          data: {
+            lastSeenBestPriceCents: (watchedOffer.converted || watchedOffer).priceCents,
+            lastSeenBestTotalCents: displayTotalCents(watchedOffer),
+            lastSeenBestEtaDays: watchedOffer.etaDays,
+            lastSeenInStock: true
+          },
+          include: { product: true }
+        });
+      }
+    }
+
     const watchItemEnriched = {
       ...watchItem,
-      bestOffer: trackedOffer || null,
+      rules: parseStoredRules(watchItem),
+      bestOffer: watchedOffer || null,
       deltaPct: 0
     };
 
@@ -853,14 +1464,14 @@ app.post('/watchlist', async (req, res) => {
   }
 });
 
-app.get('/watchlist', async (req, res) => {
-  const { userId } = req.query;
-  if (!userId) return res.status(400).json({ error: 'userId is required' });
+app.get('/watchlist', requireAuth, async (req, res) => {
+  if (rejectForeignUserId(req, res, req.query.userId)) return undefined;
+  const userId = req.user.id;
 
   try {
     // Downsync: pull canonical website watchlist into local DB (merge by default).
     if (sharedRemotePullEnabled()) {
-      const user = await prisma.user.findUnique({ where: { id: String(userId) } });
+      const user = req.user;
       if (user?.email) {
         try {
           const remote = await fetchRemoteWatchlistItems({ email: user.email });
@@ -890,9 +1501,9 @@ app.get('/watchlist', async (req, res) => {
   }
 });
 
-app.post('/watchlist/refresh', async (req, res) => {
-  const userId = String(req.body?.userId || '').trim();
-  if (!userId) return res.status(400).json({ error: 'userId is required' });
+app.post('/watchlist/refresh', requireAuth, async (req, res) => {
+  if (rejectForeignUserId(req, res, req.body?.userId)) return undefined;
+  const userId = req.user.id;
 
   try {
     const items = await prisma.watchlist.findMany({
@@ -925,9 +1536,13 @@ app.post('/watchlist/refresh', async (req, res) => {
   }
 });
 
-app.delete('/watchlist/:id', async (req, res) => {
+app.delete('/watchlist/:id', requireAuth, async (req, res) => {
   try {
-    const deleted = await prisma.watchlist.delete({ where: { id: String(req.params.id) } });
+    const owned = await prisma.watchlist.findFirst({
+      where: { id: String(req.params.id), userId: req.user.id }
+    });
+    if (!owned) return res.status(404).json({ error: 'Watch item not found' });
+    const deleted = await prisma.watchlist.delete({ where: { id: owned.id } });
     if (deleted?.userId) void syncRemoteWatchlistFromLocal(deleted.userId);
     return res.json({ ok: true });
   } catch (error) {
@@ -936,77 +1551,337 @@ app.delete('/watchlist/:id', async (req, res) => {
   }
 });
 
-app.post('/purchase', async (req, res) => {
-  const { userId, productId, offerId, shippingAddressId, paymentMethodToken } = req.body || {};
-  if (!userId || !productId || !offerId || !shippingAddressId || !paymentMethodToken) {
+app.post('/purchase', requireAuth, async (req, res) => {
+  const { productId, offerId, shippingAddressId, paymentMethodToken } = req.body || {};
+  if (!productId || !offerId || !shippingAddressId || !paymentMethodToken) {
     return res.status(400).json({
-      error: 'userId, productId, offerId, shippingAddressId, paymentMethodToken are required'
+      error: 'productId, offerId, shippingAddressId, paymentMethodToken are required'
     });
   }
+  if (rejectForeignUserId(req, res, req.body?.userId)) return undefined;
+  const userId = req.user.id;
+  const user = req.user;
+  const idempotencyKey = String(req.get('idempotency-key') || '').trim().slice(0, 128) || null;
 
   try {
-    const [user, product, offer, address] = await Promise.all([
-      prisma.user.findUnique({ where: { id: String(userId) } }),
-      prisma.product.findUnique({ where: { id: String(productId) } }),
+    // A product id the app cached before a merge still buys the merged product and its offers.
+    const canonicalId = await canonicalProductId(String(productId));
+    const [product, offer, address] = await Promise.all([
+      prisma.product.findUnique({ where: { id: canonicalId } }),
       prisma.offer.findUnique({ where: { id: String(offerId) } }),
-      prisma.address.findUnique({ where: { id: String(shippingAddressId) } })
+      prisma.address.findFirst({ where: { id: String(shippingAddressId), userId } })
     ]);
-    if (!user || !product || !offer || !address) {
-      return res.status(404).json({ error: 'User, product, offer, or address not found' });
+    if (!product || !offer || !address || offer.productId !== product.id) {
+      return res.status(404).json({ error: 'Product, offer, or address not found' });
     }
 
     const effectivePaymentToken =
       paymentMethodToken === '__USE_SAVED__' ? user.visaTestToken : paymentMethodToken;
-    const amount = offer.priceCents + offer.shippingCents;
-    const intent = await paymentService.createPaymentIntent(amount, 'USD', {
-      userId,
-      productId,
-      offerId
-    });
-    const payment = await paymentService.confirmPayment(intent.paymentIntentId, effectivePaymentToken);
-
-    const order = await prisma.order.create({
-      data: {
-        userId: String(userId),
-        productId: String(productId),
-        offerId: String(offerId),
-        totalCents: amount,
-        status: payment.status === 'CONFIRMED' ? 'CONFIRMED' : 'FAILED'
-      }
+    const result = await placeOrder({
+      paymentService,
+      user,
+      product,
+      offer,
+      address,
+      paymentMethodToken: effectivePaymentToken,
+      idempotencyKey,
+      requestHash: hashPurchaseRequest({ productId, offerId, shippingAddressId, paymentMethodToken })
     });
 
+    if (result.replay) res.setHeader('idempotent-replayed', 'true');
     return res.json({
-      order,
-      paymentStatus: payment.status,
-      vendorUrl: offer.productUrl
+      order: result.order,
+      paymentStatus: result.paymentStatus || result.order.paymentStatus,
+      challenge: result.challenge || null,
+      vendorUrl: result.order.productUrl || offer.productUrl,
+      idempotentReplay: result.replay
     });
   } catch (error) {
+    if (isClientError(error)) return res.status(error.httpStatus).json({ error: error.message });
     console.error('purchase failed', error);
     return respond500(res, req, 'Purchase failed', error);
   }
 });
 
-app.get('/orders', async (req, res) => {
-  const userId = String(req.query.userId || '').trim();
-  if (!userId) return res.status(400).json({ error: 'userId is required' });
+app.get('/orders', requireAuth, async (req, res) => {
+  if (rejectForeignUserId(req, res, req.query.userId)) return undefined;
+  const userId = req.user.id;
   try {
-    const orders = await prisma.order.findMany({
-      where: { userId },
-      orderBy: { createdAt: 'desc' }
-    });
-    return res.json({ orders });
+    // Cart checkouts are listed alongside single purchases, each with its vendor orders.
+    const [orders, checkouts] = await Promise.all([
+      prisma.order.findMany({
+        where: { userId },
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.checkout.findMany({
+        where: { userId },
+        include: { vendorOrders: { include: { items: true } } },
+        orderBy: { createdAt: 'desc' }
+      })
+    ]);
+    return res.json({ orders, checkouts });
   } catch (error) {
     console.error('orders fetch failed', error);
     return respond500(res, req, 'Could not fetch orders', error);
   }
 });
 
-app.get('/notifications/pending', async (req, res) => {
-  const userId = String(req.query.userId || '').trim();
-  if (!userId) return res.status(400).json({ error: 'userId is required' });
+app.get('/orders/:id', requireAuth, async (req, res) => {
+  try {
+    const order = await getOrderWithHistory(String(req.params.id), req.user.id, paymentService);
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+    const { statusEvents, paymentTransactions, ...rest } = order;
+    return res.json({ order: rest, statusHistory: statusEvents, paymentTransactions });
+  } catch (error) {
+    console.error('order fetch failed', error);
+    return respond500(res, req, 'Could not fetch order', error);
+  }
+});
+
+app.post('/orders/:id/cancel', requireAuth, async (req, res) => {
+  try {
+    const order = await cancelOrder({
+      paymentService,
+      orderId: String(req.params.id),
+      userId: req.user.id,
+      reason: req.body?.reason
+    });
+    return res.json({ order });
+  } catch (error) {
+    if (isClientError(error)) return res.status(error.httpStatus).json({ error: error.message });
+    console.error('order cancel failed', error);
+    return respond500(res, req, 'Could not cancel order', error);
+  }
+});
+
+app.post('/orders/:id/refund', requireAuth, async (req, res) => {
+  const amountCents = req.body?.amountCents === undefined ? undefined : normalizeCents(req.body.amountCents);
+  if (req.body?.amountCents !== undefined && !amountCents) {
+    return res.status(400).json({ error: 'amountCents must be a positive integer' });
+  }
+  try {
+    const order = await refundOrder({
+      paymentService,
+      orderId: String(req.params.id),
+      userId: req.user.id,
+      amountCents,
+      reason: req.body?.reason
+    });
+    return res.json({ order });
+  } catch (error) {
+    if (isClientError(error)) return res.status(error.httpStatus).json({ error: error.message });
+    console.error('order refund failed', error);
+    return respond500(res, req, 'Could not refund order', error);
+  }
+});
+
+app.post('/orders/:id/payment/challenge', requireAuth, async (req, res) => {
+  const code = String(req.body?.code || '').trim();
+  if (!code) return res.status(400).json({ error: 'code is required' });
+  try {
+    const result = await completePaymentChallenge({
+      paymentService,
+      orderId: String(req.params.id),
+      userId: req.user.id,
+      challengeResponse: code
+    });
+    return res.json({ order: result.order, paymentStatus: result.paymentStatus });
+  } catch (error) {
+    if (isClientError(error)) return res.status(error.httpStatus).json({ error: error.message });
+    console.error('payment challenge failed', error);
+    return respond500(res, req, 'Could not complete payment challenge', error);
+  }
+});
+
+app.get('/cart', requireAuth, async (req, res) => {
+  try {
+    return res.json({ cart: await getCart(req.user.id) });
+  } catch (error) {
+    console.error('cart fetch failed', error);
+    return respond500(res, req, 'Could not fetch cart', error);
+  }
+});
+
+app.post('/cart/items', requireAuth, async (req, res) => {
+  const { offerId, quantity } = req.body || {};
+  if (!offerId) return res.status(400).json({ error: 'offerId is required' });
+  try {
+    const item = await addCartItem(req.user.id, { offerId, quantity });
+    return res.status(201).json({ item, cart: await getCart(req.user.id) });
+  } catch (error) {
+    if (isClientError(error)) return res.status(error.httpStatus).json({ error: error.message });
+    console.error('cart add failed', error);
+    return respond500(res, req, 'Could not add cart item', error);
+  }
+});
+
+app.patch('/cart/items/:id', requireAuth, async (req, res) => {
+  if (req.body?.quantity === undefined) return res.status(400).json({ error: 'quantity is required' });
+  try {
+    const item = await updateCartItem(req.user.id, req.params.id, { quantity: req.body.quantity });
+    return res.json({ item, cart: await getCart(req.user.id) });
+  } catch (error) {
+    if (isClientError(error)) return res.status(error.httpStatus).json({ error: error.message });
+    console.error('cart update failed', error);
+    return respond500(res, req, 'Could not update cart item', error);
+  }
+});
+
+app.delete('/cart/items/:id', requireAuth, async (req, res) => {
+  try {
+    await removeCartItem(req.user.id, req.params.id);
+    return res.json({ ok: true, cart: await getCart(req.user.id) });
+  } catch (error) {
+    if (isClientError(error)) return res.status(error.httpStatus).json({ error: error.message });
+    console.error('cart remove failed', error);
+    return respond500(res, req, 'Could not remove cart item', error);
+  }
+});
+
+app.post('/cart/checkout', requireAuth, async (req, res) => {
+  const { shippingAddressId, paymentMethodToken } = req.body || {};
+  if (!shippingAddressId || !paymentMethodToken) {
+    return res.status(400).json({ error: 'shippingAddressId, paymentMethodToken are required' });
+  }
+  const user = req.user;
+  const idempotencyKey = String(req.get('idempotency-key') || '').trim().slice(0, 128) || null;
+
+  try {
+    const address = await prisma.address.findFirst({
+      where: { id: String(shippingAddressId), userId: user.id }
+    });
+    if (!address) return res.status(404).json({ error: 'Address not found' });
+
+    const result = await checkoutCart({
+      paymentService,
+      user,
+      address,
+      paymentMethodToken: paymentMethodToken === '__USE_SAVED__' ? user.visaTestToken : paymentMethodToken,
+      idempotencyKey,
+      requestHash: hashPurchaseRequest({ shippingAddressId, paymentMethodToken })
+    });
+
+    if (result.replay) res.setHeader('idempotent-replayed', 'true');
+    return res.json({
+      checkout: result.checkout,
+      paymentStatus: result.paymentStatus || result.checkout.paymentStatus,
+      challenge: result.challenge || null,
+      idempotentReplay: result.replay
+    });
+  } catch (error) {
+    if (isClientError(error)) {
+      return res.status(error.httpStatus).json({ error: error.message, ...(error.details || {}) });
+    }
+    console.error('checkout failed', error);
+    return respond500(res, req, 'Checkout failed', error);
+  }
+});
+
+app.get('/checkouts', requireAuth, async (req, res) => {
+  try {
+    const checkouts = await prisma.checkout.findMany({
+      where: { userId: req.user.id },
+      include: { vendorOrders: { include: { items: true } } },
+      orderBy: { createdAt: 'desc' }
+    });
+    return res.json({ checkouts });
+  } catch (error) {
+    console.error('checkouts fetch failed', error);
+    return respond500(res, req, 'Could not fetch checkouts', error);
+  }
+});
+
+app.get('/checkouts/:id', requireAuth, async (req, res) => {
+  try {
+    const checkout = await getCheckout(String(req.params.id), req.user.id);
+    if (!checkout) return res.status(404).json({ error: 'Checkout not found' });
+    return res.json({ checkout });
+  } catch (error) {
+    console.error('checkout fetch failed', error);
+    return respond500(res, req, 'Could not fetch checkout', error);
+  }
+});
+
+app.post('/checkouts/:id/payment/challenge', requireAuth, async (req, res) => {
+  const code = String(req.body?.code || '').trim();
+  if (!code) return res.status(400).json({ error: 'code is required' });
+  try {
+    const result = await completeCheckoutChallenge({
+      paymentService,
+      checkoutId: String(req.params.id),
+      userId: req.user.id,
+      challengeResponse: code
+    });
+    return res.json({ checkout: result.checkout, paymentStatus: result.paymentStatus });
+  } catch (error) {
+    if (isClientError(error)) return res.status(error.httpStatus).json({ error: error.message });
+    console.error('checkout challenge failed', error);
+    return respond500(res, req, 'Could not complete payment challenge', error);
+  }
+});
+
+app.post('/checkouts/:id/cancel', requireAuth, async (req, res) => {
+  try {
+    const checkout = await cancelCheckout({
+      paymentService,
+      checkoutId: String(req.params.id),
+      userId: req.user.id
+    });
+    return res.json({ checkout });
+  } catch (error) {
+    if (isClientError(error)) return res.status(error.httpStatus).json({ error: error.message });
+    console.error('checkout cancel failed', error);
+    return respond500(res, req, 'Could not cancel checkout', error);
+  }
+});
+
+app.post('/checkouts/:id/vendor-orders/:vendorOrderId/cancel', requireAuth, async (req, res) => {
+  try {
+    const vendorOrder = await cancelVendorOrder({
+      paymentService,
+      checkoutId: String(req.params.id),
+      vendorOrderId: String(req.params.vendorOrderId),
+      userId: req.user.id
+    });
+    return res.json({ vendorOrder, checkout: await getCheckout(String(req.params.id), req.user.id) });
+  } catch (error) {
+    if (isClientError(error)) return res.status(error.httpStatus).json({ error: error.message });
+    console.error('vendor order cancel failed', error);
+    return respond500(res, req, 'Could not cancel vendor order', error);
+  }
+});
+
+app.post('/checkouts/:id/vendor-orders/:vendorOrderId/refund', requireAuth, async (req, res) => {
+  const amountCents = req.body?.amountCents === undefined ? undefined : normalizeCents(req.body.amountCents);
+  if (req.body?.amountCents !== undefined && !amountCents) {
+    return res.status(400).json({ error: 'amountCents must be a positive integer' });
+  }
+  try {
+    const vendorOrder = await refundVendorOrder({
+      paymentService,
+      checkoutId: String(req.params.id),
+      vendorOrderId: String(req.params.vendorOrderId),
+      userId: req.user.id,
+      amountCents
+    });
+    return res.json({ vendorOrder, checkout: await getCheckout(String(req.params.id), req.user.id) });
+  } catch (error) {
+    if (isClientError(error)) return res.status(error.httpStatus).json({ error: error.message });
+    console.error('vendor order refund failed', error);
+    return respond500(res, req, 'Could not refund vendor order', error);
+  }
+});
+
+app.get('/notifications/pending', requireAuth, async (req, res) => {
+  if (rejectForeignUserId(req, res, req.query.userId)) return undefined;
+  const userId = req.user.id;
   try {
     const notifications = await prisma.pendingNotification.findMany({
-      where: { userId, deliveredAt: null },
+      where: {
+        userId,
+        acknowledgedAt: null,
+        OR: [{ deliverAfter: null }, { deliverAfter: { lte: new Date() } }]
+      },
       orderBy: { createdAt: 'asc' },
       take: 25
     });
@@ -1017,12 +1892,13 @@ app.get('/notifications/pending', async (req, res) => {
   }
 });
 
-app.post('/notifications/:id/ack', async (req, res) => {
+app.post('/notifications/:id/ack', requireAuth, async (req, res) => {
   try {
-    await prisma.pendingNotification.update({
-      where: { id: String(req.params.id) },
-      data: { deliveredAt: new Date() }
+    const acked = await prisma.pendingNotification.updateMany({
+      where: { id: String(req.params.id), userId: req.user.id },
+      data: { acknowledgedAt: new Date() }
     });
+    if (acked.count === 0) return res.status(404).json({ error: 'Notification not found' });
     return res.json({ ok: true });
   } catch (error) {
     console.error('notification ack failed', error);
@@ -1030,7 +1906,37 @@ app.post('/notifications/:id/ack', async (req, res) => {
   }
 });
 
-app.post('/simulate/priceTick', async (req, res) => {
+app.get('/monitor/status', (req, res) => {
+  return res.json(priceMonitorScheduler.getStatus());
+});
+
+app.post('/monitor/tick', requireAdmin, async (req, res) => {
+  try {
+    const result = await priceMonitorScheduler.tick();
+    return res.json({ ...result, status: priceMonitorScheduler.getStatus() });
+  } catch (error) {
+    console.error('monitor tick failed', error);
+    return respond500(res, req, 'Monitor tick failed', error);
+  }
+});
+
+app.get('/offers/cleanup/status', (req, res) => {
+  return res.json(offerCleanupJob.getStatus());
+});
+
+app.post('/offers/cleanup/run', requireAdmin, async (req, res) => {
+  try {
+    const result = await offerCleanupJob.tick();
+    return res.json({ ...result, status: offerCleanupJob.getStatus() });
+  } catch (error) {
+    console.error('offer cleanup failed', error);
+    return respond500(res, req, 'Offer cleanup failed', error);
+  }
+});
+
+// Demo only: applies random drift to every offer, then evaluates alerts.
+// The background scheduler (see /monitor/status) is the real monitoring path.
+app.post('/simulate/priceTick', requireAdmin, async (req, res) => {
   try {
     const result = await runPriceTick();
     return res.json(result);
@@ -1040,18 +1946,115 @@ app.post('/simulate/priceTick', async (req, res) => {
   }
 });
 
-app.post('/notifications/apns/send', async (req, res) => {
-  // Production stub: in a real deployment, this would call APNs with device tokens.
-  return res.json({ ok: true, stub: true });
+// Queues a TEST notification for the caller and delivers it immediately on every channel.
+app.post('/notifications/apns/send', requireAuth, async (req, res) => {
+  try {
+    const notification = await prisma.pendingNotification.create({
+      data: {
+        userId: req.user.id,
+        productId: String(req.body?.productId || 'test'),
+        message: String(req.body?.message || 'Test notification from OmniCart').slice(0, 240),
+        type: 'TEST',
+        payload: JSON.stringify({})
+      }
+    });
+    const deliveries = await notificationWorker.deliverNow(notification.id);
+    return res.json({ ok: true, notificationId: notification.id, deliveries });
+  } catch (error) {
+    console.error('test notification failed', error);
+    return respond500(res, req, 'Could not send test notification', error);
+  }
+});
+
+app.get('/notifications/:id/deliveries', requireAuth, async (req, res) => {
+  try {
+    const notification = await prisma.pendingNotification.findFirst({
+      where: { id: String(req.params.id), userId: req.user.id },
+      include: { deliveries: { orderBy: { createdAt: 'asc' } } }
+    });
+    if (!notification) return res.status(404).json({ error: 'Notification not found' });
+    const { deliveries, ...rest } = notification;
+    return res.json({ notification: rest, deliveries });
+  } catch (error) {
+    console.error('notification deliveries fetch failed', error);
+    return respond500(res, req, 'Could not fetch deliveries', error);
+  }
+});
+
+app.get('/notifications/worker/status', async (req, res) => {
+  try {
+    return res.json(await notificationWorker.getStatus());
+  } catch (error) {
+    console.error('notification worker status failed', error);
+    return respond500(res, req, 'Could not fetch worker status', error);
+  }
+});
+
+app.post('/notifications/worker/tick', requireAdmin, async (req, res) => {
+  try {
+    const result = await notificationWorker.tick();
+    return res.json(result);
+  } catch (error) {
+    console.error('notification worker tick failed', error);
+    return respond500(res, req, 'Notification worker tick failed', error);
+  }
+});
+
+app.get('/devices', requireAuth, async (req, res) => {
+  try {
+    const devices = await prisma.deviceToken.findMany({
+      where: { userId: req.user.id },
+      orderBy: { createdAt: 'desc' }
+    });
+    return res.json({ devices });
+  } catch (error) {
+    console.error('device list failed', error);
+    return respond500(res, req, 'Could not list devices', error);
+  }
+});
+
+const DEVICE_PLATFORMS = ['IOS', 'ANDROID', 'WEB'];
+
+// Re-registering a token (e.g. after reinstall or account switch) moves it to the caller and re-enables it.
+app.post('/devices', requireAuth, async (req, res) => {
+  const token = String(req.body?.token || '').trim();
+  const platform = String(req.body?.platform || 'IOS').toUpperCase();
+  const environment = String(req.body?.environment || 'production').toLowerCase();
+  if (!token || token.length > 200) return res.status(400).json({ error: 'token is required' });
+  if (!DEVICE_PLATFORMS.includes(platform)) {
+    return res.status(400).json({ error: `platform must be one of ${DEVICE_PLATFORMS.join(', ')}` });
+  }
+  if (!['sandbox', 'production'].includes(environment)) {
+    return res.status(400).json({ error: 'environment must be sandbox or production' });
+  }
+  try {
+    const fields = { userId: req.user.id, platform, environment, lastSeenAt: new Date() };
+    const device = await prisma.deviceToken.upsert({
+      where: { token },
+      update: { ...fields, disabledAt: null, disabledReason: null },
+      create: { ...fields, token }
+    });
+    return res.status(201).json({ device });
+  } catch (error) {
+    console.error('device register failed', error);
+    return respond500(res, req, 'Could not register device', error);
+  }
 });
 
-app.post('/integrations/shared-watchlist/sync', async (req, res) => {
-  const secret = String(config.sharedWatchlistWebhookSecret || '').trim();
-  const incomingSecret = headerToken(req);
-  if (secret && incomingSecret !== secret) {
-    return res.status(403).json({ error: 'Invalid shared watchlist secret' });
+app.delete('/devices/:id', requireAuth, async (req, res) => {
+  try {
+    const deleted = await prisma.deviceToken.deleteMany({
+      where: { id: String(req.params.id), userId: req.user.id }
+    });
+    if (deleted.count === 0) return res.status(404).json({ error: 'Device not found' });
+    return res.json({ ok: true });
+  } catch (error) {
+    console.error('device delete failed', error);
+    return respond500(res, req, 'Could not delete device', error);
   }
+});
 
+app.post('/integrations/shared-watchlist/sync', requireSharedWatchlistSecret, async (req, res) => {
   const email = normalizeEmail(req.body?.email || req.query?.email);
   const items = Array.isArray(req.body?.items) ? req.body.items : [];
   const replace = req.body?.replace === undefined ? true : Boolean(req.body.replace);
@@ -1068,13 +2071,7 @@ app.post('/integrations/shared-watchlist/sync', async (req, res) => {
   }
 });
 
-app.get('/integrations/shared-watchlist/export', async (req, res) => {
-  const secret = String(config.sharedWatchlistWebhookSecret || '').trim();
-  const incomingSecret = headerToken(req);
-  if (secret && incomingSecret !== secret) {
-    return res.status(403).json({ error: 'Invalid shared watchlist secret' });
-  }
-
+app.get('/integrations/shared-watchlist/export', requireSharedWatchlistSecret, async (req, res) => {
   const email = normalizeEmail(req.query.email);
   if (!email) return res.status(400).json({ error: 'email is required' });
 
@@ -1095,13 +2092,78 @@ app.get('/integrations/shared-watchlist/export', async (req, res) => {
   }
 });
 
-app.post('/integrations/extension/price-drop-webhook', async (req, res) => {
-  const secret = String(config.extensionWebhookSecret || '').trim();
-  const incomingSecret = headerToken(req);
-  if (secret && incomingSecret !== secret) {
-    return res.status(403).json({ error: 'Invalid webhook secret' });
+// Fulfillment updates from vendors (or a fulfillment stand-in): SHIPPED, DELIVERED, etc.
+// Vendors report fulfilment directly. Cancellations and refunds go through the same paths as the
+// shopper's so the payment is voided or refunded along with the status change. Vendor orders of
+// a cart checkout are addressed by `vendorOrderId` instead of `orderId`.
+const VENDOR_STATUSES = [ORDER_STATUS.SHIPPED, ORDER_STATUS.DELIVERED, ORDER_STATUS.CANCELLED, ORDER_STATUS.REFUNDED];
+
+app.post('/integrations/vendor/order-status', requireVendorSecret, async (req, res) => {
+  const orderId = String(req.body?.orderId || '').trim();
+  const vendorOrderId = String(req.body?.vendorOrderId || '').trim();
+  const status = String(req.body?.status || '').trim().toUpperCase();
+  if (!orderId === !vendorOrderId || !VENDOR_STATUSES.includes(status)) {
+    return res.status(400).json({
+      error: `orderId or vendorOrderId, and a status of ${VENDOR_STATUSES.join(', ')} are required`
+    });
+  }
+  const amountCents = req.body?.amountCents === undefined ? undefined : normalizeCents(req.body.amountCents);
+  if (req.body?.amountCents !== undefined && !amountCents) {
+    return res.status(400).json({ error: 'amountCents must be a positive integer' });
+  }
+  const note = req.body?.note ? String(req.body.note).slice(0, 200) : null;
+
+  try {
+    if (vendorOrderId) {
+      let vendorOrder;
+      if (status === ORDER_STATUS.CANCELLED) {
+        vendorOrder = await cancelVendorOrder({ paymentService, vendorOrderId, byVendor: true });
+      } else if (status === ORDER_STATUS.REFUNDED) {
+        vendorOrder = await refundVendorOrder({ paymentService, vendorOrderId, amountCents, byVendor: true });
+      } else {
+        vendorOrder = await updateVendorOrderStatus(vendorOrderId, status);
+      }
+      return res.json({ ok: true, vendorOrder });
+    }
+
+    let order;
+    if (status === ORDER_STATUS.CANCELLED) {
+      order = await cancelOrder({ paymentService, orderId, reason: note, byVendor: true });
+    } else if (status === ORDER_STATUS.REFUNDED) {
+      order = await refundOrder({ paymentService, orderId, amountCents, reason: note, byVendor: true });
+    } else {
+      order = await transitionOrder(orderId, status, { note: note || 'Vendor status update' });
+    }
+    return res.json({ ok: true, order });
+  } catch (error) {
+    if (isClientError(error)) return res.status(error.httpStatus).json({ error: error.message });
+    console.error('vendor order status failed', error);
+    return respond500(res, req, 'Could not update order status', error);
+  }
+});
+
+// Partner/affiliate coupon feeds: { "promotions": [ { vendor, code, discountType, percentOff | amountOffCents,
+// minSpendCents, currency, expiresAt, productId, description } ] } (a single promotion object also works).
+app.post('/integrations/promotions', requirePromotionsSecret, async (req, res) => {
+  const inputs = Array.isArray(req.body?.promotions) ? req.body.promotions : [req.body];
+  if (inputs.length === 0 || inputs.length > 200) {
+    return res.status(400).json({ error: 'promotions must contain between 1 and 200 entries' });
   }
+  const validated = inputs.map((input) => validatePromotion(input, { source: PROMOTION_SOURCE.INTEGRATION }));
+  const details = validated.flatMap((v, idx) => v.errors.map((e) => `promotions[${idx}].${e}`));
+  if (details.length) return res.status(400).json({ error: 'Invalid promotions', details });
 
+  try {
+    const promotions = [];
+    for (const { promotion } of validated) promotions.push(await upsertPromotion(promotion));
+    return res.json({ ok: true, promotions });
+  } catch (error) {
+    console.error('promotions ingest failed', error);
+    return respond500(res, req, 'Could not store promotions', error);
+  }
+});
+
+app.post('/integrations/extension/price-drop-webhook', requireExtensionSecret, async (req, res) => {
   const payload = req.body || {};
   const userId = String(payload.userId || '').trim();
   if (!userId) return res.status(400).json({ error: 'userId is required' });
@@ -1109,18 +2171,30 @@ app.post('/integrations/extension/price-drop-webhook', async (req, res) => {
   try {
     const watchlistId = String(payload.watchlistId || '').trim();
     const productId = String(payload.productId || '').trim();
+    const include = { product: true, user: true };
     const item =
-      (watchlistId
-        ? await prisma.watchlist.findFirst({ where: { id: watchlistId, userId }, include: { product: true } })
-        : null) ||
-      (productId
-        ? await prisma.watchlist.findFirst({ where: { userId, productId }, include: { product: true } })
-        : null);
+      (watchlistId ? await prisma.watchlist.findFirst({ where: { id: watchlistId, userId }, include }) : null) ||
+      (productId ? await prisma.watchlist.findFirst({ where: { userId, productId }, include }) : null);
     if (!item) return res.status(404).json({ error: 'Watchlist item not found' });
 
-    const newPriceCents = normalizeCents(payload.newPriceCents) ?? dollarsToCents(payload.price);
+    // `price` is in major units of `currency` (default USD); `newPriceCents` in its minor units.
+    const currency = normalizeCurrency(payload.currency);
+    const newPriceCents =
+      normalizeCents(payload.newPriceCents) ?? normalizeCents(majorToMinor(payload.price, currency || 'USD'));
     const vendorName = String(payload.vendorName || payload.domain || 'Extension Deal').trim();
     const vendorToken = slugifyToken(vendorName, 'vendor');
+    // Optional coupon seen on the page; it defaults to this vendor (and any of its products).
+    let promotion = null;
+    if (payload.promotion) {
+      const validated = validatePromotion(
+        { vendor: vendorToken, ...payload.promotion },
+        { source: PROMOTION_SOURCE.EXTENSION }
+      );
+      if (validated.errors.length) {
+        return res.status(400).json({ error: 'Invalid promotion', details: validated.errors });
+      }
+      promotion = await upsertPromotion(validated.promotion);
+    }
     const source = slugifyToken(payload.source || 'extension', 'extension');
     const vendorId = `ext:${source}:${vendorToken}`;
     const productUrl = String(payload.productUrl || payload.url || '').trim() || 'https://example.com';
@@ -1141,7 +2215,10 @@ app.post('/integrations/extension/price-drop-webhook', async (req, res) => {
           shippingCents: normalizeCents(payload.shippingCents) ?? 0,
           etaDays: Math.max(1, Number(payload.etaDays) || 5),
           inStock: true,
-          productUrl
+          productUrl,
+          ...(currency ? { currency } : {}),
+          source: OFFER_SOURCE.EXTENSION,
+          lastVerifiedAt: new Date()
         },
         create: {
           productId: item.productId,
@@ -1152,23 +2229,58 @@ app.post('/integrations/extension/price-drop-webhook', async (req, res) => {
           shippingCents: normalizeCents(payload.shippingCents) ?? 0,
           etaDays: Math.max(1, Number(payload.etaDays) || 5),
           inStock: true,
-          productUrl
+          productUrl,
+          ...(currency ? { currency } : {}),
+          source: OFFER_SOURCE.EXTENSION
         }
       });
+      await recordOfferObservation(offer, 'extension');
     }
 
-    const message = `Deal found: ${item.product.title} now $${((newPriceCents || 0) / 100).toFixed(2)} via ${vendorName}.`;
-    const notification = await prisma.pendingNotification.create({
-      data: {
-        userId,
-        productId: item.productId,
-        type: 'EXTENSION_PRICE_DROP',
+    const discount = offer && promotion ? discountFor(normalizeOffer(offer), promotion, await getRateTable()) : null;
+    const effectivePriceCents = discount ? newPriceCents - discount.itemDiscountCents : newPriceCents;
+    const { locale } = moneyContextFor(item.user);
+    const formatPrice = (cents) => formatMoney(cents, offer?.currency || currency || 'USD', locale);
+    const promoText = promotion
+      ? ` (${discount ? formatPrice(effectivePriceCents) : 'extra savings'}${describePromotion(promotion)})`
+      : '';
+    // Extension deals go through the same cooldown, quiet hours, daily cap and digest rules as
+    // monitor alerts. Without a price there is no deal to alert on.
+    let alert = null;
+    if (offer) {
+      const message = `Deal found: ${item.product.title} now ${formatPrice(newPriceCents)} via ${vendorName}${promoText}.`;
+      alert = await dispatchDealAlert({
+        watchItem: item,
+        user: item.user,
+        alertType: ALERT_TYPE.PRICE_DROP,
+        notificationType: 'EXTENSION_PRICE_DROP',
         message,
-        payload: JSON.stringify({ watchlistId: item.id, productUrl, newPriceCents })
-      }
-    });
+        payload: {
+          watchlistId: item.id,
+          productId: item.productId,
+          bestOfferId: offer.id,
+          priceCents: effectivePriceCents,
+          etaDays: offer.etaDays,
+          currency: offer.currency,
+          productUrl,
+          newPriceCents,
+          ...(promotion
+            ? {
+                effectivePriceCents,
+                promotion: { id: promotion.id, code: promotion.code, discountType: promotion.discountType }
+              }
+            : {})
+        }
+      });
+    }
 
-    return res.json({ ok: true, offer: offer ? normalizeOffer(offer) : null, notificationId: notification.id });
+    return res.json({
+      ok: true,
+      offer: offer ? normalizeOffer(offer) : null,
+      promotion,
+      alert,
+      notificationId: alert?.notificationId || null
+    });
   } catch (error) {
     console.error('extension webhook failed', error);
     return respond500(res, req, 'Could not process extension webhook', error);
@@ -1193,6 +2305,16 @@ function startServer(attempt = 0) {
   try {
     server = app.listen(port, () => {
       console.log(`OmniCart backend listening on http://localhost:${port}`);
+      if (priceMonitorScheduler.start()) {
+        console.log(`Price monitor started (mode: ${config.priceMonitorMode})`);
+      }
+      if (notificationWorker.start()) {
+        console.log(`Notification worker started (channels: ${config.notificationChannels.join(', ')})`);
+      }
+      if (offerCleanupJob.start()) {
+        console.log(`Offer cleanup started (archive after ${config.offerArchiveAfterDays} days)`);
+      }
+      void ensureSearchIndex();
     });
     server.on('error', (err) => {
       // Nodemon restarts can race with the old process releasing the port on macOS.
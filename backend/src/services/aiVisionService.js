@@ -1,10 +1,33 @@
+const crypto = require('crypto');
 const config = require('../config');
+const { getEnabledBackends, analyzeWithBackends, pingFirstBackend, getBackendStatus } = require('./visionBackends');
+
+const PRODUCT_PHOTO_PROMPT = [
+  'Analyze this shopping product photo. Return ONLY JSON with keys:',
+  '{',
+  '  "title": string,',
+  '  "brand": string,',
+  '  "upc": string | null,',
+  '  "model": string,',
+  '  "variant": { "size": string | null, "color": string | null, "capacity": string | null },',
+  '  "keywords": string[],',
+  '  "confidence": number',
+  '}',
+  'Rules:',
+  '- No markdown',
+  '- If unsure, leave fields empty',
+  '- confidence is 0..1'
+].join('\n');
+
+// Logged with every recognition session so evaluations can tell prompt revisions apart.
+const PROMPT_VERSION = crypto.createHash('sha256').update(PRODUCT_PHOTO_PROMPT).digest('hex').slice(0, 12);
 
 const metrics = {
   attempts: 0,
   successes: 0,
   failures: 0,
   lastRequestAt: null,
+  lastBackend: null,
   lastResponseRequestId: null,
   lastHTTPStatus: null,
   lastError: null,
@@ -14,7 +37,7 @@ const metrics = {
 let lastDebug = null;
 
 function isEnabled() {
-  return Boolean(config.enableAIRecognition && config.openaiApiKey);
+  return Boolean(config.enableAIRecognition && getEnabledBackends().length > 0);
 }
 
 function getAIMetrics() {
@@ -25,6 +48,10 @@ function getLastAIDebug() {
   return lastDebug || {};
 }
 
+function getVisionBackendStatus() {
+  return getBackendStatus();
+}
+
 function normalizeWhitespace(value) {
   return String(value || '').replace(/\s+/g, ' ').trim();
 }
@@ -33,102 +60,13 @@ function clamp(value, min, max) {
   return Math.max(min, Math.min(max, value));
 }
 
-function extractOutputText(payload) {
-  const output = Array.isArray(payload?.output) ? payload.output : [];
-  for (const item of output) {
-    if (item?.type !== 'message') continue;
-    const content = Array.isArray(item?.content) ? item.content : [];
-    for (const c of content) {
-      if (c?.type === 'output_text' && typeof c?.text === 'string') {
-        return c.text;
-      }
-    }
-  }
-  return '';
-}
-
-function tryParseJson(text) {
-  const raw = String(text || '').trim();
-  if (!raw) return null;
-  try {
-    return JSON.parse(raw);
-  } catch {
-    // Attempt to salvage a JSON object substring.
-    const start = raw.indexOf('{');
-    const end = raw.lastIndexOf('}');
-    if (start >= 0 && end > start) {
-      const slice = raw.slice(start, end + 1);
-      try {
-        return JSON.parse(slice);
-      } catch {
-        return null;
-      }
-    }
-    return null;
-  }
-}
-
-async function callOpenAIResponses(body, timeoutMs) {
-  const base = String(config.openaiApiBaseUrl || 'https://api.openai.com').replace(/\/+$/g, '');
-  const url = `${base}/v1/responses`;
-
-  metrics.attempts += 1;
-  metrics.lastRequestAt = new Date().toISOString();
-  metrics.lastError = null;
-  metrics.lastHTTPStatus = null;
-
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), Math.max(2000, Number(timeoutMs) || config.aiRecognitionTimeoutMs || 9000));
-
-  try {
-    const res = await fetch(url, {
-      method: 'POST',
-      headers: {
-        authorization: `Bearer ${config.openaiApiKey}`,
-        'content-type': 'application/json'
-      },
-      body: JSON.stringify(body),
-      signal: controller.signal
-    });
-
-    metrics.lastHTTPStatus = res.status;
-    const payload = await res.json().catch(() => ({}));
-    metrics.lastResponseRequestId = payload?.id || payload?.request_id || payload?.response_id || null;
-    if (!res.ok) {
-      const err = new Error(payload?.error?.message || `OpenAI HTTP ${res.status}`);
-      err.httpStatus = res.status;
-      err.payload = payload;
-      throw err;
-    }
-    return payload;
-  } finally {
-    clearTimeout(timeout);
-  }
-}
-
-async function pingOpenAI() {
+async function pingVisionBackend() {
   if (!isEnabled()) {
-    return { ok: false, enabled: false, reason: 'OPENAI_API_KEY not set' };
+    return { ok: false, enabled: false, reason: 'No vision backend available (see VISION_BACKENDS)' };
   }
-  const payload = await callOpenAIResponses(
-    {
-      model: config.openaiVisionModel,
-      input: [
-        {
-          role: 'user',
-          content: [{ type: 'input_text', text: 'ping' }]
-        }
-      ],
-      max_output_tokens: 64
-    },
-    Math.min(6000, config.aiRecognitionTimeoutMs)
-  );
-  return {
-    ok: true,
-    enabled: true,
-    requestId: payload?.id || null,
-    status: payload?.status || null
-  };
+  const result = await pingFirstBackend({ timeoutMs: Math.min(6000, config.aiRecognitionTimeoutMs) });
+  if (!result) return { ok: false, enabled: true, reason: 'No enabled vision backend supports ping' };
+  return { ok: true, enabled: true, ...result };
 }
 
 async function analyzeProductPhoto({ imageBase64, ocrHints = [] }) {
@@ -141,69 +79,46 @@ async function analyzeProductPhoto({ imageBase64, ocrHints = [] }) {
     };
   }
 
-  const prompt = [
-    'Analyze this shopping product photo. Return ONLY JSON with keys:',
-    '{',
-    '  "title": string,',
-    '  "brand": string,',
-    '  "upc": string | null,',
-    '  "model": string,',
-    '  "keywords": string[],',
-    '  "confidence": number',
-    '}',
-    'Rules:',
-    '- No markdown',
-    '- If unsure, leave fields empty',
-    '- confidence is 0..1'
-  ].join('\n');
-
+  const prompt = PRODUCT_PHOTO_PROMPT;
   const cleanedHints = Array.isArray(ocrHints)
     ? ocrHints.map((h) => normalizeWhitespace(h)).filter(Boolean).slice(0, 12)
     : [];
 
-  const body = {
-    model: config.openaiVisionModel,
-    max_output_tokens: Math.max(256, Number(config.openaiVisionMaxOutputTokens) || 1200),
-    text: { format: { type: 'json_object' } },
-    ...(config.openaiVisionReasoningEffort
-      ? { reasoning: { effort: String(config.openaiVisionReasoningEffort) } }
-      : {}),
-    input: [
-      {
-        role: 'user',
-        content: [
-          { type: 'input_text', text: prompt },
-          ...(cleanedHints.length
-            ? [
-                {
-                  type: 'input_text',
-                  text: `OCR hints (may be partial/noisy): ${cleanedHints.join(', ')}`
-                }
-              ]
-            : []),
-          {
-            type: 'input_image',
-            image_url: `data:image/jpeg;base64,${imageBase64}`
-          }
-        ]
-      }
-    ]
-  };
+  metrics.attempts += 1;
+  metrics.lastRequestAt = new Date().toISOString();
+  metrics.lastError = null;
+  metrics.lastHTTPStatus = null;
 
-  const payload = await callOpenAIResponses(body, config.aiRecognitionTimeoutMs);
-  const rawModelOutput = extractOutputText(payload);
-  const parsedModelOutput = tryParseJson(rawModelOutput);
+  let result;
+  try {
+    result = await analyzeWithBackends({
+      prompt,
+      imageBase64,
+      hints: cleanedHints,
+      timeoutMs: config.aiRecognitionTimeoutMs
+    });
+  } catch (error) {
+    metrics.failures += 1;
+    metrics.lastError = String(error?.message || error);
+    throw error;
+  }
+
+  const rawModelOutput = result.rawOutput;
+  const parsedModelOutput = result.parsedOutput;
   const confidence =
-    parsedModelOutput && typeof parsedModelOutput.confidence === 'number'
-      ? clamp(parsedModelOutput.confidence, 0, 1)
-      : null;
+    typeof parsedModelOutput.confidence === 'number' ? clamp(parsedModelOutput.confidence, 0, 1) : null;
 
+  metrics.lastBackend = result.backend;
+  metrics.lastResponseRequestId = result.requestId || null;
+  metrics.lastHTTPStatus = result.httpStatus ?? null;
   metrics.lastNormalizedConfidence = confidence;
   metrics.successes += 1;
 
   lastDebug = {
-    model: config.openaiVisionModel,
-    reasoningEffort: config.openaiVisionReasoningEffort || null,
+    backend: result.backend,
+    model: result.model,
+    promptVersion: PROMPT_VERSION,
+    reasoningEffort: result.backend === 'openai' ? config.openaiVisionReasoningEffort || null : null,
     confidence,
     lastRequestAt: metrics.lastRequestAt,
     lastResponseRequestId: metrics.lastResponseRequestId,
@@ -211,13 +126,17 @@ async function analyzeProductPhoto({ imageBase64, ocrHints = [] }) {
     ocrHints: cleanedHints,
     rawModelOutput,
     parsedModelOutput,
-    payloadPreview: JSON.stringify(payload).slice(0, 1800),
+    payloadPreview: result.payloadPreview || null,
+    fallbacks: result.failures,
     lastError: null,
     lastHTTPStatus: metrics.lastHTTPStatus
   };
 
   return {
     ok: true,
+    backend: result.backend,
+    model: result.model,
+    promptVersion: PROMPT_VERSION,
     rawModelOutput,
     parsedModelOutput,
     confidence
@@ -225,10 +144,11 @@ async function analyzeProductPhoto({ imageBase64, ocrHints = [] }) {
 }
 
 module.exports = {
+  PROMPT_VERSION,
   isEnabled,
   getAIMetrics,
   getLastAIDebug,
-  pingOpenAI,
+  getVisionBackendStatus,
+  pingVisionBackend,
   analyzeProductPhoto
 };
-
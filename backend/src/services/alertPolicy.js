@@ -0,0 +1,165 @@
+const { prisma } = require('../db');
+const config = require('../config');
+const {
+  DIGEST,
+  parseStoredNotificationPreferences,
+  deliverAfterFor,
+  localDayStart,
+  isDigestDue
+} = require('./notificationPreferences');
+
+const ALERT_TYPE = {
+  BACK_IN_STOCK: 'BACK_IN_STOCK',
+  TARGET_PRICE: 'TARGET_PRICE',
+  PRICE_DROP: 'PRICE_DROP',
+  SHIPPING_IMPROVED: 'SHIPPING_IMPROVED'
+};
+
+const DEFAULT_COOLDOWN_HOURS = {
+  BACK_IN_STOCK: 24,
+  TARGET_PRICE: 24,
+  PRICE_DROP: 12,
+  SHIPPING_IMPROVED: 24
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function cooldownMs(alertType) {
+  const override = config.alertCooldownHours?.[alertType.toLowerCase()];
+  const hours = Number.isFinite(override) ? override : DEFAULT_COOLDOWN_HOURS[alertType] ?? 12;
+  return Math.max(0, hours) * HOUR_MS;
+}
+
+async function queueNotification({ userId, productId, message, type, payload, deliverAfter }) {
+  return prisma.pendingNotification.create({
+    data: {
+      userId,
+      productId,
+      message,
+      type,
+      payload: JSON.stringify(payload),
+      deliverAfter: deliverAfter || null
+    }
+  });
+}
+
+// Why a deal alert should not go out again for this watch item, or null.
+async function suppressionReason({ watchItem, alertType, offerId, priceCents, etaDays }, now) {
+  const last = await prisma.alertLog.findFirst({
+    where: { watchlistId: watchItem.id, alertType },
+    orderBy: { createdAt: 'desc' }
+  });
+  if (!last) return null;
+  // Same offer at the same (or a worse) price and ETA is the same deal.
+  if (last.offerId === offerId && priceCents >= last.priceCents && etaDays >= last.etaDays) return 'DUPLICATE';
+  if (now.getTime() - last.createdAt.getTime() < cooldownMs(alertType)) return 'COOLDOWN';
+  return null;
+}
+
+// Applies cooldown/dedupe, channel, quiet hours, daily cap and digest preferences to a
+// matched watch rule or an extension deal. Returns { status: SENT | QUEUED_FOR_DIGEST | SUPPRESSED, ... }.
+async function dispatchDealAlert({ watchItem, user, alertType, message, payload, notificationType, now = new Date() }) {
+  const offerId = payload.bestOfferId;
+  const reason = await suppressionReason(
+    { watchItem, alertType, offerId, priceCents: payload.priceCents, etaDays: payload.etaDays },
+    now
+  );
+  if (reason) return { status: 'SUPPRESSED', reason };
+
+  const prefs = parseStoredNotificationPreferences(user?.notificationPreferences);
+  const sentToday = await prisma.alertLog.count({
+    where: { userId: watchItem.userId, status: 'SENT', createdAt: { gte: localDayStart(prefs, now) } }
+  });
+  const overDailyCap = sentToday >= prefs.maxAlertsPerDay;
+  const toDigest = prefs.digest !== DIGEST.OFF || overDailyCap;
+
+  const log = {
+    userId: watchItem.userId,
+    watchlistId: watchItem.id,
+    productId: watchItem.productId,
+    alertType,
+    offerId,
+    priceCents: payload.priceCents,
+    etaDays: payload.etaDays,
+    message,
+    payload: JSON.stringify(payload),
+    createdAt: now
+  };
+
+  if (toDigest) {
+    await prisma.alertLog.create({ data: { ...log, status: 'QUEUED_FOR_DIGEST' } });
+    return { status: 'QUEUED_FOR_DIGEST', reason: overDailyCap ? 'DAILY_CAP' : 'DIGEST_MODE' };
+  }
+
+  const notification = await queueNotification({
+    userId: watchItem.userId,
+    productId: watchItem.productId,
+    message,
+    type: notificationType || (alertType === ALERT_TYPE.BACK_IN_STOCK ? 'BACK_IN_STOCK' : 'DEAL_ALERT'),
+    payload: { ...payload, alertType },
+    deliverAfter: deliverAfterFor(prefs, now)
+  });
+  await prisma.alertLog.create({ data: { ...log, status: 'SENT', notificationId: notification.id } });
+  return { status: 'SENT', notificationId: notification.id, deliverAfter: notification.deliverAfter };
+}
+
+function formatDigestMessage(logs) {
+  const products = new Set(logs.map((l) => l.productId)).size;
+  const best = logs.reduce((acc, l) => (!acc || l.priceCents < acc.priceCents ? l : acc), null);
+  const lead = `${logs.length} deal${logs.length === 1 ? '' : 's'} on ${products} watched item${products === 1 ? '' : 's'}`;
+  return best ? `${lead}. Top pick: ${best.message}` : lead;
+}
+
+// Batches QUEUED_FOR_DIGEST alerts into one DEAL_DIGEST notification per user when their
+// daily/weekly digest time has passed.
+async function runDigests(now = new Date()) {
+  const grouped = await prisma.alertLog.groupBy({
+    by: ['userId'],
+    where: { status: 'QUEUED_FOR_DIGEST' },
+    _count: { _all: true }
+  });
+
+  const digests = [];
+  for (const row of grouped) {
+    const user = await prisma.user.findUnique({ where: { id: row.userId } });
+    if (!user) continue;
+    const prefs = parseStoredNotificationPreferences(user.notificationPreferences);
+    const logs = await prisma.alertLog.findMany({
+      where: { userId: user.id, status: 'QUEUED_FOR_DIGEST' },
+      orderBy: { createdAt: 'asc' }
+    });
+    if (logs.length === 0) continue;
+    if (!isDigestDue(prefs, { lastDigestAt: user.lastDigestAt, oldestQueuedAt: logs[0].createdAt }, now)) continue;
+
+    // Keep only the latest alert per watch item; older ones in the batch are superseded.
+    const latest = new Map();
+    for (const log of logs) latest.set(log.watchlistId, log);
+    const items = [...latest.values()];
+
+    const notification = await queueNotification({
+      userId: user.id,
+      productId: items.length === 1 ? items[0].productId : 'digest',
+      message: formatDigestMessage(items),
+      type: 'DEAL_DIGEST',
+      payload: {
+        digest: prefs.digest,
+        items: items.map((l) => ({ ...JSON.parse(l.payload || '{}'), alertType: l.alertType, message: l.message }))
+      },
+      deliverAfter: deliverAfterFor(prefs, now)
+    });
+    await prisma.alertLog.updateMany({
+      where: { id: { in: logs.map((l) => l.id) } },
+      data: { status: 'DIGESTED', notificationId: notification.id }
+    });
+    await prisma.user.update({ where: { id: user.id }, data: { lastDigestAt: now } });
+    digests.push({ userId: user.id, notificationId: notification.id, items: items.length });
+  }
+  return digests;
+}
+
+module.exports = {
+  ALERT_TYPE,
+  queueNotification,
+  dispatchDealAlert,
+  runDigests
+};
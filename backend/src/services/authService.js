@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const { prisma } = require('../db');
+const config = require('../config');
+
+const TOKEN_KIND = {
+  SESSION: 'SESSION',
+  API: 'API'
+};
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token || '')).digest('hex');
+}
+
+function generateToken(prefix) {
+  return `${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+function sessionExpiry() {
+  const hours = Math.max(1, Number(config.authSessionTtlHours) || 24 * 30);
+  return new Date(Date.now() + hours * 60 * 60 * 1000);
+}
+
+function normalizeEmail(value) {
+  const email = String(value || '').trim().toLowerCase();
+  if (!email) return '';
+  if (!email.includes('@')) return '';
+  if (email.length > 254) return '';
+  return email;
+}
+
+async function ensureUserByEmail(email) {
+  const normalized = normalizeEmail(email);
+  if (!normalized) return null;
+  const existing = await prisma.user.findUnique({ where: { email: normalized } });
+  if (existing) return existing;
+  const name = normalized.split('@')[0].slice(0, 48) || 'OmniCart User';
+  return prisma.user.create({
+    data: {
+      name,
+      email: normalized,
+      preference: 'BALANCED',
+      visaTestToken: 'visa_test_tok_4242',
+      defaultPctDropThreshold: 15,
+      shippingImprovementOn: false
+    }
+  });
+}
+
+// Sliding one-hour window per email and per client IP, so the sign-in form cannot be used to mail
+// arbitrary addresses in bulk.
+const magicLinkRequests = new Map();
+
+function takeMagicLinkSlot({ email, ip }, now = Date.now()) {
+  const limits = [
+    [`email:${email}`, Number(config.authMagicLinkPerEmailPerHour) || 0],
+    [`ip:${ip || 'unknown'}`, Number(config.authMagicLinkPerIpPerHour) || 0]
+  ];
+  const windows = limits.map(([key, limit]) => {
+    const recent = (magicLinkRequests.get(key) || []).filter((ts) => now - ts < 60 * 60 * 1000);
+    magicLinkRequests.set(key, recent);
+    return { recent, limit };
+  });
+  if (windows.some(({ recent, limit }) => limit > 0 && recent.length >= limit)) return false;
+  for (const { recent } of windows) recent.push(now);
+  return true;
+}
+
+function resetMagicLinkLimits() {
+  magicLinkRequests.clear();
+}
+
+// The user row is only created when the link is redeemed, so requesting a link for an address
+// nobody owns leaves nothing behind but the expiring link.
+async function createMagicLink(email) {
+  const normalized = normalizeEmail(email);
+  if (!normalized) return null;
+  const existing = await prisma.user.findUnique({ where: { email: normalized } });
+  const token = generateToken('oc_link');
+  const minutes = Math.max(1, Number(config.authMagicLinkTtlMinutes) || 15);
+  const expiresAt = new Date(Date.now() + minutes * 60 * 1000);
+  await prisma.loginLink.create({
+    data: { email: normalized, userId: existing?.id || null, tokenHash: hashToken(token), expiresAt }
+  });
+  const base = String(config.publicBaseUrl || '').replace(/\/+$/g, '');
+  return { token, url: `${base}/auth/verify?token=${encodeURIComponent(token)}`, expiresAt };
+}
+
+async function createSessionToken(userId) {
+  const token = generateToken('oc_sess');
+  const record = await prisma.authToken.create({
+    data: {
+      userId,
+      tokenHash: hashToken(token),
+      kind: TOKEN_KIND.SESSION,
+      expiresAt: sessionExpiry()
+    }
+  });
+  return { token, id: record.id, expiresAt: record.expiresAt };
+}
+
+async function createApiToken(userId, name) {
+  const token = generateToken('oc_api');
+  const record = await prisma.authToken.create({
+    data: {
+      userId,
+      tokenHash: hashToken(token),
+      kind: TOKEN_KIND.API,
+      name: String(name || '').trim().slice(0, 80) || 'API token'
+    }
+  });
+  return { token, id: record.id, name: record.name, createdAt: record.createdAt };
+}
+
+// Exchange a magic-link token for a new session. Links are single use.
+async function consumeMagicLink(token) {
+  const link = await prisma.loginLink.findUnique({ where: { tokenHash: hashToken(token) } });
+  if (!link || link.consumedAt || link.expiresAt.getTime() < Date.now()) return null;
+
+  const claimed = await prisma.loginLink.updateMany({
+    where: { id: link.id, consumedAt: null },
+    data: { consumedAt: new Date() }
+  });
+  if (claimed.count === 0) return null;
+
+  const user = link.userId
+    ? await prisma.user.findUnique({ where: { id: link.userId } })
+    : await ensureUserByEmail(link.email);
+  if (!user) return null;
+  const session = await createSessionToken(user.id);
+  return { ...session, user };
+}
+
+async function resolveToken(token) {
+  if (!token) return null;
+  const record = await prisma.authToken.findUnique({
+    where: { tokenHash: hashToken(token) },
+    include: { user: true }
+  });
+  if (!record || record.revokedAt) return null;
+  if (record.expiresAt && record.expiresAt.getTime() < Date.now()) return null;
+
+  // Best effort; never block a request on bookkeeping.
+  prisma.authToken
+    .update({ where: { id: record.id }, data: { lastUsedAt: new Date() } })
+    .catch(() => {});
+  return record;
+}
+
+async function revokeToken(id, userId) {
+  const result = await prisma.authToken.updateMany({
+    where: { id, userId, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+  return result.count > 0;
+}
+
+async function listApiTokens(userId) {
+  return prisma.authToken.findMany({
+    where: { userId, kind: TOKEN_KIND.API, revokedAt: null },
+    select: { id: true, name: true, createdAt: true, lastUsedAt: true },
+    orderBy: { createdAt: 'desc' }
+  });
+}
+
+module.exports = {
+  TOKEN_KIND,
+  normalizeEmail,
+  ensureUserByEmail,
+  takeMagicLinkSlot,
+  resetMagicLinkLimits,
+  createMagicLink,
+  createSessionToken,
+  createApiToken,
+  consumeMagicLink,
+  resolveToken,
+  revokeToken,
+  listApiTokens
+};
@@ -0,0 +1,213 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const jpeg = require('jpeg-js');
+const { PNG } = require('pngjs');
+const {
+  BarcodeFormat,
+  BinaryBitmap,
+  DecodeHintType,
+  HybridBinarizer,
+  MultiFormatReader,
+  RGBLuminanceSource
+} = require('@zxing/library');
+const config = require('../config');
+const { canonicalGtin } = require('./gtin');
+
+// Server-side barcode detection for /recognize photos: UPC-A, UPC-E, EAN-13 and EAN-8 bars, and QR
+// codes that carry a GTIN (plain digits, a GS1 element string or a GS1 Digital Link URL). Every
+// GTIN is checksum-validated and returned in canonical GTIN-14 form (see gtin.js).
+//
+// Decoding a large photo takes long enough to stall every other request, so decodeBarcode runs
+// it on a worker thread (barcodeWorker.js) with a time limit; decodeBarcodeSync is the worker side.
+
+const FORMATS = [
+  BarcodeFormat.UPC_A,
+  BarcodeFormat.UPC_E,
+  BarcodeFormat.EAN_13,
+  BarcodeFormat.EAN_8,
+  BarcodeFormat.QR_CODE
+];
+
+function createReader() {
+  const reader = new MultiFormatReader();
+  const hints = new Map();
+  hints.set(DecodeHintType.POSSIBLE_FORMATS, FORMATS);
+  hints.set(DecodeHintType.TRY_HARDER, true);
+  reader.setHints(hints);
+  return reader;
+}
+
+const reader = createReader();
+
+// GTIN carried by a QR code, or null. Accepts "0194253397595", "(01)00194253397595",
+// "]Q3010019425339759510ABC" and "https://id.gs1.org/01/00194253397595/...".
+function gtinFromQrText(text) {
+  const raw = String(text || '').trim();
+  const patterns = [/^(\d{8}|\d{12,14})$/, /\/01\/(\d{14})(?:[/?#]|$)/, /\(01\)\s*(\d{14})/, /^(?:\][A-Za-z]\d)?01(\d{14})/];
+  for (const pattern of patterns) {
+    const match = raw.match(pattern);
+    const gtin = match ? canonicalGtin(match[1]) : null;
+    if (gtin) return gtin;
+  }
+  return null;
+}
+
+function maxMegapixels() {
+  return Math.max(1, Number(config.barcodeMaxImageMegapixels) || 24);
+}
+
+// { width, height, data (RGBA) } for a base64 JPEG or PNG (with or without a data: prefix).
+// Images over BARCODE_MAX_IMAGE_MEGAPIXELS are rejected before their pixels are decoded.
+function decodePixels(imageBase64) {
+  const buffer = Buffer.from(String(imageBase64 || '').replace(/^data:[^,]*,/, ''), 'base64');
+  if (buffer.length < 8) return null;
+  if (buffer[0] === 0x89 && buffer.toString('ascii', 1, 4) === 'PNG') {
+    // IHDR is always the first chunk: width and height at bytes 16 and 20.
+    if (buffer.length < 24) return null;
+    const megapixels = (buffer.readUInt32BE(16) * buffer.readUInt32BE(20)) / 1e6;
+    if (megapixels > maxMegapixels()) throw new Error(`PNG is ${megapixels.toFixed(1)} megapixels`);
+    return PNG.sync.read(buffer);
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    return jpeg.decode(buffer, {
+      useTArray: true,
+      formatAsRGBA: true,
+      maxResolutionInMP: maxMegapixels(),
+      maxMemoryUsageInMB: 256
+    });
+  }
+  return null;
+}
+
+// Grayscale copy scaled down (box sampling) so the longer side is at most `maxSide`.
+function luminance({ width, height, data }, maxSide) {
+  const scale = Math.max(1, Math.max(width, height) / maxSide);
+  const outWidth = Math.max(1, Math.floor(width / scale));
+  const outHeight = Math.max(1, Math.floor(height / scale));
+  const out = new Uint8ClampedArray(outWidth * outHeight);
+  for (let y = 0; y < outHeight; y += 1) {
+    const y0 = Math.floor(y * scale);
+    const y1 = Math.max(y0 + 1, Math.floor((y + 1) * scale));
+    for (let x = 0; x < outWidth; x += 1) {
+      const x0 = Math.floor(x * scale);
+      const x1 = Math.max(x0 + 1, Math.floor((x + 1) * scale));
+      let sum = 0;
+      let count = 0;
+      for (let sy = y0; sy < y1 && sy < height; sy += 1) {
+        for (let sx = x0; sx < x1 && sx < width; sx += 1) {
+          const i = (sy * width + sx) * 4;
+          sum += (data[i] * 299 + data[i + 1] * 587 + data[i + 2] * 114) / 1000;
+          count += 1;
+        }
+      }
+      out[y * outWidth + x] = count ? sum / count : 255;
+    }
+  }
+  return { width: outWidth, height: outHeight, pixels: out };
+}
+
+// Quarter turn, so bars printed vertically are read too (RGBLuminanceSource can't rotate).
+function rotate({ width, height, pixels }) {
+  const out = new Uint8ClampedArray(width * height);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) out[x * height + (height - 1 - y)] = pixels[y * width + x];
+  }
+  return { width: height, height: width, pixels: out };
+}
+
+function decodeLuminance({ width, height, pixels }) {
+  try {
+    const bitmap = new BinaryBitmap(new HybridBinarizer(new RGBLuminanceSource(pixels, width, height)));
+    return reader.decode(bitmap);
+  } catch {
+    return null;
+  } finally {
+    reader.reset();
+  }
+}
+
+function gtinFromResult(result) {
+  const format = result.getBarcodeFormat();
+  const text = result.getText();
+  if (format === BarcodeFormat.QR_CODE) return gtinFromQrText(text);
+  return canonicalGtin(text, { format: BarcodeFormat[format] });
+}
+
+// Finds a GTIN barcode in a photo. Returns { gtin, format } or null; unreadable or unsupported
+// images are null rather than errors. Blocks the calling thread; use decodeBarcode on the server.
+function decodeBarcodeSync(imageBase64) {
+  if (!config.enableBarcodeDecoding || !imageBase64) return null;
+  let image;
+  try {
+    image = decodePixels(imageBase64);
+  } catch (error) {
+    console.warn('[Barcode] could not decode image', error?.message || error);
+    return null;
+  }
+  if (!image?.width || !image?.height) return null;
+
+  const gray = luminance(image, Math.max(320, Number(config.barcodeMaxImageSide) || 1280));
+  for (const candidate of [gray, rotate(gray)]) {
+    const result = decodeLuminance(candidate);
+    const gtin = result ? gtinFromResult(result) : null;
+    if (gtin) return { gtin, format: BarcodeFormat[result.getBarcodeFormat()] };
+  }
+  return null;
+}
+
+const WORKER_PATH = path.join(__dirname, 'barcodeWorker.js');
+// Photos waiting for the decoder beyond this are skipped rather than queued.
+const MAX_QUEUED = 8;
+
+let decoder = null;
+let nextJobId = 0;
+
+function timeoutMs() {
+  return Math.max(1, Number(config.barcodeDecodeTimeoutMs) || 5000);
+}
+
+// One worker decodes one photo at a time. It only holds the process open while it has work.
+function startDecoder() {
+  const instance = { worker: new Worker(WORKER_PATH), jobs: new Map() };
+  const finish = (id, result) => {
+    const job = instance.jobs.get(id);
+    if (!job) return;
+    instance.jobs.delete(id);
+    clearTimeout(job.timer);
+    if (instance.jobs.size === 0) instance.worker.unref();
+    job.resolve(result);
+  };
+  instance.worker.on('message', ({ id, result }) => finish(id, result || null));
+  instance.worker.on('error', (error) => console.warn('[Barcode] decoder failed', error?.message || error));
+  instance.worker.on('exit', () => {
+    if (decoder === instance) decoder = null;
+    for (const id of [...instance.jobs.keys()]) finish(id, null);
+  });
+  instance.worker.unref();
+  return instance;
+}
+
+// decodeBarcodeSync on the worker thread. Resolves to null when decoding is off, the decoder is
+// backed up, or the photo takes longer than BARCODE_DECODE_TIMEOUT_MS; a stuck decoder is replaced.
+function decodeBarcode(imageBase64) {
+  if (!config.enableBarcodeDecoding || !imageBase64) return Promise.resolve(null);
+  if (!decoder) decoder = startDecoder();
+  const instance = decoder;
+  if (instance.jobs.size >= MAX_QUEUED) {
+    console.warn('[Barcode] decoder is busy; skipping this photo');
+    return Promise.resolve(null);
+  }
+  const id = (nextJobId += 1);
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      console.warn(`[Barcode] decoding took over ${timeoutMs()}ms; restarting the decoder`);
+      if (decoder === instance) decoder = null;
+      void instance.worker.terminate();
+    }, timeoutMs());
+    instance.jobs.set(id, { resolve, timer });
+    instance.worker.ref();
+    instance.worker.postMessage({ id, imageBase64: String(imageBase64) });
+  });
+}
+
+module.exports = { decodeBarcode, decodeBarcodeSync, gtinFromQrText };
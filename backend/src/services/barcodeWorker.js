@@ -0,0 +1,13 @@
+const { parentPort } = require('worker_threads');
+const { decodeBarcodeSync } = require('./barcodeService');
+
+// Worker side of barcodeService.decodeBarcode: one { id, imageBase64 } message per photo.
+parentPort.on('message', ({ id, imageBase64 }) => {
+  let result = null;
+  try {
+    result = decodeBarcodeSync(imageBase64);
+  } catch (error) {
+    console.warn('[Barcode] decode failed', error?.message || error);
+  }
+  parentPort.postMessage({ id, result });
+});
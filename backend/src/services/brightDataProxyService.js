@@ -74,7 +74,9 @@ async function querySerpApi({
   limit = 12,
   engine = config.serpApiEngine || 'google',
   asin = '',
-  noCache = false
+  noCache = false,
+  country = config.serpApiCountry,
+  language = config.serpApiLanguage
 }) {
   if (!isEnabled()) throw new Error('SerpAPI proxy is not configured');
 
@@ -84,10 +86,12 @@ async function querySerpApi({
   const normalizedAsin = String(asin || '').trim().toUpperCase();
   const safeHost = String(host || '').replace(/^www\./i, '');
 
+  const gl = String(country || config.serpApiCountry || 'us').toLowerCase();
+  const hl = String(language || config.serpApiLanguage || 'en').toLowerCase();
   const params = new URLSearchParams({
     api_key: config.serpApiApiKey,
-    gl: config.serpApiCountry || 'us',
-    hl: config.serpApiLanguage || 'en'
+    gl,
+    hl
   });
 
   if (normalizedEngine === 'amazon_product') {
@@ -115,7 +119,7 @@ async function querySerpApi({
 
   const cacheable = !noCache;
   const cacheKey = cacheable
-    ? `engine=${normalizedEngine}|host=${safeHost}|limit=${normalizedLimit}|query=${normalizeWhitespace(query || '')}|asin=${normalizedAsin}`
+    ? `engine=${normalizedEngine}|host=${safeHost}|gl=${gl}|hl=${hl}|limit=${normalizedLimit}|query=${normalizeWhitespace(query || '')}|asin=${normalizedAsin}`
     : '';
   if (cacheable) {
     const cached = getCachedSerpResponse(cacheKey);
@@ -190,7 +194,13 @@ function normalizeSerpOfferResults(payload, hostFilter, limit) {
       snippet: normalizeWhitespace(item?.snippet || item?.snippet_highlighted_words?.join(' ')),
       price: item?.price || item?.extracted_price || item?.price_raw || null,
       extracted_price: item?.extracted_price || null,
-      delivery: item?.delivery || item?.shipping || null
+      delivery: item?.delivery || item?.shipping || null,
+      availability:
+        normalizeWhitespace(
+          [item?.availability, item?.stock, item?.tag, ...(Array.isArray(item?.extensions) ? item.extensions : [])]
+            .filter((value) => typeof value === 'string')
+            .join(' ')
+        ) || null
     });
     if (out.length >= limit) break;
   }
@@ -198,7 +208,16 @@ function normalizeSerpOfferResults(payload, hostFilter, limit) {
   return out;
 }
 
-async function searchOffersViaSerpApi({ query, host = '', timeoutMs = config.serpApiRequestTimeoutMs, limit = 12, engine, noCache = false }) {
+async function searchOffersViaSerpApi({
+  query,
+  host = '',
+  timeoutMs = config.serpApiRequestTimeoutMs,
+  limit = 12,
+  engine,
+  noCache = false,
+  country,
+  language
+}) {
   const normalizedQuery = normalizeWhitespace(query);
   if (!normalizedQuery) return [];
   const payload = await querySerpApi({
@@ -207,7 +226,9 @@ async function searchOffersViaSerpApi({ query, host = '', timeoutMs = config.ser
     timeoutMs,
     limit,
     engine: engine || config.serpApiEngine || 'google',
-    noCache
+    noCache,
+    country,
+    language
   });
   return normalizeSerpOfferResults(payload, host, limit);
 }
@@ -242,10 +263,10 @@ function extractAmazonPriceDetails(payload) {
   };
 }
 
-function canonicalAmazonProductUrl(asin, rawLink) {
+function canonicalAmazonProductUrl(asin, rawLink, domain = 'amazon.com') {
   const cleanAsin = String(asin || '').trim().toUpperCase();
   if (/^[A-Z0-9]{10}$/.test(cleanAsin)) {
-    return `https://www.amazon.com/dp/${cleanAsin}`;
+    return `https://www.${domain}/dp/${cleanAsin}`;
   }
   const link = String(rawLink || '').trim();
   if (!link) return '';
@@ -253,17 +274,26 @@ function canonicalAmazonProductUrl(asin, rawLink) {
   return link;
 }
 
-async function fetchAmazonProductViaSerpApi({ asin, timeoutMs = config.serpApiRequestTimeoutMs, noCache = false }) {
+async function fetchAmazonProductViaSerpApi({
+  asin,
+  timeoutMs = config.serpApiRequestTimeoutMs,
+  noCache = false,
+  domain = 'amazon.com',
+  country,
+  language
+}) {
   const normalizedAsin = String(asin || '').trim().toUpperCase();
   if (!/^[A-Z0-9]{10}$/.test(normalizedAsin)) return null;
 
   const payload = await querySerpApi({
     query: '',
-    host: 'amazon.com',
+    host: domain,
     timeoutMs: Math.max(3500, Number(timeoutMs) || 8000),
     engine: 'amazon_product',
     asin: normalizedAsin,
-    noCache
+    noCache,
+    country,
+    language
   });
 
   const title = normalizeWhitespace(
@@ -276,7 +306,8 @@ async function fetchAmazonProductViaSerpApi({ asin, timeoutMs = config.serpApiRe
     normalizedAsin,
     payload?.product_results?.link ||
       payload?.product_results?.url ||
-      payload?.buybox_winner?.link
+      payload?.buybox_winner?.link,
+    domain
   );
   const { priceText, extractedPrice } = extractAmazonPriceDetails(payload);
   const delivery = normalizeWhitespace(
@@ -286,6 +317,13 @@ async function fetchAmazonProductViaSerpApi({ asin, timeoutMs = config.serpApiRe
       ''
   );
 
+  const availability = normalizeWhitespace(
+    payload?.product_results?.stock ||
+      payload?.product_results?.availability ||
+      payload?.buybox_winner?.availability?.raw ||
+      ''
+  );
+
   return {
     asin: normalizedAsin,
     title,
@@ -293,6 +331,7 @@ async function fetchAmazonProductViaSerpApi({ asin, timeoutMs = config.serpApiRe
     priceText,
     extractedPrice,
     delivery,
+    availability: availability || null,
     source: 'Amazon'
   };
 }
@@ -0,0 +1,687 @@
+const { prisma } = require('../db');
+const {
+  ORDER_STATUS,
+  CANCELLABLE,
+  REFUNDABLE,
+  canTransition,
+  orderError,
+  logPaymentTransaction,
+  callPayment,
+  paymentResult
+} = require('./orderService');
+const { isLegacyFallbackOffer } = require('./searchLinks');
+const { freshnessFor } = require('./offerFreshness');
+const { shippingAddressFor } = require('./offerService');
+const { getRateTable } = require('./exchangeRates');
+const { destinationFor, estimateTaxes } = require('./landedCost');
+const { activePromotionsFor, applyBestPromotion } = require('./promotions');
+
+const MAX_QUANTITY = 20;
+
+const ITEM_INCLUDE = { product: true, offer: true };
+
+function normalizeQuantity(value) {
+  const qty = Math.round(Number(value));
+  if (!Number.isFinite(qty) || qty < 0 || qty > MAX_QUANTITY) return null;
+  return qty;
+}
+
+async function getOrCreateCart(userId) {
+  return prisma.cart.upsert({
+    where: { userId },
+    update: {},
+    create: { userId }
+  });
+}
+
+// One shipment per vendor: the vendor's highest shipping quote is charged once,
+// regardless of how many items ship together. Each line gets the best active promotion,
+// so the cart charges the effective price /offers ranked (see promotions.js); `discountCents`
+// is what the promotions took off the listed price and shipping. With a `destination`, each
+// shipment also carries estimated tax and duty (see landedCost.js).
+function groupItemsByVendor(items, { useQuotes = false, destination = null, rateTable = null, promotions = [] } = {}) {
+  const groups = new Map();
+  for (const item of items) {
+    const offer = item.offer;
+    const listed = {
+      ...offer,
+      priceCents: useQuotes ? item.quotedPriceCents : offer.priceCents,
+      shippingCents: useQuotes ? item.quotedShippingCents : offer.shippingCents
+    };
+    const priced = applyBestPromotion(listed, promotions, rateTable);
+    const unitPriceCents = priced.priceCents;
+    const group = groups.get(offer.vendorId) || {
+      vendorId: offer.vendorId,
+      vendorName: offer.vendorName,
+      items: [],
+      subtotalCents: 0,
+      shippingCents: 0,
+      listSubtotalCents: 0,
+      listShippingCents: 0,
+      etaDays: null,
+      currency: offer.currency || 'USD',
+      shipsFrom: offer.shipsFrom || null
+    };
+    group.items.push({
+      ...item,
+      unitPriceCents,
+      listUnitPriceCents: listed.priceCents,
+      promotion: priced.promotion,
+      lineTotalCents: unitPriceCents * item.quantity
+    });
+    group.subtotalCents += unitPriceCents * item.quantity;
+    group.shippingCents = Math.max(group.shippingCents, priced.shippingCents || 0);
+    group.listSubtotalCents += listed.priceCents * item.quantity;
+    group.listShippingCents = Math.max(group.listShippingCents, listed.shippingCents || 0);
+    group.etaDays = Math.max(group.etaDays || 0, offer.etaDays || 0) || null;
+    groups.set(offer.vendorId, group);
+  }
+
+  const vendors = [...groups.values()].map(({ currency, shipsFrom, listSubtotalCents, listShippingCents, ...g }) => {
+    const { taxCents, dutyCents } = estimateTaxes(
+      { itemCents: g.subtotalCents, shippingCents: g.shippingCents, currency, shipsFrom },
+      destination,
+      rateTable
+    );
+    return {
+      ...g,
+      discountCents: listSubtotalCents + listShippingCents - g.subtotalCents - g.shippingCents,
+      taxCents,
+      dutyCents,
+      totalCents: g.subtotalCents + g.shippingCents + taxCents + dutyCents
+    };
+  });
+  const subtotalCents = vendors.reduce((acc, g) => acc + g.subtotalCents, 0);
+  const shippingCents = vendors.reduce((acc, g) => acc + g.shippingCents, 0);
+  const discountCents = vendors.reduce((acc, g) => acc + g.discountCents, 0);
+  const taxCents = vendors.reduce((acc, g) => acc + g.taxCents, 0);
+  const dutyCents = vendors.reduce((acc, g) => acc + g.dutyCents, 0);
+  // Totals only add up within one currency; `currency` is null when the cart mixes them.
+  const currencies = [...new Set(items.map((item) => item.offer.currency || 'USD'))];
+  return {
+    vendors,
+    subtotalCents,
+    shippingCents,
+    discountCents,
+    taxCents,
+    dutyCents,
+    totalCents: subtotalCents + shippingCents + taxCents + dutyCents,
+    currency: currencies.length === 1 ? currencies[0] : null,
+    currencies
+  };
+}
+
+function promotionsForItems(items) {
+  return activePromotionsFor([...new Set(items.map((item) => item.productId))]);
+}
+
+// Tax is estimated for the user's most recent address until checkout names one.
+async function getCart(userId) {
+  const cart = await getOrCreateCart(userId);
+  const [items, address, rateTable] = await Promise.all([
+    prisma.cartItem.findMany({
+      where: { cartId: cart.id },
+      include: ITEM_INCLUDE,
+      orderBy: { createdAt: 'asc' }
+    }),
+    shippingAddressFor(userId),
+    getRateTable()
+  ]);
+  const destination = destinationFor(address);
+  const promotions = await promotionsForItems(items);
+  const stale = items.filter(
+    (item) =>
+      !item.offer.inStock ||
+      freshnessFor(item.offer).stale ||
+      item.offer.priceCents !== item.quotedPriceCents ||
+      item.offer.shippingCents !== item.quotedShippingCents
+  );
+  return {
+    id: cart.id,
+    itemCount: items.reduce((acc, item) => acc + item.quantity, 0),
+    ...groupItemsByVendor(items, { destination, rateTable, promotions }),
+    shippingAddressId: address?.id || null,
+    needsReview: stale.map((item) => item.id)
+  };
+}
+
+async function addCartItem(userId, { offerId, quantity }) {
+  const qty = normalizeQuantity(quantity ?? 1);
+  if (!qty) throw orderError(`quantity must be between 1 and ${MAX_QUANTITY}`, 400, 'INVALID_QUANTITY');
+  const offer = await prisma.offer.findUnique({ where: { id: String(offerId) } });
+  if (!offer) throw orderError('Offer not found', 404, 'OFFER_NOT_FOUND');
+  if (isLegacyFallbackOffer(offer)) throw orderError('Search links cannot be purchased', 409, 'NOT_PURCHASABLE');
+  if (!offer.inStock) throw orderError('Offer is out of stock', 409, 'OUT_OF_STOCK');
+
+  const cart = await getOrCreateCart(userId);
+  // One payment covers the whole cart, so every item must be priced in the same currency.
+  const otherCurrency = await prisma.cartItem.findFirst({
+    where: { cartId: cart.id, offerId: { not: offer.id }, offer: { currency: { not: offer.currency } } },
+    include: { offer: true }
+  });
+  if (otherCurrency) {
+    throw orderError(
+      `Cart already has items priced in ${otherCurrency.offer.currency}; this offer is in ${offer.currency}`,
+      409,
+      'MIXED_CURRENCY'
+    );
+  }
+  const existing = await prisma.cartItem.findUnique({
+    where: { cartId_offerId: { cartId: cart.id, offerId: offer.id } }
+  });
+  const nextQty = (existing?.quantity || 0) + qty;
+  if (nextQty > MAX_QUANTITY) {
+    throw orderError(`quantity must be between 1 and ${MAX_QUANTITY}`, 400, 'INVALID_QUANTITY');
+  }
+
+  // Re-adding refreshes the quote to the offer's current price.
+  const quote = { quotedPriceCents: offer.priceCents, quotedShippingCents: offer.shippingCents };
+  return prisma.cartItem.upsert({
+    where: { cartId_offerId: { cartId: cart.id, offerId: offer.id } },
+    update: { quantity: nextQty, ...quote },
+    create: { cartId: cart.id, productId: offer.productId, offerId: offer.id, quantity: qty, ...quote },
+    include: ITEM_INCLUDE
+  });
+}
+
+async function findOwnedCartItem(userId, itemId) {
+  const item = await prisma.cartItem.findFirst({
+    where: { id: String(itemId), cart: { userId } }
+  });
+  if (!item) throw orderError('Cart item not found', 404, 'CART_ITEM_NOT_FOUND');
+  return item;
+}
+
+// Quantity 0 removes the item.
+async function updateCartItem(userId, itemId, { quantity }) {
+  const qty = normalizeQuantity(quantity);
+  if (qty === null) throw orderError(`quantity must be between 0 and ${MAX_QUANTITY}`, 400, 'INVALID_QUANTITY');
+  const item = await findOwnedCartItem(userId, itemId);
+  if (qty === 0) {
+    await prisma.cartItem.delete({ where: { id: item.id } });
+    return null;
+  }
+  return prisma.cartItem.update({ where: { id: item.id }, data: { quantity: qty }, include: ITEM_INCLUDE });
+}
+
+async function removeCartItem(userId, itemId) {
+  const item = await findOwnedCartItem(userId, itemId);
+  await prisma.cartItem.delete({ where: { id: item.id } });
+}
+
+// The checks orderService.assertPurchasable makes for a single purchase, per item: a real listing,
+// in stock and verified within its TTL. Offers are re-priced in place, so the price is also compared
+// against the quote captured when the item was added; changed quotes are refreshed so the shopper
+// can review and retry. A STALE_PRICE item needs its offers refreshed (GET /offers) first.
+async function revalidateCartItems(items, now = new Date()) {
+  const issues = [];
+  for (const item of items) {
+    if (isLegacyFallbackOffer(item.offer)) {
+      issues.push({ itemId: item.id, offerId: item.offerId, reason: 'NOT_PURCHASABLE' });
+      continue;
+    }
+    if (!item.offer.inStock) {
+      issues.push({ itemId: item.id, offerId: item.offerId, reason: 'OUT_OF_STOCK' });
+      continue;
+    }
+    const freshness = freshnessFor(item.offer, now);
+    if (freshness.stale) {
+      issues.push({
+        itemId: item.id,
+        offerId: item.offerId,
+        reason: 'STALE_PRICE',
+        lastVerifiedAt: freshness.lastVerifiedAt,
+        ttlHours: freshness.ttlHours
+      });
+      continue;
+    }
+    if (
+      item.offer.priceCents !== item.quotedPriceCents ||
+      item.offer.shippingCents !== item.quotedShippingCents
+    ) {
+      issues.push({
+        itemId: item.id,
+        offerId: item.offerId,
+        reason: 'PRICE_CHANGED',
+        quotedPriceCents: item.quotedPriceCents,
+        currentPriceCents: item.offer.priceCents,
+        quotedShippingCents: item.quotedShippingCents,
+        currentShippingCents: item.offer.shippingCents
+      });
+      await prisma.cartItem.update({
+        where: { id: item.id },
+        data: { quotedPriceCents: item.offer.priceCents, quotedShippingCents: item.offer.shippingCents }
+      });
+    }
+  }
+  if (issues.length > 0) {
+    const err = orderError('Some cart items changed since they were added; review the cart and retry', 409, 'CART_CHANGED');
+    err.details = { issues };
+    throw err;
+  }
+}
+
+async function setCheckoutStatus(checkout, toStatus, { data, vendorStatus } = {}) {
+  if (!canTransition(checkout.status, toStatus)) {
+    throw orderError(`Cannot move checkout from ${checkout.status} to ${toStatus}`, 409, 'INVALID_TRANSITION');
+  }
+  return prisma.$transaction(async (tx) => {
+    const updated = await tx.checkout.updateMany({
+      where: { id: checkout.id, status: checkout.status },
+      data: { ...(data || {}), status: toStatus }
+    });
+    if (updated.count === 0) throw orderError('Checkout changed concurrently; retry', 409, 'CONCURRENT_UPDATE');
+    // Vendor orders that already moved on their own (shipped, cancelled, refunded) keep their status.
+    await tx.vendorOrder.updateMany({
+      where: { checkoutId: checkout.id, status: checkout.status },
+      data: { status: vendorStatus || toStatus }
+    });
+    return tx.checkout.findUnique({ where: { id: checkout.id } });
+  });
+}
+
+function getCheckout(checkoutId, userId) {
+  return prisma.checkout.findFirst({
+    where: { id: checkoutId, userId },
+    include: {
+      vendorOrders: { include: { items: true }, orderBy: { createdAt: 'asc' } },
+      paymentTransactions: { orderBy: { createdAt: 'asc' } }
+    }
+  });
+}
+
+async function clearCheckedOutItems(checkoutId, userId) {
+  const vendorOrders = await prisma.vendorOrder.findMany({
+    where: { checkoutId },
+    include: { items: true }
+  });
+  const offerIds = vendorOrders.flatMap((vo) => vo.items.map((item) => item.offerId));
+  await prisma.cartItem.deleteMany({ where: { cart: { userId }, offerId: { in: offerIds } } });
+}
+
+// Same flow as a single purchase: authorize, capture the full total, then hand every
+// vendor order off. A failed or erroring capture voids the authorization and cancels the
+// checkout with its vendor orders, as does an authorization that lands after a cancel.
+async function applyCheckoutAuthorization(paymentService, checkout, auth) {
+  const link = { checkoutId: checkout.id, paymentIntentId: auth.paymentIntentId, currency: checkout.currency };
+  const voidAuthorization = async () => {
+    const voided = await paymentResult(() => paymentService.voidPayment(auth.paymentIntentId));
+    await logPaymentTransaction(link, 'VOID', voided, checkout.totalCents);
+    return voided;
+  };
+
+  if (auth.status === 'REQUIRES_ACTION') {
+    await prisma.checkout.update({
+      where: { id: checkout.id },
+      data: { paymentIntentId: auth.paymentIntentId, paymentStatus: 'REQUIRES_ACTION' }
+    });
+    return { paymentStatus: 'REQUIRES_ACTION', challenge: auth.challenge || null };
+  }
+
+  if (auth.status !== 'AUTHORIZED') {
+    await setCheckoutStatus(checkout, ORDER_STATUS.FAILED, {
+      data: { paymentIntentId: auth.paymentIntentId, paymentStatus: auth.status }
+    });
+    return { paymentStatus: auth.status };
+  }
+
+  let authorized;
+  try {
+    authorized = await setCheckoutStatus(checkout, ORDER_STATUS.AUTHORIZED, {
+      data: { paymentIntentId: auth.paymentIntentId, paymentStatus: 'AUTHORIZED' }
+    });
+  } catch (error) {
+    if (!['INVALID_TRANSITION', 'CONCURRENT_UPDATE'].includes(error?.code)) throw error;
+    const voided = await voidAuthorization();
+    const paymentStatus = voided.status === 'VOIDED' ? 'VOIDED' : 'VOID_FAILED';
+    await prisma.checkout.update({
+      where: { id: checkout.id },
+      data: { paymentIntentId: auth.paymentIntentId, paymentStatus }
+    });
+    return { paymentStatus };
+  }
+  const capture = await paymentResult(() => paymentService.capturePayment(auth.paymentIntentId, checkout.totalCents));
+  await logPaymentTransaction(link, 'CAPTURE', capture, checkout.totalCents);
+
+  if (capture.status !== 'CAPTURED') {
+    const voided = await voidAuthorization();
+    await setCheckoutStatus(authorized, ORDER_STATUS.CANCELLED, {
+      data: { paymentStatus: voided.status === 'VOIDED' ? 'VOIDED' : 'CAPTURE_FAILED' }
+    });
+    return { paymentStatus: 'CAPTURE_FAILED' };
+  }
+
+  await setCheckoutStatus(authorized, ORDER_STATUS.PLACED_WITH_VENDOR, {
+    data: {
+      capturedCents: capture.capturedCents || checkout.totalCents,
+      paymentStatus: capture.settlement === 'PENDING_SETTLEMENT' ? 'PENDING_SETTLEMENT' : 'CAPTURED'
+    }
+  });
+  await clearCheckedOutItems(checkout.id, checkout.userId);
+  return { paymentStatus: 'AUTHORIZED' };
+}
+
+async function checkoutCart({
+  paymentService,
+  user,
+  address,
+  paymentMethodToken,
+  idempotencyKey,
+  requestHash
+}) {
+  if (idempotencyKey) {
+    const existing = await prisma.checkout.findFirst({ where: { userId: user.id, idempotencyKey } });
+    if (existing) {
+      if (existing.requestHash && requestHash && existing.requestHash !== requestHash) {
+        throw orderError('Idempotency-Key was already used with different checkout parameters', 422, 'IDEMPOTENCY_MISMATCH');
+      }
+      return { checkout: await getCheckout(existing.id, user.id), replay: true };
+    }
+  }
+
+  const cart = await getOrCreateCart(user.id);
+  const items = await prisma.cartItem.findMany({
+    where: { cartId: cart.id },
+    include: ITEM_INCLUDE,
+    orderBy: { createdAt: 'asc' }
+  });
+  if (items.length === 0) throw orderError('Cart is empty', 400, 'CART_EMPTY');
+  await revalidateCartItems(items);
+
+  // Promotions are re-read here: one that expired since the cart was viewed no longer applies.
+  const [rateTable, promotions] = await Promise.all([getRateTable(), promotionsForItems(items)]);
+  const totals = groupItemsByVendor(items, {
+    useQuotes: true,
+    destination: destinationFor(address),
+    rateTable,
+    promotions
+  });
+  if (!totals.currency) {
+    throw orderError(`Cart mixes currencies (${totals.currencies.join(', ')}); check out one currency at a time`, 409, 'MIXED_CURRENCY');
+  }
+  let checkout;
+  try {
+    checkout = await prisma.checkout.create({
+      data: {
+        userId: user.id,
+        status: ORDER_STATUS.PENDING,
+        idempotencyKey: idempotencyKey || null,
+        requestHash: requestHash || null,
+        subtotalCents: totals.subtotalCents,
+        shippingCents: totals.shippingCents,
+        discountCents: totals.discountCents,
+        taxCents: totals.taxCents,
+        dutyCents: totals.dutyCents,
+        totalCents: totals.totalCents,
+        currency: totals.currency,
+        shipName: address.name,
+        shipLine1: address.line1,
+        shipCity: address.city,
+        shipState: address.state,
+        shipZip: address.zip,
+        shipCountry: address.country || 'US',
+        vendorOrders: {
+          create: totals.vendors.map((vendor) => ({
+            vendorId: vendor.vendorId,
+            vendorName: vendor.vendorName,
+            status: ORDER_STATUS.PENDING,
+            subtotalCents: vendor.subtotalCents,
+            shippingCents: vendor.shippingCents,
+            discountCents: vendor.discountCents,
+            taxCents: vendor.taxCents,
+            dutyCents: vendor.dutyCents,
+            totalCents: vendor.totalCents,
+            etaDays: vendor.etaDays,
+            items: {
+              create: vendor.items.map((item) => ({
+                productId: item.productId,
+                offerId: item.offerId,
+                offerTitle: item.offer.title,
+                productUrl: item.offer.productUrl,
+                unitPriceCents: item.unitPriceCents,
+                promotionCode: item.promotion?.code || null,
+                quantity: item.quantity
+              }))
+            }
+          }))
+        }
+      }
+    });
+  } catch (error) {
+    if (error?.code === 'P2002' && idempotencyKey) {
+      const existing = await prisma.checkout.findFirst({ where: { userId: user.id, idempotencyKey } });
+      if (existing) return { checkout: await getCheckout(existing.id, user.id), replay: true };
+    }
+    throw error;
+  }
+
+  let result;
+  try {
+    const intent = await paymentService.createPaymentIntent(checkout.totalCents, checkout.currency, {
+      userId: user.id,
+      checkoutId: checkout.id
+    });
+    const auth = await paymentService.authorizePayment(intent.paymentIntentId, paymentMethodToken);
+    await logPaymentTransaction(
+      { checkoutId: checkout.id, currency: checkout.currency },
+      'AUTHORIZE',
+      auth,
+      checkout.totalCents
+    );
+    result = await applyCheckoutAuthorization(paymentService, checkout, auth);
+  } catch (error) {
+    if (error?.httpStatus) throw error;
+    const current = await prisma.checkout.findUnique({ where: { id: checkout.id } });
+    if (current && canTransition(current.status, ORDER_STATUS.FAILED)) {
+      await setCheckoutStatus(current, ORDER_STATUS.FAILED, { data: { paymentStatus: 'ERROR' } });
+    }
+    result = { paymentStatus: 'ERROR' };
+  }
+
+  return { ...result, checkout: await getCheckout(checkout.id, user.id), replay: false };
+}
+
+async function completeCheckoutChallenge({ paymentService, checkoutId, userId, challengeResponse }) {
+  const checkout = await prisma.checkout.findFirst({ where: { id: checkoutId, userId } });
+  if (!checkout) throw orderError('Checkout not found', 404, 'CHECKOUT_NOT_FOUND');
+  if (checkout.status !== ORDER_STATUS.PENDING || checkout.paymentStatus !== 'REQUIRES_ACTION') {
+    throw orderError('Checkout has no pending payment challenge', 409, 'NO_PENDING_CHALLENGE');
+  }
+
+  const auth = await callPayment(() => paymentService.completeChallenge(checkout.paymentIntentId, challengeResponse));
+  await logPaymentTransaction(
+    { checkoutId: checkout.id, paymentIntentId: checkout.paymentIntentId, currency: checkout.currency },
+    'CHALLENGE',
+    auth,
+    checkout.totalCents
+  );
+  const result = await applyCheckoutAuthorization(paymentService, checkout, auth);
+  return { ...result, checkout: await getCheckout(checkout.id, userId) };
+}
+
+const CLOSED_VENDOR_STATUSES = [ORDER_STATUS.CANCELLED, ORDER_STATUS.REFUNDED];
+
+function checkoutLink(checkout) {
+  return { checkoutId: checkout.id, paymentIntentId: checkout.paymentIntentId, currency: checkout.currency };
+}
+
+// Shoppers act on vendor orders in their own checkouts; the vendor webhook (byVendor) on any.
+async function findVendorOrder({ vendorOrderId, checkoutId, userId, byVendor }) {
+  const vendorOrder = await prisma.vendorOrder.findFirst({
+    where: byVendor ? { id: vendorOrderId } : { id: vendorOrderId, checkoutId, checkout: { userId } },
+    include: { checkout: true }
+  });
+  if (!vendorOrder) throw orderError('Vendor order not found', 404, 'VENDOR_ORDER_NOT_FOUND');
+  return vendorOrder;
+}
+
+async function transitionVendorOrder(vendorOrder, toStatus) {
+  if (!canTransition(vendorOrder.status, toStatus)) {
+    throw orderError(`Cannot move vendor order from ${vendorOrder.status} to ${toStatus}`, 409, 'INVALID_TRANSITION');
+  }
+  const updated = await prisma.vendorOrder.updateMany({
+    where: { id: vendorOrder.id, status: vendorOrder.status },
+    data: { status: toStatus }
+  });
+  if (updated.count === 0) throw orderError('Vendor order changed concurrently; retry', 409, 'CONCURRENT_UPDATE');
+  return prisma.vendorOrder.findUnique({ where: { id: vendorOrder.id } });
+}
+
+// Same reservation as refunds on single orders (orderService.js): the amount is claimed on the
+// vendor order and its checkout before the provider is called, and released if it does not refund.
+async function refundVendorAmount(paymentService, checkout, vendorOrder, amount) {
+  const reserved = await prisma.vendorOrder.updateMany({
+    where: { id: vendorOrder.id, status: vendorOrder.status, refundedCents: vendorOrder.refundedCents },
+    data: { refundedCents: vendorOrder.refundedCents + amount }
+  });
+  if (reserved.count === 0) throw orderError('Vendor order changed concurrently; retry', 409, 'CONCURRENT_UPDATE');
+  await prisma.checkout.update({ where: { id: checkout.id }, data: { refundedCents: { increment: amount } } });
+  const release = async () => {
+    await prisma.vendorOrder.update({ where: { id: vendorOrder.id }, data: { refundedCents: { decrement: amount } } });
+    await prisma.checkout.update({ where: { id: checkout.id }, data: { refundedCents: { decrement: amount } } });
+  };
+
+  let refund;
+  try {
+    refund = await callPayment(() => paymentService.refundPayment(checkout.paymentIntentId, amount));
+  } catch (error) {
+    await release();
+    throw error;
+  }
+  await logPaymentTransaction(checkoutLink(checkout), 'REFUND', refund, amount);
+  if (refund.status !== 'REFUNDED') {
+    await release();
+    throw orderError(`Refund failed: ${refund.reason || refund.status}`, 409, 'REFUND_FAILED');
+  }
+  return refund;
+}
+
+// Once every vendor order is cancelled or refunded the checkout follows: CANCELLED when all of
+// them were cancelled, REFUNDED otherwise. Its paymentStatus reflects the refunded total either way.
+async function settleCheckout(checkoutId) {
+  const checkout = await prisma.checkout.findUnique({ where: { id: checkoutId }, include: { vendorOrders: true } });
+  const { vendorOrders, ...row } = checkout;
+  const paymentStatus = row.refundedCents >= row.capturedCents ? 'REFUNDED' : 'PARTIALLY_REFUNDED';
+  const open = vendorOrders.some((vo) => !CLOSED_VENDOR_STATUSES.includes(vo.status));
+  if (open || CLOSED_VENDOR_STATUSES.includes(row.status)) {
+    return prisma.checkout.update({ where: { id: checkoutId }, data: { paymentStatus } });
+  }
+  const toStatus = vendorOrders.every((vo) => vo.status === ORDER_STATUS.CANCELLED)
+    ? ORDER_STATUS.CANCELLED
+    : ORDER_STATUS.REFUNDED;
+  return setCheckoutStatus(row, toStatus, { data: { paymentStatus } });
+}
+
+// Cancels the whole checkout while no vendor order has shipped. The CANCELLED status is claimed
+// first; then an uncaptured authorization is voided, or each vendor order's captured remainder
+// is refunded. A failed release leaves paymentStatus VOID_FAILED or REFUND_FAILED, and the
+// vendor order refunds can be retried.
+async function cancelCheckout({ paymentService, checkoutId, userId }) {
+  const checkout = await prisma.checkout.findFirst({
+    where: { id: checkoutId, userId },
+    include: { vendorOrders: true }
+  });
+  if (!checkout) throw orderError('Checkout not found', 404, 'CHECKOUT_NOT_FOUND');
+  const { vendorOrders, ...row } = checkout;
+  if (!CANCELLABLE.includes(row.status)) {
+    throw orderError(`Checkout cannot be cancelled once ${row.status}`, 409, 'INVALID_TRANSITION');
+  }
+  if (vendorOrders.some((vo) => vo.status !== row.status && !CLOSED_VENDOR_STATUSES.includes(vo.status))) {
+    throw orderError('Some vendor orders already shipped; refund them individually', 409, 'INVALID_TRANSITION');
+  }
+
+  const cancelled = await setCheckoutStatus(row, ORDER_STATUS.CANCELLED);
+  if (!cancelled.paymentIntentId) return getCheckout(checkoutId, userId);
+
+  let paymentStatus = null;
+  try {
+    if (cancelled.capturedCents > 0) {
+      paymentStatus = 'REFUND_FAILED';
+      const toRefund = await prisma.vendorOrder.findMany({ where: { checkoutId } });
+      for (const vendorOrder of toRefund) {
+        const amount = vendorOrder.totalCents - vendorOrder.refundedCents;
+        if (amount > 0) await refundVendorAmount(paymentService, cancelled, vendorOrder, amount);
+      }
+      paymentStatus = 'REFUNDED';
+    } else if (['AUTHORIZED', 'REQUIRES_ACTION'].includes(cancelled.paymentStatus)) {
+      paymentStatus = 'VOID_FAILED';
+      const voided = await callPayment(() => paymentService.voidPayment(cancelled.paymentIntentId));
+      await logPaymentTransaction(checkoutLink(cancelled), 'VOID', voided, cancelled.totalCents);
+      if (voided.status === 'VOIDED') paymentStatus = 'VOIDED';
+    }
+  } catch (error) {
+    console.warn('[Checkout] releasing funds after cancel failed', checkoutId, error?.message || error);
+  }
+  if (paymentStatus) await prisma.checkout.update({ where: { id: checkoutId }, data: { paymentStatus } });
+  return getCheckout(checkoutId, userId);
+}
+
+// Cancels one vendor's part of a captured checkout and refunds it. Before capture the whole
+// checkout has to be cancelled instead, since the authorization covers every vendor.
+async function cancelVendorOrder({ paymentService, checkoutId, vendorOrderId, userId, byVendor = false }) {
+  const { checkout, ...vendorOrder } = await findVendorOrder({ vendorOrderId, checkoutId, userId, byVendor });
+  if (checkout.capturedCents <= 0) {
+    throw orderError('Payment has not been captured; cancel the whole checkout', 409, 'CHECKOUT_NOT_CAPTURED');
+  }
+  const cancelled = await transitionVendorOrder(vendorOrder, ORDER_STATUS.CANCELLED);
+
+  let refundFailed = false;
+  const amount = cancelled.totalCents - cancelled.refundedCents;
+  try {
+    if (amount > 0) await refundVendorAmount(paymentService, checkout, cancelled, amount);
+  } catch (error) {
+    refundFailed = true;
+    console.warn('[Checkout] refund after vendor order cancel failed', vendorOrder.id, error?.message || error);
+  }
+  await settleCheckout(checkout.id);
+  if (refundFailed) {
+    await prisma.checkout.update({ where: { id: checkout.id }, data: { paymentStatus: 'REFUND_FAILED' } });
+  }
+  return prisma.vendorOrder.findUnique({ where: { id: vendorOrder.id }, include: { items: true } });
+}
+
+// Full or partial refund of one vendor order (returns). A full refund moves it to REFUNDED; a
+// CANCELLED vendor order still holding captured funds (its refund failed) can be refunded here.
+async function refundVendorOrder({ paymentService, checkoutId, vendorOrderId, userId, amountCents, byVendor = false }) {
+  const { checkout, ...vendorOrder } = await findVendorOrder({ vendorOrderId, checkoutId, userId, byVendor });
+  const remaining = checkout.capturedCents > 0 ? vendorOrder.totalCents - vendorOrder.refundedCents : 0;
+  const cancelledWithFunds = vendorOrder.status === ORDER_STATUS.CANCELLED && remaining > 0;
+  if (!REFUNDABLE.includes(vendorOrder.status) && !cancelledWithFunds) {
+    throw orderError(`Vendor order cannot be refunded while ${vendorOrder.status}`, 409, 'INVALID_TRANSITION');
+  }
+
+  const amount = amountCents === undefined || amountCents === null ? remaining : Math.round(Number(amountCents));
+  if (!Number.isFinite(amount) || amount <= 0 || amount > remaining) {
+    throw orderError(`Refund amount must be between 1 and ${remaining} cents`, 400, 'INVALID_REFUND_AMOUNT');
+  }
+
+  await refundVendorAmount(paymentService, checkout, vendorOrder, amount);
+  if (amount === remaining && !cancelledWithFunds) {
+    await transitionVendorOrder(vendorOrder, ORDER_STATUS.REFUNDED);
+  }
+  await settleCheckout(checkout.id);
+  return prisma.vendorOrder.findUnique({ where: { id: vendorOrder.id }, include: { items: true } });
+}
+
+// Fulfilment updates from the vendor webhook (SHIPPED, DELIVERED).
+async function updateVendorOrderStatus(vendorOrderId, toStatus) {
+  const vendorOrder = await findVendorOrder({ vendorOrderId, byVendor: true });
+  return transitionVendorOrder(vendorOrder, toStatus);
+}
+
+module.exports = {
+  MAX_QUANTITY,
+  groupItemsByVendor,
+  revalidateCartItems,
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  checkoutCart,
+  completeCheckoutChallenge,
+  getCheckout,
+  cancelCheckout,
+  cancelVendorOrder,
+  refundVendorOrder,
+  updateVendorOrderStatus
+};
@@ -0,0 +1,31 @@
+const config = require('../../config');
+
+// Any JSON endpoint shaped like { base | base_code, rates: { EUR: 0.86, ... } }.
+async function fetchRates() {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), Math.max(1000, Number(config.exchangeRatesTimeoutMs) || 5000));
+  try {
+    const res = await fetch(config.exchangeRatesUrl, {
+      headers: { accept: 'application/json', 'user-agent': 'omnicart-prototype/0.1' },
+      signal: controller.signal
+    });
+    if (!res.ok) throw new Error(`Exchange rate request failed with ${res.status}`);
+    const body = await res.json();
+    return {
+      base: body?.base || body?.base_code,
+      rates: body?.rates,
+      asOf: body?.date || body?.time_last_update_utc || null
+    };
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+const httpRateSource = {
+  id: 'http',
+  name: 'HTTP rates endpoint',
+  isAvailable: () => Boolean(String(config.exchangeRatesUrl || '').trim()),
+  fetchRates
+};
+
+module.exports = { httpRateSource };
@@ -0,0 +1,118 @@
+const config = require('../../config');
+const { normalizeCurrency, baseCurrency, minorToMajor, majorToMinor } = require('../money');
+const { staticFileRateSource } = require('./staticFileSource');
+const { httpRateSource } = require('./httpSource');
+
+// Rate source interface:
+// {
+//   id: string,                     // matches EXCHANGE_RATE_SOURCES entries
+//   name: string,
+//   isAvailable(): boolean,
+//   fetchRates(): Promise<{ base: string, rates: { [currency]: number }, asOf?: string }>
+// }
+// Sources are tried in configured order; the first one that answers is cached.
+const registry = new Map();
+
+let cached = null;
+let lastError = null;
+
+function registerRateSource(source) {
+  if (!source?.id || typeof source.fetchRates !== 'function') {
+    throw new Error('Exchange rate source must have an id and a fetchRates() function');
+  }
+  registry.set(source.id, source);
+}
+
+registerRateSource(staticFileRateSource);
+registerRateSource(httpRateSource);
+
+function cacheMs() {
+  return Math.max(60 * 1000, Number(config.exchangeRatesCacheMs) || 6 * 60 * 60 * 1000);
+}
+
+// Rebase to units of the configured base currency so any pair converts through it.
+function buildTable(sourceId, { base, rates, asOf }) {
+  const from = normalizeCurrency(base);
+  if (!from || !rates || typeof rates !== 'object') throw new Error('Exchange rate payload is missing base/rates');
+  const normalized = {};
+  for (const [code, value] of Object.entries(rates)) {
+    const currency = normalizeCurrency(code);
+    const rate = Number(value);
+    if (currency && Number.isFinite(rate) && rate > 0) normalized[currency] = rate;
+  }
+  normalized[from] = 1;
+  const target = baseCurrency();
+  const pivot = normalized[target];
+  if (!pivot) throw new Error(`Exchange rates do not include ${target}`);
+  const perBase = {};
+  for (const [currency, rate] of Object.entries(normalized)) perBase[currency] = rate / pivot;
+  return { sourceId, base: target, rates: perBase, asOf: asOf || null, fetchedAt: new Date().toISOString() };
+}
+
+async function loadTable() {
+  const ids = Array.isArray(config.exchangeRateSources) ? config.exchangeRateSources : ['static'];
+  for (const id of ids) {
+    const source = registry.get(id);
+    if (!source || !source.isAvailable()) continue;
+    try {
+      const table = buildTable(source.id, await source.fetchRates());
+      lastError = null;
+      return table;
+    } catch (error) {
+      lastError = `${id}: ${String(error?.message || error)}`;
+      console.warn('[ExchangeRates] source failed', lastError);
+    }
+  }
+  // Nothing answered: only same-currency conversions are possible.
+  return { sourceId: null, base: baseCurrency(), rates: { [baseCurrency()]: 1 }, asOf: null, fetchedAt: null };
+}
+
+async function getRateTable() {
+  if (cached && Date.now() - cached.loadedAt < cacheMs()) return cached.table;
+  const table = await loadTable();
+  // Keep a stale table rather than dropping to identity-only when every source fails.
+  if (table.sourceId || !cached) cached = { table, loadedAt: Date.now() };
+  return cached.table;
+}
+
+// Converts an amount in minor units; null when either currency has no rate.
+function convertMinor(table, amount, fromCurrency, toCurrency) {
+  const from = normalizeCurrency(fromCurrency) || table.base;
+  const to = normalizeCurrency(toCurrency) || table.base;
+  if (!Number.isFinite(Number(amount))) return null;
+  if (from === to) return Number(amount);
+  const fromRate = table.rates[from];
+  const toRate = table.rates[to];
+  if (!fromRate || !toRate) return null;
+  return majorToMinor((minorToMajor(amount, from) / fromRate) * toRate, to);
+}
+
+function getRateSourceStatus() {
+  const enabledIds = Array.isArray(config.exchangeRateSources) ? config.exchangeRateSources : [];
+  return {
+    base: baseCurrency(),
+    cached: cached
+      ? {
+          sourceId: cached.table.sourceId,
+          asOf: cached.table.asOf,
+          fetchedAt: cached.table.fetchedAt,
+          currencies: Object.keys(cached.table.rates).sort()
+        }
+      : null,
+    lastError,
+    sources: [...registry.values()].map((s) => ({
+      id: s.id,
+      name: s.name,
+      enabled: enabledIds.includes(s.id),
+      priority: enabledIds.indexOf(s.id),
+      available: s.isAvailable()
+    }))
+  };
+}
+
+module.exports = {
+  registerRateSource,
+  getRateTable,
+  convertMinor,
+  getRateSourceStatus
+};
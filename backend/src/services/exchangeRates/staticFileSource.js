@@ -0,0 +1,24 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config');
+
+const DEFAULT_PATH = path.resolve(__dirname, '..', '..', 'data', 'exchangeRates.json');
+
+function ratesPath() {
+  return config.exchangeRatesPath ? path.resolve(config.exchangeRatesPath) : DEFAULT_PATH;
+}
+
+// Offline rates: { "base": "USD", "asOf": "2026-10-01", "rates": { "EUR": 0.86, ... } }
+async function fetchRates() {
+  const raw = JSON.parse(await fs.promises.readFile(ratesPath(), 'utf8'));
+  return { base: raw.base, rates: raw.rates, asOf: raw.asOf || null };
+}
+
+const staticFileRateSource = {
+  id: 'static',
+  name: 'Static rates file',
+  isAvailable: () => fs.existsSync(ratesPath()),
+  fetchRates
+};
+
+module.exports = { staticFileRateSource };
@@ -0,0 +1,61 @@
+// GTINs (UPC-A, UPC-E, EAN-8, EAN-13, GTIN-14) are stored and compared in canonical GTIN-14 form:
+// digits only, zero-padded to 14, with a valid GS1 check digit. "027242925120" (UPC-A),
+// "0027242925120" (EAN-13) and "00027242925120" are the same item; "02724292" style UPC-E codes
+// expand to their UPC-A first. Anything that fails the check digit is not a GTIN.
+
+// GS1 mod-10 check digit for the digits before it.
+function checkDigit(body) {
+  let sum = 0;
+  for (let i = body.length - 1, weight = 3; i >= 0; i -= 1, weight = weight === 3 ? 1 : 3) {
+    sum += Number(body[i]) * weight;
+  }
+  return String((10 - (sum % 10)) % 10);
+}
+
+function isValidGtin(value) {
+  const digits = String(value || '');
+  if (!/^(\d{8}|\d{12}|\d{13}|\d{14})$/.test(digits)) return false;
+  return checkDigit(digits.slice(0, -1)) === digits[digits.length - 1];
+}
+
+// 8-digit UPC-E (number system 0 or 1, six digits, check digit) -> 12-digit UPC-A, or null.
+function expandUpcE(value) {
+  const digits = String(value || '');
+  if (!/^[01]\d{7}$/.test(digits)) return null;
+  const [ns, d1, d2, d3, d4, d5, d6, check] = digits;
+  let body;
+  if (d6 <= '2') body = `${ns}${d1}${d2}${d6}0000${d3}${d4}${d5}`;
+  else if (d6 === '3') body = `${ns}${d1}${d2}${d3}00000${d4}${d5}`;
+  else if (d6 === '4') body = `${ns}${d1}${d2}${d3}${d4}00000${d5}`;
+  else body = `${ns}${d1}${d2}${d3}${d4}${d5}0000${d6}`;
+  return checkDigit(body) === check ? `${body}${check}` : null;
+}
+
+// Canonical GTIN-14 for any common barcode form, or null when it isn't a valid GTIN. Eight digits
+// are ambiguous; `format` ('UPC_E' or 'EAN_8', as reported by a scanner) settles it, otherwise a
+// code starting with 0 or 1 that expands to a valid UPC-A is read as UPC-E (EAN-8 reserves those
+// prefixes for restricted circulation).
+function canonicalGtin(value, { format } = {}) {
+  const digits = String(value ?? '').replace(/\D/g, '');
+  if (digits.length === 8 && format !== 'EAN_8') {
+    const expanded = expandUpcE(digits);
+    if (expanded) return expanded.padStart(14, '0');
+    if (format === 'UPC_E') return null;
+  }
+  // Spreadsheets and some feeds drop leading zeros ("27242925120"); padding doesn't change the check digit.
+  const padded = digits.length > 8 && digits.length < 14 ? digits.padStart(14, '0') : digits;
+  return isValidGtin(padded) ? padded.padStart(14, '0') : null;
+}
+
+// Shortest usual form of a GTIN for people and lookup APIs: EAN-8, UPC-A, EAN-13 or GTIN-14.
+// Returns '' when the value isn't a valid GTIN.
+function displayGtin(value) {
+  const gtin = canonicalGtin(value);
+  if (!gtin) return '';
+  if (gtin.startsWith('000000')) return gtin.slice(6);
+  if (gtin.startsWith('00')) return gtin.slice(2);
+  if (gtin.startsWith('0')) return gtin.slice(1);
+  return gtin;
+}
+
+module.exports = { isValidGtin, expandUpcE, canonicalGtin, displayGtin };
@@ -0,0 +1,131 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { convertMinor } = require('./exchangeRates');
+
+// Estimated sales tax and import duty on top of price + shipping ("landed cost"). Rates come
+// from a bundled table (src/data/taxRates.json, or TAX_RATES_PATH):
+//   salesTax.US.states        state base rate
+//   salesTax.US.zipPrefixes   combined state + local rate for 3-digit zip prefixes
+//   importDuties.<country>    { rate, deMinimis (minor units of `currency`), currency, importVat? }
+// Amounts are computed in the offer's own currency.
+const DEFAULT_PATH = path.resolve(__dirname, '..', 'data', 'taxRates.json');
+
+let cachedTable = null;
+
+function taxTablePath() {
+  return config.taxRatesPath ? path.resolve(config.taxRatesPath) : DEFAULT_PATH;
+}
+
+function getTaxTable() {
+  if (cachedTable) return cachedTable;
+  try {
+    cachedTable = JSON.parse(fs.readFileSync(taxTablePath(), 'utf8'));
+  } catch (error) {
+    console.warn('[LandedCost] could not read tax table', error?.message || error);
+    cachedTable = { asOf: null, salesTax: {}, importDuties: {} };
+  }
+  return cachedTable;
+}
+
+function normalizeCountry(value) {
+  const code = String(value || '').trim().toUpperCase();
+  return /^[A-Z]{2}$/.test(code) ? code : null;
+}
+
+// Address (or Order ship* snapshot) -> { country, state, zip }; null when there is nothing to go on.
+function destinationFor(address) {
+  if (!address) return null;
+  const country = normalizeCountry(address.country ?? address.shipCountry) || 'US';
+  const state = String(address.state ?? address.shipState ?? '').trim().toUpperCase() || null;
+  const zip = String(address.zip ?? address.shipZip ?? '').trim() || null;
+  return { country, state, zip };
+}
+
+function salesTaxFor(destination) {
+  const table = getTaxTable().salesTax?.[destination?.country];
+  if (!table) return null;
+  const zipPrefix = String(destination.zip || '').replace(/\D/g, '').slice(0, 3);
+  const zipRate = zipPrefix.length === 3 ? table.zipPrefixes?.[zipPrefix] : undefined;
+  const stateRate = table.states?.[destination.state];
+  const rate = Number.isFinite(zipRate) ? zipRate : stateRate;
+  if (!Number.isFinite(rate)) return null;
+  return {
+    rate,
+    jurisdiction: [destination.country, destination.state, Number.isFinite(zipRate) ? zipPrefix : null]
+      .filter(Boolean)
+      .join('-'),
+    taxesShipping: (table.shippingTaxedIn || []).includes(destination.state)
+  };
+}
+
+function isCrossBorder(shipsFrom, destination) {
+  const origin = normalizeCountry(shipsFrom);
+  return Boolean(origin && destination?.country && origin !== destination.country);
+}
+
+// Tax and duty for one shipment: `itemCents` of goods plus `shippingCents`, priced in `currency`.
+// Domestic shipments pay sales tax; cross-border ones pay duty above the de minimis value plus
+// any import VAT instead.
+function estimateTaxes({ itemCents, shippingCents = 0, currency, shipsFrom }, destination, rateTable) {
+  const base = { taxCents: 0, dutyCents: 0, taxRate: 0, dutyRate: 0, crossBorder: false, jurisdiction: null };
+  if (!destination) return base;
+
+  if (!isCrossBorder(shipsFrom, destination)) {
+    const tax = salesTaxFor(destination);
+    if (!tax) return base;
+    const taxable = itemCents + (tax.taxesShipping ? shippingCents : 0);
+    return { ...base, taxCents: Math.round(taxable * tax.rate), taxRate: tax.rate, jurisdiction: tax.jurisdiction };
+  }
+
+  const duty = config.enableImportDuties ? getTaxTable().importDuties?.[destination.country] : null;
+  if (!duty) return { ...base, crossBorder: true, jurisdiction: destination.country };
+  // Unknown exchange rate: assume the shipment is over the threshold rather than under-estimate.
+  const declared = convertMinor(rateTable, itemCents, currency, duty.currency);
+  const dutiable = declared === null || declared > (Number(duty.deMinimis) || 0);
+  const dutyRate = dutiable ? Number(duty.rate) || 0 : 0;
+  const dutyCents = Math.round(itemCents * dutyRate);
+  const importVat = Number(duty.importVat) || 0;
+  return {
+    ...base,
+    taxCents: Math.round((itemCents + shippingCents + dutyCents) * importVat),
+    taxRate: importVat,
+    dutyCents,
+    dutyRate,
+    crossBorder: true,
+    jurisdiction: destination.country
+  };
+}
+
+function estimateLandedCost(offer, destination, rateTable, { quantity = 1 } = {}) {
+  const itemCents = offer.priceCents * quantity;
+  const shippingCents = offer.shippingCents || 0;
+  const taxes = estimateTaxes(
+    { itemCents, shippingCents, currency: offer.currency, shipsFrom: offer.shipsFrom },
+    destination,
+    rateTable
+  );
+  return {
+    ...taxes,
+    destination: destination ? [destination.country, destination.state].filter(Boolean).join('-') : null,
+    landedTotalCents: itemCents + shippingCents + taxes.taxCents + taxes.dutyCents
+  };
+}
+
+// Adds `landed` and `landedTotalCents` to normalized offers. Without a destination the landed
+// total is just price + shipping and `landed` is null.
+function withLandedCosts(offers, destination, rateTable) {
+  return offers.map((offer) => {
+    if (!destination) return { ...offer, landed: null, landedTotalCents: offer.priceCents + (offer.shippingCents || 0) };
+    const landed = estimateLandedCost(offer, destination, rateTable);
+    return { ...offer, landed, landedTotalCents: landed.landedTotalCents };
+  });
+}
+
+module.exports = {
+  normalizeCountry,
+  destinationFor,
+  estimateTaxes,
+  estimateLandedCost,
+  withLandedCosts
+};
@@ -0,0 +1,47 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+
+// Local stand-in for SMTP. Messages are kept in memory (see GET /debug/mail-outbox)
+// and, with MAIL_TRANSPORT=file, written as JSON files to MAIL_OUTBOX_DIR.
+const OUTBOX_LIMIT = 50;
+const outbox = [];
+
+function outboxDir() {
+  const raw = String(config.mailOutboxDir || '').trim();
+  if (!raw) return '';
+  return path.isAbsolute(raw) ? raw : path.resolve(__dirname, '..', '..', raw);
+}
+
+async function sendMail({ to, subject, text }) {
+  if (!to) throw new Error('Mail recipient is required');
+  const message = {
+    id: crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(16).slice(2)}`,
+    from: config.mailFrom,
+    to: String(to),
+    subject: String(subject || ''),
+    text: String(text || ''),
+    sentAt: new Date().toISOString()
+  };
+
+  outbox.unshift(message);
+  if (outbox.length > OUTBOX_LIMIT) outbox.length = OUTBOX_LIMIT;
+
+  const transport = String(config.mailTransport || 'outbox').toLowerCase();
+  if (transport === 'file') {
+    const dir = outboxDir();
+    if (!dir) throw new Error('MAIL_OUTBOX_DIR is not set');
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(path.join(dir, `${message.sentAt.replace(/[:.]/g, '-')}-${message.id}.json`), JSON.stringify(message, null, 2));
+  }
+
+  console.log(`[Mail:${transport}] to=${message.to} subject="${message.subject}"`);
+  return { ok: true, messageId: message.id };
+}
+
+function getOutbox() {
+  return outbox.slice();
+}
+
+module.exports = { sendMail, getOutbox };
@@ -0,0 +1,165 @@
+const config = require('../config');
+
+// Default currency for a country (ISO 3166-1 alpha-2, lowercase) when the user has not picked one.
+const CURRENCY_BY_COUNTRY = {
+  us: 'USD',
+  ca: 'CAD',
+  mx: 'MXN',
+  gb: 'GBP',
+  ie: 'EUR',
+  de: 'EUR',
+  fr: 'EUR',
+  it: 'EUR',
+  es: 'EUR',
+  nl: 'EUR',
+  jp: 'JPY',
+  au: 'AUD',
+  in: 'INR'
+};
+
+// Amazon storefront per country for SerpAPI's amazon engines.
+const AMAZON_DOMAIN_BY_COUNTRY = {
+  us: 'amazon.com',
+  ca: 'amazon.ca',
+  mx: 'amazon.com.mx',
+  gb: 'amazon.co.uk',
+  ie: 'amazon.co.uk',
+  de: 'amazon.de',
+  fr: 'amazon.fr',
+  it: 'amazon.it',
+  es: 'amazon.es',
+  nl: 'amazon.nl',
+  jp: 'amazon.co.jp',
+  au: 'amazon.com.au',
+  in: 'amazon.in'
+};
+
+// Checked in order: longer symbols first so "C$" is not read as "$".
+const CURRENCY_SYMBOLS = [
+  ['C$', 'CAD'],
+  ['CA$', 'CAD'],
+  ['A$', 'AUD'],
+  ['AU$', 'AUD'],
+  ['MX$', 'MXN'],
+  ['US$', 'USD'],
+  ['£', 'GBP'],
+  ['€', 'EUR'],
+  ['¥', 'JPY'],
+  ['₹', 'INR'],
+  ['$', null]
+];
+
+function normalizeCurrency(value) {
+  const code = String(value || '').trim().toUpperCase();
+  return /^[A-Z]{3}$/.test(code) ? code : null;
+}
+
+function baseCurrency() {
+  return normalizeCurrency(config.baseCurrency) || 'USD';
+}
+
+// BCP 47 tag ("en-GB"), or null when Intl does not recognise it.
+function normalizeLocale(value) {
+  if (!value) return null;
+  try {
+    return Intl.getCanonicalLocales(String(value).trim())[0] || null;
+  } catch {
+    return null;
+  }
+}
+
+function countryForLocale(locale) {
+  try {
+    const region = new Intl.Locale(locale).maximize().region;
+    return region ? region.toLowerCase() : null;
+  } catch {
+    return null;
+  }
+}
+
+function languageForLocale(locale) {
+  try {
+    return new Intl.Locale(locale).language || null;
+  } catch {
+    return null;
+  }
+}
+
+// Amounts are stored in minor units ("cents"); JPY has none, most currencies have two.
+function minorUnitDigits(currency) {
+  try {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+  } catch {
+    return 2;
+  }
+}
+
+function minorToMajor(amount, currency) {
+  if (!Number.isFinite(Number(amount))) return null;
+  return Number(amount) / 10 ** minorUnitDigits(currency);
+}
+
+function majorToMinor(amount, currency) {
+  if (!Number.isFinite(Number(amount))) return null;
+  return Math.round(Number(amount) * 10 ** minorUnitDigits(currency));
+}
+
+function formatMoney(amount, currency, locale = 'en-US') {
+  const major = minorToMajor(amount, currency);
+  if (major === null) return '';
+  try {
+    return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(major);
+  } catch {
+    return `${major.toFixed(2)} ${currency}`;
+  }
+}
+
+// Currency named by a price string ("£19.99", "19,99 €"), or null. A bare "$" maps to `dollarCurrency`.
+function detectCurrencyFromText(text, dollarCurrency = 'USD') {
+  const raw = String(text || '');
+  const code = raw.match(/\b(USD|EUR|GBP|CAD|AUD|JPY|INR|MXN)\b/i);
+  if (code) return code[1].toUpperCase();
+  for (const [symbol, currency] of CURRENCY_SYMBOLS) {
+    if (raw.includes(symbol)) return currency || dollarCurrency;
+  }
+  return null;
+}
+
+// Where and how a user shops: explicit settings win, then the locale's region, then server defaults.
+function moneyContextFor(user) {
+  const locale = normalizeLocale(user?.locale) || normalizeLocale(config.defaultLocale) || 'en-US';
+  const country = countryForLocale(locale) || String(config.serpApiCountry || 'us').toLowerCase();
+  return {
+    locale,
+    country,
+    language: languageForLocale(locale) || config.serpApiLanguage || 'en',
+    currency: normalizeCurrency(user?.currency) || CURRENCY_BY_COUNTRY[country] || baseCurrency()
+  };
+}
+
+function amazonDomainFor(country) {
+  return AMAZON_DOMAIN_BY_COUNTRY[String(country || '').toLowerCase()] || 'amazon.com';
+}
+
+function countryForAmazonDomain(host) {
+  const domain = String(host || '').toLowerCase().replace(/^www\./, '');
+  return Object.keys(AMAZON_DOMAIN_BY_COUNTRY).find((c) => AMAZON_DOMAIN_BY_COUNTRY[c] === domain) || null;
+}
+
+function currencyForCountry(country) {
+  return CURRENCY_BY_COUNTRY[String(country || '').toLowerCase()] || baseCurrency();
+}
+
+module.exports = {
+  normalizeCurrency,
+  baseCurrency,
+  normalizeLocale,
+  minorToMajor,
+  majorToMinor,
+  formatMoney,
+  detectCurrencyFromText,
+  moneyContextFor,
+  amazonDomainFor,
+  countryForAmazonDomain,
+  currencyForCountry
+};
@@ -0,0 +1,272 @@
+const { prisma } = require('../db');
+const config = require('../config');
+const { getEnabledTransports, getTransportForChannel, getTransportStatus } = require('./notifications');
+const { parseStoredNotificationPreferences } = require('./notificationPreferences');
+const { runDigests } = require('./alertPolicy');
+
+const RECENT_ATTEMPTS_LIMIT = 50;
+const recentAttempts = [];
+
+const state = {
+  started: false,
+  tickInFlight: false,
+  lastTickAt: null,
+  lastTickError: null,
+  ticks: 0
+};
+
+let timer = null;
+
+function isEnabled() {
+  return Boolean(config.enableNotificationWorker);
+}
+
+function batchSize() {
+  return Math.max(1, Number(config.notificationWorkerBatchSize) || 25);
+}
+
+function maxAttempts() {
+  return Math.max(1, Number(config.notificationMaxAttempts) || 6);
+}
+
+// Exponential backoff with +/-20% jitter: base, 2x base, 4x base ... capped at the max.
+function backoffMs(attempts) {
+  const base = Math.max(1000, Number(config.notificationRetryBaseMs) || 30000);
+  const max = Math.max(base, Number(config.notificationRetryMaxMs) || 60 * 60 * 1000);
+  const delay = Math.min(max, base * 2 ** Math.max(0, attempts - 1));
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+function pushRecentAttempt(entry) {
+  recentAttempts.unshift(entry);
+  if (recentAttempts.length > RECENT_ATTEMPTS_LIMIT) recentAttempts.length = RECENT_ATTEMPTS_LIMIT;
+}
+
+// Create one delivery row per channel target the user has not turned off. Notifications for
+// users without any channel keep fannedOutAt set and are only reachable via /notifications/pending.
+async function fanOutNotification(notification) {
+  const [user, deviceTokens] = await Promise.all([
+    prisma.user.findUnique({ where: { id: notification.userId } }),
+    prisma.deviceToken.findMany({ where: { userId: notification.userId, disabledAt: null } })
+  ]);
+
+  let created = 0;
+  if (user) {
+    const prefs = parseStoredNotificationPreferences(user.notificationPreferences);
+    const transports = getEnabledTransports().filter((t) => prefs.channels[t.id] !== false);
+    for (const transport of transports) {
+      for (const target of transport.targetsFor({ user, deviceTokens })) {
+        try {
+          await prisma.notificationDelivery.create({
+            data: { notificationId: notification.id, channel: transport.channel, target }
+          });
+          created += 1;
+        } catch (error) {
+          if (error?.code !== 'P2002') throw error;
+        }
+      }
+    }
+  }
+
+  await prisma.pendingNotification.update({
+    where: { id: notification.id },
+    data: { fannedOutAt: new Date() }
+  });
+  return created;
+}
+
+async function fanOutPending() {
+  const notifications = await prisma.pendingNotification.findMany({
+    where: {
+      fannedOutAt: null,
+      deliveredAt: null,
+      acknowledgedAt: null,
+      OR: [{ deliverAfter: null }, { deliverAfter: { lte: new Date() } }]
+    },
+    orderBy: { createdAt: 'asc' },
+    take: batchSize()
+  });
+  let created = 0;
+  for (const notification of notifications) {
+    created += await fanOutNotification(notification);
+  }
+  return created;
+}
+
+async function attemptDelivery(delivery) {
+  const startedAt = Date.now();
+  const attempts = delivery.attempts + 1;
+  const transport = getTransportForChannel(delivery.channel);
+
+  try {
+    if (!transport || !transport.isAvailable()) {
+      const err = new Error(`Transport for ${delivery.channel} is not available`);
+      err.permanent = true;
+      throw err;
+    }
+    const device =
+      delivery.channel === 'APNS'
+        ? await prisma.deviceToken.findUnique({ where: { token: delivery.target } })
+        : null;
+    if (device?.disabledAt) {
+      const err = new Error(`Device token disabled: ${device.disabledReason || 'unknown'}`);
+      err.permanent = true;
+      throw err;
+    }
+
+    const result = await transport.send({
+      notification: delivery.notification,
+      target: delivery.target,
+      deliveryId: delivery.id,
+      environment: device?.environment
+    });
+
+    const now = new Date();
+    await prisma.notificationDelivery.update({
+      where: { id: delivery.id },
+      data: { status: 'SENT', attempts, deliveredAt: now, providerRef: result?.providerRef || null, lastError: null }
+    });
+    // Only a transport that confirms delivery marks the notification delivered; stand-ins such as
+    // the mail outbox just record the attempt. The in-app list goes by the client's ack either way.
+    if (transport.confirmsDelivery()) {
+      await prisma.pendingNotification.updateMany({
+        where: { id: delivery.notificationId, deliveredAt: null },
+        data: { deliveredAt: now }
+      });
+    }
+    pushRecentAttempt({
+      deliveryId: delivery.id,
+      channel: delivery.channel,
+      status: 'SENT',
+      attempts,
+      durationMs: Date.now() - startedAt,
+      at: now.toISOString()
+    });
+    return 'SENT';
+  } catch (error) {
+    const message = String(error?.message || error).slice(0, 500);
+    const giveUp = Boolean(error?.permanent) || attempts >= maxAttempts();
+    if (error?.disableTarget) {
+      await prisma.deviceToken.updateMany({
+        where: { token: delivery.target, disabledAt: null },
+        data: { disabledAt: new Date(), disabledReason: message.slice(0, 200) }
+      });
+    }
+    await prisma.notificationDelivery.update({
+      where: { id: delivery.id },
+      data: {
+        status: giveUp ? 'FAILED' : 'PENDING',
+        attempts,
+        lastError: message,
+        ...(giveUp ? {} : { nextAttemptAt: new Date(Date.now() + backoffMs(attempts)) })
+      }
+    });
+    pushRecentAttempt({
+      deliveryId: delivery.id,
+      channel: delivery.channel,
+      status: giveUp ? 'FAILED' : 'RETRY',
+      attempts,
+      error: message,
+      durationMs: Date.now() - startedAt,
+      at: new Date().toISOString()
+    });
+    return giveUp ? 'FAILED' : 'RETRY';
+  }
+}
+
+async function drainDue(where = {}) {
+  const due = await prisma.notificationDelivery.findMany({
+    where: { status: 'PENDING', nextAttemptAt: { lte: new Date() }, ...where },
+    include: { notification: true },
+    orderBy: { nextAttemptAt: 'asc' },
+    take: batchSize()
+  });
+  const counts = { SENT: 0, RETRY: 0, FAILED: 0 };
+  for (const delivery of due) {
+    counts[await attemptDelivery(delivery)] += 1;
+  }
+  return counts;
+}
+
+async function tick() {
+  if (state.tickInFlight) return { skipped: true, reason: 'in_flight' };
+  state.tickInFlight = true;
+  state.lastTickAt = new Date().toISOString();
+  state.ticks += 1;
+  try {
+    const digests = await runDigests();
+    const fannedOut = await fanOutPending();
+    const counts = await drainDue();
+    state.lastTickError = null;
+    return { skipped: false, digests: digests.length, fannedOut, ...counts };
+  } catch (error) {
+    state.lastTickError = String(error?.message || error);
+    console.warn('[Notifications] tick failed', state.lastTickError);
+    return { skipped: false, error: state.lastTickError };
+  } finally {
+    state.tickInFlight = false;
+  }
+}
+
+// Fan out and attempt a single notification right away (used by the test-send endpoint).
+async function deliverNow(notificationId) {
+  const notification = await prisma.pendingNotification.findUnique({ where: { id: notificationId } });
+  if (!notification) return null;
+  if (!notification.fannedOutAt) await fanOutNotification(notification);
+  await drainDue({ notificationId });
+  return prisma.notificationDelivery.findMany({
+    where: { notificationId },
+    orderBy: { createdAt: 'asc' }
+  });
+}
+
+function start() {
+  if (state.started || !isEnabled()) return false;
+  state.started = true;
+  const tickMs = Math.max(1000, Number(config.notificationWorkerTickMs) || 5000);
+  timer = setInterval(() => {
+    void tick();
+  }, tickMs);
+  if (typeof timer.unref === 'function') timer.unref();
+  void tick();
+  return true;
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+  state.started = false;
+}
+
+async function getStatus() {
+  const grouped = await prisma.notificationDelivery.groupBy({
+    by: ['channel', 'status'],
+    _count: { _all: true }
+  });
+  const deliveries = {};
+  for (const row of grouped) {
+    deliveries[row.channel] = deliveries[row.channel] || {};
+    deliveries[row.channel][row.status] = row._count?._all || 0;
+  }
+  return {
+    enabled: isEnabled(),
+    started: state.started,
+    tickInFlight: state.tickInFlight,
+    tickMs: Math.max(1000, Number(config.notificationWorkerTickMs) || 5000),
+    maxAttempts: maxAttempts(),
+    ticks: state.ticks,
+    lastTickAt: state.lastTickAt,
+    lastTickError: state.lastTickError,
+    transports: getTransportStatus(),
+    deliveries,
+    recentAttempts: recentAttempts.slice()
+  };
+}
+
+module.exports = {
+  start,
+  stop,
+  tick,
+  deliverNow,
+  getStatus
+};
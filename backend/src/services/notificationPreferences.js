@@ -0,0 +1,169 @@
+const DIGEST = {
+  OFF: 'OFF',
+  DAILY: 'DAILY',
+  WEEKLY: 'WEEKLY'
+};
+
+const CHANNELS = ['apns', 'webhook', 'email'];
+
+const DEFAULT_PREFERENCES = {
+  channels: { apns: true, webhook: true, email: true },
+  quietHours: { enabled: false, start: '22:00', end: '07:00' },
+  timezone: 'UTC',
+  maxAlertsPerDay: 10,
+  // OFF sends alerts as they happen; DAILY/WEEKLY batch them into one digest notification.
+  digest: DIGEST.OFF,
+  digestHour: 9,
+  // 0 = Sunday ... 6 = Saturday (weekly digests only).
+  digestWeekday: 1
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+function isValidTimezone(value) {
+  if (!value) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: String(value) });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function normalizeClock(value, fallback) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!match) return fallback;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 23 || minutes > 59) return fallback;
+  return `${String(hours).padStart(2, '0')}:${match[2]}`;
+}
+
+function clampInt(value, min, max, fallback) {
+  const num = Math.round(Number(value));
+  if (!Number.isFinite(num)) return fallback;
+  return Math.max(min, Math.min(max, num));
+}
+
+// Merge a partial update onto `base` (stored preferences or defaults).
+function normalizeNotificationPreferences(input, base = DEFAULT_PREFERENCES) {
+  const raw = input && typeof input === 'object' ? input : {};
+  const channels = { ...base.channels };
+  for (const id of CHANNELS) {
+    if (raw.channels && raw.channels[id] !== undefined) channels[id] = Boolean(raw.channels[id]);
+  }
+  const quietRaw = raw.quietHours && typeof raw.quietHours === 'object' ? raw.quietHours : {};
+  const digest = DIGEST[String(raw.digest || '').toUpperCase()] || base.digest;
+
+  return {
+    channels,
+    quietHours: {
+      enabled: quietRaw.enabled !== undefined ? Boolean(quietRaw.enabled) : base.quietHours.enabled,
+      start: normalizeClock(quietRaw.start, base.quietHours.start),
+      end: normalizeClock(quietRaw.end, base.quietHours.end)
+    },
+    timezone: isValidTimezone(raw.timezone) ? String(raw.timezone) : base.timezone,
+    maxAlertsPerDay:
+      raw.maxAlertsPerDay !== undefined ? clampInt(raw.maxAlertsPerDay, 0, 100, base.maxAlertsPerDay) : base.maxAlertsPerDay,
+    digest,
+    digestHour: raw.digestHour !== undefined ? clampInt(raw.digestHour, 0, 23, base.digestHour) : base.digestHour,
+    digestWeekday:
+      raw.digestWeekday !== undefined ? clampInt(raw.digestWeekday, 0, 6, base.digestWeekday) : base.digestWeekday
+  };
+}
+
+// Stored as a JSON string on User.notificationPreferences.
+function parseStoredNotificationPreferences(value) {
+  if (!value) return normalizeNotificationPreferences(null);
+  try {
+    return normalizeNotificationPreferences(JSON.parse(value));
+  } catch {
+    return normalizeNotificationPreferences(null);
+  }
+}
+
+// Wall-clock parts of `date` in the user's timezone.
+function localParts(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone || 'UTC',
+    hourCycle: 'h23',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+  const get = (type) => parts.find((p) => p.type === type)?.value;
+  return {
+    weekday: WEEKDAYS.indexOf(get('weekday')),
+    minutesOfDay: Number(get('hour')) * 60 + Number(get('minute')),
+    seconds: Number(get('second'))
+  };
+}
+
+function clockMinutes(clock) {
+  const [hours, minutes] = String(clock).split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// Quiet hours may wrap midnight (22:00 -> 07:00).
+function isInQuietHours(prefs, now = new Date()) {
+  if (!prefs?.quietHours?.enabled) return false;
+  const start = clockMinutes(prefs.quietHours.start);
+  const end = clockMinutes(prefs.quietHours.end);
+  if (start === end) return false;
+  const { minutesOfDay } = localParts(now, prefs.timezone);
+  return start < end
+    ? minutesOfDay >= start && minutesOfDay < end
+    : minutesOfDay >= start || minutesOfDay < end;
+}
+
+// When a notification created `now` may be delivered (null = immediately).
+function deliverAfterFor(prefs, now = new Date()) {
+  if (!isInQuietHours(prefs, now)) return null;
+  const { minutesOfDay } = localParts(now, prefs.timezone);
+  const wait = (clockMinutes(prefs.quietHours.end) - minutesOfDay + 24 * 60) % (24 * 60);
+  return new Date(now.getTime() + wait * MINUTE_MS);
+}
+
+// Start of the user's local day (DST shifts inside the day are ignored).
+function localDayStart(prefs, now = new Date()) {
+  const { minutesOfDay, seconds } = localParts(now, prefs?.timezone);
+  return new Date(now.getTime() - minutesOfDay * MINUTE_MS - seconds * 1000 - now.getMilliseconds());
+}
+
+// Most recent scheduled digest moment at or before `now`. Alerts that overflowed
+// maxAlertsPerDay are flushed on the daily schedule even when digests are OFF.
+function lastDigestMoment(prefs, now = new Date()) {
+  const dayStart = localDayStart(prefs, now);
+  let moment = new Date(dayStart.getTime() + prefs.digestHour * 60 * MINUTE_MS);
+  if (prefs.digest === DIGEST.WEEKLY) {
+    const { weekday } = localParts(now, prefs.timezone);
+    moment = new Date(moment.getTime() - ((weekday - prefs.digestWeekday + 7) % 7) * DAY_MS);
+    if (moment > now) moment = new Date(moment.getTime() - 7 * DAY_MS);
+    return moment;
+  }
+  if (moment > now) moment = new Date(moment.getTime() - DAY_MS);
+  return moment;
+}
+
+// A digest goes out at the first scheduled moment after both the previous digest and the oldest
+// queued alert, so a first alert (no lastDigestAt yet) waits for digestHour like any other.
+function isDigestDue(prefs, { lastDigestAt, oldestQueuedAt }, now = new Date()) {
+  const lastDigest = lastDigestAt ? new Date(lastDigestAt).getTime() : 0;
+  const since = Math.max(lastDigest, new Date(oldestQueuedAt || now).getTime());
+  return since < lastDigestMoment(prefs, now).getTime();
+}
+
+module.exports = {
+  DIGEST,
+  CHANNELS,
+  DEFAULT_PREFERENCES,
+  normalizeNotificationPreferences,
+  parseStoredNotificationPreferences,
+  isInQuietHours,
+  deliverAfterFor,
+  localDayStart,
+  isDigestDue
+};
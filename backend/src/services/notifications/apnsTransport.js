@@ -0,0 +1,166 @@
+const fs = require('fs');
+const http2 = require('http2');
+const crypto = require('crypto');
+const config = require('../../config');
+
+const APNS_HOSTS = {
+  production: 'https://api.push.apple.com',
+  sandbox: 'https://api.sandbox.push.apple.com'
+};
+
+const TITLES = {
+  DEAL_ALERT: 'Price drop',
+  SHARED_PRICE_DROP: 'Price drop',
+  BACK_IN_STOCK: 'Back in stock',
+  DEAL_DIGEST: 'Your deal digest',
+  TEST: 'OmniCart test notification'
+};
+
+// Reasons APNs uses for tokens that will never work again.
+const DEAD_TOKEN_REASONS = ['BadDeviceToken', 'Unregistered', 'DeviceTokenNotForTopic'];
+const SENT_LOG_LIMIT = 50;
+const sentLog = [];
+
+let cachedJwt = null;
+
+function mode() {
+  return String(config.apnsMode || 'log').toLowerCase() === 'live' ? 'live' : 'log';
+}
+
+function isConfigured() {
+  return Boolean(config.apnsKeyId && config.apnsTeamId && config.apnsBundleId && config.apnsPrivateKeyPath);
+}
+
+function parsePayload(notification) {
+  try {
+    return JSON.parse(notification.payload || '{}');
+  } catch {
+    return {};
+  }
+}
+
+// Request in the APNs HTTP/2 provider API format (headers + JSON body).
+function buildApnsRequest(notification, deviceToken) {
+  return {
+    headers: {
+      ':method': 'POST',
+      ':path': `/3/device/${deviceToken}`,
+      'apns-topic': config.apnsBundleId || 'app.omnicart.ios',
+      'apns-push-type': 'alert',
+      'apns-priority': '10',
+      'apns-expiration': String(Math.floor(Date.now() / 1000) + 24 * 60 * 60),
+      'apns-collapse-id': String(notification.id).slice(0, 64)
+    },
+    body: {
+      aps: {
+        alert: { title: TITLES[notification.type] || 'OmniCart', body: notification.message },
+        sound: 'default',
+        'thread-id': notification.productId
+      },
+      notificationId: notification.id,
+      type: notification.type,
+      productId: notification.productId,
+      data: parsePayload(notification)
+    }
+  };
+}
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+// Provider token (ES256 JWT). APNs rejects tokens older than an hour, so refresh every 50 minutes.
+function providerToken() {
+  const now = Math.floor(Date.now() / 1000);
+  if (cachedJwt && now - cachedJwt.issuedAt < 50 * 60) return cachedJwt.token;
+  const key = fs.readFileSync(config.apnsPrivateKeyPath, 'utf8');
+  const signingInput = `${base64url(JSON.stringify({ alg: 'ES256', kid: config.apnsKeyId }))}.${base64url(
+    JSON.stringify({ iss: config.apnsTeamId, iat: now })
+  )}`;
+  const signature = crypto.sign('sha256', Buffer.from(signingInput), { key, dsaEncoding: 'ieee-p1363' });
+  cachedJwt = { token: `${signingInput}.${base64url(signature)}`, issuedAt: now };
+  return cachedJwt.token;
+}
+
+function sendOverHttp2(host, request) {
+  return new Promise((resolve, reject) => {
+    const client = http2.connect(host);
+    const timeout = setTimeout(() => {
+      client.destroy();
+      reject(new Error('APNs request timed out'));
+    }, Math.max(1000, Number(config.apnsTimeoutMs) || 10000));
+    client.on('error', (error) => {
+      clearTimeout(timeout);
+      reject(error);
+    });
+
+    const stream = client.request({ ...request.headers, authorization: `bearer ${providerToken()}` });
+    let status = 0;
+    let apnsId = null;
+    let raw = '';
+    stream.on('response', (headers) => {
+      status = Number(headers[':status']);
+      apnsId = headers['apns-id'] || null;
+    });
+    stream.setEncoding('utf8');
+    stream.on('data', (chunk) => {
+      raw += chunk;
+    });
+    stream.on('end', () => {
+      clearTimeout(timeout);
+      client.close();
+      let reason = null;
+      try {
+        reason = raw ? JSON.parse(raw).reason || null : null;
+      } catch {
+        reason = raw.slice(0, 200) || null;
+      }
+      resolve({ status, apnsId, reason });
+    });
+    stream.on('error', (error) => {
+      clearTimeout(timeout);
+      client.destroy();
+      reject(error);
+    });
+    stream.end(JSON.stringify(request.body));
+  });
+}
+
+const apnsTransport = {
+  id: 'apns',
+  channel: 'APNS',
+  isAvailable() {
+    return mode() === 'log' || isConfigured();
+  },
+  confirmsDelivery() {
+    return mode() === 'live';
+  },
+  targetsFor({ deviceTokens }) {
+    return (deviceTokens || []).filter((d) => d.platform === 'IOS' && !d.disabledAt).map((d) => d.token);
+  },
+  async send({ notification, target, environment }) {
+    const request = buildApnsRequest(notification, target);
+    const host = APNS_HOSTS[environment === 'sandbox' ? 'sandbox' : 'production'];
+
+    if (mode() === 'log') {
+      const providerRef = `apns-log-${crypto.randomUUID()}`;
+      sentLog.unshift({ host, ...request, providerRef, sentAt: new Date().toISOString() });
+      if (sentLog.length > SENT_LOG_LIMIT) sentLog.length = SENT_LOG_LIMIT;
+      return { providerRef };
+    }
+
+    const result = await sendOverHttp2(host, request);
+    if (result.status === 200) return { providerRef: result.apnsId };
+
+    const err = new Error(`APNs HTTP ${result.status}${result.reason ? `: ${result.reason}` : ''}`);
+    // 429 and 5xx are worth retrying; anything else will fail the same way next time.
+    err.permanent = result.status !== 429 && result.status < 500;
+    err.disableTarget = result.status === 410 || DEAD_TOKEN_REASONS.includes(result.reason);
+    throw err;
+  },
+  getSentLog() {
+    return sentLog.slice();
+  }
+};
+
+module.exports = { apnsTransport, buildApnsRequest };
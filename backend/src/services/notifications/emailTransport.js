@@ -0,0 +1,26 @@
+const { sendMail } = require('../mailService');
+
+const emailTransport = {
+  id: 'email',
+  channel: 'EMAIL',
+  isAvailable() {
+    return true;
+  },
+  // mailService only has the local outbox stand-in, which accepts everything.
+  confirmsDelivery() {
+    return false;
+  },
+  targetsFor({ user }) {
+    return user?.email ? [user.email] : [];
+  },
+  async send({ notification, target }) {
+    const result = await sendMail({
+      to: target,
+      subject: `OmniCart: ${notification.message}`.slice(0, 160),
+      text: `${notification.message}\n\nOpen OmniCart to see the offer.`
+    });
+    return { providerRef: result.messageId };
+  }
+};
+
+module.exports = { emailTransport };
@@ -0,0 +1,54 @@
+const config = require('../../config');
+const { apnsTransport } = require('./apnsTransport');
+const { webhookTransport } = require('./webhookTransport');
+const { emailTransport } = require('./emailTransport');
+
+// Transport interface:
+// {
+//   id: string,                       // matches NOTIFICATION_CHANNELS entries
+//   channel: string,                  // stored on NotificationDelivery.channel
+//   isAvailable(): boolean,
+//   confirmsDelivery(): boolean,      // false for local stand-ins (mail outbox, APNs log mode)
+//   targetsFor({ user, deviceTokens }): string[],
+//   send({ notification, target, deliveryId, environment }): Promise<{ providerRef }>
+// }
+// send() throws to signal failure; `err.permanent` skips retries and `err.disableTarget`
+// disables the device token.
+const registry = new Map();
+
+function registerTransport(transport) {
+  if (!transport?.id || !transport?.channel || typeof transport.send !== 'function') {
+    throw new Error('Notification transport must have an id, a channel and a send() function');
+  }
+  registry.set(transport.id, transport);
+}
+
+registerTransport(apnsTransport);
+registerTransport(webhookTransport);
+registerTransport(emailTransport);
+
+function getEnabledTransports() {
+  const ids = Array.isArray(config.notificationChannels) ? config.notificationChannels : [];
+  return ids.map((id) => registry.get(id)).filter((t) => t && t.isAvailable());
+}
+
+function getTransportForChannel(channel) {
+  return [...registry.values()].find((t) => t.channel === channel) || null;
+}
+
+function getTransportStatus() {
+  const enabledIds = Array.isArray(config.notificationChannels) ? config.notificationChannels : [];
+  return [...registry.values()].map((t) => ({
+    id: t.id,
+    channel: t.channel,
+    enabled: enabledIds.includes(t.id),
+    available: t.isAvailable()
+  }));
+}
+
+module.exports = {
+  registerTransport,
+  getEnabledTransports,
+  getTransportForChannel,
+  getTransportStatus
+};
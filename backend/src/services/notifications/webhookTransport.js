@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const config = require('../../config');
+
+// Webhook URLs are user-supplied, so deliveries must not reach this host or its private network.
+// IPv4 rules also match IPv4-mapped IPv6 addresses (::ffff:127.0.0.1).
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4');
+}
+for (const [prefix, bits] of [
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6');
+}
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function allowPrivate() {
+  return Boolean(config.notificationWebhookAllowPrivate);
+}
+
+function permanentError(message) {
+  const err = new Error(message);
+  err.permanent = true;
+  return err;
+}
+
+// Cheap check for the settings route: no DNS, only literal addresses and localhost names.
+// Hostnames are checked again after resolution on every delivery.
+function isBlockedWebhookUrl(value) {
+  if (allowPrivate()) return false;
+  let url;
+  try {
+    url = new URL(String(value));
+  } catch {
+    return true;
+  }
+  const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost')) return true;
+  return Boolean(net.isIP(host)) && !isPublicAddress(host);
+}
+
+// dns.lookup for http.request that refuses private addresses. Checking at connect time means a
+// hostname cannot pass a check and then resolve somewhere internal for the actual request.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (!allowPrivate() && addresses.some((a) => !isPublicAddress(a.address))) {
+      return callback(permanentError(`Webhook host ${hostname} resolves to a private address`));
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Redirects are not followed: the target would escape the address check.
+function postJson(target, headers, body, timeoutMs) {
+  let url;
+  try {
+    url = new URL(target);
+  } catch {
+    return Promise.reject(permanentError('Webhook URL is invalid'));
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return Promise.reject(permanentError('Webhook URL must be http(s)'));
+  }
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  // Literal addresses never go through lookup.
+  if (net.isIP(host) && !isPublicAddress(host) && !allowPrivate()) {
+    return Promise.reject(permanentError(`Webhook address ${host} is private`));
+  }
+
+  const client = url.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.request(
+      url,
+      {
+        method: 'POST',
+        headers: { ...headers, 'content-length': Buffer.byteLength(body) },
+        lookup: publicLookup,
+        timeout: timeoutMs
+      },
+      (res) => {
+        res.resume();
+        res.on('end', () => resolve(res));
+        res.on('error', reject);
+      }
+    );
+    req.on('timeout', () => req.destroy(new Error(`Webhook timed out after ${timeoutMs}ms`)));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+// Receivers verify `x-omnicart-signature` = sha256 HMAC of `${timestamp}.${body}`
+// keyed with NOTIFICATION_WEBHOOK_SECRET.
+function signBody(timestamp, body) {
+  if (!config.notificationWebhookSecret) return null;
+  const digest = crypto
+    .createHmac('sha256', config.notificationWebhookSecret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  return `sha256=${digest}`;
+}
+
+const webhookTransport = {
+  id: 'webhook',
+  channel: 'WEBHOOK',
+  isAvailable() {
+    return true;
+  },
+  confirmsDelivery() {
+    return true;
+  },
+  targetsFor({ user }) {
+    return user?.notificationWebhookUrl ? [user.notificationWebhookUrl] : [];
+  },
+  async send({ notification, target, deliveryId }) {
+    let payload = {};
+    try {
+      payload = JSON.parse(notification.payload || '{}');
+    } catch {
+      payload = {};
+    }
+    const body = JSON.stringify({
+      id: notification.id,
+      type: notification.type,
+      productId: notification.productId,
+      message: notification.message,
+      payload,
+      createdAt: notification.createdAt
+    });
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const signature = signBody(timestamp, body);
+
+    const res = await postJson(
+      target,
+      {
+        'content-type': 'application/json',
+        'x-omnicart-event': notification.type,
+        'x-omnicart-delivery': deliveryId,
+        'x-omnicart-timestamp': timestamp,
+        ...(signature ? { 'x-omnicart-signature': signature } : {})
+      },
+      body,
+      Math.max(1000, Number(config.notificationWebhookTimeoutMs) || 5000)
+    );
+    if (res.statusCode >= 200 && res.statusCode < 300) {
+      return { providerRef: res.headers['x-request-id'] || null };
+    }
+    const err = new Error(`Webhook HTTP ${res.statusCode}`);
+    err.permanent = res.statusCode < 500 && ![408, 429].includes(res.statusCode);
+    throw err;
+  }
+};
+
+module.exports = { webhookTransport, isPublicAddress, isBlockedWebhookUrl };
@@ -0,0 +1,123 @@
+const { prisma } = require('../db');
+const config = require('../config');
+const { LEGACY_FALLBACK_PREFIX } = require('./searchLinks');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BATCH_SIZE = 200;
+
+const state = {
+  started: false,
+  tickInFlight: false,
+  lastTickAt: null,
+  lastTickError: null,
+  ticks: 0,
+  lastArchived: 0,
+  totalArchived: 0
+};
+
+let timer = null;
+
+function isEnabled() {
+  return Boolean(config.enableOfferCleanup);
+}
+
+function archiveAfterDays() {
+  return Math.max(1, Number(config.offerArchiveAfterDays) || 30);
+}
+
+// Moves offers nobody has verified for OFFER_ARCHIVE_AFTER_DAYS into ArchivedOffer. Offers sitting
+// in a cart are kept so checkout revalidation can report them instead of the item vanishing.
+async function archiveStaleOffers(now = new Date()) {
+  const cutoff = new Date(now.getTime() - archiveAfterDays() * DAY_MS);
+  const offers = await prisma.offer.findMany({
+    where: { lastVerifiedAt: { lt: cutoff }, cartItems: { none: {} } },
+    orderBy: { lastVerifiedAt: 'asc' },
+    take: BATCH_SIZE
+  });
+
+  let archived = 0;
+  for (const offer of offers) {
+    const { missedRefreshes, updatedAt, ...snapshot } = offer;
+    try {
+      await prisma.$transaction([
+        prisma.archivedOffer.upsert({
+          where: { id: offer.id },
+          update: { ...snapshot, archivedAt: now },
+          create: { ...snapshot, archivedAt: now }
+        }),
+        prisma.offer.delete({ where: { id: offer.id } })
+      ]);
+      archived += 1;
+    } catch (error) {
+      console.warn('[OfferCleanup] archive failed', offer.id, error?.message || error);
+    }
+  }
+  return archived;
+}
+
+// Offer rows synthesized by the removed fallback logic carry fabricated prices; drop them outright.
+async function purgeLegacyFallbackOffers() {
+  const { count } = await prisma.offer.deleteMany({ where: { vendorId: { startsWith: LEGACY_FALLBACK_PREFIX } } });
+  return count;
+}
+
+async function tick() {
+  if (state.tickInFlight) return { skipped: true, reason: 'in_flight' };
+  state.tickInFlight = true;
+  state.lastTickAt = new Date().toISOString();
+  state.ticks += 1;
+  try {
+    const purgedFallbacks = await purgeLegacyFallbackOffers();
+    const archived = await archiveStaleOffers();
+    state.lastArchived = archived;
+    state.totalArchived += archived;
+    state.lastTickError = null;
+    return { skipped: false, archived, purgedFallbacks };
+  } catch (error) {
+    state.lastTickError = String(error?.message || error);
+    console.warn('[OfferCleanup] tick failed', state.lastTickError);
+    return { skipped: false, archived: 0, error: state.lastTickError };
+  } finally {
+    state.tickInFlight = false;
+  }
+}
+
+function start() {
+  if (state.started || !isEnabled()) return false;
+  state.started = true;
+  const tickMs = Math.max(60 * 1000, Number(config.offerCleanupTickMs) || 60 * 60 * 1000);
+  timer = setInterval(() => {
+    void tick();
+  }, tickMs);
+  if (typeof timer.unref === 'function') timer.unref();
+  void tick();
+  return true;
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+  state.started = false;
+}
+
+function getStatus() {
+  return {
+    enabled: isEnabled(),
+    started: state.started,
+    tickInFlight: state.tickInFlight,
+    tickMs: Math.max(60 * 1000, Number(config.offerCleanupTickMs) || 60 * 60 * 1000),
+    archiveAfterDays: archiveAfterDays(),
+    ticks: state.ticks,
+    lastTickAt: state.lastTickAt,
+    lastTickError: state.lastTickError,
+    lastArchived: state.lastArchived,
+    totalArchived: state.totalArchived
+  };
+}
+
+module.exports = {
+  start,
+  stop,
+  tick,
+  getStatus
+};
@@ -0,0 +1,60 @@
+const config = require('../config');
+const { ttlHoursFor } = require('./offerProviders');
+
+const OFFER_SOURCE = {
+  PROVIDER: 'PROVIDER',
+  SHARED: 'SHARED',
+  EXTENSION: 'EXTENSION'
+};
+
+// Defaults for offers that did not come from a registered provider.
+const SOURCE_TTL_HOURS = {
+  shared: 24,
+  extension: 12
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function stalePolicy() {
+  return String(config.offerStalePolicy || 'flag').toLowerCase() === 'exclude' ? 'exclude' : 'flag';
+}
+
+// Key used for TTL lookups: the provider id for provider offers, otherwise the lowercased source.
+function ttlKeyFor(offer) {
+  const source = String(offer?.source || OFFER_SOURCE.PROVIDER).toUpperCase();
+  if (source === OFFER_SOURCE.PROVIDER) return offer?.providerId || 'web';
+  return source.toLowerCase();
+}
+
+function freshnessFor(offer, now = new Date()) {
+  const key = ttlKeyFor(offer);
+  const ttlHours = ttlHoursFor(key, SOURCE_TTL_HOURS[key]);
+  const verifiedAt = offer?.lastVerifiedAt ? new Date(offer.lastVerifiedAt) : null;
+  const ageMs = verifiedAt ? Math.max(0, now.getTime() - verifiedAt.getTime()) : null;
+  return {
+    source: String(offer?.source || OFFER_SOURCE.PROVIDER),
+    providerId: offer?.providerId || null,
+    lastVerifiedAt: verifiedAt ? verifiedAt.toISOString() : null,
+    ageMinutes: ageMs === null ? null : Math.floor(ageMs / 60000),
+    ttlHours,
+    stale: ageMs === null || ageMs > ttlHours * HOUR_MS
+  };
+}
+
+function isStale(offer) {
+  return Boolean(offer?.freshness?.stale);
+}
+
+// Applies OFFER_STALE_POLICY to normalized offers (each carrying `freshness`).
+function applyStalePolicy(offers) {
+  const list = Array.isArray(offers) ? offers : [];
+  return stalePolicy() === 'exclude' ? list.filter((o) => !isStale(o)) : list;
+}
+
+module.exports = {
+  OFFER_SOURCE,
+  stalePolicy,
+  freshnessFor,
+  isStale,
+  applyStalePolicy
+};
@@ -0,0 +1,90 @@
+const config = require('../../config');
+const { detectInStock } = require('../stockTrackingService');
+const { displayGtin } = require('../gtin');
+const { normalizeWhitespace, slugify } = require('../text');
+
+function toCents(item) {
+  if (item?.priceCents !== undefined) {
+    const cents = Math.round(Number(item.priceCents));
+    return Number.isFinite(cents) && cents > 0 ? cents : null;
+  }
+  const amount = Number(String(item?.price ?? '').replace(/[^0-9.]/g, ''));
+  return Number.isFinite(amount) && amount > 0 ? Math.round(amount * 100) : null;
+}
+
+async function callFeed(params) {
+  const base = String(config.affiliateFeedUrl || '').trim();
+  const url = new URL(base);
+  for (const [key, value] of Object.entries(params)) {
+    if (value) url.searchParams.set(key, value);
+  }
+
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), Math.max(1000, Number(config.affiliateFeedTimeoutMs) || 5000));
+  try {
+    const res = await fetch(url.toString(), {
+      method: 'GET',
+      headers: {
+        accept: 'application/json',
+        ...(config.affiliateFeedApiKey ? { authorization: `Bearer ${config.affiliateFeedApiKey}` } : {})
+      },
+      signal: controller.signal
+    });
+    if (!res.ok) {
+      const err = new Error(`Affiliate feed HTTP ${res.status}`);
+      err.httpStatus = res.status;
+      throw err;
+    }
+    const payload = await res.json().catch(() => ({}));
+    return Array.isArray(payload?.offers) ? payload.offers : Array.isArray(payload) ? payload : [];
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+function feedItemToOffer(item) {
+  const priceCents = toCents(item);
+  const productUrl = String(item?.url || item?.productUrl || '').trim();
+  const merchant = normalizeWhitespace(item?.merchant || item?.vendorName);
+  if (!priceCents || !productUrl || !merchant) return null;
+  const shippingCents = Math.round(Number(item?.shippingCents));
+  const etaDays = Math.round(Number(item?.etaDays));
+  return {
+    vendorId: `affiliate:${slugify(item?.merchantId || merchant)}`,
+    vendorName: merchant,
+    title: normalizeWhitespace(item?.title),
+    priceCents,
+    currency: item?.currency ? String(item.currency).trim().toUpperCase() : null,
+    shipsFrom: item?.shipsFrom ? String(item.shipsFrom).trim().toUpperCase() : null,
+    shippingCents: Number.isFinite(shippingCents) && shippingCents >= 0 ? shippingCents : 0,
+    etaDays: Number.isFinite(etaDays) && etaDays > 0 ? etaDays : 5,
+    inStock: item?.inStock !== false && detectInStock(item?.availability) !== false,
+    productUrl,
+    listingVerified: true,
+    listingType: 'EXACT',
+    itemCondition: item?.condition ? String(item.condition).toUpperCase() : null
+  };
+}
+
+async function search({ query, product }) {
+  const items = await callFeed({ q: normalizeWhitespace(query), upc: displayGtin(product?.upc) });
+  return items.map(feedItemToOffer).filter(Boolean);
+}
+
+async function fetchByListing({ productUrl }) {
+  const items = await callFeed({ url: String(productUrl || '').trim() });
+  return items.map(feedItemToOffer).find(Boolean) || null;
+}
+
+const affiliateFeedProvider = {
+  id: 'affiliate',
+  name: 'Affiliate product feed',
+  capabilities: { search: true, fetchByListing: true },
+  rateLimit: { requestsPerMinute: 60 },
+  freshness: { ttlHours: 24 },
+  isAvailable: () => Boolean(String(config.affiliateFeedUrl || '').trim()),
+  search,
+  fetchByListing
+};
+
+module.exports = { affiliateFeedProvider };
@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config');
+const { canonicalGtin } = require('../gtin');
+const { normalizeWhitespace } = require('../text');
+
+// Expected header (any order): vendorId,vendorName,title,price|priceCents,productUrl
+// Optional columns: upc,brand,shippingCents,etaDays,inStock
+const cache = { filePath: '', mtimeMs: 0, rows: [] };
+
+function tokenize(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter((t) => t.length >= 2);
+}
+
+function parseCsvLine(line) {
+  const cells = [];
+  let current = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i += 1) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        current += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        current += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      cells.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  cells.push(current);
+  return cells.map((c) => c.trim());
+}
+
+function parseCsv(text) {
+  const lines = String(text || '')
+    .split(/\r?\n/)
+    .filter((l) => l.trim());
+  if (lines.length < 2) return [];
+  const header = parseCsvLine(lines[0]);
+  return lines.slice(1).map((line) => {
+    const cells = parseCsvLine(line);
+    const row = {};
+    header.forEach((key, idx) => {
+      row[key] = cells[idx] ?? '';
+    });
+    return row;
+  });
+}
+
+function feedPath() {
+  const raw = String(config.offerCsvFeedPath || '').trim();
+  if (!raw) return '';
+  return path.isAbsolute(raw) ? raw : path.resolve(__dirname, '..', '..', '..', raw);
+}
+
+function loadRows() {
+  const filePath = feedPath();
+  if (!filePath) return [];
+  const stat = fs.statSync(filePath);
+  if (cache.filePath === filePath && cache.mtimeMs === stat.mtimeMs) return cache.rows;
+  cache.rows = parseCsv(fs.readFileSync(filePath, 'utf8'));
+  cache.filePath = filePath;
+  cache.mtimeMs = stat.mtimeMs;
+  return cache.rows;
+}
+
+function rowToOffer(row) {
+  const priceCents = row.priceCents
+    ? Math.round(Number(row.priceCents))
+    : Math.round(Number(String(row.price || '').replace(/[^0-9.]/g, '')) * 100);
+  const productUrl = String(row.productUrl || '').trim();
+  if (!row.vendorId || !productUrl || !Number.isFinite(priceCents) || priceCents <= 0) return null;
+  const etaDays = Number(row.etaDays);
+  const shippingCents = Number(row.shippingCents);
+  return {
+    vendorId: `csv:${String(row.vendorId).trim().toLowerCase()}`,
+    vendorName: normalizeWhitespace(row.vendorName) || String(row.vendorId),
+    title: normalizeWhitespace(row.title),
+    priceCents,
+    currency: row.currency ? String(row.currency).trim().toUpperCase() : null,
+    shipsFrom: row.shipsFrom ? String(row.shipsFrom).trim().toUpperCase() : null,
+    shippingCents: Number.isFinite(shippingCents) && shippingCents >= 0 ? Math.round(shippingCents) : 0,
+    etaDays: Number.isFinite(etaDays) && etaDays > 0 ? Math.round(etaDays) : 5,
+    inStock: !['0', 'false', 'no'].includes(String(row.inStock || '').trim().toLowerCase()),
+    productUrl,
+    listingVerified: true,
+    listingType: 'EXACT',
+    itemCondition: null
+  };
+}
+
+// Match rows by exact UPC first, then by title token overlap with the query.
+async function search({ query, product }) {
+  const rows = loadRows();
+  const upc = canonicalGtin(product?.upc);
+  const queryTokens = tokenize(query);
+
+  const matches = rows.filter((row) => {
+    const rowUpc = canonicalGtin(row.upc);
+    if (upc && rowUpc) return rowUpc === upc;
+    if (queryTokens.length === 0) return false;
+    const rowTokens = new Set(tokenize(`${row.brand || ''} ${row.title || ''}`));
+    const hits = queryTokens.filter((t) => rowTokens.has(t)).length;
+    return hits / queryTokens.length >= 0.6;
+  });
+
+  return matches.map(rowToOffer).filter(Boolean);
+}
+
+async function fetchByListing({ productUrl }) {
+  const url = String(productUrl || '').trim();
+  if (!url) return null;
+  const row = loadRows().find((r) => String(r.productUrl || '').trim() === url);
+  return row ? rowToOffer(row) : null;
+}
+
+const csvFeedProvider = {
+  id: 'csv',
+  name: 'Local CSV feed',
+  capabilities: { search: true, fetchByListing: true },
+  rateLimit: { requestsPerMinute: 0 },
+  freshness: { ttlHours: 72 },
+  isAvailable: () => Boolean(feedPath()) && fs.existsSync(feedPath()),
+  search,
+  fetchByListing
+};
+
+module.exports = { csvFeedProvider, parseCsv };
@@ -0,0 +1,183 @@
+const config = require('../../config');
+const { webSearchProvider } = require('./webSearchProvider');
+const { csvFeedProvider } = require('./csvFeedProvider');
+const { affiliateFeedProvider } = require('./affiliateFeedProvider');
+const { mockProvider } = require('./mockProvider');
+
+// Provider interface:
+// {
+//   id: string,
+//   name: string,
+//   capabilities: { search: boolean, fetchByListing: boolean },
+//   rateLimit: { requestsPerMinute: number }   // 0 = unlimited
+//   freshness?: { ttlHours: number }           // how long a returned price stays trustworthy
+//   isAvailable(): boolean,
+//   search({ query, strategy, product, locale }): Promise<Offer[]>,   // locale: { country, language }
+//   fetchByListing?({ productUrl, product }): Promise<Offer | null>
+// }
+const registry = new Map();
+const providerMetrics = new Map();
+const callLog = new Map();
+
+function registerProvider(provider) {
+  if (!provider?.id || typeof provider.search !== 'function') {
+    throw new Error('Offer provider must have an id and a search() function');
+  }
+  registry.set(provider.id, provider);
+  providerMetrics.set(provider.id, {
+    calls: 0,
+    successes: 0,
+    failures: 0,
+    rateLimited: 0,
+    lastCallAt: null,
+    lastDurationMs: null,
+    lastError: null
+  });
+}
+
+registerProvider(webSearchProvider);
+registerProvider(csvFeedProvider);
+registerProvider(affiliateFeedProvider);
+registerProvider(mockProvider);
+
+function rateLimitFor(provider) {
+  const override = config.offerProviderRateLimits?.[provider.id];
+  if (Number.isFinite(override)) return override;
+  return Number(provider.rateLimit?.requestsPerMinute) || 0;
+}
+
+// TTL for offers from a provider (or another offer source such as `fallback`). OFFER_TTL_HOURS wins.
+function ttlHoursFor(sourceId, fallbackHours) {
+  const override = config.offerTtlHours?.[sourceId];
+  if (Number.isFinite(override) && override > 0) return override;
+  const declared = Number(registry.get(sourceId)?.freshness?.ttlHours);
+  if (Number.isFinite(declared) && declared > 0) return declared;
+  if (Number.isFinite(fallbackHours) && fallbackHours > 0) return fallbackHours;
+  return Math.max(1, Number(config.offerDefaultTtlHours) || 24);
+}
+
+// Sliding one-minute window per provider.
+function takeRateLimitSlot(provider) {
+  const limit = rateLimitFor(provider);
+  if (!limit) return true;
+  const now = Date.now();
+  const recent = (callLog.get(provider.id) || []).filter((ts) => now - ts < 60 * 1000);
+  if (recent.length >= limit) {
+    callLog.set(provider.id, recent);
+    return false;
+  }
+  recent.push(now);
+  callLog.set(provider.id, recent);
+  return true;
+}
+
+// Enabled providers in configured priority order.
+function getEnabledProviders() {
+  const ids = Array.isArray(config.offerProviders) ? config.offerProviders : [];
+  return ids
+    .map((id) => registry.get(id))
+    .filter((provider) => provider && provider.isAvailable());
+}
+
+async function callProvider(provider, method, args) {
+  const metrics = providerMetrics.get(provider.id);
+  if (!takeRateLimitSlot(provider)) {
+    metrics.rateLimited += 1;
+    return null;
+  }
+  const started = Date.now();
+  metrics.calls += 1;
+  metrics.lastCallAt = new Date(started).toISOString();
+  try {
+    const result = await provider[method](args);
+    metrics.successes += 1;
+    metrics.lastError = null;
+    return result;
+  } catch (error) {
+    metrics.failures += 1;
+    metrics.lastError = String(error?.message || error);
+    throw error;
+  } finally {
+    metrics.lastDurationMs = Date.now() - started;
+  }
+}
+
+// Query every enabled provider and merge results. When two providers return the same
+// vendorId, the provider listed first in OFFER_PROVIDERS wins. `respondedProviderIds` lists
+// providers that answered with at least one offer (used to detect offers that disappeared).
+async function searchProvidersWithStatus({ query, strategy, product, locale }) {
+  const providers = getEnabledProviders().filter((p) => p.capabilities?.search);
+  const settled = await Promise.allSettled(
+    providers.map((provider) => callProvider(provider, 'search', { query, strategy, product, locale }))
+  );
+
+  const seen = new Set();
+  const offers = [];
+  const respondedProviderIds = [];
+  settled.forEach((result, idx) => {
+    const provider = providers[idx];
+    if (result.status !== 'fulfilled') {
+      console.warn(`[Offers:${provider.id}] search failed`, result.reason?.message || result.reason);
+      return;
+    }
+    const list = Array.isArray(result.value) ? result.value : [];
+    if (list.length > 0) respondedProviderIds.push(provider.id);
+    for (const offer of list) {
+      if (!offer?.vendorId || seen.has(offer.vendorId)) continue;
+      seen.add(offer.vendorId);
+      offers.push({ ...offer, providerId: provider.id });
+    }
+  });
+  return { offers, respondedProviderIds };
+}
+
+async function searchAllProviders(args) {
+  const { offers } = await searchProvidersWithStatus(args);
+  return offers;
+}
+
+function canFetchByListing(provider) {
+  return Boolean(provider?.capabilities?.fetchByListing && typeof provider.fetchByListing === 'function');
+}
+
+// Re-reads one listing. With `providerId` only that provider is asked (the one the offer came
+// from); otherwise the first enabled provider that returns it wins.
+async function fetchOfferByListing({ productUrl, product, providerId = null }) {
+  const providers = getEnabledProviders().filter((p) => !providerId || p.id === providerId);
+  for (const provider of providers) {
+    if (!canFetchByListing(provider)) continue;
+    try {
+      const offer = await callProvider(provider, 'fetchByListing', { productUrl, product });
+      if (offer) return { ...offer, providerId: provider.id };
+    } catch (error) {
+      console.warn(`[Offers:${provider.id}] fetchByListing failed`, error?.message || error);
+    }
+  }
+  return null;
+}
+
+function getProviderStatus() {
+  const enabledIds = Array.isArray(config.offerProviders) ? config.offerProviders : [];
+  return [...registry.values()].map((provider) => ({
+    id: provider.id,
+    name: provider.name,
+    enabled: enabledIds.includes(provider.id),
+    priority: enabledIds.indexOf(provider.id),
+    available: provider.isAvailable(),
+    capabilities: provider.capabilities,
+    requestsPerMinute: rateLimitFor(provider),
+    ttlHours: ttlHoursFor(provider.id),
+    metrics: { ...providerMetrics.get(provider.id) }
+  }));
+}
+
+module.exports = {
+  registerProvider,
+  getEnabledProviders,
+  canFetchByListing,
+  ttlHoursFor,
+  searchAllProviders,
+  searchProvidersWithStatus,
+  fetchOfferByListing,
+  getProviderStatus
+};
@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+const vendors = require('../../data/mockVendors.json');
+const { normalizeWhitespace } = require('../text');
+
+// Deterministic base price per query so repeated refreshes (and tests) are stable.
+function basePriceForQuery(query) {
+  const digest = crypto.createHash('sha1').update(normalizeWhitespace(query).toLowerCase()).digest();
+  return 999 + (digest.readUInt32BE(0) % 50000);
+}
+
+function pseudoListingId(query) {
+  return crypto.createHash('sha1').update(query).digest('hex').slice(0, 10).toUpperCase();
+}
+
+async function search({ query }) {
+  const clean = normalizeWhitespace(query);
+  if (!clean) return [];
+  const basePrice = basePriceForQuery(clean);
+  const listingId = pseudoListingId(clean);
+
+  return vendors.map((vendor) => ({
+    vendorId: vendor.vendorId,
+    vendorName: vendor.vendorName,
+    title: clean,
+    priceCents: Math.round(basePrice * vendor.priceMultiplier),
+    currency: 'USD',
+    shippingCents: vendor.shippingCents,
+    etaDays: vendor.etaDays,
+    inStock: true,
+    productUrl: `${vendor.baseUrl}${listingId}`,
+    listingVerified: true,
+    listingType: 'EXACT',
+    itemCondition: null
+  }));
+}
+
+const mockProvider = {
+  id: 'mock',
+  name: 'Mock vendors (mockVendors.json)',
+  capabilities: { search: true, fetchByListing: false },
+  rateLimit: { requestsPerMinute: 0 },
+  freshness: { ttlHours: 24 },
+  isAvailable: () => true,
+  search
+};
+
+module.exports = { mockProvider };
@@ -1,23 +1,47 @@
 const config = require('../../config');
 const { searchOffersViaSerpApi, fetchAmazonProductViaSerpApi } = require('../brightDataProxyService');
-
-function normalizeWhitespace(value) {
-  return String(value || '').replace(/\s+/g, ' ').trim();
-}
-
-function toCents(amount) {
+const { pickBestOffer } = require('../offerRanking');
+const { detectInStock } = require('../stockTrackingService');
+const {
+  majorToMinor,
+  detectCurrencyFromText,
+  amazonDomainFor,
+  countryForAmazonDomain,
+  currencyForCountry
+} = require('../money');
+const { normalizeWhitespace } = require('../text');
+
+function toCents(amount, currency = 'USD') {
   const n = Number(amount);
   if (!Number.isFinite(n) || n <= 0) return null;
-  return Math.round(n * 100);
+  return majorToMinor(n, currency);
 }
 
-function parsePriceCents(value) {
+// Handles "$1,299.99" as well as "1.299,99 €" / "19,99 €".
+function parsePriceCents(value, currency = 'USD') {
   if (value === null || value === undefined) return null;
-  if (typeof value === 'number') return toCents(value);
-  const raw = String(value).replace(/,/g, '').trim();
-  const match = raw.match(/(\d+(?:\.\d+)?)/);
+  if (typeof value === 'number') return toCents(value, currency);
+  const match = String(value).match(/\d[\d.,\s]*/);
   if (!match) return null;
-  return toCents(Number(match[1]));
+  let digits = match[0].replace(/\s/g, '').replace(/[.,]$/, '');
+  if (/,\d{1,2}$/.test(digits)) digits = digits.replace(/\./g, '').replace(',', '.');
+  else digits = digits.replace(/,/g, '');
+  return toCents(Number(digits), currency);
+}
+
+// Country, language and currency a search runs for (from the requesting user's locale).
+function marketFor(locale) {
+  const country = String(locale?.country || config.serpApiCountry || 'us').toLowerCase();
+  return {
+    country,
+    language: locale?.language || config.serpApiLanguage || 'en',
+    currency: currencyForCountry(country),
+    amazonDomain: amazonDomainFor(country)
+  };
+}
+
+function currencyFor(priceText, market) {
+  return detectCurrencyFromText(priceText, market.currency) || market.currency;
 }
 
 function estimateEtaDaysFromText(text) {
@@ -36,35 +60,17 @@ function extractAmazonAsinFromUrl(url) {
   return m?.[1] ? String(m[1]).toUpperCase() : '';
 }
 
-function pickBestOffer(offers, strategy) {
-  const list = Array.isArray(offers) ? offers.slice() : [];
-  if (list.length === 0) return null;
-  const pref = String(strategy || 'BALANCED').toUpperCase();
-  if (pref === 'FASTEST_SHIPPING') {
-    return list.sort((a, b) => (a.etaDays || 99) - (b.etaDays || 99))[0] || null;
-  }
-  if (pref === 'BEST_PRICE') {
-    return list.sort((a, b) => (a.priceCents || 1e12) - (b.priceCents || 1e12))[0] || null;
-  }
-  // Balanced: lowest total, break ties by eta.
-  return list
-    .sort((a, b) => {
-      const at = (a.priceCents || 1e12) + (a.shippingCents || 0);
-      const bt = (b.priceCents || 1e12) + (b.shippingCents || 0);
-      if (at !== bt) return at - bt;
-      return (a.etaDays || 99) - (b.etaDays || 99);
-    })[0] || null;
-}
-
-function normalizeOfferBase({ vendorId, vendorName, title, productUrl, priceCents, etaDays }) {
+// Unknown availability is treated as in stock; only explicit out-of-stock text flips it.
+function normalizeOfferBase({ vendorId, vendorName, title, productUrl, priceCents, currency, etaDays, inStock }) {
   return {
     vendorId,
     vendorName,
     title: normalizeWhitespace(title) || '',
     priceCents: Number.isFinite(priceCents) ? priceCents : null,
+    currency,
     shippingCents: 0,
     etaDays: Number.isFinite(etaDays) ? etaDays : 5,
-    inStock: true,
+    inStock: inStock !== false,
     productUrl: String(productUrl || '').trim(),
     listingVerified: false,
     listingType: 'ESTIMATED',
@@ -102,7 +108,8 @@ function canonicalizeVendorUrl(vendorId, url) {
 
   if (vendorId === 'web:amazon') {
     const asin = extractAmazonAsinFromUrl(raw);
-    return asin ? `https://www.amazon.com/dp/${asin}` : raw;
+    const host = hostnameFromUrl(raw);
+    return asin ? `https://www.${countryForAmazonDomain(host) ? host : 'amazon.com'}/dp/${asin}` : raw;
   }
 
   if (vendorId === 'web:ebay') {
@@ -188,15 +195,6 @@ function isExactListingUrl(url) {
   }
 }
 
-function slugifyDomain(hostname) {
-  return String(hostname || '')
-    .toLowerCase()
-    .replace(/^www\./i, '')
-    .replace(/[^a-z0-9]+/g, '-')
-    .replace(/^-+|-+$/g, '')
-    .slice(0, 40);
-}
-
 function friendlyVendorName(hostname) {
   const h = String(hostname || '').toLowerCase().replace(/^www\./i, '');
   if (!h) return 'Vendor';
@@ -211,14 +209,30 @@ function friendlyVendorName(hostname) {
   return first.slice(0, 1).toUpperCase() + first.slice(1);
 }
 
-async function fetchAmazonOffer(query, strategy) {
+// Retailers we accept from Google Shopping results (Amazon has its own flow below).
+const SHOPPING_VENDORS = [
+  { key: 'ebay', vendorId: 'web:ebay', vendorName: 'eBay', host: 'ebay.com', listingPath: '/itm/' },
+  { key: 'walmart', vendorId: 'web:walmart', vendorName: 'Walmart', host: 'walmart.com', listingPath: '/ip/' },
+  { key: 'target', vendorId: 'web:target', vendorName: 'Target', host: 'target.com', listingPath: '/p/' },
+  { key: 'bestbuy', vendorId: 'web:bestbuy', vendorName: 'Best Buy', host: 'bestbuy.com', listingPath: '/site/' },
+  { key: 'newegg', vendorId: 'web:newegg', vendorName: 'Newegg', host: 'newegg.com', listingPath: '/p/' }
+];
+
+function isVendorEnabled(key) {
+  const enabled = Array.isArray(config.webSearchVendors) ? config.webSearchVendors : [];
+  return enabled.includes(key);
+}
+
+async function fetchAmazonOffer(query, strategy, market) {
   const timeoutMs = Math.max(3500, config.webSearchRequestTimeoutMs || 5500);
   const serp = await searchOffersViaSerpApi({
     query,
-    host: 'amazon.com',
+    host: market.amazonDomain,
     engine: 'amazon',
     timeoutMs,
-    limit: 8
+    limit: 8,
+    country: market.country,
+    language: market.language
   });
 
   const candidates = serp
@@ -226,14 +240,17 @@ async function fetchAmazonOffer(query, strategy) {
       const asin = extractAmazonAsinFromUrl(r.link);
       if (!asin) return null;
       const eta = estimateEtaDaysFromText(r.delivery || r.snippet) || 4;
+      const currency = currencyFor(r.price, market);
       return {
         ...normalizeOfferBase({
           vendorId: 'web:amazon',
           vendorName: 'Amazon',
           title: r.title,
           productUrl: canonicalizeVendorUrl('web:amazon', r.link),
-          priceCents: parsePriceCents(r.extracted_price || r.price),
-          etaDays: eta
+          priceCents: parsePriceCents(r.extracted_price || r.price, currency),
+          currency,
+          etaDays: eta,
+          inStock: detectInStock(r.availability, r.delivery)
         }),
         rank: idx,
         asin
@@ -246,12 +263,20 @@ async function fetchAmazonOffer(query, strategy) {
 
   // Hydrate price + canonical listing via ASIN (1 extra call).
   try {
-    const detail = await fetchAmazonProductViaSerpApi({ asin: bestSeed.asin, timeoutMs, noCache: false });
+    const detail = await fetchAmazonProductViaSerpApi({
+      asin: bestSeed.asin,
+      timeoutMs,
+      noCache: false,
+      domain: market.amazonDomain,
+      country: market.country,
+      language: market.language
+    });
+    const currency = detail?.priceText ? currencyFor(detail.priceText, market) : bestSeed.currency;
     const priceCents =
       (Number.isFinite(Number(detail?.extractedPrice)) && Number(detail.extractedPrice) > 0
-        ? toCents(Number(detail.extractedPrice))
+        ? toCents(Number(detail.extractedPrice), currency)
         : null) ||
-      parsePriceCents(detail?.priceText) ||
+      parsePriceCents(detail?.priceText, currency) ||
       bestSeed.priceCents;
     const eta = estimateEtaDaysFromText(detail?.delivery) || bestSeed.etaDays || 4;
     const url = String(detail?.link || bestSeed.productUrl || '').trim();
@@ -260,7 +285,9 @@ async function fetchAmazonOffer(query, strategy) {
       ...bestSeed,
       title: normalizeWhitespace(detail?.title) || bestSeed.title,
       priceCents,
+      currency,
       etaDays: eta,
+      inStock: detectInStock(detail?.availability) ?? bestSeed.inStock,
       productUrl: canonicalizeVendorUrl('web:amazon', url || bestSeed.productUrl),
       listingVerified: Boolean(url && url.includes('/dp/')),
       listingType: url && url.includes('/dp/') ? 'EXACT' : bestSeed.listingType
@@ -270,16 +297,18 @@ async function fetchAmazonOffer(query, strategy) {
   }
 }
 
-async function fetchShoppingVendors(query, strategy) {
+async function fetchShoppingVendors(query, strategy, market) {
   // One SerpAPI call that often includes prices for multiple vendors.
-  // We then pick up to 2 distinct non-Amazon vendors (prefer eBay if present).
+  // We then pick up to 2 distinct non-Amazon vendors (prefer eBay if present and enabled).
   const timeoutMs = Math.max(3500, config.webSearchRequestTimeoutMs || 5500);
   const serp = await searchOffersViaSerpApi({
     query,
     host: '',
     engine: 'google_shopping',
     timeoutMs,
-    limit: 12
+    limit: 12,
+    country: market.country,
+    language: market.language
   });
 
   const candidates = serp
@@ -292,42 +321,24 @@ async function fetchShoppingVendors(query, strategy) {
       // Skip Amazon here (handled by dedicated Amazon flow + ASIN hydration).
       if (host.includes('amazon.')) return null;
 
-      // Only allow known retailers to avoid broken/redirector links.
-      let vendorId = '';
-      let vendorName = '';
-      if (host.endsWith('ebay.com')) {
-        vendorId = 'web:ebay';
-        vendorName = 'eBay';
-        if (!link.includes('/itm/')) return null;
-      } else if (host.endsWith('walmart.com')) {
-        vendorId = 'web:walmart';
-        vendorName = 'Walmart';
-        if (!link.includes('/ip/')) return null;
-      } else if (host.endsWith('target.com')) {
-        vendorId = 'web:target';
-        vendorName = 'Target';
-        if (!link.includes('/p/')) return null;
-      } else if (host.endsWith('bestbuy.com')) {
-        vendorId = 'web:bestbuy';
-        vendorName = 'Best Buy';
-        if (!link.includes('/site/')) return null;
-      } else if (host.endsWith('newegg.com')) {
-        vendorId = 'web:newegg';
-        vendorName = 'Newegg';
-        if (!link.includes('/p/')) return null;
-      } else {
-        return null;
-      }
+      // Only allow known (and enabled) retailers to avoid broken/redirector links.
+      const vendor = SHOPPING_VENDORS.find((v) => host.endsWith(v.host));
+      if (!vendor || !isVendorEnabled(vendor.key)) return null;
+      if (!link.includes(vendor.listingPath)) return null;
+      const { vendorId, vendorName } = vendor;
 
       const eta = estimateEtaDaysFromText(r.delivery || r.snippet) || 5;
+      const currency = currencyFor(r.price, market);
       return {
         ...normalizeOfferBase({
           vendorId,
           vendorName,
           title: r.title,
           productUrl: canonicalizeVendorUrl(vendorId, link),
-          priceCents: parsePriceCents(r.extracted_price || r.price),
-          etaDays: eta
+          priceCents: parsePriceCents(r.extracted_price || r.price, currency),
+          currency,
+          etaDays: eta,
+          inStock: detectInStock(r.availability, r.delivery)
         }),
         rank: idx
       };
@@ -356,9 +367,13 @@ async function fetchShoppingVendors(query, strategy) {
   return out;
 }
 
-async function fetchTopOffers({ query, strategy }) {
-  if (!config.enableWebSearchOffers) return [];
-  if (!config.enableSerpApiProxy || !config.serpApiApiKey) return [];
+function isAvailable() {
+  return Boolean(config.enableWebSearchOffers && config.enableSerpApiProxy && config.serpApiApiKey);
+}
+
+async function fetchTopOffers({ query, strategy, locale }) {
+  if (!isAvailable()) return [];
+  const market = marketFor(locale);
 
   const capped = normalizeWhitespace(query);
   if (!capped) return [];
@@ -367,24 +382,83 @@ async function fetchTopOffers({ query, strategy }) {
   // 1) Amazon search engine call (+ ASIN hydration inside)
   // 2) Google Shopping call (returns eBay + other retailer when available)
   const [amazon, shopping] = await Promise.allSettled([
-    fetchAmazonOffer(capped, strategy),
-    fetchShoppingVendors(capped, strategy)
+    isVendorEnabled('amazon') ? fetchAmazonOffer(capped, strategy, market) : null,
+    SHOPPING_VENDORS.some((v) => isVendorEnabled(v.key)) ? fetchShoppingVendors(capped, strategy, market) : []
   ]);
 
   const out = [];
   if (amazon.status === 'fulfilled' && amazon.value) out.push(amazon.value);
   if (shopping.status === 'fulfilled' && Array.isArray(shopping.value)) out.push(...shopping.value);
 
-  // Ensure unique vendorIds.
+  // Ensure unique vendorIds. Listings come from the market's own storefronts, which ship from there.
   const seen = new Set();
-  return out.filter((o) => {
-    if (!o?.vendorId) return false;
-    if (seen.has(o.vendorId)) return false;
-    seen.add(o.vendorId);
-    return true;
+  return out
+    .filter((o) => {
+      if (!o?.vendorId) return false;
+      if (seen.has(o.vendorId)) return false;
+      seen.add(o.vendorId);
+      return true;
+    })
+    .map((o) => ({ ...o, shipsFrom: market.country.toUpperCase() }));
+}
+
+// Only Amazon listings can be re-fetched directly (via ASIN); other retailers need a search.
+async function fetchOfferByListing({ productUrl }) {
+  if (!isAvailable() || !isVendorEnabled('amazon')) return null;
+  const asin = extractAmazonAsinFromUrl(productUrl);
+  if (!asin) return null;
+
+  const timeoutMs = Math.max(3500, config.webSearchRequestTimeoutMs || 5500);
+  // The listing's own storefront decides the market (amazon.co.uk -> gb/GBP).
+  const host = hostnameFromUrl(productUrl);
+  const market = marketFor({ country: countryForAmazonDomain(host) || config.serpApiCountry });
+  const detail = await fetchAmazonProductViaSerpApi({
+    asin,
+    timeoutMs,
+    noCache: true,
+    domain: market.amazonDomain,
+    country: market.country,
+    language: market.language
   });
+  if (!detail) return null;
+  const currency = currencyFor(detail.priceText, market);
+  const priceCents =
+    (Number.isFinite(Number(detail.extractedPrice)) && Number(detail.extractedPrice) > 0
+      ? toCents(Number(detail.extractedPrice), currency)
+      : null) || parsePriceCents(detail.priceText, currency);
+  if (!priceCents) return null;
+  const url = canonicalizeVendorUrl('web:amazon', detail.link || productUrl);
+
+  return {
+    ...normalizeOfferBase({
+      vendorId: 'web:amazon',
+      vendorName: 'Amazon',
+      title: detail.title,
+      productUrl: url,
+      priceCents,
+      currency,
+      etaDays: estimateEtaDaysFromText(detail.delivery) || 4,
+      inStock: detectInStock(detail.availability)
+    }),
+    listingVerified: url.includes('/dp/'),
+    listingType: url.includes('/dp/') ? 'EXACT' : 'ESTIMATED',
+    shipsFrom: market.country.toUpperCase(),
+    asin
+  };
 }
 
+const webSearchProvider = {
+  id: 'web',
+  name: 'Web search (SerpAPI)',
+  capabilities: { search: true, fetchByListing: true },
+  rateLimit: { requestsPerMinute: 30 },
+  freshness: { ttlHours: 6 },
+  isAvailable,
+  search: ({ query, strategy, locale }) => fetchTopOffers({ query, strategy, locale }),
+  fetchByListing: fetchOfferByListing
+};
+
 module.exports = {
+  webSearchProvider,
   fetchTopOffers
 };
@@ -0,0 +1,194 @@
+const vendorTrust = require('../data/vendorTrust.json');
+const { formatMoney } = require('./money');
+
+const STRATEGY = {
+  BALANCED: 'BALANCED',
+  BEST_PRICE: 'BEST_PRICE',
+  FASTEST_SHIPPING: 'FASTEST_SHIPPING'
+};
+
+// Relative importance of each score component for BALANCED; normalized to sum to 1.
+const DEFAULT_WEIGHTS = {
+  price: 0.5,
+  eta: 0.2,
+  verification: 0.15,
+  vendorTrust: 0.1,
+  stock: 0.05
+};
+
+function normalizeStrategy(strategy) {
+  const pref = String(strategy || STRATEGY.BALANCED).toUpperCase();
+  return STRATEGY[pref] || STRATEGY.BALANCED;
+}
+
+function normalizeWeights(input) {
+  const raw = input && typeof input === 'object' ? input : {};
+  const merged = {};
+  for (const key of Object.keys(DEFAULT_WEIGHTS)) {
+    const value = Number(raw[key]);
+    merged[key] = Number.isFinite(value) && value >= 0 ? value : DEFAULT_WEIGHTS[key];
+  }
+  const sum = Object.values(merged).reduce((acc, v) => acc + v, 0);
+  if (sum <= 0) return { ...DEFAULT_WEIGHTS };
+  for (const key of Object.keys(merged)) {
+    merged[key] = Number((merged[key] / sum).toFixed(4));
+  }
+  return merged;
+}
+
+// Stored as a JSON string on User.rankingWeights.
+function parseStoredWeights(value) {
+  if (!value) return normalizeWeights(null);
+  try {
+    return normalizeWeights(JSON.parse(value));
+  } catch {
+    return normalizeWeights(null);
+  }
+}
+
+// Offers carrying `converted` amounts (see offerService.withConvertedPrices) compare in the viewer's currency.
+// The landed total (estimated tax and duty included, see landedCost.js) wins over price + shipping.
+function totalCents(offer) {
+  const amounts = offer?.converted || offer;
+  if (Number.isFinite(amounts?.landedTotalCents)) return amounts.landedTotalCents;
+  return (Number.isFinite(amounts?.priceCents) ? amounts.priceCents : 1e12) + (Number(amounts?.shippingCents) || 0);
+}
+
+function etaDays(offer) {
+  return Number.isFinite(offer?.etaDays) && offer.etaDays > 0 ? offer.etaDays : 99;
+}
+
+function trustForVendor(vendorName) {
+  const key = String(vendorName || '').trim().toLowerCase();
+  const score = vendorTrust.vendors[key];
+  return Number.isFinite(score) ? score : vendorTrust.default;
+}
+
+// Lexicographic comparators for the single-objective strategies.
+function compareOffersForStrategy(a, b, strategy) {
+  const pref = normalizeStrategy(strategy);
+  if (pref === STRATEGY.FASTEST_SHIPPING) {
+    if (etaDays(a) !== etaDays(b)) return etaDays(a) - etaDays(b);
+    return totalCents(a) - totalCents(b);
+  }
+  if (totalCents(a) !== totalCents(b)) return totalCents(a) - totalCents(b);
+  return etaDays(a) - etaDays(b);
+}
+
+function formatAmount(cents, context) {
+  return formatMoney(Number(cents || 0), context.currency, context.locale);
+}
+
+function scoreComponents(offer, context) {
+  return {
+    price: context.minTotal > 0 ? context.minTotal / totalCents(offer) : 0,
+    eta: context.minEta / etaDays(offer),
+    verification: offer.listingVerified ? 1 : 0.4,
+    vendorTrust: trustForVendor(offer.vendorName),
+    stock: offer.inStock === false ? 0 : 1
+  };
+}
+
+function explainOffer(offer, components, context, isRecommended) {
+  const parts = [];
+  const total = totalCents(offer);
+  if (total === context.minTotal) {
+    const label = offer.landed ? 'lowest total cost incl. estimated tax' : 'lowest total cost';
+    parts.push(`${label} (${formatAmount(total, context)})`);
+  } else {
+    parts.push(`${formatAmount(total - context.minTotal, context)} more than the cheapest`);
+  }
+  if (etaDays(offer) === context.minEta) {
+    parts.push(`fastest delivery (${etaDays(offer)} days)`);
+  } else {
+    parts.push(`arrives in ${etaDays(offer)} days`);
+  }
+  parts.push(offer.listingVerified ? 'verified listing' : 'estimated listing (price not confirmed)');
+  if (components.vendorTrust >= 0.9) parts.push(`trusted vendor (${offer.vendorName})`);
+  if (offer.inStock === false) parts.push('out of stock');
+  if (offer.freshness?.stale) parts.push('price not re-verified recently');
+  if (offer.landed?.dutyCents > 0) parts.push('ships from abroad (import duty applies)');
+
+  const sentence = parts.join(', ');
+  const capitalized = sentence.slice(0, 1).toUpperCase() + sentence.slice(1);
+  return isRecommended ? `Recommended: ${sentence}.` : `${capitalized}.`;
+}
+
+function scoreAndSort(list, pref, weights, locale = 'en-US') {
+  const inStock = list.filter((o) => o.inStock !== false);
+  const pool = inStock.length > 0 ? inStock : list;
+  const context = {
+    minTotal: Math.min(...pool.map(totalCents)),
+    minEta: Math.min(...pool.map(etaDays)),
+    currency: pool[0]?.converted?.currency || pool[0]?.currency || 'USD',
+    locale
+  };
+
+  const scored = list.map((offer) => {
+    const components = scoreComponents(offer, context);
+    const total = Object.keys(weights).reduce((acc, key) => acc + weights[key] * components[key], 0);
+    return { offer, components, total };
+  });
+
+  scored.sort((a, b) => {
+    const stockDiff = (b.offer.inStock === false ? 0 : 1) - (a.offer.inStock === false ? 0 : 1);
+    if (stockDiff !== 0) return stockDiff;
+    if (pref === STRATEGY.BALANCED && b.total !== a.total) return b.total - a.total;
+    return compareOffersForStrategy(a.offer, b.offer, pref);
+  });
+
+  return { scored, context };
+}
+
+// Score, explain and sort offers for a strategy. BALANCED uses the weighted score;
+// BEST_PRICE / FASTEST_SHIPPING sort lexicographically but still report the breakdown.
+function rankOffers(offers, { strategy, weights, locale } = {}) {
+  const list = Array.isArray(offers) ? offers.filter(Boolean) : [];
+  const pref = normalizeStrategy(strategy);
+  const resolvedWeights = normalizeWeights(weights);
+  if (list.length === 0) return { offers: [], recommendedOfferId: null, weights: resolvedWeights };
+
+  const { scored, context } = scoreAndSort(list, pref, resolvedWeights, locale);
+  // Stale prices are only recommended when nothing fresh is in stock.
+  const recommended =
+    scored.find((s) => s.offer.inStock !== false && !s.offer.freshness?.stale) ||
+    scored.find((s) => s.offer.inStock !== false) ||
+    null;
+  const ranked = scored.map((s, idx) => ({
+    ...s.offer,
+    rank: idx + 1,
+    score: {
+      total: Number(s.total.toFixed(4)),
+      components: Object.fromEntries(
+        Object.entries(s.components).map(([key, value]) => [key, Number(value.toFixed(4))])
+      ),
+      weights: resolvedWeights
+    },
+    explanation: explainOffer(s.offer, s.components, context, s === recommended)
+  }));
+
+  return {
+    offers: ranked,
+    recommendedOfferId: recommended?.offer.id || null,
+    weights: resolvedWeights
+  };
+}
+
+// Cheap "best of list" used by providers before offers are persisted (no ids yet).
+function pickBestOffer(offers, strategy) {
+  const list = Array.isArray(offers) ? offers.filter(Boolean) : [];
+  if (list.length === 0) return null;
+  const { scored } = scoreAndSort(list, normalizeStrategy(strategy), normalizeWeights(null));
+  return scored[0]?.offer || null;
+}
+
+module.exports = {
+  STRATEGY,
+  DEFAULT_WEIGHTS,
+  normalizeStrategy,
+  normalizeWeights,
+  parseStoredWeights,
+  compareOffersForStrategy,
+  rankOffers,
+  pickBestOffer
+};
@@ -1,16 +1,30 @@
 const { prisma } = require('../db');
 const config = require('../config');
-const { fetchTopOffers } = require('./offerProviders/webSearchProvider');
+const {
+  searchProvidersWithStatus,
+  fetchOfferByListing,
+  getEnabledProviders,
+  canFetchByListing
+} = require('./offerProviders');
+const { recordOfferObservation } = require('./priceHistoryService');
+const { STOCK_REASON, recordStockChange } = require('./stockTrackingService');
+const { OFFER_SOURCE, freshnessFor, applyStalePolicy } = require('./offerFreshness');
+const { LEGACY_FALLBACK_PREFIX, PRICED_OFFER_WHERE, buildSearchLinks } = require('./searchLinks');
+const { normalizeCurrency, baseCurrency, formatMoney, moneyContextFor } = require('./money');
+const { getRateTable, convertMinor } = require('./exchangeRates');
+const { rankOffers, parseStoredWeights, normalizeStrategy } = require('./offerRanking');
+const { normalizeCountry, destinationFor, withLandedCosts } = require('./landedCost');
+const { activePromotionsFor, withPromotions } = require('./promotions');
+const { findMatchingProduct, productKeyData } = require('./productMatching');
+const { assignFamily } = require('./productVariants');
+const { searchProducts } = require('./productSearch');
+const { normalizeWhitespace } = require('./text');
 
 const SEARCH_MODE = {
   EXACT: 'EXACT',
   SIMILAR: 'SIMILAR'
 };
 
-function normalizeWhitespace(value) {
-  return String(value || '').replace(/\s+/g, ' ').trim();
-}
-
 function isLikelySearchUrl(url) {
   const u = String(url || '').toLowerCase();
   return (
@@ -47,215 +61,296 @@ function normalizeOffer(dbOffer) {
     title: dbOffer.title,
     priceCents: dbOffer.priceCents,
     shippingCents: dbOffer.shippingCents,
+    currency: dbOffer.currency || 'USD',
+    shipsFrom: dbOffer.shipsFrom || null,
     etaDays: dbOffer.etaDays,
     inStock: dbOffer.inStock,
     productUrl,
     listingVerified,
     listingType,
-    itemCondition: null
+    itemCondition: dbOffer.condition || null,
+    freshness: freshnessFor(dbOffer)
   };
 }
 
+function normalizeCondition(value) {
+  const condition = String(value || '').trim().toUpperCase();
+  if (!condition) return null;
+  if (condition.startsWith('NEW')) return 'NEW';
+  if (condition.includes('REFURB') || condition.includes('RENEWED')) return 'REFURBISHED';
+  if (condition.includes('USED') || condition.includes('PRE-OWNED') || condition.includes('OPEN BOX')) return 'USED';
+  return null;
+}
+
+// Legacy rows have no providerId; their vendorId prefix (web:, affiliate:, csv:) names it.
+function providerIdFor(offer) {
+  if (offer.providerId) return offer.providerId;
+  const prefix = String(offer.vendorId || '').split(':')[0];
+  return prefix && prefix !== offer.vendorId ? prefix : null;
+}
+
+// Offers a provider stopped returning (while it still answered for this product) go out of
+// stock after `offerMissingRefreshLimit` consecutive misses.
+async function markMissingOffers(productId, returnedVendorIds, respondedProviderIds) {
+  if (respondedProviderIds.length === 0) return;
+  const limit = Math.max(1, Number(config.offerMissingRefreshLimit) || 2);
+  const stored = await prisma.offer.findMany({ where: { productId } });
+  for (const offer of stored) {
+    if (returnedVendorIds.has(offer.vendorId)) continue;
+    const providerId = providerIdFor(offer);
+    if (!providerId || !respondedProviderIds.includes(providerId)) continue;
+
+    const missedRefreshes = offer.missedRefreshes + 1;
+    const goesOutOfStock = offer.inStock && missedRefreshes >= limit;
+    const updated = await prisma.offer.update({
+      where: { id: offer.id },
+      data: { missedRefreshes, ...(goesOutOfStock ? { inStock: false } : {}) }
+    });
+    if (goesOutOfStock) await recordStockChange(offer, updated, STOCK_REASON.NOT_RETURNED, providerId);
+  }
+}
+
+// Adds `converted` (amounts in the viewer's currency) to normalized offers. Offers in a
+// currency the rate table does not know get `converted: null` and rank on their own amounts.
+// Run after withLandedCosts so the landed total is converted too.
+function withConvertedPrices(offers, table, { currency, locale }) {
+  return offers.map((offer) => {
+    const priceCents = convertMinor(table, offer.priceCents, offer.currency, currency);
+    const shippingCents = convertMinor(table, offer.shippingCents || 0, offer.currency, currency);
+    if (priceCents === null || shippingCents === null) return { ...offer, converted: null };
+    const landedTotalCents = Number.isFinite(offer.landedTotalCents)
+      ? convertMinor(table, offer.landedTotalCents, offer.currency, currency)
+      : null;
+    return {
+      ...offer,
+      converted: {
+        currency,
+        priceCents,
+        shippingCents,
+        totalCents: priceCents + shippingCents,
+        landedTotalCents,
+        formattedPrice: formatMoney(priceCents, currency, locale),
+        formattedTotal: formatMoney(priceCents + shippingCents, currency, locale),
+        formattedLandedTotal: landedTotalCents === null ? null : formatMoney(landedTotalCents, currency, locale),
+        estimated: offer.currency !== currency
+      }
+    };
+  });
+}
+
 async function ensureActionableOffer(offer) {
   if (!offer) return null;
   // For now, offers are already actionable if they have a URL.
   return offer;
 }
 
-function recommendedOfferIdForStrategy(offers, strategy) {
-  const list = Array.isArray(offers) ? offers.filter((o) => o && o.inStock) : [];
-  if (list.length === 0) return null;
-  const pref = String(strategy || 'BALANCED').toUpperCase();
-
-  const sorted = list.slice().sort((a, b) => {
-    const at = a.priceCents + a.shippingCents;
-    const bt = b.priceCents + b.shippingCents;
-
-    if (pref === 'FASTEST_SHIPPING') {
-      if (a.etaDays !== b.etaDays) return a.etaDays - b.etaDays;
-      return at - bt;
-    }
-    if (pref === 'BEST_PRICE') {
-      if (at !== bt) return at - bt;
-      return a.etaDays - b.etaDays;
+// Upserts one provider offer for `product` and logs its price observation and stock change.
+async function saveProviderOffer(product, o) {
+  const productId = product.id;
+  const previous = await prisma.offer.findUnique({
+    where: { productId_vendorId: { productId, vendorId: o.vendorId } }
+  });
+  const saved = await prisma.offer.upsert({
+    where: {
+      productId_vendorId: {
+        productId,
+        vendorId: o.vendorId
+      }
+    },
+    update: {
+      vendorName: o.vendorName || o.vendorId,
+      title: o.title || product.title,
+      priceCents: o.priceCents,
+      shippingCents: Number.isFinite(o.shippingCents) ? o.shippingCents : 0,
+      currency: normalizeCurrency(o.currency) || baseCurrency(),
+      etaDays: Number.isFinite(o.etaDays) ? o.etaDays : 5,
+      inStock: o.inStock !== false,
+      condition: normalizeCondition(o.itemCondition),
+      productUrl: String(o.productUrl || '').trim(),
+      providerId: o.providerId || null,
+      shipsFrom: normalizeCountry(o.shipsFrom),
+      missedRefreshes: 0,
+      source: OFFER_SOURCE.PROVIDER,
+      lastVerifiedAt: new Date()
+    },
+    create: {
+      productId,
+      vendorId: o.vendorId,
+      vendorName: o.vendorName || o.vendorId,
+      title: o.title || product.title,
+      priceCents: o.priceCents,
+      shippingCents: Number.isFinite(o.shippingCents) ? o.shippingCents : 0,
+      currency: normalizeCurrency(o.currency) || baseCurrency(),
+      etaDays: Number.isFinite(o.etaDays) ? o.etaDays : 5,
+      inStock: o.inStock !== false,
+      condition: normalizeCondition(o.itemCondition),
+      productUrl: String(o.productUrl || '').trim(),
+      providerId: o.providerId || null,
+      shipsFrom: normalizeCountry(o.shipsFrom),
+      source: OFFER_SOURCE.PROVIDER,
+      lastVerifiedAt: new Date()
     }
-    // BALANCED
-    if (at !== bt) return at - bt;
-    return a.etaDays - b.etaDays;
   });
+  await recordOfferObservation(saved, o.providerId || 'web');
+  // An offer that had been dropped from results and is listed again counts as RETURNED.
+  const reason =
+    previous && !previous.inStock && previous.missedRefreshes > 0 && saved.inStock
+      ? STOCK_REASON.RETURNED
+      : STOCK_REASON.PROVIDER_REPORTED;
+  await recordStockChange(previous, saved, reason, o.providerId || 'web');
+}
 
-  return sorted[0]?.id || null;
+// Stored offers the search didn't return are re-read from their own listing when their provider
+// can fetch one directly (an Amazon ASIN, a feed row by URL), so a listing that dropped out of
+// search results keeps its price current instead of going stale. Returns the refreshed vendorIds.
+async function refreshListings(product, returnedVendorIds) {
+  const providers = new Set(getEnabledProviders().filter(canFetchByListing).map((p) => p.id));
+  if (providers.size === 0) return [];
+  const stored = await prisma.offer.findMany({
+    where: { productId: product.id, source: OFFER_SOURCE.PROVIDER, ...PRICED_OFFER_WHERE }
+  });
+  const refreshed = [];
+  for (const offer of stored) {
+    const providerId = providerIdFor(offer);
+    if (returnedVendorIds.has(offer.vendorId) || !providers.has(providerId) || !offer.productUrl) continue;
+    const o = await fetchOfferByListing({ productUrl: offer.productUrl, product, providerId });
+    if (!o?.priceCents || o.vendorId !== offer.vendorId) continue;
+    await saveProviderOffer(product, { ...o, productUrl: o.productUrl || offer.productUrl });
+    refreshed.push(offer.vendorId);
+  }
+  return refreshed;
 }
 
-async function refreshWebOffersForProduct(productId, strategy) {
+async function refreshOffersForProduct(productId, strategy, locale) {
   const product = await prisma.product.findUnique({ where: { id: productId } });
   if (!product) return;
 
   const query = normalizeWhitespace(`${product.brand} ${product.title}`.trim());
   if (!query) return;
 
-  if (config.enableWebSearchOffers && config.enableSerpApiProxy && config.serpApiApiKey) {
-    try {
-      const webOffers = await fetchTopOffers({ query, strategy });
-      await Promise.allSettled(
-        (Array.isArray(webOffers) ? webOffers : []).map(async (o) => {
-          if (!o?.vendorId || !o?.productUrl || !o?.priceCents) return;
-          await prisma.offer.upsert({
-            where: {
-              productId_vendorId: {
-                productId,
-                vendorId: o.vendorId
-              }
-            },
-            update: {
-              vendorName: o.vendorName || o.vendorId,
-              title: o.title || product.title,
-              priceCents: o.priceCents,
-              shippingCents: Number.isFinite(o.shippingCents) ? o.shippingCents : 0,
-              etaDays: Number.isFinite(o.etaDays) ? o.etaDays : 5,
-              inStock: o.inStock !== false,
-              productUrl: String(o.productUrl || '').trim()
-            },
-            create: {
-              productId,
-              vendorId: o.vendorId,
-              vendorName: o.vendorName || o.vendorId,
-              title: o.title || product.title,
-              priceCents: o.priceCents,
-              shippingCents: Number.isFinite(o.shippingCents) ? o.shippingCents : 0,
-              etaDays: Number.isFinite(o.etaDays) ? o.etaDays : 5,
-              inStock: o.inStock !== false,
-              productUrl: String(o.productUrl || '').trim()
-            }
-          });
-        })
-      );
-    } catch (error) {
-      // Never fail the whole request just because a web provider timed out / throttled.
-      console.warn('[Offers:web] refresh failed', error?.message || error);
-    }
+  try {
+    const { offers: providerOffers, respondedProviderIds } = await searchProvidersWithStatus({
+      query,
+      strategy,
+      product,
+      locale
+    });
+    const returnedVendorIds = new Set();
+    await Promise.allSettled(
+      providerOffers.map(async (o) => {
+        if (!o?.vendorId || !o?.productUrl || !o?.priceCents) return;
+        returnedVendorIds.add(o.vendorId);
+        await saveProviderOffer(product, o);
+      })
+    );
+    for (const vendorId of await refreshListings(product, returnedVendorIds)) returnedVendorIds.add(vendorId);
+    await markMissingOffers(productId, returnedVendorIds, respondedProviderIds);
+  } catch (error) {
+    // Never fail the whole request just because a provider timed out / throttled.
+    console.warn('[Offers] provider refresh failed', error?.message || error);
   }
 
-  // Demo reliability: if live search only returns 0-1 offers (common with anti-bot / missing prices),
-  // synthesize additional vendor options as "estimated" search links so the UI can always show choices.
-  const existing = await prisma.offer.findMany({ where: { productId, inStock: true } });
-  if (existing.length >= 3) return;
-
-  const existingVendorIds = new Set(existing.map((o) => o.vendorId));
-  const minPrice = existing.reduce((m, o) => Math.min(m, o.priceCents || 1e12), 1e12);
-  const basePrice = Number.isFinite(minPrice) && minPrice < 1e12 ? minPrice : 1999;
-
-  const q = encodeURIComponent(query);
-  const fallbacks = [
-    {
-      vendorId: 'fallback:ebay',
-      vendorName: 'eBay',
-      url: `https://www.ebay.com/sch/i.html?_nkw=${q}`,
-      priceMult: 0.92,
-      etaDays: 6
-    },
-    {
-      vendorId: 'fallback:walmart',
-      vendorName: 'Walmart',
-      url: `https://www.walmart.com/search?q=${q}`,
-      priceMult: 0.98,
-      etaDays: 4
-    },
-    {
-      vendorId: 'fallback:target',
-      vendorName: 'Target',
-      url: `https://www.target.com/s?searchTerm=${q}`,
-      priceMult: 1.03,
-      etaDays: 5
-    },
-    {
-      vendorId: 'fallback:bestbuy',
-      vendorName: 'Best Buy',
-      url: `https://www.bestbuy.com/site/searchpage.jsp?st=${q}`,
-      priceMult: 1.05,
-      etaDays: 5
-    }
-  ];
+  // Rows synthesized by the old fallback logic carry made-up prices; search links replace them.
+  await prisma.offer.deleteMany({ where: { productId, vendorId: { startsWith: LEGACY_FALLBACK_PREFIX } } });
+}
 
-  for (const fb of fallbacks) {
-    if (existingVendorIds.has(fb.vendorId)) continue;
-    const priceCents = Math.max(99, Math.round(basePrice * fb.priceMult));
-    await prisma.offer.create({
-      data: {
-        productId,
-        vendorId: fb.vendorId,
-        vendorName: fb.vendorName,
-        title: product.title,
-        priceCents,
-        shippingCents: 0,
-        etaDays: fb.etaDays,
-        inStock: true,
-        productUrl: fb.url
-      }
-    });
-    existingVendorIds.add(fb.vendorId);
-    if (existingVendorIds.size >= 3) break;
+// The shipping address landed costs are estimated for: the requested one when it belongs to the
+// user, else their most recently added address.
+async function shippingAddressFor(userId, addressId) {
+  if (!userId) return null;
+  if (addressId) {
+    const address = await prisma.address.findFirst({ where: { id: String(addressId), userId } });
+    if (address) return address;
   }
+  return prisma.address.findFirst({ where: { userId }, orderBy: { createdAt: 'desc' } });
 }
 
 async function getRankedOffers({
   productId,
   userId,
+  addressId,
   strategy = 'BALANCED',
   refreshLive = false
 }) {
+  const user = userId ? await prisma.user.findUnique({ where: { id: userId } }) : null;
+  const money = moneyContextFor(user);
   if (refreshLive) {
     try {
-      await refreshWebOffersForProduct(productId, strategy);
+      await refreshOffersForProduct(productId, strategy, { country: money.country, language: money.language });
     } catch (error) {
-      // Safety net: refreshWebOffersForProduct already swallows web errors,
+      // Safety net: refreshOffersForProduct already swallows provider errors,
       // but keep this to guarantee offer reads never 500.
       console.warn('[Offers] refreshLive failed', error?.message || error);
     }
   }
 
-  const offers = await prisma.offer.findMany({
-    where: { productId, inStock: true }
+  const [product, offers, rates, address, promotions] = await Promise.all([
+    prisma.product.findUnique({ where: { id: productId } }),
+    prisma.offer.findMany({ where: { productId, inStock: true, ...PRICED_OFFER_WHERE } }),
+    getRateTable(),
+    shippingAddressFor(user?.id, addressId),
+    activePromotionsFor([productId])
+  ]);
+  const destination = destinationFor(address);
+  // Effective price (after promotions) -> landed cost -> viewer's currency.
+  const promoted = withPromotions(applyStalePolicy(offers.map(normalizeOffer)), promotions, rates);
+  const landed = withLandedCosts(promoted, destination, rates);
+  const normalized = withConvertedPrices(landed, rates, money);
+  const ranked = rankOffers(normalized, {
+    strategy: normalizeStrategy(strategy),
+    weights: parseStoredWeights(user?.rankingWeights),
+    locale: money.locale
   });
-  const normalized = offers.map(normalizeOffer);
-  const recommendedOfferId = recommendedOfferIdForStrategy(normalized, strategy);
-  return { offers: normalized, recommendedOfferId, strategy };
+  return {
+    offers: ranked.offers,
+    recommendedOfferId: ranked.recommendedOfferId,
+    strategy,
+    weights: ranked.weights,
+    currency: money.currency,
+    locale: money.locale,
+    exchangeRates: { sourceId: rates.sourceId, asOf: rates.asOf },
+    shippingAddressId: address?.id || null,
+    destination,
+    searchLinks: product ? buildSearchLinks(`${product.brand} ${product.title}`, ranked.offers) : []
+  };
 }
 
+// Offers for the best-ranked products matching a free-text query. A miss returns no candidates
+// (plus search links) unless `createIfMissing` asks for a product to be created from the query.
 async function searchOfferCandidates({
   query,
   brandHint,
   userId,
   strategy = 'BALANCED',
-  limit = 8
+  limit = 8,
+  createIfMissing = false
 }) {
-  const q = normalizeWhitespace(query).toLowerCase();
+  const q = normalizeWhitespace(query);
   const take = Math.max(1, Math.min(20, Number(limit) || 8));
 
   let products = [];
   if (q) {
-    // SQLite connector does not support `mode: 'insensitive'` on string filters.
-    // Use a raw LIKE query to get case-insensitive matching.
-    const like = `%${q.replace(/%/g, '\\%').replace(/_/g, '\\_')}%`;
-    products = await prisma.$queryRaw`
-      SELECT id, title, brand, upc, imageUrl
-      FROM Product
-      WHERE lower(title) LIKE ${like} ESCAPE '\\'
-         OR lower(brand) LIKE ${like} ESCAPE '\\'
-      LIMIT ${take}
-    `;
+    const result = await searchProducts({ query: q, limit: take });
+    products = result.products;
   }
 
+  let createdProductId = null;
   if (products.length === 0 && q) {
-    const created = await prisma.product.create({
-      data: {
-        title: normalizeWhitespace(query),
-        brand: normalizeWhitespace(brandHint) || 'Unknown',
-        upc: null,
-        imageUrl: null
-      }
-    });
-    products = [created];
+    const title = q;
+    const brand = normalizeWhitespace(brandHint) || 'Unknown';
+    // "sony wh1000xm5" should land on the existing "Sony WH-1000XM5 ..." product, not a new one.
+    const matched = await findMatchingProduct({ title, brand });
+    if (matched) {
+      products = [matched.product];
+    } else if (!createIfMissing) {
+      return { candidates: [], strategy, createdProductId, searchLinks: buildSearchLinks(q, []) };
+    } else {
+      const product = await prisma.product.create({
+        data: { title, brand, upc: null, imageUrl: null, ...productKeyData({ title, brand }) }
+      });
+      createdProductId = product.id;
+      products = [await assignFamily(product)];
+    }
   }
 
   const candidates = [];
@@ -273,17 +368,21 @@ async function searchOfferCandidates({
       product,
       offers: bundle.offers,
       recommendedOfferId: bundle.recommendedOfferId,
-      bestOffer
+      bestOffer,
+      searchLinks: bundle.searchLinks
     });
   }
 
-  return { candidates, strategy };
+  return { candidates, strategy, createdProductId };
 }
 
 module.exports = {
   SEARCH_MODE,
   normalizeOffer,
+  withConvertedPrices,
+  shippingAddressFor,
   ensureActionableOffer,
+  refreshOffersForProduct,
   getRankedOffers,
   searchOfferCandidates
 };
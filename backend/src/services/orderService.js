@@ -0,0 +1,476 @@
+const crypto = require('crypto');
+const { prisma } = require('../db');
+const { isLegacyFallbackOffer } = require('./searchLinks');
+const { getRateTable } = require('./exchangeRates');
+const { destinationFor, estimateLandedCost } = require('./landedCost');
+const { freshnessFor } = require('./offerFreshness');
+const { activePromotionsFor, applyBestPromotion } = require('./promotions');
+
+const ORDER_STATUS = {
+  PENDING: 'PENDING',
+  AUTHORIZED: 'AUTHORIZED',
+  PLACED_WITH_VENDOR: 'PLACED_WITH_VENDOR',
+  SHIPPED: 'SHIPPED',
+  DELIVERED: 'DELIVERED',
+  FAILED: 'FAILED',
+  CANCELLED: 'CANCELLED',
+  REFUNDED: 'REFUNDED'
+};
+
+const TRANSITIONS = {
+  PENDING: ['AUTHORIZED', 'FAILED', 'CANCELLED'],
+  AUTHORIZED: ['PLACED_WITH_VENDOR', 'CANCELLED'],
+  PLACED_WITH_VENDOR: ['SHIPPED', 'CANCELLED', 'REFUNDED'],
+  SHIPPED: ['DELIVERED', 'REFUNDED'],
+  DELIVERED: ['REFUNDED'],
+  FAILED: [],
+  CANCELLED: [],
+  REFUNDED: []
+};
+
+const CANCELLABLE = ['PENDING', 'AUTHORIZED', 'PLACED_WITH_VENDOR'];
+
+function canTransition(fromStatus, toStatus) {
+  return (TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+function orderError(message, httpStatus, code) {
+  const err = new Error(message);
+  err.httpStatus = httpStatus;
+  err.code = code;
+  return err;
+}
+
+// A single purchase needs a real listing, in stock, with a price verified within the offer's TTL
+// (see offerFreshness.js). cartService.revalidateCartItems applies the same checks to each cart item.
+function assertPurchasable(offer) {
+  if (isLegacyFallbackOffer(offer)) throw orderError('Search links cannot be purchased', 409, 'NOT_PURCHASABLE');
+  if (!offer.inStock) throw orderError('Offer is out of stock', 409, 'OUT_OF_STOCK');
+  if (freshnessFor(offer).stale) {
+    throw orderError('Offer price is out of date; refresh offers and retry', 409, 'OFFER_STALE');
+  }
+}
+
+// Stable hash of the purchase parameters so a reused Idempotency-Key with a
+// different body can be rejected instead of silently replaying the first order.
+function hashPurchaseRequest(params) {
+  const keys = Object.keys(params).sort();
+  const canonical = JSON.stringify(keys.map((k) => [k, params[k] === undefined ? null : String(params[k])]));
+  return crypto.createHash('sha256').update(canonical).digest('hex');
+}
+
+async function transitionOrder(orderId, toStatus, { note, data } = {}) {
+  const order = await prisma.order.findUnique({ where: { id: orderId } });
+  if (!order) throw orderError('Order not found', 404, 'ORDER_NOT_FOUND');
+  if (!canTransition(order.status, toStatus)) {
+    throw orderError(`Cannot move order from ${order.status} to ${toStatus}`, 409, 'INVALID_TRANSITION');
+  }
+
+  // Guard on the current status so concurrent transitions cannot both apply.
+  return prisma.$transaction(async (tx) => {
+    const updated = await tx.order.updateMany({
+      where: { id: orderId, status: order.status },
+      data: { ...(data || {}), status: toStatus }
+    });
+    if (updated.count === 0) throw orderError('Order changed concurrently; retry', 409, 'CONCURRENT_UPDATE');
+    await tx.orderStatusEvent.create({
+      data: { orderId, fromStatus: order.status, toStatus, note: note || null }
+    });
+    return tx.order.findUnique({ where: { id: orderId } });
+  });
+}
+
+async function findIdempotentOrder(userId, idempotencyKey, requestHash) {
+  if (!idempotencyKey) return null;
+  const existing = await prisma.order.findFirst({ where: { userId, idempotencyKey } });
+  if (!existing) return null;
+  if (existing.requestHash && requestHash && existing.requestHash !== requestHash) {
+    throw orderError('Idempotency-Key was already used with different purchase parameters', 422, 'IDEMPOTENCY_MISMATCH');
+  }
+  return existing;
+}
+
+// Creates the PENDING order before any money moves. The (userId, idempotencyKey)
+// unique constraint makes concurrent retries collapse onto a single order. The total
+// charged is the landed cost of the promoted price (what /offers ranked) for the shipping address.
+async function createPendingOrder({ user, product, offer, address, idempotencyKey, requestHash }) {
+  const [rateTable, promotions] = await Promise.all([getRateTable(), activePromotionsFor([product.id])]);
+  const priced = applyBestPromotion(offer, promotions, rateTable);
+  const landed = estimateLandedCost(priced, destinationFor(address), rateTable);
+  const totalCents = landed.landedTotalCents;
+  try {
+    const order = await prisma.order.create({
+      data: {
+        userId: user.id,
+        productId: product.id,
+        offerId: offer.id,
+        totalCents,
+        currency: offer.currency || 'USD',
+        status: ORDER_STATUS.PENDING,
+        idempotencyKey: idempotencyKey || null,
+        requestHash: requestHash || null,
+        vendorId: offer.vendorId,
+        vendorName: offer.vendorName,
+        offerTitle: offer.title,
+        productUrl: offer.productUrl,
+        priceCents: priced.priceCents,
+        shippingCents: priced.shippingCents,
+        discountCents: priced.promotion?.savingsCents || 0,
+        promotionCode: priced.promotion?.code || null,
+        etaDays: offer.etaDays,
+        taxCents: landed.taxCents,
+        dutyCents: landed.dutyCents,
+        shipName: address.name,
+        shipLine1: address.line1,
+        shipCity: address.city,
+        shipState: address.state,
+        shipZip: address.zip,
+        shipCountry: address.country || 'US',
+        statusEvents: {
+          create: { fromStatus: null, toStatus: ORDER_STATUS.PENDING, note: 'Order created' }
+        }
+      }
+    });
+    return { order, replay: false };
+  } catch (error) {
+    if (error?.code === 'P2002' && idempotencyKey) {
+      const existing = await findIdempotentOrder(user.id, idempotencyKey, requestHash);
+      if (existing) return { order: existing, replay: true };
+    }
+    throw error;
+  }
+}
+
+const REFUNDABLE = ['PLACED_WITH_VENDOR', 'SHIPPED', 'DELIVERED'];
+
+// `link` is { orderId } or { checkoutId } plus the known paymentIntentId.
+async function logPaymentTransaction(link, type, result, amountCents) {
+  return prisma.paymentTransaction.create({
+    data: {
+      orderId: link.orderId || null,
+      checkoutId: link.checkoutId || null,
+      paymentIntentId: result?.paymentIntentId || link.paymentIntentId || 'unknown',
+      type,
+      status: String(result?.status || 'UNKNOWN'),
+      amountCents: Number.isFinite(amountCents) ? amountCents : null,
+      currency: link.currency || 'USD',
+      providerRef: result?.refundId || null,
+      reason: result?.reason ? String(result.reason).slice(0, 200) : null
+    }
+  });
+}
+
+function recordPaymentTransaction(order, type, result, amountCents) {
+  return logPaymentTransaction(
+    { orderId: order.id, paymentIntentId: order.paymentIntentId, currency: order.currency },
+    type,
+    result,
+    amountCents
+  );
+}
+
+// The mock provider forgets intents on restart and throws; report that as a conflict on the
+// order rather than a 500.
+async function callPayment(fn) {
+  try {
+    return await fn();
+  } catch (error) {
+    if (error?.code === 'PAYMENT_INTENT_NOT_FOUND') {
+      throw orderError('The payment provider no longer knows this payment', 409, 'PAYMENT_INTENT_UNKNOWN');
+    }
+    throw error;
+  }
+}
+
+// Claims `amount` of the captured total on the order before the provider is called, so two
+// refunds (or a refund racing a cancel) cannot both pass the remaining-balance check. The claim
+// is released when the provider does not refund.
+async function refundWithReservation(paymentService, order, amount) {
+  const reserved = await prisma.order.updateMany({
+    where: { id: order.id, status: order.status, refundedCents: order.refundedCents },
+    data: { refundedCents: order.refundedCents + amount }
+  });
+  if (reserved.count === 0) throw orderError('Order changed concurrently; retry', 409, 'CONCURRENT_UPDATE');
+  const release = () =>
+    prisma.order.update({ where: { id: order.id }, data: { refundedCents: { decrement: amount } } });
+
+  let refund;
+  try {
+    refund = await callPayment(() => paymentService.refundPayment(order.paymentIntentId, amount));
+  } catch (error) {
+    await release();
+    throw error;
+  }
+  await recordPaymentTransaction(order, 'REFUND', refund, amount);
+  if (refund.status !== 'REFUNDED') {
+    await release();
+    throw orderError(`Refund failed: ${refund.reason || refund.status}`, 409, 'REFUND_FAILED');
+  }
+  return refund;
+}
+
+// Like callPayment, but a provider error becomes an ERROR result so the caller can still
+// log it and release what the payment holds.
+async function paymentResult(fn) {
+  try {
+    return await callPayment(fn);
+  } catch (error) {
+    return { status: 'ERROR', reason: String(error?.message || error) };
+  }
+}
+
+async function voidAuthorization(paymentService, order) {
+  const voided = await paymentResult(() => paymentService.voidPayment(order.paymentIntentId));
+  await recordPaymentTransaction(order, 'VOID', voided, order.totalCents);
+  return voided;
+}
+
+// AUTHORIZED -> capture the full amount -> PLACED_WITH_VENDOR. A failed or erroring capture
+// releases the authorization and cancels the order rather than leaving funds held.
+async function captureAndPlace(paymentService, order) {
+  const capture = await paymentResult(() => paymentService.capturePayment(order.paymentIntentId, order.totalCents));
+  await recordPaymentTransaction(order, 'CAPTURE', capture, order.totalCents);
+
+  if (capture.status !== 'CAPTURED') {
+    const voided = await voidAuthorization(paymentService, order);
+    return transitionOrder(order.id, ORDER_STATUS.CANCELLED, {
+      note: `Capture failed: ${String(capture.reason || capture.status).slice(0, 200)}`,
+      data: { paymentStatus: voided.status === 'VOIDED' ? 'VOIDED' : 'CAPTURE_FAILED' }
+    });
+  }
+
+  return transitionOrder(order.id, ORDER_STATUS.PLACED_WITH_VENDOR, {
+    note: `Handed off to ${order.vendorName || 'vendor'}`,
+    data: {
+      capturedCents: capture.capturedCents || order.totalCents,
+      paymentStatus: capture.settlement === 'PENDING_SETTLEMENT' ? 'PENDING_SETTLEMENT' : 'CAPTURED'
+    }
+  });
+}
+
+async function applyAuthorizationResult(paymentService, order, auth) {
+  if (auth.status === 'AUTHORIZED') {
+    let authorized;
+    try {
+      authorized = await transitionOrder(order.id, ORDER_STATUS.AUTHORIZED, {
+        note: 'Payment authorized',
+        data: { paymentIntentId: auth.paymentIntentId, paymentStatus: 'AUTHORIZED' }
+      });
+    } catch (error) {
+      if (!['INVALID_TRANSITION', 'CONCURRENT_UPDATE'].includes(error?.code)) throw error;
+      // Cancelled while the authorization was in flight: nothing will capture it, so release it.
+      const voided = await voidAuthorization(paymentService, { ...order, paymentIntentId: auth.paymentIntentId });
+      const released = await prisma.order.update({
+        where: { id: order.id },
+        data: {
+          paymentIntentId: auth.paymentIntentId,
+          paymentStatus: voided.status === 'VOIDED' ? 'VOIDED' : 'VOID_FAILED'
+        }
+      });
+      return { order: released, paymentStatus: released.paymentStatus };
+    }
+    return { order: await captureAndPlace(paymentService, authorized), paymentStatus: 'AUTHORIZED' };
+  }
+
+  if (auth.status === 'REQUIRES_ACTION') {
+    // Stay PENDING until the shopper completes the challenge (POST /orders/:id/payment/challenge).
+    const pending = await prisma.order.update({
+      where: { id: order.id },
+      data: { paymentIntentId: auth.paymentIntentId, paymentStatus: 'REQUIRES_ACTION' }
+    });
+    return { order: pending, paymentStatus: 'REQUIRES_ACTION', challenge: auth.challenge || null };
+  }
+
+  const failed = await transitionOrder(order.id, ORDER_STATUS.FAILED, {
+    note: auth.reason ? `Payment ${auth.status}: ${auth.reason}` : `Payment ${auth.status}`,
+    data: { paymentIntentId: auth.paymentIntentId, paymentStatus: auth.status }
+  });
+  return { order: failed, paymentStatus: auth.status };
+}
+
+async function placeOrder({
+  paymentService,
+  user,
+  product,
+  offer,
+  address,
+  paymentMethodToken,
+  idempotencyKey,
+  requestHash
+}) {
+  const replayed = await findIdempotentOrder(user.id, idempotencyKey, requestHash);
+  if (replayed) return { order: replayed, replay: true };
+  assertPurchasable(offer);
+
+  const { order, replay } = await createPendingOrder({
+    user,
+    product,
+    offer,
+    address,
+    idempotencyKey,
+    requestHash
+  });
+  if (replay) return { order, replay: true };
+
+  let auth;
+  try {
+    const intent = await paymentService.createPaymentIntent(order.totalCents, order.currency, {
+      userId: user.id,
+      productId: product.id,
+      offerId: offer.id,
+      orderId: order.id
+    });
+    auth = await paymentService.authorizePayment(intent.paymentIntentId, paymentMethodToken);
+    await recordPaymentTransaction(order, 'AUTHORIZE', auth, order.totalCents);
+  } catch (error) {
+    const failed = await transitionOrder(order.id, ORDER_STATUS.FAILED, {
+      note: `Payment error: ${String(error?.message || error).slice(0, 200)}`,
+      data: { paymentStatus: 'ERROR' }
+    });
+    return { order: failed, replay: false, paymentStatus: 'ERROR' };
+  }
+
+  const result = await applyAuthorizationResult(paymentService, order, auth);
+  return { ...result, replay: false };
+}
+
+async function completePaymentChallenge({ paymentService, orderId, userId, challengeResponse }) {
+  const order = await prisma.order.findFirst({ where: { id: orderId, userId } });
+  if (!order) throw orderError('Order not found', 404, 'ORDER_NOT_FOUND');
+  if (order.status !== ORDER_STATUS.PENDING || order.paymentStatus !== 'REQUIRES_ACTION') {
+    throw orderError('Order has no pending payment challenge', 409, 'NO_PENDING_CHALLENGE');
+  }
+
+  const auth = await callPayment(() => paymentService.completeChallenge(order.paymentIntentId, challengeResponse));
+  await recordPaymentTransaction(order, 'CHALLENGE', auth, order.totalCents);
+  return applyAuthorizationResult(paymentService, order, auth);
+}
+
+// Captures made with delayed settlement report PENDING_SETTLEMENT until the provider settles.
+async function refreshSettlement(paymentService, order) {
+  if (order?.paymentStatus !== 'PENDING_SETTLEMENT' || !order.paymentIntentId) return order;
+  try {
+    const status = await paymentService.getPaymentStatus(order.paymentIntentId);
+    if (status?.settlement !== 'SETTLED') return order;
+    return prisma.order.update({ where: { id: order.id }, data: { paymentStatus: 'SETTLED' } });
+  } catch (error) {
+    console.warn('[Orders] settlement check failed', order.id, error?.message || error);
+    return order;
+  }
+}
+
+async function getOrderWithHistory(orderId, userId, paymentService) {
+  const order = await prisma.order.findFirst({ where: { id: orderId, userId } });
+  if (!order) return null;
+  if (paymentService) await refreshSettlement(paymentService, order);
+  return prisma.order.findUnique({
+    where: { id: order.id },
+    include: {
+      product: true,
+      statusEvents: { orderBy: { createdAt: 'asc' } },
+      paymentTransactions: { orderBy: { createdAt: 'asc' } }
+    }
+  });
+}
+
+// Shoppers act on their own orders; the vendor webhook (byVendor) acts on any order.
+function findActionableOrder(orderId, userId, byVendor) {
+  return prisma.order.findFirst({ where: byVendor ? { id: orderId } : { id: orderId, userId } });
+}
+
+// The CANCELLED transition is claimed first, so a concurrent cancel, refund or vendor update
+// cannot also act on the payment. Held funds are released afterwards: an uncaptured
+// authorization is voided, anything captured is refunded. If that fails the order stays
+// CANCELLED with paymentStatus REFUND_FAILED or VOID_FAILED, and a refund can be retried.
+async function cancelOrder({ paymentService, orderId, userId, reason, byVendor = false }) {
+  const order = await findActionableOrder(orderId, userId, byVendor);
+  if (!order) throw orderError('Order not found', 404, 'ORDER_NOT_FOUND');
+  if (!CANCELLABLE.includes(order.status)) {
+    throw orderError(`Order cannot be cancelled once ${order.status}`, 409, 'INVALID_TRANSITION');
+  }
+
+  const actor = byVendor ? 'vendor' : 'user';
+  const cancelled = await transitionOrder(order.id, ORDER_STATUS.CANCELLED, {
+    note: reason ? `Cancelled by ${actor}: ${String(reason).slice(0, 200)}` : `Cancelled by ${actor}`
+  });
+  if (!cancelled.paymentIntentId) return cancelled;
+
+  let paymentStatus = null;
+  try {
+    if (cancelled.capturedCents > cancelled.refundedCents) {
+      paymentStatus = 'REFUND_FAILED';
+      await refundWithReservation(paymentService, cancelled, cancelled.capturedCents - cancelled.refundedCents);
+      paymentStatus = 'REFUNDED';
+    } else if (['AUTHORIZED', 'REQUIRES_ACTION'].includes(cancelled.paymentStatus)) {
+      paymentStatus = 'VOID_FAILED';
+      const voided = await callPayment(() => paymentService.voidPayment(cancelled.paymentIntentId));
+      await recordPaymentTransaction(cancelled, 'VOID', voided, cancelled.totalCents);
+      if (voided.status === 'VOIDED') paymentStatus = 'VOIDED';
+    }
+  } catch (error) {
+    console.warn('[Orders] releasing funds after cancel failed', order.id, error?.message || error);
+  }
+  if (!paymentStatus) return cancelled;
+  return prisma.order.update({ where: { id: order.id }, data: { paymentStatus } });
+}
+
+// Full or partial refund (returns). Only a full refund moves the order to REFUNDED. A CANCELLED
+// order still holding captured funds (its refund failed) can be refunded here too.
+async function refundOrder({ paymentService, orderId, userId, amountCents, reason, byVendor = false }) {
+  const order = await findActionableOrder(orderId, userId, byVendor);
+  if (!order) throw orderError('Order not found', 404, 'ORDER_NOT_FOUND');
+  const remaining = order.capturedCents - order.refundedCents;
+  const cancelledWithFunds = order.status === ORDER_STATUS.CANCELLED && remaining > 0;
+  if (!REFUNDABLE.includes(order.status) && !cancelledWithFunds) {
+    throw orderError(`Order cannot be refunded while ${order.status}`, 409, 'INVALID_TRANSITION');
+  }
+
+  const amount = amountCents === undefined || amountCents === null ? remaining : Math.round(Number(amountCents));
+  if (!Number.isFinite(amount) || amount <= 0 || amount > remaining) {
+    throw orderError(`Refund amount must be between 1 and ${remaining} cents`, 400, 'INVALID_REFUND_AMOUNT');
+  }
+
+  await refundWithReservation(paymentService, order, amount);
+
+  const fullyRefunded = order.refundedCents + amount >= order.capturedCents;
+  const label = byVendor ? 'Vendor refund' : 'Refund';
+  const note = reason ? `${label}: ${String(reason).slice(0, 200)}` : label;
+  if (fullyRefunded && !cancelledWithFunds) {
+    return transitionOrder(order.id, ORDER_STATUS.REFUNDED, { note, data: { paymentStatus: 'REFUNDED' } });
+  }
+
+  return prisma.$transaction(async (tx) => {
+    await tx.orderStatusEvent.create({
+      data: {
+        orderId: order.id,
+        fromStatus: order.status,
+        toStatus: order.status,
+        note: fullyRefunded ? note : `Partial ${note.toLowerCase()} (${amount} cents)`
+      }
+    });
+    return tx.order.update({
+      where: { id: order.id },
+      data: { paymentStatus: fullyRefunded ? 'REFUNDED' : 'PARTIALLY_REFUNDED' }
+    });
+  });
+}
+
+module.exports = {
+  ORDER_STATUS,
+  TRANSITIONS,
+  CANCELLABLE,
+  REFUNDABLE,
+  canTransition,
+  orderError,
+  assertPurchasable,
+  hashPurchaseRequest,
+  logPaymentTransaction,
+  callPayment,
+  paymentResult,
+  transitionOrder,
+  placeOrder,
+  completePaymentChallenge,
+  getOrderWithHistory,
+  cancelOrder,
+  refundOrder
+};
@@ -1,16 +1,171 @@
+// Magic test tokens (any other non-empty token behaves like visa_test_tok_4242):
+// - visa_test_tok_4242  approve
+// - visa_test_tok_0002  decline (card_declined)
+// - visa_test_tok_9995  decline (insufficient_funds)
+// - visa_test_tok_3220  3DS-style challenge; complete with code "123456" (anything else declines)
+// - visa_test_tok_0077  approve, but captures settle after MOCK_SETTLEMENT_DELAY_MS
+const TEST_TOKENS = {
+  visa_test_tok_0002: { decline: 'card_declined' },
+  visa_test_tok_9995: { decline: 'insufficient_funds' },
+  visa_test_tok_3220: { challenge: true },
+  visa_test_tok_0077: { delayedSettlement: true }
+};
+
+const CHALLENGE_CODE = '123456';
+const SETTLEMENT_DELAY_MS = Number(process.env.MOCK_SETTLEMENT_DELAY_MS || 30000);
+
+// paymentIntentId -> intent state (in-memory; the DB keeps the durable transaction log).
+const intents = new Map();
+
+function requireIntent(paymentIntentId) {
+  if (!paymentIntentId) throw new Error('paymentIntentId is required');
+  const intent = intents.get(paymentIntentId);
+  if (!intent) {
+    // Intents live in memory, so this is what a restart looks like to callers.
+    const err = new Error(`Unknown payment intent ${paymentIntentId}`);
+    err.code = 'PAYMENT_INTENT_NOT_FOUND';
+    throw err;
+  }
+  return intent;
+}
+
+function settle(intent) {
+  if (intent.settleAt && Date.now() >= intent.settleAt) intent.settleAt = null;
+  return intent.settleAt ? 'PENDING_SETTLEMENT' : 'SETTLED';
+}
+
 class MockPaymentService {
   async createPaymentIntent(amountCents, currency, metadata = {}) {
+    const paymentIntentId = `pi_mock_${Date.now()}_${Math.random().toString(16).slice(2, 8)}`;
+    intents.set(paymentIntentId, {
+      amountCents,
+      currency,
+      metadata,
+      status: 'CREATED',
+      authorizedCents: 0,
+      capturedCents: 0,
+      refundedCents: 0,
+      token: null,
+      settleAt: null
+    });
     return {
-      paymentIntentId: `pi_mock_${Date.now()}`,
+      paymentIntentId,
       amountCents,
       currency,
       metadata
     };
   }
 
+  async authorizePayment(paymentIntentId, paymentMethodToken) {
+    const intent = requireIntent(paymentIntentId);
+    if (!paymentMethodToken) throw new Error('paymentMethodToken is required');
+    const behavior = TEST_TOKENS[paymentMethodToken] || {};
+    intent.token = paymentMethodToken;
+
+    if (behavior.decline) {
+      intent.status = 'DECLINED';
+      return { status: 'DECLINED', paymentIntentId, reason: behavior.decline };
+    }
+    if (behavior.challenge) {
+      intent.status = 'REQUIRES_ACTION';
+      return {
+        status: 'REQUIRES_ACTION',
+        paymentIntentId,
+        challenge: { type: '3DS', hint: `Enter code ${CHALLENGE_CODE}` }
+      };
+    }
+    intent.status = 'AUTHORIZED';
+    intent.authorizedCents = intent.amountCents;
+    return { status: 'AUTHORIZED', paymentIntentId, authorizedCents: intent.authorizedCents };
+  }
+
+  async completeChallenge(paymentIntentId, challengeResponse) {
+    const intent = requireIntent(paymentIntentId);
+    if (intent.status !== 'REQUIRES_ACTION') {
+      return { status: 'FAILED', paymentIntentId, reason: 'no_pending_challenge' };
+    }
+    if (String(challengeResponse || '').trim() !== CHALLENGE_CODE) {
+      intent.status = 'DECLINED';
+      return { status: 'DECLINED', paymentIntentId, reason: 'authentication_failed' };
+    }
+    intent.status = 'AUTHORIZED';
+    intent.authorizedCents = intent.amountCents;
+    return { status: 'AUTHORIZED', paymentIntentId, authorizedCents: intent.authorizedCents };
+  }
+
+  // Orders capture the whole authorization when they are handed to the vendor; any other
+  // amount fails rather than silently releasing the rest.
+  async capturePayment(paymentIntentId, amountCents) {
+    const intent = requireIntent(paymentIntentId);
+    if (intent.status !== 'AUTHORIZED') {
+      return { status: 'FAILED', paymentIntentId, reason: `cannot_capture_${intent.status.toLowerCase()}` };
+    }
+    const amount = amountCents === undefined ? intent.authorizedCents : Math.round(Number(amountCents));
+    if (amount !== intent.authorizedCents) {
+      return { status: 'FAILED', paymentIntentId, reason: 'invalid_capture_amount' };
+    }
+    intent.capturedCents = amount;
+    intent.status = 'CAPTURED';
+    if (TEST_TOKENS[intent.token]?.delayedSettlement) intent.settleAt = Date.now() + SETTLEMENT_DELAY_MS;
+    return {
+      status: 'CAPTURED',
+      paymentIntentId,
+      capturedCents: amount,
+      settlement: settle(intent)
+    };
+  }
+
+  async voidPayment(paymentIntentId) {
+    const intent = requireIntent(paymentIntentId);
+    if (!['AUTHORIZED', 'REQUIRES_ACTION'].includes(intent.status)) {
+      return { status: 'FAILED', paymentIntentId, reason: `cannot_void_${intent.status.toLowerCase()}` };
+    }
+    intent.status = 'VOIDED';
+    return { status: 'VOIDED', paymentIntentId };
+  }
+
+  async refundPayment(paymentIntentId, amountCents) {
+    const intent = requireIntent(paymentIntentId);
+    const refundable = intent.capturedCents - intent.refundedCents;
+    if (intent.status !== 'CAPTURED' || refundable <= 0) {
+      return { status: 'FAILED', paymentIntentId, reason: 'nothing_to_refund' };
+    }
+    const amount = amountCents === undefined ? refundable : Math.round(Number(amountCents));
+    if (!Number.isFinite(amount) || amount <= 0 || amount > refundable) {
+      return { status: 'FAILED', paymentIntentId, reason: 'invalid_refund_amount' };
+    }
+    intent.refundedCents += amount;
+    return {
+      status: 'REFUNDED',
+      paymentIntentId,
+      refundId: `re_mock_${Date.now()}`,
+      refundedCents: amount,
+      totalRefundedCents: intent.refundedCents,
+      fullyRefunded: intent.refundedCents >= intent.capturedCents
+    };
+  }
+
+  async getPaymentStatus(paymentIntentId) {
+    const intent = requireIntent(paymentIntentId);
+    return {
+      paymentIntentId,
+      status: intent.status,
+      authorizedCents: intent.authorizedCents,
+      capturedCents: intent.capturedCents,
+      refundedCents: intent.refundedCents,
+      settlement: intent.status === 'CAPTURED' ? settle(intent) : null
+    };
+  }
+
+  // Authorize + capture in one step (kept for callers that do not need the split).
   async confirmPayment(paymentIntentId, paymentMethodToken) {
     if (!paymentIntentId) throw new Error('paymentIntentId is required');
     if (!paymentMethodToken) throw new Error('paymentMethodToken is required');
+    const auth = await this.authorizePayment(paymentIntentId, paymentMethodToken);
+    if (auth.status !== 'AUTHORIZED') {
+      return { status: auth.status === 'REQUIRES_ACTION' ? 'REQUIRES_ACTION' : 'FAILED', paymentIntentId, reason: auth.reason };
+    }
+    await this.capturePayment(paymentIntentId);
     return {
       status: 'CONFIRMED',
       paymentIntentId
@@ -19,4 +174,3 @@ class MockPaymentService {
 }
 
 module.exports = { MockPaymentService };
-
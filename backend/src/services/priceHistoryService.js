@@ -0,0 +1,174 @@
+const { prisma } = require('../db');
+const { PRICED_OFFER_WHERE } = require('./searchLinks');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LOWEST_IN_WINDOWS = [7, 30, 90];
+
+function totalCents(row) {
+  return Number(row?.priceCents || 0) + Number(row?.shippingCents || 0);
+}
+
+function observationChanged(previous, offer) {
+  if (!previous) return true;
+  return (
+    previous.priceCents !== offer.priceCents ||
+    previous.shippingCents !== offer.shippingCents ||
+    previous.etaDays !== offer.etaDays ||
+    previous.inStock !== offer.inStock
+  );
+}
+
+// Append a price observation for an offer row, but only when something a shopper
+// would care about changed since the last observation (avoids one row per refresh).
+async function recordOfferObservation(offer, source = 'unknown') {
+  if (!offer?.id || !offer?.productId) return null;
+
+  const previous = await prisma.priceObservation.findFirst({
+    where: { offerId: offer.id },
+    orderBy: { observedAt: 'desc' }
+  });
+  if (!observationChanged(previous, offer)) return null;
+
+  return prisma.priceObservation.create({
+    data: {
+      productId: offer.productId,
+      offerId: offer.id,
+      vendorId: offer.vendorId,
+      vendorName: offer.vendorName,
+      priceCents: offer.priceCents,
+      shippingCents: offer.shippingCents,
+      etaDays: offer.etaDays,
+      inStock: offer.inStock !== false,
+      source: String(source || 'unknown')
+    }
+  });
+}
+
+function summarize(points) {
+  if (points.length === 0) {
+    return { minTotalCents: null, maxTotalCents: null, avgTotalCents: null, observations: 0 };
+  }
+  const totals = points.map((p) => p.totalCents);
+  const sum = totals.reduce((acc, t) => acc + t, 0);
+  return {
+    minTotalCents: Math.min(...totals),
+    maxTotalCents: Math.max(...totals),
+    avgTotalCents: Math.round(sum / totals.length),
+    observations: totals.length
+  };
+}
+
+// How many whole days the current total has been the lowest observed: since the observation that
+// replaced the last lower one, or since the first observation when none was lower. `points` are
+// in observation order.
+function lowestInDays(points, currentTotal, now) {
+  if (!Number.isFinite(currentTotal) || points.length === 0) return 0;
+  const lastLower = points.findLastIndex((p) => p.totalCents < currentTotal);
+  if (lastLower === points.length - 1) return 0;
+  const since = new Date(points[lastLower + 1].observedAt).getTime();
+  return Math.max(0, Math.floor((now - since) / DAY_MS));
+}
+
+function lowestInFlags(points, currentTotal, now) {
+  const flags = {};
+  for (const days of LOWEST_IN_WINDOWS) {
+    const cutoff = now - days * DAY_MS;
+    const windowPoints = points.filter((p) => new Date(p.observedAt).getTime() >= cutoff);
+    flags[days] =
+      Number.isFinite(currentTotal) &&
+      windowPoints.length > 0 &&
+      windowPoints.every((p) => currentTotal <= p.totalCents);
+  }
+  return flags;
+}
+
+// `days` bounds the chart and its stats. The lowest-in flags always look back at least 90 days,
+// so "lowest in 90 days" is never claimed from a shorter history.
+async function getPriceHistory(productId, { days = 30 } = {}) {
+  const windowDays = Math.max(1, Math.min(365, Math.round(Number(days) || 30)));
+  const lookbackDays = Math.max(windowDays, ...LOWEST_IN_WINDOWS);
+  const now = Date.now();
+  const since = new Date(now - windowDays * DAY_MS);
+
+  const [observations, currentOffers] = await Promise.all([
+    // Legacy fallback rows had fabricated prices; they are neither history nor a current price.
+    prisma.priceObservation.findMany({
+      where: { productId, observedAt: { gte: new Date(now - lookbackDays * DAY_MS) }, ...PRICED_OFFER_WHERE },
+      orderBy: { observedAt: 'asc' }
+    }),
+    prisma.offer.findMany({ where: { productId, inStock: true, ...PRICED_OFFER_WHERE } })
+  ]);
+
+  // Each vendor keeps its full lookback `history` for the flags and the charted `points`.
+  const byVendor = new Map();
+  for (const row of observations) {
+    const existing = byVendor.get(row.vendorId) || {
+      vendorId: row.vendorId,
+      vendorName: row.vendorName,
+      offerId: row.offerId,
+      points: [],
+      history: []
+    };
+    existing.vendorName = row.vendorName;
+    existing.offerId = row.offerId;
+    const point = {
+      observedAt: row.observedAt,
+      priceCents: row.priceCents,
+      shippingCents: row.shippingCents,
+      totalCents: totalCents(row),
+      etaDays: row.etaDays,
+      inStock: row.inStock,
+      source: row.source
+    };
+    existing.history.push(point);
+    if (new Date(row.observedAt) >= since) existing.points.push(point);
+    byVendor.set(row.vendorId, existing);
+  }
+
+  const history = observations.map((row) => ({ observedAt: row.observedAt, totalCents: totalCents(row) }));
+  const allPoints = history.filter((p) => new Date(p.observedAt) >= since);
+  const currentByVendor = new Map(currentOffers.map((o) => [o.vendorId, o]));
+
+  const vendors = [...byVendor.values()]
+    .filter((series) => series.points.length > 0)
+    .map(({ history: vendorHistory, ...series }) => {
+      const current = currentByVendor.get(series.vendorId) || null;
+      const currentTotal = current ? totalCents(current) : null;
+      return {
+        ...series,
+        currentTotalCents: currentTotal,
+        stats: summarize(series.points),
+        lowestInDays: current ? lowestInDays(vendorHistory, currentTotal, now) : 0,
+        isLowestIn: lowestInFlags(vendorHistory, currentTotal, now)
+      };
+    });
+
+  const best = currentOffers.reduce((acc, next) => {
+    if (!acc) return next;
+    const at = totalCents(acc);
+    const nt = totalCents(next);
+    if (nt < at) return next;
+    if (nt === at && next.etaDays < acc.etaDays) return next;
+    return acc;
+  }, null);
+  const bestTotal = best ? totalCents(best) : null;
+
+  return {
+    productId,
+    days: windowDays,
+    since,
+    vendors,
+    overall: {
+      ...summarize(allPoints),
+      currentBestTotalCents: bestTotal,
+      currentBestVendorId: best?.vendorId || null,
+      lowestInDays: best ? lowestInDays(history, bestTotal, now) : 0,
+      isLowestIn: lowestInFlags(history, bestTotal, now)
+    }
+  };
+}
+
+module.exports = {
+  recordOfferObservation,
+  getPriceHistory
+};
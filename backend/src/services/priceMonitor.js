@@ -1,4 +1,14 @@
 const { prisma } = require('../db');
+const { recordOfferObservation } = require('./priceHistoryService');
+const { ALERT_TYPE, dispatchDealAlert } = require('./alertPolicy');
+const { normalizeOffer, shippingAddressFor } = require('./offerService');
+const { CONDITION, parseStoredRules, evaluateWatchRules } = require('./watchRules');
+const { PRICED_OFFER_WHERE } = require('./searchLinks');
+const { formatMoney, moneyContextFor } = require('./money');
+const { getRateTable, convertMinor } = require('./exchangeRates');
+const { destinationFor, withLandedCosts } = require('./landedCost');
+const { activePromotionsFor, withPromotions, describePromotion } = require('./promotions');
+const { watchVariantScope, withVariantInfo } = require('./productVariants');
 
 function randomPercent(min, max) {
   return min + Math.random() * (max - min);
@@ -8,21 +18,9 @@ function clamp(value, min, max) {
   return Math.max(min, Math.min(value, max));
 }
 
-async function queueNotification({ userId, productId, message, type, payload }) {
-  await prisma.pendingNotification.create({
-    data: {
-      userId,
-      productId,
-      message,
-      type,
-      payload: JSON.stringify(payload)
-    }
-  });
-}
-
 async function getBestOfferForProduct(productId) {
   const offers = await prisma.offer.findMany({
-    where: { productId, inStock: true }
+    where: { productId, inStock: true, ...PRICED_OFFER_WHERE }
   });
   if (offers.length === 0) return null;
   return offers.reduce((best, next) => {
@@ -35,8 +33,11 @@ async function getBestOfferForProduct(productId) {
   }, null);
 }
 
-async function runPriceTick() {
-  const offers = await prisma.offer.findMany();
+// Demo mode only: random drift so alerts can be exercised without live providers.
+async function applyDemoDrift(productIds) {
+  const offers = await prisma.offer.findMany({
+    where: Array.isArray(productIds) ? { productId: { in: productIds } } : {}
+  });
   const changedItems = [];
 
   for (const offer of offers) {
@@ -45,13 +46,15 @@ async function runPriceTick() {
     const etaShift = Math.random() < 0.2 ? (Math.random() < 0.5 ? -1 : 1) : 0;
     const newEta = clamp(offer.etaDays + etaShift, 1, 10);
 
-    await prisma.offer.update({
+    const updated = await prisma.offer.update({
       where: { id: offer.id },
       data: {
         priceCents: newPrice,
-        etaDays: newEta
+        etaDays: newEta,
+        lastVerifiedAt: new Date()
       }
     });
+    await recordOfferObservation(updated, 'simulated');
 
     changedItems.push({
       offerId: offer.id,
@@ -63,63 +66,170 @@ async function runPriceTick() {
     });
   }
 
-  const watchItems = await prisma.watchlist.findMany({
-    include: { product: true }
-  });
+  return changedItems;
+}
 
+// Priority when several rule conditions match at once.
+const TRIGGER_PRIORITY = [
+  ALERT_TYPE.BACK_IN_STOCK,
+  ALERT_TYPE.TARGET_PRICE,
+  ALERT_TYPE.PRICE_DROP,
+  ALERT_TYPE.SHIPPING_IMPROVED
+];
+
+const TRIGGER_TO_ALERT = {
+  [CONDITION.BACK_IN_STOCK]: ALERT_TYPE.BACK_IN_STOCK,
+  [CONDITION.TARGET_PRICE]: ALERT_TYPE.TARGET_PRICE,
+  [CONDITION.PCT_DROP]: ALERT_TYPE.PRICE_DROP,
+  [CONDITION.SHIPPING_IMPROVED]: ALERT_TYPE.SHIPPING_IMPROVED
+};
+
+// Copies of the offers priced in the watcher's currency so rules, baselines and messages all
+// compare like with like. Offers without a known exchange rate are left out.
+function inDisplayCurrency(offers, table, currency) {
+  const converted = [];
+  for (const offer of offers) {
+    const priceCents = convertMinor(table, offer.priceCents, offer.currency, currency);
+    const shippingCents = convertMinor(table, offer.shippingCents || 0, offer.currency, currency);
+    if (priceCents === null || shippingCents === null) continue;
+    converted.push({ ...offer, priceCents, shippingCents, currency });
+  }
+  return converted;
+}
+
+function alertMessage(item, bestOffer, alertType, dropPct, locale) {
+  const priceText = `${formatMoney(bestOffer.priceCents, bestOffer.currency, locale)}${describePromotion(bestOffer.promotion)}`;
+  // Any-variant watches name the variant that is on sale.
+  const title = bestOffer.variant?.title || item.product.title;
+  if (alertType === ALERT_TYPE.BACK_IN_STOCK) {
+    return `Back in stock: ${title} at ${bestOffer.vendorName} for ${priceText}. Ships in ${bestOffer.etaDays} days.`;
+  }
+  const dropLabel = dropPct > 0 ? `dropped ${dropPct}%` : 'has a new best offer';
+  return `Deal found: ${title} ${dropLabel} to ${priceText}. Ships in ${bestOffer.etaDays} days.`;
+}
+
+// Watch items on these products, plus anyVariant items on a sibling variant of one of them.
+async function watchItemsFor(productIds) {
+  if (!Array.isArray(productIds)) {
+    return prisma.watchlist.findMany({ include: { product: true, user: true } });
+  }
+  const products = await prisma.product.findMany({ where: { id: { in: productIds } }, select: { familyId: true } });
+  const familyIds = [...new Set(products.map((p) => p.familyId).filter(Boolean))];
+  const or = [{ productId: { in: productIds } }];
+  if (familyIds.length) or.push({ anyVariant: true, product: { familyId: { in: familyIds } } });
+  return prisma.watchlist.findMany({ where: { OR: or }, include: { product: true, user: true } });
+}
+
+async function evaluateWatchAlerts(productIds) {
+  const now = new Date();
+  const watchItems = await watchItemsFor(productIds);
+  const scope = await watchVariantScope(watchItems);
+  const [offerRows, promotions, rateTable] = await Promise.all([
+    prisma.offer.findMany({ where: { productId: { in: scope.productIds }, ...PRICED_OFFER_WHERE } }),
+    activePromotionsFor(scope.productIds, now),
+    getRateTable()
+  ]);
+  // Alerts compare effective prices, so a new coupon can trigger a deal on its own.
+  const offersByProduct = new Map();
+  const promoted = withPromotions(offerRows.map(normalizeOffer), promotions, rateTable);
+  for (const offer of withVariantInfo(promoted, scope.products)) {
+    const list = offersByProduct.get(offer.productId) || [];
+    list.push(offer);
+    offersByProduct.set(offer.productId, list);
+  }
+
+  const destinations = new Map();
   const notifications = [];
 
   for (const item of watchItems) {
-    const bestOffer = await getBestOfferForProduct(item.productId);
-    if (!bestOffer) continue;
+    const rules = parseStoredRules(item);
+    const money = moneyContextFor(item.user);
+    if (!destinations.has(item.userId)) {
+      destinations.set(item.userId, destinationFor(await shippingAddressFor(item.userId)));
+    }
+    const itemOffers = scope.productIdsFor(item).flatMap((productId) => offersByProduct.get(productId) || []);
+    const offers = withLandedCosts(
+      inDisplayCurrency(itemOffers, rateTable, money.currency),
+      destinations.get(item.userId),
+      rateTable
+    );
+    const result = evaluateWatchRules(rules, { offers, watchItem: item, now });
+    if (result.expired) continue;
+
+    // Stock transitions are tracked on every pass so BACK_IN_STOCK can fire on the next one.
+    if (!result.matched) {
+      if (item.lastSeenInStock !== result.inStock) {
+        await prisma.watchlist.update({ where: { id: item.id }, data: { lastSeenInStock: result.inStock } });
+      }
+      continue;
+    }
 
+    // The alert names the offer its condition matched on: an ITEM-basis drop reports the cheapest
+    // item, not the cheapest total.
+    const alertType = TRIGGER_PRIORITY.find((type) =>
+      result.triggers.some((trigger) => TRIGGER_TO_ALERT[trigger] === type)
+    );
+    const condition = result.triggers.find((trigger) => TRIGGER_TO_ALERT[trigger] === alertType);
+    const bestOffer = result.triggerOffers[condition];
+    // In stock only at stale prices: nothing to report yet. lastSeenInStock is left alone so
+    // BACK_IN_STOCK still fires once a fresh price comes in.
+    if (!bestOffer) continue;
     const baseline = item.lastSeenBestPriceCents || bestOffer.priceCents;
-    const dropPct = baseline > 0 ? ((baseline - bestOffer.priceCents) / baseline) * 100 : 0;
-    const targetHit = item.targetPriceCents && bestOffer.priceCents <= item.targetPriceCents;
-    const shippingImproved =
-      item.shippingImprovementOn &&
-      item.lastSeenBestEtaDays !== null &&
-      item.lastSeenBestEtaDays !== undefined &&
-      bestOffer.etaDays < item.lastSeenBestEtaDays;
-
-    const shouldNotify = dropPct >= item.pctDropThreshold || !!targetHit || !!shippingImproved;
-    if (!shouldNotify) continue;
-
-    const priceText = `$${(bestOffer.priceCents / 100).toFixed(2)}`;
-    const roundedDrop = Number(dropPct.toFixed(1));
-    const dropLabel = roundedDrop > 0 ? `dropped ${roundedDrop}%` : 'has a new best offer';
-    const message = `Deal found: ${item.product.title} ${dropLabel} to ${priceText}. Ships in ${bestOffer.etaDays} days.`;
+    const dropPct = baseline > 0 ? Number((((baseline - bestOffer.priceCents) / baseline) * 100).toFixed(1)) : 0;
+    const message = alertMessage(item, bestOffer, alertType, dropPct, money.locale);
     const payload = {
       watchlistId: item.id,
       productId: item.productId,
+      variantProductId: bestOffer.productId,
+      variant: bestOffer.variant?.attributes || null,
       bestOfferId: bestOffer.id,
       priceCents: bestOffer.priceCents,
+      totalCents: bestOffer.priceCents + bestOffer.shippingCents,
+      landedTotalCents: bestOffer.landedTotalCents,
+      currency: bestOffer.currency,
+      promotion: bestOffer.promotion,
       etaDays: bestOffer.etaDays,
-      dropPct: roundedDrop
+      dropPct,
+      triggers: result.triggers
     };
 
-    await queueNotification({
-      userId: item.userId,
-      productId: item.productId,
-      message,
-      type: 'DEAL_ALERT',
-      payload
-    });
+    const outcome = await dispatchDealAlert({ watchItem: item, user: item.user, alertType, message, payload, now });
+    if (outcome.status === 'SUPPRESSED') {
+      if (item.lastSeenInStock !== result.inStock) {
+        await prisma.watchlist.update({ where: { id: item.id }, data: { lastSeenInStock: result.inStock } });
+      }
+      continue;
+    }
 
-    notifications.push({ watchlistId: item.id, message, payload });
+    notifications.push({ watchlistId: item.id, message, payload, alertType, delivery: outcome.status });
 
+    // Baselines stay per basis: the cheapest item price and the cheapest landed total.
+    const bestByTotal = result.bestOffer || bestOffer;
     await prisma.watchlist.update({
       where: { id: item.id },
       data: {
-        lastNotifiedAt: new Date(),
-        lastSeenBestPriceCents: bestOffer.priceCents,
-        lastSeenBestEtaDays: bestOffer.etaDays
+        lastNotifiedAt: now,
+        lastSeenBestPriceCents: (result.bestByItem || bestOffer).priceCents,
+        lastSeenBestTotalCents: bestByTotal.landedTotalCents,
+        lastSeenBestEtaDays: bestByTotal.etaDays,
+        lastSeenInStock: result.inStock
       }
     });
   }
 
+  return notifications;
+}
+
+async function runPriceTick() {
+  const changedItems = await applyDemoDrift();
+  const notifications = await evaluateWatchAlerts();
   return { changedItems, notifications };
 }
 
-module.exports = { runPriceTick };
+module.exports = {
+  getBestOfferForProduct,
+  applyDemoDrift,
+  evaluateWatchAlerts,
+  runPriceTick
+};
 
@@ -0,0 +1,243 @@
+const { prisma } = require('../db');
+const config = require('../config');
+const { getRankedOffers } = require('./offerService');
+const { applyDemoDrift, evaluateWatchAlerts } = require('./priceMonitor');
+const { anyVariantWatchCounts } = require('./productVariants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RECENT_RUNS_LIMIT = 50;
+
+// productId -> schedule entry (in-memory; rebuilt from the watchlist on every tick).
+const schedule = new Map();
+const recentRuns = [];
+
+const state = {
+  started: false,
+  tickInFlight: false,
+  lastTickAt: null,
+  lastTickError: null,
+  ticks: 0
+};
+
+let timer = null;
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function mode() {
+  return String(config.priceMonitorMode || 'live').toLowerCase() === 'demo' ? 'demo' : 'live';
+}
+
+function isEnabled() {
+  return Boolean(config.enablePriceMonitor);
+}
+
+// Coefficient of variation of observed totals over the last week (0 = flat price).
+async function volatilityForProduct(productId) {
+  const rows = await prisma.priceObservation.findMany({
+    where: { productId, observedAt: { gte: new Date(Date.now() - 7 * DAY_MS) } },
+    select: { priceCents: true, shippingCents: true }
+  });
+  if (rows.length < 2) return 0;
+  const totals = rows.map((r) => r.priceCents + r.shippingCents);
+  const mean = totals.reduce((acc, t) => acc + t, 0) / totals.length;
+  if (mean <= 0) return 0;
+  const variance = totals.reduce((acc, t) => acc + (t - mean) ** 2, 0) / totals.length;
+  return Math.sqrt(variance) / mean;
+}
+
+// More watchers and choppier prices => refresh more often.
+function intervalFor({ watcherCount, volatility }) {
+  const base = Math.max(1000, Number(config.priceMonitorBaseIntervalMs) || 6 * 60 * 60 * 1000);
+  const watcherFactor = 1 + Math.log2(Math.max(1, watcherCount));
+  const volatilityFactor = 1 + Math.min(3, volatility * 20);
+  return Math.round(
+    clamp(
+      base / (watcherFactor * volatilityFactor),
+      Number(config.priceMonitorMinIntervalMs) || 15 * 60 * 1000,
+      Number(config.priceMonitorMaxIntervalMs) || DAY_MS
+    )
+  );
+}
+
+function withJitter(intervalMs) {
+  const pct = clamp(Number(config.priceMonitorJitterPct) || 0, 0, 0.5);
+  const offset = (Math.random() * 2 - 1) * pct * intervalMs;
+  return Math.max(1000, Math.round(intervalMs + offset));
+}
+
+async function syncScheduleWithWatchlist() {
+  const grouped = await prisma.watchlist.groupBy({
+    by: ['productId'],
+    _count: { _all: true }
+  });
+  const watcherCounts = new Map(grouped.map((row) => [row.productId, row._count?._all || 0]));
+  // Any-variant watches need every sibling variant's prices kept fresh, not just the watched one.
+  for (const [productId, count] of await anyVariantWatchCounts()) {
+    watcherCounts.set(productId, Math.max(watcherCounts.get(productId) || 0, count));
+  }
+  const watched = new Set();
+
+  for (const [productId, watcherCount] of watcherCounts) {
+    watched.add(productId);
+
+    const volatility = await volatilityForProduct(productId);
+    const intervalMs = intervalFor({ watcherCount, volatility });
+    const existing = schedule.get(productId);
+    if (existing) {
+      existing.watcherCount = watcherCount;
+      existing.volatility = Number(volatility.toFixed(4));
+      existing.intervalMs = intervalMs;
+      continue;
+    }
+    // Newly watched products get a first run within one tick (+ jitter) rather than a full interval.
+    schedule.set(productId, {
+      productId,
+      watcherCount,
+      volatility: Number(volatility.toFixed(4)),
+      intervalMs,
+      nextRunAt: Date.now() + withJitter(Number(config.priceMonitorTickMs) || 30000),
+      lastRunAt: null,
+      lastStatus: null,
+      lastError: null,
+      lastDurationMs: null,
+      running: false
+    });
+  }
+
+  for (const productId of [...schedule.keys()]) {
+    if (!watched.has(productId)) schedule.delete(productId);
+  }
+}
+
+function pushRecentRun(run) {
+  recentRuns.unshift(run);
+  if (recentRuns.length > RECENT_RUNS_LIMIT) recentRuns.length = RECENT_RUNS_LIMIT;
+}
+
+async function runProduct(entry) {
+  const startedAt = Date.now();
+  entry.running = true;
+  let notifications = [];
+  try {
+    if (mode() === 'demo') {
+      await applyDemoDrift([entry.productId]);
+    } else {
+      await getRankedOffers({ productId: entry.productId, strategy: 'BEST_PRICE', refreshLive: true });
+    }
+    notifications = await evaluateWatchAlerts([entry.productId]);
+    entry.lastStatus = 'ok';
+    entry.lastError = null;
+  } catch (error) {
+    entry.lastStatus = 'error';
+    entry.lastError = String(error?.message || error);
+    console.warn('[PriceMonitor] refresh failed', entry.productId, entry.lastError);
+  } finally {
+    entry.running = false;
+    entry.lastRunAt = startedAt;
+    entry.lastDurationMs = Date.now() - startedAt;
+    entry.nextRunAt = Date.now() + withJitter(entry.intervalMs);
+    pushRecentRun({
+      productId: entry.productId,
+      mode: mode(),
+      startedAt: new Date(startedAt).toISOString(),
+      durationMs: entry.lastDurationMs,
+      status: entry.lastStatus,
+      error: entry.lastError,
+      notifications: notifications.length
+    });
+  }
+}
+
+async function runWithConcurrency(entries, limit) {
+  const queue = entries.slice();
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, queue.length)) }, async () => {
+    while (queue.length > 0) {
+      const next = queue.shift();
+      await runProduct(next);
+    }
+  });
+  await Promise.all(workers);
+}
+
+async function tick() {
+  if (state.tickInFlight) return { skipped: true, reason: 'in_flight' };
+  state.tickInFlight = true;
+  state.lastTickAt = new Date().toISOString();
+  state.ticks += 1;
+  try {
+    await syncScheduleWithWatchlist();
+    const now = Date.now();
+    const due = [...schedule.values()]
+      .filter((entry) => !entry.running && entry.nextRunAt <= now)
+      .sort((a, b) => a.nextRunAt - b.nextRunAt);
+    await runWithConcurrency(due, Math.max(1, Number(config.priceMonitorConcurrency) || 2));
+    state.lastTickError = null;
+    return { skipped: false, ran: due.length };
+  } catch (error) {
+    state.lastTickError = String(error?.message || error);
+    console.warn('[PriceMonitor] tick failed', state.lastTickError);
+    return { skipped: false, ran: 0, error: state.lastTickError };
+  } finally {
+    state.tickInFlight = false;
+  }
+}
+
+function start() {
+  if (state.started || !isEnabled()) return false;
+  state.started = true;
+  const tickMs = Math.max(1000, Number(config.priceMonitorTickMs) || 30000);
+  timer = setInterval(() => {
+    void tick();
+  }, tickMs);
+  // Never keep the process alive just for the monitor.
+  if (typeof timer.unref === 'function') timer.unref();
+  void tick();
+  return true;
+}
+
+function stop() {
+  if (timer) clearInterval(timer);
+  timer = null;
+  state.started = false;
+}
+
+function getStatus() {
+  const upcoming = [...schedule.values()]
+    .slice()
+    .sort((a, b) => a.nextRunAt - b.nextRunAt)
+    .map((entry) => ({
+      productId: entry.productId,
+      watcherCount: entry.watcherCount,
+      volatility: entry.volatility,
+      intervalMs: entry.intervalMs,
+      nextRunAt: new Date(entry.nextRunAt).toISOString(),
+      lastRunAt: entry.lastRunAt ? new Date(entry.lastRunAt).toISOString() : null,
+      lastStatus: entry.lastStatus,
+      lastError: entry.lastError,
+      lastDurationMs: entry.lastDurationMs,
+      running: entry.running
+    }));
+
+  return {
+    enabled: isEnabled(),
+    mode: mode(),
+    started: state.started,
+    tickInFlight: state.tickInFlight,
+    tickMs: Number(config.priceMonitorTickMs) || 30000,
+    concurrency: Math.max(1, Number(config.priceMonitorConcurrency) || 2),
+    ticks: state.ticks,
+    lastTickAt: state.lastTickAt,
+    lastTickError: state.lastTickError,
+    upcoming,
+    recentRuns: recentRuns.slice()
+  };
+}
+
+module.exports = {
+  start,
+  stop,
+  tick,
+  getStatus
+};
@@ -0,0 +1,454 @@
+const { prisma } = require('../db');
+const config = require('../config');
+const brandAliases = require('../data/brandAliases.json');
+const { canonicalGtin } = require('./gtin');
+
+// Decides when two product records (recognition, shared listings, free-text searches) describe
+// the same item: normalized brand, model numbers pulled from the title, and token similarity
+// on what is left of the title.
+
+const CORPORATE_SUFFIXES = new Set(['inc', 'incorporated', 'corp', 'corporation', 'co', 'company', 'ltd', 'llc', 'gmbh', 'plc']);
+const STOPWORDS = new Set(['the', 'and', 'with', 'for', 'a', 'an', 'of', 'in', 'by', 'new', 'edition', 'version', 'model']);
+const SPELLING_VARIANTS = { cancelling: 'canceling', colour: 'color', grey: 'gray', aluminium: 'aluminum' };
+// Sizes, capacities and pack counts look like model numbers ("128gb", "65w", "3pack") but are not.
+const UNIT_TOKEN = /^\d+(?:\.\d+)?(?:gb|tb|mb|mah|wh|w|v|mm|cm|m|in|inch|ft|oz|floz|ml|l|lb|lbs|kg|g|hz|khz|mhz|ghz|k|p|pack|pk|ct|count|x|qt|gal|pcs|pc)$/;
+const ORDINAL_TOKEN = /^\d+(?:st|nd|rd|th)$/;
+
+// Variant attributes: what tells "Owala FreeSip 24 oz, Blue" apart from "32 oz, Black".
+const VARIANT_ATTRIBUTES = ['size', 'color', 'capacity'];
+const SIZE_UNITS = [
+  [/^(?:fl\.?\s*oz|ounces?|oz)$/, 'oz'],
+  [/^(?:ml|milliliters?)$/, 'ml'],
+  [/^(?:l|liters?|litres?)$/, 'L'],
+  [/^(?:qt|quarts?)$/, 'qt'],
+  [/^(?:gal|gallons?)$/, 'gal'],
+  [/^(?:in|inch|inches|")$/, 'in'],
+  [/^cm$/, 'cm'],
+  [/^mm$/, 'mm'],
+  [/^(?:lbs?|pounds?)$/, 'lb'],
+  [/^kg$/, 'kg'],
+  [/^g$/, 'g']
+];
+const SIZE_PATTERN =
+  /(\d+(?:\.\d+)?)\s*-?\s*(fl\.?\s*oz|ounces?|oz|ml|milliliters?|liters?|litres?|l|qt|quarts?|gal|gallons?|inch(?:es)?|in|"|cm|mm|lbs?|pounds?|kg|g)(?![a-z0-9])(?!\s*-?\s*\d)/gi;
+const APPAREL_SIZE_PATTERN = /\bsize\s+(xxs|xs|s|m|l|xl|xxl|xxxl|[23]xl|\d+(?:\.\d+)?)\b/gi;
+const CAPACITY_PATTERN = /(\d+(?:\.\d+)?)\s*(gb|tb|mah)(?![a-z0-9])/gi;
+const CAPACITY_UNITS = { gb: 'GB', tb: 'TB', mah: 'mAh' };
+// Longest first so "space gray" wins over "gray". Words that are usually materials ("titanium",
+// "clear") are left out.
+const COLORS = [
+  'space gray', 'space grey', 'rose gold', 'midnight blue', 'navy blue', 'sky blue', 'light blue', 'dark blue',
+  'forest green', 'dark gray', 'light gray', 'black', 'white', 'silver', 'gray', 'grey', 'blue', 'red', 'green',
+  'pink', 'purple', 'yellow', 'orange', 'gold', 'navy', 'beige', 'brown', 'teal', 'graphite', 'midnight',
+  'starlight', 'charcoal', 'cream', 'ivory', 'lavender', 'mint', 'coral', 'olive', 'burgundy'
+];
+const COLOR_PATTERN = new RegExp(`\\b(${COLORS.map((c) => c.replace(' ', '\\s+')).join('|')})\\b`, 'gi');
+
+function matchThreshold() {
+  return Number(config.productMatchThreshold) || 0.85;
+}
+
+function compact(token) {
+  return String(token || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// "Sony Electronics Inc." -> "sony"; unknown brands normalize to ''.
+function normalizeBrand(brand) {
+  let words = String(brand || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+  if (words[0] === 'the') words = words.slice(1);
+  while (words.length > 1 && CORPORATE_SUFFIXES.has(words[words.length - 1])) words = words.slice(0, -1);
+  const key = words.join(' ');
+  if (!key || key === 'unknown') return '';
+  return brandAliases[key] || key;
+}
+
+function isModelToken(token) {
+  return token.length >= 3 && /[a-z]/.test(token) && /\d/.test(token) && !UNIT_TOKEN.test(token) && !ORDINAL_TOKEN.test(token);
+}
+
+// "WH-1000XM5", "WH1000XM5" and "WH 1000XM5" all yield "wh1000xm5". Longest first.
+function extractModelNumbers(title) {
+  const raw = String(title || '').toLowerCase().split(/[\s,;()[\]/|]+/).filter(Boolean);
+  const models = new Set();
+  raw.forEach((token, idx) => {
+    const joined = compact(token);
+    if (isModelToken(joined)) models.add(joined);
+    const next = compact(raw[idx + 1]);
+    const splitModel = /^[a-z]{1,4}$/.test(joined) && /^\d/.test(next) && !UNIT_TOKEN.test(next) && !ORDINAL_TOKEN.test(next);
+    if (splitModel && isModelToken(joined + next)) models.add(joined + next);
+  });
+  return [...models].sort((a, b) => b.length - a.length);
+}
+
+function titleTokens(title, brandKey) {
+  const brandWords = new Set(brandKey.split(' ').filter(Boolean));
+  return [
+    ...new Set(
+      String(title || '')
+        .toLowerCase()
+        .replace(/[™®©]/g, '')
+        .split(/[\s,;()[\]/|]+/)
+        .map(compact)
+        .map((t) => SPELLING_VARIANTS[t] || t)
+        .filter((t) => t && !STOPWORDS.has(t) && !brandWords.has(t))
+    )
+  ];
+}
+
+function formatQuantity(value) {
+  return String(Number(value));
+}
+
+// { size?, color?, capacity? } parsed from a title, e.g. { size: '24 oz', color: 'blue' }.
+function extractVariantAttributes(title) {
+  const text = String(title || '');
+  const attributes = {};
+  for (const match of text.matchAll(SIZE_PATTERN)) {
+    const unitText = match[2].toLowerCase();
+    const unit = SIZE_UNITS.find(([pattern]) => pattern.test(unitText));
+    if (unit) {
+      attributes.size = `${formatQuantity(match[1])} ${unit[1]}`;
+      break;
+    }
+  }
+  const apparel = [...text.matchAll(APPAREL_SIZE_PATTERN)][0];
+  if (!attributes.size && apparel) attributes.size = apparel[1].toUpperCase();
+  const capacity = [...text.matchAll(CAPACITY_PATTERN)][0];
+  if (capacity) attributes.capacity = `${formatQuantity(capacity[1])} ${CAPACITY_UNITS[capacity[2].toLowerCase()]}`;
+  const color = [...text.matchAll(COLOR_PATTERN)][0];
+  if (color) attributes.color = normalizeAttributeValue('color', color[1]);
+  return attributes;
+}
+
+function normalizeAttributeValue(key, value) {
+  const clean = String(value || '').trim().replace(/\s+/g, ' ').slice(0, 40);
+  if (key !== 'color') return clean;
+  return clean.toLowerCase().replace(/\bgrey\b/, 'gray');
+}
+
+// Stored attributes (JSON on Product.attributes, or an object) over what the title says.
+function variantAttributesFor({ title, attributes }) {
+  let stored = attributes;
+  if (typeof stored === 'string') {
+    try {
+      stored = JSON.parse(stored);
+    } catch {
+      stored = null;
+    }
+  }
+  const merged = extractVariantAttributes(title);
+  if (stored && typeof stored === 'object') {
+    for (const key of VARIANT_ATTRIBUTES) {
+      if (stored[key]) merged[key] = normalizeAttributeValue(key, stored[key]);
+    }
+  }
+  return merged;
+}
+
+// The title with its variant attributes removed: the product family's name.
+function stripVariantAttributes(title) {
+  return String(title || '')
+    .replace(SIZE_PATTERN, ' ')
+    .replace(APPAREL_SIZE_PATTERN, ' ')
+    .replace(CAPACITY_PATTERN, ' ')
+    .replace(COLOR_PATTERN, ' ')
+    .replace(/\(\s*[,/-]?\s*\)/g, ' ')
+    .replace(/\s+([,/-]\s*)+(?=\s|$)/g, ' ')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s,/-]+|[\s,/-]+$/g, '');
+}
+
+// Attribute names both sides report but disagree on ("24 oz" vs "32 oz").
+function conflictingAttributes(a, b) {
+  return VARIANT_ATTRIBUTES.filter((key) => a[key] && b[key] && a[key] !== b[key]);
+}
+
+function matchKeysFor({ title, brand, upc, attributes }) {
+  const brandKey = normalizeBrand(brand);
+  return {
+    brand: brandKey,
+    models: extractModelNumbers(title),
+    tokens: titleTokens(title, brandKey),
+    upc: canonicalGtin(upc),
+    attributes: variantAttributesFor({ title, attributes })
+  };
+}
+
+// Columns stored on Product so candidate lookups stay indexed.
+function productKeyData({ title, brand }) {
+  const keys = matchKeysFor({ title, brand });
+  return { brandKey: keys.brand, modelKey: keys.models[0] || null };
+}
+
+// Dice coefficient over unique tokens.
+function tokenSimilarity(a, b) {
+  if (!a.length || !b.length) return 0;
+  const setB = new Set(b);
+  const shared = a.filter((t) => setB.has(t)).length;
+  return (2 * shared) / (a.length + b.length);
+}
+
+// { score 0..1, reasons[], sharedModels[] }. Conflicting UPCs or brands never match; a shared
+// model number is strong evidence, different model numbers (XM4 vs XM5) or variants (24 oz vs
+// 32 oz) cap the score low.
+function scoreProductMatch(a, b) {
+  const ka = matchKeysFor(a);
+  const kb = matchKeysFor(b);
+  if (ka.upc && kb.upc) {
+    return ka.upc === kb.upc
+      ? { score: 1, reasons: ['UPC'], sharedModels: [] }
+      : { score: 0, reasons: ['UPC_MISMATCH'], sharedModels: [] };
+  }
+  if (ka.brand && kb.brand && ka.brand !== kb.brand) return { score: 0, reasons: ['BRAND_MISMATCH'], sharedModels: [] };
+
+  const reasons = [];
+  const similarity = tokenSimilarity(ka.tokens, kb.tokens);
+  const sharedModels = ka.models.filter((m) => kb.models.includes(m));
+  let score = similarity;
+  if (sharedModels.length) {
+    score = 0.9 + similarity * 0.1;
+    reasons.push('MODEL_NUMBER');
+  } else if (ka.models.length && kb.models.length) {
+    score = Math.min(similarity, 0.4);
+    reasons.push('MODEL_MISMATCH');
+  } else {
+    reasons.push('TITLE_TOKENS');
+  }
+  // Sibling variants share everything but these, so they would otherwise score as duplicates.
+  if (conflictingAttributes(ka.attributes, kb.attributes).length) {
+    score = Math.min(score, 0.5);
+    reasons.push('VARIANT_MISMATCH');
+  }
+  // A missing brand on one side is weaker evidence than two brands that agree.
+  if (ka.brand && ka.brand === kb.brand) reasons.push('BRAND');
+  else score *= 0.95;
+  return { score: Number(score.toFixed(3)), reasons, sharedModels };
+}
+
+function candidateWhere(keys) {
+  const or = [{ brandKey: keys.brand }, { brandKey: null }];
+  if (keys.brand) or.push({ brandKey: '' });
+  if (keys.models.length) or.push({ modelKey: { in: keys.models } });
+  return { OR: or };
+}
+
+// Existing products scoring at least `minScore` against a title/brand/UPC, best first, as
+// [{ product, match }]. Products created before match keys existed (brandKey null) are always
+// considered.
+async function findSimilarProducts(input, { minScore = matchThreshold(), limit = 5 } = {}) {
+  const keys = matchKeysFor(input);
+  if (!keys.tokens.length && !keys.models.length) return [];
+  const candidates = await prisma.product.findMany({ where: candidateWhere(keys), take: 500 });
+  return candidates
+    .map((product) => ({ product, match: scoreProductMatch(input, product) }))
+    .filter(({ match }) => match.score >= minScore)
+    .sort((a, b) => b.match.score - a.match.score)
+    .slice(0, limit);
+}
+
+// Best existing product at or above the match threshold, or null. Legacy rows that match get
+// their keys backfilled.
+async function findMatchingProduct(input, { threshold = matchThreshold() } = {}) {
+  const [best] = await findSimilarProducts(input, { minScore: threshold, limit: 1 });
+  if (!best) return null;
+  if (best.product.brandKey === null || best.product.brandKey === undefined) {
+    best.product = await prisma.product.update({ where: { id: best.product.id }, data: productKeyData(best.product) });
+  }
+  return best;
+}
+
+// Pairs of existing products that look like duplicates, strongest first. Products are only
+// compared within the same brand or model-number block to keep the scan cheap.
+async function findDuplicateCandidates({ minScore = Number(config.productDuplicateReviewThreshold) || 0.6, limit = 50 } = {}) {
+  const products = await prisma.product.findMany({
+    include: { _count: { select: { offers: true, watchers: true, orders: true } } },
+    orderBy: { id: 'asc' },
+    take: 5000
+  });
+  const blocks = new Map();
+  const addToBlock = (key, product) => {
+    const list = blocks.get(key) || [];
+    list.push(product);
+    blocks.set(key, list);
+  };
+  for (const product of products) {
+    const keys = matchKeysFor(product);
+    addToBlock(`brand:${keys.brand}`, product);
+    for (const model of keys.models) addToBlock(`model:${model}`, product);
+  }
+
+  const seen = new Set();
+  const pairs = [];
+  for (const list of blocks.values()) {
+    for (let i = 0; i < list.length; i += 1) {
+      for (let j = i + 1; j < list.length; j += 1) {
+        const [a, b] = [list[i], list[j]];
+        const pairKey = a.id < b.id ? `${a.id}|${b.id}` : `${b.id}|${a.id}`;
+        if (seen.has(pairKey)) continue;
+        seen.add(pairKey);
+        const match = scoreProductMatch(a, b);
+        if (match.score < minScore) continue;
+        const [target, source] = rankMergeTarget(a, b);
+        pairs.push({ ...match, targetProductId: target.id, sourceProductId: source.id, products: [target, source] });
+      }
+    }
+  }
+  return pairs.sort((x, y) => y.score - x.score).slice(0, Math.max(1, Math.min(500, Number(limit) || 50)));
+}
+
+// The product with a UPC, then more watchers/offers/orders, stays canonical.
+function rankMergeTarget(a, b) {
+  const weight = (p) =>
+    (p.upc ? 1000 : 0) + (p._count?.watchers || 0) * 10 + (p._count?.offers || 0) + (p._count?.orders || 0) * 10;
+  return weight(b) > weight(a) ? [b, a] : [a, b];
+}
+
+function mergeError(message, httpStatus, code) {
+  const err = new Error(message);
+  err.httpStatus = httpStatus;
+  err.code = code;
+  return err;
+}
+
+// Moves everything that points at `sourceProductId` onto `targetProductId` and deletes the source.
+// Offers from the same vendor collapse onto the fresher row; a user watching both keeps the
+// target's watch item. A ProductMerge row records where the source went.
+async function mergeProducts({ sourceProductId, targetProductId, score = null }) {
+  if (!sourceProductId || !targetProductId || sourceProductId === targetProductId) {
+    throw mergeError('sourceProductId and targetProductId must be two different products', 400, 'INVALID_MERGE');
+  }
+  return prisma.$transaction(async (tx) => {
+    const [source, target] = await Promise.all([
+      tx.product.findUnique({ where: { id: sourceProductId } }),
+      tx.product.findUnique({ where: { id: targetProductId } })
+    ]);
+    if (!source || !target) throw mergeError('Product not found', 404, 'PRODUCT_NOT_FOUND');
+    if (source.upc && target.upc && canonicalGtin(source.upc) !== canonicalGtin(target.upc)) {
+      throw mergeError('Products have different UPCs', 409, 'UPC_CONFLICT');
+    }
+
+    const moved = { offers: 0, collapsedOffers: 0, watchers: 0, droppedWatchers: 0, orders: 0, cartItems: 0 };
+    const targetOffers = await tx.offer.findMany({ where: { productId: target.id } });
+    const targetByVendor = new Map(targetOffers.map((o) => [o.vendorId, o]));
+    for (const offer of await tx.offer.findMany({ where: { productId: source.id } })) {
+      const twin = targetByVendor.get(offer.vendorId);
+      if (!twin) {
+        await tx.offer.update({ where: { id: offer.id }, data: { productId: target.id } });
+        moved.offers += 1;
+        continue;
+      }
+      if (offer.lastVerifiedAt > twin.lastVerifiedAt) {
+        const { id, productId, updatedAt, ...fresher } = offer;
+        await tx.offer.update({ where: { id: twin.id }, data: fresher });
+      }
+      // Cart lines follow the surviving offer; a cart that already holds it keeps its own line.
+      for (const item of await tx.cartItem.findMany({ where: { offerId: offer.id } })) {
+        const clash = await tx.cartItem.findUnique({ where: { cartId_offerId: { cartId: item.cartId, offerId: twin.id } } });
+        if (clash) await tx.cartItem.delete({ where: { id: item.id } });
+        else await tx.cartItem.update({ where: { id: item.id }, data: { offerId: twin.id } });
+      }
+      await tx.offer.delete({ where: { id: offer.id } });
+      moved.collapsedOffers += 1;
+    }
+
+    for (const watch of await tx.watchlist.findMany({ where: { productId: source.id } })) {
+      const existing = await tx.watchlist.findUnique({
+        where: { userId_productId: { userId: watch.userId, productId: target.id } }
+      });
+      if (existing) {
+        await tx.watchlist.delete({ where: { id: watch.id } });
+        moved.droppedWatchers += 1;
+      } else {
+        await tx.watchlist.update({ where: { id: watch.id }, data: { productId: target.id } });
+        moved.watchers += 1;
+      }
+    }
+
+    const retarget = { where: { productId: source.id }, data: { productId: target.id } };
+    moved.orders = (await tx.order.updateMany(retarget)).count;
+    moved.cartItems = (await tx.cartItem.updateMany(retarget)).count;
+    await tx.priceObservation.updateMany(retarget);
+    await tx.stockEvent.updateMany(retarget);
+    await tx.archivedOffer.updateMany(retarget);
+    await tx.promotion.updateMany(retarget);
+    await tx.vendorOrderItem.updateMany(retarget);
+    await tx.pendingNotification.updateMany(retarget);
+    await tx.alertLog.updateMany(retarget);
+    await tx.recognitionSession.updateMany({
+      where: { confirmedProductId: source.id },
+      data: { confirmedProductId: target.id }
+    });
+    for (const alias of await tx.recognitionAlias.findMany({ where: { productId: source.id } })) {
+      const twin = await tx.recognitionAlias.findUnique({ where: { key_productId: { key: alias.key, productId: target.id } } });
+      if (twin) {
+        await tx.recognitionAlias.update({
+          where: { id: twin.id },
+          data: { confirmations: twin.confirmations + alias.confirmations }
+        });
+        await tx.recognitionAlias.delete({ where: { id: alias.id } });
+      } else {
+        await tx.recognitionAlias.update({ where: { id: alias.id }, data: { productId: target.id } });
+      }
+    }
+
+    await tx.product.delete({ where: { id: source.id } });
+    const merged = await tx.product.update({
+      where: { id: target.id },
+      data: {
+        upc: target.upc || source.upc || null,
+        imageUrl: target.imageUrl || source.imageUrl || null,
+        familyId: target.familyId || source.familyId || null,
+        attributes: target.attributes || source.attributes || null,
+        brand: target.brand === 'Unknown' ? source.brand : target.brand,
+        ...productKeyData({ title: target.title, brand: target.brand === 'Unknown' ? source.brand : target.brand })
+      }
+    });
+    await tx.productMerge.create({
+      data: {
+        sourceProductId: source.id,
+        targetProductId: target.id,
+        sourceTitle: source.title,
+        sourceBrand: source.brand,
+        sourceUpc: source.upc,
+        score,
+        moved: JSON.stringify(moved)
+      }
+    });
+    return { product: merged, moved };
+  });
+}
+
+// Follows merges so ids cached by clients before a merge keep working.
+async function canonicalProductId(productId) {
+  let id = productId;
+  for (let hop = 0; hop < 5; hop += 1) {
+    const merge = await prisma.productMerge.findFirst({ where: { sourceProductId: id }, orderBy: { createdAt: 'desc' } });
+    if (!merge) return id;
+    id = merge.targetProductId;
+  }
+  return id;
+}
+
+module.exports = {
+  VARIANT_ATTRIBUTES,
+  normalizeBrand,
+  extractModelNumbers,
+  extractVariantAttributes,
+  variantAttributesFor,
+  stripVariantAttributes,
+  matchThreshold,
+  matchKeysFor,
+  productKeyData,
+  scoreProductMatch,
+  findSimilarProducts,
+  findMatchingProduct,
+  findDuplicateCandidates,
+  rankMergeTarget,
+  mergeProducts,
+  canonicalProductId
+};
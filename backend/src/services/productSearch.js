@@ -0,0 +1,300 @@
+const { prisma } = require('../db');
+const { PRICED_OFFER_WHERE } = require('./searchLinks');
+const { freshnessFor, stalePolicy } = require('./offerFreshness');
+const { getRateTable, convertMinor } = require('./exchangeRates');
+const { baseCurrency } = require('./money');
+const { canonicalGtin } = require('./gtin');
+
+// Product search over an SQLite FTS5 index (ProductSearch) that triggers on Product keep in sync.
+// Prisma's schema can't describe virtual tables, so the index is created here at startup and
+// rebuilt whenever its row count drifts from Product. `prisma db push` would report the index as
+// drift, so `npm run prisma:push` drops it first (prisma/drop-search-index.sql); a server that is
+// running at the time sets it up again on the next search.
+
+// Ranking only looks at the best matches; filters, facets and pages are applied to these.
+const MAX_MATCHES = 500;
+const MAX_QUERY_TOKENS = 8;
+// Exact barcode hits rank ahead of every text match.
+const GTIN_RANK = -1e6;
+
+// UPCs are stored as GTIN-14 ("00027242925120"); the index also holds them without leading zeros
+// so a typed UPC-A or EAN-13 prefix matches.
+const upcText = (column) => `coalesce(${column}, '') || ' ' || ltrim(coalesce(${column}, ''), '0')`;
+
+// Triggers are recreated on every start so changes to their definition reach existing databases.
+const INDEX_STATEMENTS = [
+  `CREATE VIRTUAL TABLE IF NOT EXISTS ProductSearch USING fts5(
+     productId UNINDEXED, title, brand, models, upc,
+     tokenize = 'unicode61 remove_diacritics 2'
+   )`,
+  'DROP TRIGGER IF EXISTS product_search_insert',
+  'DROP TRIGGER IF EXISTS product_search_update',
+  'DROP TRIGGER IF EXISTS product_search_delete',
+  `CREATE TRIGGER product_search_insert AFTER INSERT ON Product BEGIN
+     INSERT INTO ProductSearch (productId, title, brand, models, upc)
+     VALUES (new.id, new.title, new.brand, coalesce(new.modelKey, ''), ${upcText('new.upc')});
+   END`,
+  `CREATE TRIGGER product_search_update AFTER UPDATE OF title, brand, modelKey, upc ON Product BEGIN
+     DELETE FROM ProductSearch WHERE productId = old.id;
+     INSERT INTO ProductSearch (productId, title, brand, models, upc)
+     VALUES (new.id, new.title, new.brand, coalesce(new.modelKey, ''), ${upcText('new.upc')});
+   END`,
+  `CREATE TRIGGER product_search_delete AFTER DELETE ON Product BEGIN
+     DELETE FROM ProductSearch WHERE productId = old.id;
+   END`
+];
+
+let indexReady = null;
+
+async function rebuildSearchIndex() {
+  await prisma.$executeRawUnsafe('DELETE FROM ProductSearch');
+  await prisma.$executeRawUnsafe(
+    `INSERT INTO ProductSearch (productId, title, brand, models, upc)
+     SELECT id, title, brand, coalesce(modelKey, ''), ${upcText('upc')} FROM Product`
+  );
+}
+
+async function setUpSearchIndex() {
+  for (const statement of INDEX_STATEMENTS) await prisma.$executeRawUnsafe(statement);
+  const [indexed] = await prisma.$queryRawUnsafe('SELECT count(*) AS count FROM ProductSearch');
+  // Rows indexed before UPCs were stored in both forms have no space in the upc column.
+  const [outdated] = await prisma.$queryRawUnsafe(
+    "SELECT count(*) AS count FROM ProductSearch WHERE upc != '' AND instr(upc, ' ') = 0"
+  );
+  const products = await prisma.product.count();
+  if (Number(indexed?.count) !== products || Number(outdated?.count) > 0) {
+    console.log(`[ProductSearch] rebuilding index (${Number(indexed?.count)} indexed, ${products} products)`);
+    await rebuildSearchIndex();
+  }
+  return true;
+}
+
+// Resolves to whether FTS5 search is available. Without it, search falls back to LIKE matching.
+function ensureSearchIndex() {
+  if (!indexReady) {
+    indexReady = setUpSearchIndex().catch((error) => {
+      console.warn('[ProductSearch] FTS5 index unavailable; using LIKE search', error?.message || error);
+      return false;
+    });
+  }
+  return indexReady;
+}
+
+// "Sony WH-1000XM5" -> '"sony" AND ("wh 1000xm5"* OR "wh1000xm5"*)'. Every word must match and
+// the last one is a prefix so results show up while typing. A hyphenated word also matches its
+// compact form, which is how model numbers sit in the `models` column, and a number with leading
+// zeros also matches without them, which is how UPCs sit in the `upc` column.
+function buildMatchQuery(query) {
+  const raw = String(query || '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+  const words = raw.split(/\s+/).filter(Boolean).slice(0, MAX_QUERY_TOKENS);
+  const terms = [];
+  words.forEach((word, idx) => {
+    const parts = word.split(/[^a-z0-9]+/).filter(Boolean);
+    if (!parts.length) return;
+    const star = idx === words.length - 1 ? '*' : '';
+    const unpadded = /^\d+$/.test(word) ? word.replace(/^0+(?=\d)/, '') : word;
+    if (unpadded !== word) terms.push(`("${word}"${star} OR "${unpadded}"${star})`);
+    else if (parts.length === 1) terms.push(`"${parts[0]}"${star}`);
+    else terms.push(`("${parts.join(' ')}"${star} OR "${parts.join('')}"${star})`);
+  });
+  return terms.join(' AND ');
+}
+
+// [{ productId, rank }] best first; a lower bm25 rank is a better match. Title hits weigh most,
+// then model numbers and UPCs, then brand.
+async function ftsMatches(query) {
+  const match = buildMatchQuery(query);
+  if (!match) return [];
+  return prisma.$queryRaw`
+    SELECT productId, bm25(ProductSearch, 0.0, 10.0, 4.0, 8.0, 8.0) AS rank
+    FROM ProductSearch
+    WHERE ProductSearch MATCH ${match}
+    ORDER BY rank ASC
+    LIMIT ${MAX_MATCHES}
+  `;
+}
+
+async function likeMatches(query) {
+  const needle = String(query || '').trim().toLowerCase();
+  if (!needle) return [];
+  const like = `%${needle.replace(/%/g, '\\%').replace(/_/g, '\\_')}%`;
+  const rows = await prisma.$queryRaw`
+    SELECT id
+    FROM Product
+    WHERE lower(title) LIKE ${like} ESCAPE '\\'
+       OR lower(brand) LIKE ${like} ESCAPE '\\'
+       OR (upc IS NOT NULL AND upc LIKE ${like} ESCAPE '\\')
+    ORDER BY title ASC
+    LIMIT ${MAX_MATCHES}
+  `;
+  return rows.map((row, idx) => ({ productId: row.id, rank: idx }));
+}
+
+const isMissingIndex = (error) => /no such table: ProductSearch/i.test(String(error?.message || error));
+
+// Resolves to { ranked, fts }. A missing index means it was dropped under the running server.
+async function rankedMatches(query) {
+  if (!(await ensureSearchIndex())) return { ranked: await likeMatches(query), fts: false };
+  const ready = indexReady;
+  try {
+    return { ranked: await ftsMatches(query), fts: true };
+  } catch (error) {
+    if (!isMissingIndex(error)) throw error;
+    // Concurrent searches share one set-up.
+    if (indexReady === ready) {
+      console.warn('[ProductSearch] index is missing; setting it up again');
+      indexReady = null;
+    }
+    if (!(await ensureSearchIndex())) return { ranked: await likeMatches(query), fts: false };
+    return { ranked: await ftsMatches(query), fts: true };
+  }
+}
+
+// productId -> { fromPriceCents, offerCount } from current in-stock offers, in `currency`.
+// Offers without a known exchange rate are left out.
+async function currentPrices(productIds, currency) {
+  const [offers, rateTable] = await Promise.all([
+    prisma.offer.findMany({ where: { productId: { in: productIds }, inStock: true, ...PRICED_OFFER_WHERE } }),
+    getRateTable()
+  ]);
+  const excludeStale = stalePolicy() === 'exclude';
+  const prices = new Map();
+  for (const offer of offers) {
+    if (excludeStale && freshnessFor(offer).stale) continue;
+    const priceCents = convertMinor(rateTable, offer.priceCents, offer.currency, currency);
+    if (priceCents === null) continue;
+    const entry = prices.get(offer.productId) || { fromPriceCents: null, offerCount: 0 };
+    entry.offerCount += 1;
+    if (entry.fromPriceCents === null || priceCents < entry.fromPriceCents) entry.fromPriceCents = priceCents;
+    prices.set(offer.productId, entry);
+  }
+  return prices;
+}
+
+function encodeCursor(hit) {
+  return Buffer.from(JSON.stringify({ r: hit.rank, id: hit.productId })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) return null;
+  try {
+    const parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return Number.isFinite(parsed?.r) && typeof parsed?.id === 'string' ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+function afterCursor(hit, cursor) {
+  return hit.rank > cursor.r || (hit.rank === cursor.r && hit.productId > cursor.id);
+}
+
+function searchError(message, httpStatus, code) {
+  const err = new Error(message);
+  err.httpStatus = httpStatus;
+  err.code = code;
+  return err;
+}
+
+// Ranked, filtered, faceted product search. `brands` filters by exact brand (case-insensitive),
+// `minPriceCents`/`maxPriceCents` by the lowest current offer price in `currency`. Facets
+// describe every match that passes the price filter, so other brands stay visible while one is
+// selected. Returns { products, facets, nextCursor, engine }.
+async function searchProducts({
+  query,
+  brands = [],
+  minPriceCents,
+  maxPriceCents,
+  currency = baseCurrency(),
+  cursor,
+  limit = 20
+}) {
+  const take = Math.max(1, Math.min(50, Number(limit) || 20));
+  const after = decodeCursor(cursor);
+  if (cursor && !after) throw searchError('Invalid cursor', 400, 'INVALID_CURSOR');
+
+  const { ranked, fts } = await rankedMatches(query);
+  const hits = ranked.map((row) => ({ productId: String(row.productId), rank: Number(row.rank) }));
+  // A query that is a whole barcode (any UPC/EAN/GTIN form) finds its product first.
+  const gtin = /^[\d\s-]+$/.test(String(query || '').trim()) ? canonicalGtin(query) : null;
+  const byGtin = gtin ? await prisma.product.findFirst({ where: { upc: gtin }, select: { id: true } }) : null;
+  if (byGtin) {
+    const existing = hits.findIndex((hit) => hit.productId === byGtin.id);
+    if (existing >= 0) hits.splice(existing, 1);
+    hits.unshift({ productId: byGtin.id, rank: GTIN_RANK });
+  }
+  if (hits.length === 0) {
+    return { products: [], facets: { brands: [], price: null }, nextCursor: null, engine: fts ? 'fts5' : 'like' };
+  }
+
+  const productIds = hits.map((hit) => hit.productId);
+  const [products, prices] = await Promise.all([
+    prisma.product.findMany({ where: { id: { in: productIds } } }),
+    currentPrices(productIds, currency)
+  ]);
+  const productsById = new Map(products.map((p) => [p.id, p]));
+  const priceFiltered = Number.isFinite(minPriceCents) || Number.isFinite(maxPriceCents);
+  const matches = hits
+    .filter((hit) => productsById.has(hit.productId))
+    .sort((a, b) => a.rank - b.rank || (a.productId < b.productId ? -1 : 1))
+    .filter((hit) => {
+      if (!priceFiltered) return true;
+      const from = prices.get(hit.productId)?.fromPriceCents;
+      if (from === null || from === undefined) return false;
+      if (Number.isFinite(minPriceCents) && from < minPriceCents) return false;
+      return !(Number.isFinite(maxPriceCents) && from > maxPriceCents);
+    });
+
+  const brandCounts = new Map();
+  let minSeen = null;
+  let maxSeen = null;
+  for (const hit of matches) {
+    const brand = productsById.get(hit.productId).brand;
+    brandCounts.set(brand, (brandCounts.get(brand) || 0) + 1);
+    const from = prices.get(hit.productId)?.fromPriceCents;
+    if (from === null || from === undefined) continue;
+    minSeen = minSeen === null ? from : Math.min(minSeen, from);
+    maxSeen = maxSeen === null ? from : Math.max(maxSeen, from);
+  }
+
+  const wantedBrands = new Set(brands.map((b) => String(b).trim().toLowerCase()).filter(Boolean));
+  const filtered = wantedBrands.size
+    ? matches.filter((hit) => wantedBrands.has(productsById.get(hit.productId).brand.toLowerCase()))
+    : matches;
+  const remaining = after ? filtered.filter((hit) => afterCursor(hit, after)) : filtered;
+  const page = remaining.slice(0, take);
+
+  return {
+    products: page.map((hit) => {
+      const product = productsById.get(hit.productId);
+      const price = prices.get(hit.productId);
+      return {
+        id: product.id,
+        title: product.title,
+        brand: product.brand,
+        upc: product.upc,
+        imageUrl: product.imageUrl,
+        familyId: product.familyId,
+        fromPriceCents: price?.fromPriceCents ?? null,
+        currency,
+        offerCount: price?.offerCount || 0,
+        rank: hit.rank
+      };
+    }),
+    facets: {
+      brands: [...brandCounts.entries()]
+        .map(([brand, count]) => ({ brand, count }))
+        .sort((a, b) => b.count - a.count || a.brand.localeCompare(b.brand)),
+      price: minSeen === null ? null : { minCents: minSeen, maxCents: maxSeen, currency }
+    },
+    nextCursor: remaining.length > take ? encodeCursor(page[page.length - 1]) : null,
+    engine: fts ? 'fts5' : 'like'
+  };
+}
+
+module.exports = {
+  ensureSearchIndex,
+  rebuildSearchIndex,
+  buildMatchQuery,
+  searchProducts
+};
@@ -0,0 +1,203 @@
+const { prisma } = require('../db');
+const {
+  VARIANT_ATTRIBUTES,
+  variantAttributesFor,
+  stripVariantAttributes,
+  scoreProductMatch,
+  productKeyData,
+  matchKeysFor,
+  matchThreshold
+} = require('./productMatching');
+
+// Product families: every Product row is one purchasable variant ("Owala FreeSip 24 oz, Blue")
+// and offers stay attached to it. The family ("Owala FreeSip Water Bottle") groups siblings that
+// differ only by size, color or capacity, for variant pickers and "any variant" watches.
+
+function variantError(message, httpStatus, code) {
+  const err = new Error(message);
+  err.httpStatus = httpStatus;
+  err.code = code;
+  return err;
+}
+
+// "24 oz, blue"
+function variantLabel(attributes) {
+  return VARIANT_ATTRIBUTES.filter((key) => attributes?.[key]).map((key) => attributes[key]).join(', ');
+}
+
+// Returns { attributes, errors } for admin/client supplied attributes; unknown keys are rejected.
+function validateVariantAttributes(input) {
+  if (input === undefined || input === null) return { attributes: {}, errors: [] };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { attributes: null, errors: ['attributes must be an object'] };
+  }
+  const errors = [];
+  const attributes = {};
+  for (const [key, value] of Object.entries(input)) {
+    if (!VARIANT_ATTRIBUTES.includes(key)) {
+      errors.push(`attributes.${key} is not one of ${VARIANT_ATTRIBUTES.join(', ')}`);
+      continue;
+    }
+    if (value === null || value === '') continue;
+    if (typeof value !== 'string' && typeof value !== 'number') errors.push(`attributes.${key} must be a string`);
+    else attributes[key] = String(value).trim().slice(0, 40);
+  }
+  return { attributes: errors.length ? null : attributes, errors };
+}
+
+function storedAttributes(attributes) {
+  return Object.keys(attributes).length ? JSON.stringify(attributes) : null;
+}
+
+function serializeVariant(product) {
+  const attributes = variantAttributesFor(product);
+  return {
+    id: product.id,
+    title: product.title,
+    brand: product.brand,
+    upc: product.upc,
+    imageUrl: product.imageUrl,
+    attributes,
+    label: variantLabel(attributes)
+  };
+}
+
+// Existing family whose title matches the product title minus its variant attributes.
+async function findFamily({ title, brand }) {
+  const keys = matchKeysFor({ title, brand });
+  const or = [{ brandKey: keys.brand }];
+  if (keys.models.length) or.push({ modelKey: { in: keys.models } });
+  const candidates = await prisma.productFamily.findMany({ where: { OR: or }, take: 200 });
+  let best = null;
+  for (const family of candidates) {
+    const { score } = scoreProductMatch({ title, brand }, family);
+    if (score >= matchThreshold() && (!best || score > best.score)) best = { family, score };
+  }
+  return best?.family || null;
+}
+
+// Puts a product into its family (finding or creating one) and stores its attributes. Products
+// already in a family are returned as is unless `attributes` overrides what is stored.
+async function assignFamily(product, { attributes } = {}) {
+  if (!product) return product;
+  if (product.familyId && !attributes) return product;
+  const resolved = variantAttributesFor({ title: product.title, attributes: attributes || product.attributes });
+  let familyId = product.familyId;
+  if (!familyId) {
+    const title = stripVariantAttributes(product.title) || product.title;
+    const family =
+      (await findFamily({ title, brand: product.brand })) ||
+      (await prisma.productFamily.create({
+        data: { title, brand: product.brand, imageUrl: product.imageUrl || null, ...productKeyData({ title, brand: product.brand }) }
+      }));
+    familyId = family.id;
+  }
+  return prisma.product.update({
+    where: { id: product.id },
+    data: { familyId, attributes: storedAttributes(resolved) }
+  });
+}
+
+// { family, variants[] } for a product, assigning the family on first use.
+async function variantsFor(productId) {
+  let product = await prisma.product.findUnique({ where: { id: productId } });
+  if (!product) return null;
+  if (!product.familyId) product = await assignFamily(product);
+  const [family, siblings] = await Promise.all([
+    prisma.productFamily.findUnique({ where: { id: product.familyId } }),
+    prisma.product.findMany({ where: { familyId: product.familyId }, orderBy: { title: 'asc' } })
+  ]);
+  return {
+    family: family ? { id: family.id, title: family.title, brand: family.brand, imageUrl: family.imageUrl } : null,
+    variant: serializeVariant(product),
+    variants: siblings.map(serializeVariant)
+  };
+}
+
+// Admin correction: moves a product into another family (or a new one of its own when
+// familyId is null) and optionally overrides its attributes.
+async function setProductFamily({ productId, familyId, attributes }) {
+  const product = await prisma.product.findUnique({ where: { id: productId } });
+  if (!product) throw variantError('Product not found', 404, 'PRODUCT_NOT_FOUND');
+  const { attributes: validated, errors } = validateVariantAttributes(attributes);
+  if (errors.length) throw variantError(errors.join('; '), 400, 'INVALID_ATTRIBUTES');
+
+  let targetFamilyId = familyId || null;
+  if (targetFamilyId) {
+    const family = await prisma.productFamily.findUnique({ where: { id: targetFamilyId } });
+    if (!family) throw variantError('Product family not found', 404, 'FAMILY_NOT_FOUND');
+  } else {
+    const title = stripVariantAttributes(product.title) || product.title;
+    const family = await prisma.productFamily.create({
+      data: { title, brand: product.brand, imageUrl: product.imageUrl || null, ...productKeyData({ title, brand: product.brand }) }
+    });
+    targetFamilyId = family.id;
+  }
+  const resolved = attributes === undefined ? variantAttributesFor(product) : validated;
+  await prisma.product.update({
+    where: { id: product.id },
+    data: { familyId: targetFamilyId, attributes: storedAttributes(resolved) }
+  });
+  return variantsFor(product.id);
+}
+
+// Which products' offers count for each watch item: the whole family for anyVariant items, the
+// watched product otherwise. Items must include `product`.
+async function watchVariantScope(items) {
+  const familyIds = [
+    ...new Set(items.filter((item) => item.anyVariant && item.product?.familyId).map((item) => item.product.familyId))
+  ];
+  const siblings = familyIds.length ? await prisma.product.findMany({ where: { familyId: { in: familyIds } } }) : [];
+  const products = new Map(items.filter((item) => item.product).map((item) => [item.product.id, item.product]));
+  const byFamily = new Map();
+  for (const product of siblings) {
+    products.set(product.id, product);
+    const list = byFamily.get(product.familyId) || [];
+    list.push(product.id);
+    byFamily.set(product.familyId, list);
+  }
+  const productIdsFor = (item) =>
+    item.anyVariant && item.product?.familyId ? byFamily.get(item.product.familyId) || [item.productId] : [item.productId];
+  return { products, productIds: [...products.keys()], productIdsFor };
+}
+
+// Tags offers with the variant they belong to so any-variant results say which one is cheapest.
+function withVariantInfo(offers, products) {
+  return offers.map((offer) => {
+    const product = products.get(offer.productId);
+    if (!product) return offer;
+    const attributes = variantAttributesFor(product);
+    return { ...offer, variant: { productId: product.id, title: product.title, attributes, label: variantLabel(attributes) } };
+  });
+}
+
+// productId -> number of anyVariant watches on its family, for scheduling sibling refreshes.
+async function anyVariantWatchCounts() {
+  const watches = await prisma.watchlist.findMany({
+    where: { anyVariant: true },
+    select: { product: { select: { familyId: true } } }
+  });
+  const perFamily = new Map();
+  for (const watch of watches) {
+    const familyId = watch.product?.familyId;
+    if (familyId) perFamily.set(familyId, (perFamily.get(familyId) || 0) + 1);
+  }
+  if (perFamily.size === 0) return new Map();
+  const products = await prisma.product.findMany({
+    where: { familyId: { in: [...perFamily.keys()] } },
+    select: { id: true, familyId: true }
+  });
+  return new Map(products.map((p) => [p.id, perFamily.get(p.familyId)]));
+}
+
+module.exports = {
+  variantLabel,
+  validateVariantAttributes,
+  serializeVariant,
+  assignFamily,
+  variantsFor,
+  setProductFamily,
+  watchVariantScope,
+  withVariantInfo,
+  anyVariantWatchCounts
+};
@@ -0,0 +1,182 @@
+const { prisma } = require('../db');
+const { normalizeCurrency } = require('./money');
+const { convertMinor } = require('./exchangeRates');
+const { vendorMatches } = require('./watchRules');
+
+const DISCOUNT_TYPE = {
+  PERCENT: 'PERCENT',
+  AMOUNT: 'AMOUNT',
+  FREE_SHIPPING: 'FREE_SHIPPING'
+};
+
+const PROMOTION_SOURCE = {
+  EXTENSION: 'EXTENSION',
+  INTEGRATION: 'INTEGRATION'
+};
+
+function optionalCents(value, path, errors) {
+  if (value === undefined || value === null || value === '') return null;
+  const cents = Math.round(Number(value));
+  if (!Number.isFinite(cents) || cents < 0) {
+    errors.push(`${path} must be a non-negative integer`);
+    return null;
+  }
+  return cents;
+}
+
+// "www.amazon.com" -> "amazon", so domains match offers the way watch-rule vendor filters do.
+function vendorToken(value) {
+  const raw = String(value || '').trim().toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '');
+  if (!raw) return '';
+  return raw.includes('.') && !raw.includes(':') ? raw.split('.')[0] : raw;
+}
+
+// Returns { promotion, errors }. `promotion` is the normalized row to store when errors is empty.
+function validatePromotion(input, { source, now = new Date() } = {}) {
+  const errors = [];
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { promotion: null, errors: ['promotion must be an object'] };
+  }
+
+  const vendor = vendorToken(input.vendor || input.vendorId || input.vendorName || input.domain).slice(0, 64);
+  if (!vendor) errors.push('vendor is required');
+
+  const discountType = DISCOUNT_TYPE[String(input.discountType || '').toUpperCase()];
+  if (!discountType) errors.push(`discountType must be one of ${Object.keys(DISCOUNT_TYPE).join(', ')}`);
+
+  let percentOff = null;
+  if (discountType === DISCOUNT_TYPE.PERCENT) {
+    percentOff = Number(input.percentOff);
+    if (!Number.isFinite(percentOff) || percentOff <= 0 || percentOff >= 100) {
+      errors.push('percentOff must be between 0 and 100');
+    }
+  }
+  let amountOffCents = null;
+  if (discountType === DISCOUNT_TYPE.AMOUNT) {
+    amountOffCents = optionalCents(input.amountOffCents, 'amountOffCents', errors);
+    if (!amountOffCents) errors.push('amountOffCents must be a positive integer');
+  }
+  const minSpendCents = optionalCents(input.minSpendCents, 'minSpendCents', errors);
+
+  const currency = input.currency ? normalizeCurrency(input.currency) : 'USD';
+  if (!currency) errors.push('currency must be an ISO 4217 code');
+
+  let expiresAt = null;
+  if (input.expiresAt !== undefined && input.expiresAt !== null && input.expiresAt !== '') {
+    const parsed = new Date(input.expiresAt);
+    if (Number.isNaN(parsed.getTime())) errors.push('expiresAt must be an ISO date');
+    else if (parsed <= now) errors.push('expiresAt must be in the future');
+    else expiresAt = parsed;
+  }
+
+  const promotion = {
+    vendor,
+    productId: input.productId ? String(input.productId).trim() : null,
+    code: input.code ? String(input.code).trim().toUpperCase().slice(0, 64) : null,
+    description: input.description ? String(input.description).trim().slice(0, 200) : null,
+    discountType,
+    percentOff,
+    amountOffCents,
+    minSpendCents,
+    currency,
+    expiresAt,
+    source: source || PROMOTION_SOURCE.INTEGRATION
+  };
+  return { promotion: errors.length ? null : promotion, errors };
+}
+
+// The same vendor/product/code seen again refreshes the stored terms instead of piling up rows.
+async function upsertPromotion(promotion) {
+  const existing = await prisma.promotion.findFirst({
+    where: { vendor: promotion.vendor, productId: promotion.productId, code: promotion.code }
+  });
+  if (existing) return prisma.promotion.update({ where: { id: existing.id }, data: promotion });
+  return prisma.promotion.create({ data: promotion });
+}
+
+function activePromotionsFor(productIds, now = new Date()) {
+  return prisma.promotion.findMany({
+    where: {
+      OR: [{ expiresAt: null }, { expiresAt: { gt: now } }],
+      AND: [{ OR: [{ productId: null }, { productId: { in: productIds } }] }]
+    },
+    orderBy: { createdAt: 'desc' }
+  });
+}
+
+// { itemDiscountCents, shippingDiscountCents, savingsCents } for one offer, or null when the
+// promotion does not apply (wrong vendor/product, under the minimum spend, unknown rate).
+function discountFor(offer, promotion, rateTable) {
+  if (promotion.productId && promotion.productId !== offer.productId) return null;
+  if (!vendorMatches(offer, promotion.vendor)) return null;
+  const price = offer.priceCents;
+  if (promotion.minSpendCents) {
+    const minSpend = convertMinor(rateTable, promotion.minSpendCents, promotion.currency, offer.currency);
+    if (minSpend === null || price < minSpend) return null;
+  }
+
+  let itemDiscountCents = 0;
+  let shippingDiscountCents = 0;
+  if (promotion.discountType === DISCOUNT_TYPE.PERCENT) {
+    itemDiscountCents = Math.round((price * promotion.percentOff) / 100);
+  } else if (promotion.discountType === DISCOUNT_TYPE.AMOUNT) {
+    const amountOff = convertMinor(rateTable, promotion.amountOffCents, promotion.currency, offer.currency);
+    if (amountOff === null) return null;
+    itemDiscountCents = Math.min(price, amountOff);
+  } else if (promotion.discountType === DISCOUNT_TYPE.FREE_SHIPPING) {
+    shippingDiscountCents = offer.shippingCents || 0;
+  }
+  const savingsCents = itemDiscountCents + shippingDiscountCents;
+  return savingsCents > 0 ? { itemDiscountCents, shippingDiscountCents, savingsCents } : null;
+}
+
+// Applies the best matching promotion to one offer: priceCents/shippingCents become the effective
+// amounts, the listed ones move to listPriceCents/listShippingCents, and `promotion` says which code
+// to use. Without a matching promotion the offer gets `promotion: null`. Orders and checkouts charge
+// the same effective price that offers are ranked on.
+function applyBestPromotion(offer, promotions, rateTable) {
+  let best = null;
+  for (const promotion of promotions) {
+    const discount = discountFor(offer, promotion, rateTable);
+    if (discount && (!best || discount.savingsCents > best.discount.savingsCents)) best = { promotion, discount };
+  }
+  if (!best) return { ...offer, promotion: null };
+  const { promotion, discount } = best;
+  return {
+    ...offer,
+    listPriceCents: offer.priceCents,
+    listShippingCents: offer.shippingCents,
+    priceCents: offer.priceCents - discount.itemDiscountCents,
+    shippingCents: (offer.shippingCents || 0) - discount.shippingDiscountCents,
+    promotion: {
+      id: promotion.id,
+      code: promotion.code,
+      description: promotion.description,
+      discountType: promotion.discountType,
+      savingsCents: discount.savingsCents,
+      expiresAt: promotion.expiresAt
+    }
+  };
+}
+
+function withPromotions(offers, promotions, rateTable) {
+  return offers.map((offer) => applyBestPromotion(offer, promotions, rateTable));
+}
+
+// "with code SAVE10" style suffix for deal notifications.
+function describePromotion(promotion) {
+  if (!promotion) return '';
+  return promotion.code ? ` with code ${promotion.code}` : ' with an automatic discount';
+}
+
+module.exports = {
+  DISCOUNT_TYPE,
+  PROMOTION_SOURCE,
+  validatePromotion,
+  upsertPromotion,
+  activePromotionsFor,
+  discountFor,
+  applyBestPromotion,
+  withPromotions,
+  describePromotion
+};
@@ -1,15 +1,60 @@
+const crypto = require('crypto');
 const { prisma } = require('../db');
 const config = require('../config');
-const mockCatalog = require('../data/mockCatalog.json');
+const { canonicalGtin } = require('./gtin');
 const { lookupUpc } = require('./upcLookupService');
 const { analyzeProductPhoto } = require('./aiVisionService');
+const { decodeBarcode } = require('./barcodeService');
+const {
+  matchKeysFor,
+  matchThreshold,
+  scoreProductMatch,
+  findMatchingProduct,
+  findSimilarProducts,
+  productKeyData,
+  canonicalProductId
+} = require('./productMatching');
+const { assignFamily, validateVariantAttributes, variantsFor, serializeVariant } = require('./productVariants');
+
+// Recognition collects signals (a scanned UPC or one decoded from the photo, OCR text hints, the vision model's guess, catalog
+// similarity to that guess, and earlier user confirmations), groups the ones that point at the
+// same item into candidates and fuses their confidences. Guesses that are not yet products stay
+// in the RecognitionSession until the user confirms one.
+const SIGNAL = {
+  UPC: 'UPC',
+  BARCODE: 'BARCODE',
+  OCR: 'OCR',
+  AI: 'AI',
+  CATALOG: 'CATALOG',
+  CONFIRMED: 'CONFIRMED'
+};
+
+// How far each signal's own confidence is trusted when fused.
+const SIGNAL_WEIGHT = {
+  UPC: 1,
+  BARCODE: 1,
+  CONFIRMED: 0.9,
+  AI: 0.85,
+  CATALOG: 0.8,
+  OCR: 0.7
+};
+
+const OCR_MIN_OVERLAP = 0.35;
 
 function normalizeWhitespace(value) {
   return String(value || '').replace(/\s+/g, ' ').trim();
 }
 
-function normalizeUpc(value) {
-  return String(value || '').replace(/\D/g, '');
+// Demo catalog with UPCs in the canonical GTIN-14 form products use. A few entries carry older codes
+// that fail the check digit; like seeded products (prisma/seed.js) they keep them as legacyUpc only.
+const mockCatalog = require('../data/mockCatalog.json').map((entry) => {
+  const upc = canonicalGtin(entry.upc);
+  return { ...entry, upc, legacyUpc: entry.upc && !upc ? String(entry.upc) : null };
+});
+
+// The same product row or catalog entry, by canonical or legacy code.
+function sameCode(a, b) {
+  return Boolean((a.upc && a.upc === b.upc) || (a.legacyUpc && a.legacyUpc === b.legacyUpc));
 }
 
 function tokenize(value) {
@@ -30,210 +75,483 @@ function overlapScore(tokensA, tokensB) {
   return hits / tokensA.length;
 }
 
-async function ensureProduct({ title, brand, upc, imageUrl }) {
-  const cleanUpc = upc ? normalizeUpc(upc) : '';
+function recognitionError(message, httpStatus, code) {
+  const err = new Error(message);
+  err.httpStatus = httpStatus;
+  err.code = code;
+  return err;
+}
+
+function parseJson(value, fallback) {
+  try {
+    return value ? JSON.parse(value) : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+function cleanHints(textHints) {
+  return Array.isArray(textHints) ? textHints.map((t) => normalizeWhitespace(t)).filter(Boolean).slice(0, 25) : [];
+}
+
+// Recognition result for a product row or an unsaved guess; variant attributes come from
+// Product.attributes (or the guess's attributes) and the title.
+function recognitionResult(item, confidence) {
+  const { attributes, label } = serializeVariant(item);
+  return {
+    id: item.id || null,
+    title: item.title,
+    brand: item.brand,
+    upc: item.upc || null,
+    legacyUpc: item.legacyUpc || null,
+    imageUrl: item.imageUrl || null,
+    familyId: item.familyId || null,
+    attributes,
+    variantLabel: label,
+    confidence
+  };
+}
+
+async function ensureProduct({ title, brand, upc, legacyUpc, imageUrl, attributes }) {
+  const cleanUpc = upc ? canonicalGtin(upc) || '' : '';
   if (cleanUpc) {
     const existing = await prisma.product.findFirst({ where: { upc: cleanUpc } });
     if (existing) {
-      // opportunistically fill imageUrl/brand/title if missing
-      const shouldUpdate =
-        (!existing.imageUrl && imageUrl) ||
-        (existing.brand === 'Unknown' && brand) ||
-        (existing.title !== title && title);
-      if (!shouldUpdate) return existing;
-      return prisma.product.update({
-        where: { id: existing.id },
-        data: {
-          title: title || existing.title,
-          brand: brand || existing.brand,
-          imageUrl: imageUrl || existing.imageUrl
-        }
-      });
+      // Only empty fields are filled in: a guess or a typed title must not rename a product everyone
+      // shares. confirmRecognition remembers other wordings as RecognitionAlias rows instead.
+      const fill = {};
+      if (!existing.imageUrl && imageUrl) fill.imageUrl = String(imageUrl);
+      const cleanBrand = normalizeWhitespace(brand);
+      if (existing.brand === 'Unknown' && cleanBrand && cleanBrand !== 'Unknown') fill.brand = cleanBrand;
+      if (!normalizeWhitespace(existing.title) && normalizeWhitespace(title)) fill.title = normalizeWhitespace(title);
+      if (Object.keys(fill).length === 0) return assignFamily(existing);
+      if (fill.title || fill.brand) {
+        const named = { title: fill.title || existing.title, brand: fill.brand || existing.brand };
+        Object.assign(fill, productKeyData(named));
+      }
+      const updated = await prisma.product.update({ where: { id: existing.id }, data: fill });
+      return assignFamily(updated);
     }
   }
 
-  // Dedupe by exact title+brand when UPC is unavailable.
+  // No UPC hit: reuse a product whose brand, model number and title match closely enough.
   const cleanTitle = normalizeWhitespace(title);
   const cleanBrand = normalizeWhitespace(brand) || 'Unknown';
   if (!cleanTitle) return null;
 
-  const byTitleBrand = await prisma.product.findFirst({
-    where: { title: cleanTitle, brand: cleanBrand }
-  });
-  if (byTitleBrand) return byTitleBrand;
+  // Attributes take part in matching so "24 oz" never lands on the "32 oz" sibling.
+  const matched = await findMatchingProduct({ title: cleanTitle, brand: cleanBrand, upc: cleanUpc, attributes });
+  if (matched) {
+    const { product } = matched;
+    if ((cleanUpc && !product.upc) || (!product.imageUrl && imageUrl)) {
+      const updated = await prisma.product.update({
+        where: { id: product.id },
+        data: { upc: product.upc || cleanUpc || null, imageUrl: product.imageUrl || (imageUrl ? String(imageUrl) : null) }
+      });
+      return assignFamily(updated);
+    }
+    return assignFamily(product);
+  }
 
-  return prisma.product.create({
+  const created = await prisma.product.create({
     data: {
       title: cleanTitle,
       brand: cleanBrand,
       upc: cleanUpc || null,
-      imageUrl: imageUrl ? String(imageUrl) : null
+      legacyUpc: !cleanUpc && legacyUpc ? String(legacyUpc) : null,
+      imageUrl: imageUrl ? String(imageUrl) : null,
+      ...productKeyData({ title: cleanTitle, brand: cleanBrand })
     }
   });
+  return assignFamily(created, { attributes });
+}
+
+// Normalized text a confirmation is remembered under: brand key plus sorted title tokens.
+function aliasKey({ title, brand }) {
+  const keys = matchKeysFor({ title, brand });
+  if (!keys.tokens.length) return null;
+  return `${keys.brand}|${[...keys.tokens].sort().slice(0, 16).join(' ')}`;
 }
 
-async function recognizeByUpc(upc) {
-  const cleanUpc = normalizeUpc(upc);
-  if (!cleanUpc) return null;
+async function upcSignals(upc, source, confidence) {
+  const cleanUpc = canonicalGtin(upc);
+  if (!cleanUpc) return [];
 
   const local = await prisma.product.findFirst({ where: { upc: cleanUpc } });
-  if (local) {
-    return {
-      id: local.id,
-      title: local.title,
-      brand: local.brand,
-      upc: local.upc,
-      imageUrl: local.imageUrl,
-      confidence: 1
-    };
-  }
-
-  const mock = mockCatalog.find((p) => normalizeUpc(p.upc) === cleanUpc) || null;
-  if (mock) {
-    const created = await ensureProduct({
-      title: mock.title,
-      brand: mock.brand,
-      upc: mock.upc,
-      imageUrl: mock.imageUrl
-    });
-    if (!created) return null;
-    return {
-      id: created.id,
-      title: created.title,
-      brand: created.brand,
-      upc: created.upc,
-      imageUrl: created.imageUrl,
-      confidence: 1
-    };
-  }
+  if (local) return [{ source, confidence, product: local }];
+
+  const mock = mockCatalog.find((p) => p.upc === cleanUpc) || null;
+  if (mock) return [{ source, confidence, guess: { ...mock, upc: cleanUpc } }];
 
   const lookedUp = await lookupUpc(cleanUpc);
-  if (lookedUp) {
-    const created = await ensureProduct(lookedUp);
-    if (!created) return null;
-    return {
-      id: created.id,
-      title: created.title,
-      brand: created.brand,
-      upc: created.upc,
-      imageUrl: created.imageUrl,
-      confidence: 0.92
-    };
+  if (lookedUp?.title) {
+    return [{ source, confidence: Math.min(confidence, 0.92), guess: { ...lookedUp, upc: cleanUpc } }];
   }
-
-  return null;
+  return [];
 }
 
-async function recognizeByTextHints(textHints) {
-  const hints = Array.isArray(textHints)
-    ? textHints.map((t) => normalizeWhitespace(t)).filter(Boolean).slice(0, 25)
-    : [];
-  if (hints.length === 0) return null;
-
+// Products (and demo catalog entries) whose words cover enough of the OCR text.
+async function ocrSignals(hints) {
   const queryTokens = tokenize(hints.join(' '));
-  if (queryTokens.length === 0) return null;
-
-  const products = await prisma.product.findMany({ take: 80 });
-  let best = null;
-  let bestScore = 0;
-  for (const p of products) {
-    const score = overlapScore(queryTokens, tokenize(`${p.brand} ${p.title} ${p.upc || ''}`));
-    if (score > bestScore) {
-      best = p;
-      bestScore = score;
-    }
-  }
+  if (queryTokens.length === 0) return [];
 
-  if (!best || bestScore < 0.35) return null;
-  return {
-    id: best.id,
-    title: best.title,
-    brand: best.brand,
-    upc: best.upc,
-    imageUrl: best.imageUrl,
-    confidence: Number(bestScore.toFixed(2))
-  };
+  const probes = [...new Set(queryTokens.filter((t) => t.length >= 3))].sort((a, b) => b.length - a.length).slice(0, 8);
+  const products = probes.length
+    ? await prisma.product.findMany({ where: { OR: probes.map((t) => ({ title: { contains: t } })) }, take: 200 })
+    : [];
+  const scored = [
+    ...products.map((product) => ({ product })),
+    ...mockCatalog.filter((entry) => !products.some((p) => sameCode(p, entry))).map((entry) => ({ guess: entry }))
+  ].map((signal) => {
+    const item = signal.product || signal.guess;
+    return { ...signal, source: SIGNAL.OCR, confidence: overlapScore(queryTokens, tokenize(`${item.brand} ${item.title} ${item.upc || ''}`)) };
+  });
+  return scored
+    .filter((signal) => signal.confidence >= OCR_MIN_OVERLAP)
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, 3)
+    .map((signal) => ({ ...signal, confidence: Number(signal.confidence.toFixed(2)) }));
 }
 
-async function recognizeByImage(imageBase64, textHints) {
+// A checksum-valid barcode decoded from the photo, looked up like a scanned UPC.
+async function barcodeSignals(imageBase64) {
+  const barcode = await decodeBarcode(imageBase64);
+  if (!barcode) return { barcode: null, signals: [] };
+  return { barcode, signals: await upcSignals(barcode.gtin, SIGNAL.BARCODE, 1), trace: { format: barcode.format } };
+}
+
+// The vision model's guess as { guess, signals, model, promptVersion, error }, or null when AI is
+// off or there is no image. A UPC decoded from the photo beats whatever the model read.
+async function aiSignals(imageBase64, hints, scannedUpc) {
   if (!config.enableAIRecognition || !imageBase64) return null;
 
   let ai = null;
   try {
-    ai = await analyzeProductPhoto({ imageBase64, ocrHints: textHints || [] });
+    ai = await analyzeProductPhoto({ imageBase64, ocrHints: hints });
   } catch (error) {
     // Never 500 recognition just because OpenAI timed out / rate limited.
     // We simply fall back to other heuristics / manual search.
-    return null;
+    return { guess: null, signals: [], error: error?.message || String(error) };
   }
-  if (!ai?.ok) return null;
+  if (!ai?.ok) return { guess: null, signals: [], error: ai?.reason || 'failed' };
+  const meta = { model: ai.backend ? `${ai.backend}:${ai.model}` : ai.model || null, promptVersion: ai.promptVersion || null };
   const parsed = ai.parsedModelOutput;
-  if (!parsed || typeof parsed !== 'object') return null;
+  if (!parsed || typeof parsed !== 'object') return { guess: null, signals: [], ...meta, error: 'unparseable output' };
 
   const title = normalizeWhitespace(parsed.title);
   const brand = normalizeWhitespace(parsed.brand) || 'Unknown';
-  const upc = parsed.upc ? normalizeUpc(parsed.upc) : '';
-  const confidence = typeof parsed.confidence === 'number' ? parsed.confidence : null;
+  // Models invent plausible-looking UPCs; one that fails the check digit is dropped.
+  const upc = parsed.upc ? canonicalGtin(parsed.upc) || '' : '';
+  const confidence = typeof parsed.confidence === 'number' ? parsed.confidence : 0.62;
+  // The model's variant guess is a hint; a malformed one is ignored rather than failing recognition.
+  const { attributes } = validateVariantAttributes(parsed.variant);
 
-  if (upc) {
-    const byUpc = await recognizeByUpc(upc);
-    if (byUpc) {
-      return {
-        ...byUpc,
-        confidence: confidence !== null ? confidence : byUpc.confidence
-      };
-    }
+  const signals = upc && !scannedUpc ? await upcSignals(upc, SIGNAL.AI, confidence) : [];
+  const guessUpc = scannedUpc || upc || null;
+  const guess = title ? { title, brand, upc: guessUpc, imageUrl: null, attributes: attributes || undefined } : null;
+  if (guess) signals.push({ source: SIGNAL.AI, confidence, guess });
+  return { guess, signals, ...meta };
+}
+
+// Existing products (and demo catalog entries) that look like a guessed title/brand.
+async function catalogSignals(guess) {
+  if (!guess?.title) return [];
+  const minScore = Number(config.productDuplicateReviewThreshold) || 0.6;
+  const similar = await findSimilarProducts(guess, { minScore, limit: 3 });
+  // The closest product is what the guess most likely meant, so fusion folds the guess into it.
+  const signals = similar.map(({ product, match }, idx) => ({
+    source: SIGNAL.CATALOG,
+    confidence: match.score,
+    product,
+    ...(idx === 0 ? { basis: guess } : {})
+  }));
+  for (const entry of mockCatalog) {
+    const { score } = scoreProductMatch(guess, entry);
+    if (score >= minScore) signals.push({ source: SIGNAL.CATALOG, confidence: score, guess: entry });
   }
+  return signals;
+}
 
-  if (!title) return null;
-  const created = await ensureProduct({ title, brand, upc: upc || null, imageUrl: null });
-  if (!created) return null;
+// Products users confirmed for the same query text before; more confirmations, more confidence.
+async function confirmedSignals(queryKeys) {
+  if (queryKeys.length === 0) return [];
+  const aliases = await prisma.recognitionAlias.findMany({
+    where: { key: { in: queryKeys } },
+    include: { product: true }
+  });
+  return aliases.map((alias) => ({
+    source: SIGNAL.CONFIRMED,
+    confidence: Number(Math.min(0.95, 1 - 0.5 ** (alias.confirmations + 1)).toFixed(3)),
+    product: alias.product
+  }));
+}
 
-  return {
-    id: created.id,
-    title: created.title,
-    brand: created.brand,
-    upc: created.upc,
-    imageUrl: created.imageUrl,
-    confidence: confidence !== null ? confidence : 0.62
-  };
+// Two existing products are only the same item by id; a guess joins a product or another guess by
+// UPC (or the same legacy code), or by title/brand similarity when either has no UPC.
+function sameItem(a, b) {
+  if (a.id && b.id) return a.id === b.id;
+  if (a.upc && b.upc) return a.upc === b.upc;
+  if (sameCode(a, b)) return true;
+  return scoreProductMatch(a, b).score >= matchThreshold();
 }
 
-async function recognizeProduct({ imageBase64, upc, textHints }) {
-  const candidates = [];
+// Groups signals that point at the same item and fuses them: 1 - prod(1 - weight * confidence).
+// A group that contains an existing product is that product; otherwise it is the first guess. A
+// guess also joins the product its best catalog match found.
+function fuseCandidates(signals) {
+  const groups = [];
+  for (const signal of signals) {
+    const item = signal.product || signal.guess;
+    let group = groups.find((g) => sameItem(g.item, item));
+    const basisGroup = signal.basis
+      ? groups.find((g) => !g.item.id && g.signals.some((s) => s.guess === signal.basis))
+      : null;
+    if (!group) {
+      group = basisGroup;
+    } else if (basisGroup && basisGroup !== group) {
+      group.signals.push(...basisGroup.signals);
+      groups.splice(groups.indexOf(basisGroup), 1);
+    }
+    if (!group) {
+      groups.push({ item, signals: [signal] });
+      continue;
+    }
+    if (signal.product && !group.item.id) group.item = signal.product;
+    group.signals.push(signal);
+  }
 
-  if (upc) {
-    const byUpc = await recognizeByUpc(upc);
-    if (byUpc) {
+  return groups
+    .map((group) => {
+      const bySource = new Map();
+      for (const signal of group.signals) {
+        bySource.set(signal.source, Math.max(bySource.get(signal.source) || 0, signal.confidence));
+      }
+      const miss = [...bySource].reduce((acc, [source, c]) => acc * (1 - (SIGNAL_WEIGHT[source] || 0.5) * c), 1);
       return {
-        recognizedProduct: byUpc,
-        candidates: [byUpc],
-        status: 'ok',
-        visualHints: [],
-        visualQuery: `${byUpc.brand} ${byUpc.title}`.trim()
+        ...recognitionResult(group.item, Number((1 - miss).toFixed(3))),
+        productId: group.item.id || null,
+        signals: [...bySource].map(([source, confidence]) => ({ source, confidence }))
       };
-    }
+    })
+    .sort((a, b) => b.confidence - a.confidence || Number(Boolean(b.productId)) - Number(Boolean(a.productId)))
+    .slice(0, Math.max(1, Number(config.recognitionMaxCandidates) || 8))
+    .map((candidate, idx) => ({ candidateId: `c${idx + 1}`, ...candidate }));
+}
+
+// The recognized variant's family and siblings so the client can offer a size/color picker.
+async function variantContext(productId) {
+  if (!productId) return { family: null, variants: [] };
+  const context = await variantsFor(productId);
+  return { family: context?.family || null, variants: context?.variants || [] };
+}
+
+// Runs one signal source and appends { source, count, latencyMs, error? } to the session log.
+async function traced(trace, source, collect) {
+  const startedAt = Date.now();
+  const result = await collect();
+  const signals = Array.isArray(result) ? result : result?.signals || [];
+  trace.push({
+    source,
+    count: signals.length,
+    latencyMs: Date.now() - startedAt,
+    ...(result?.trace || {}),
+    ...(result?.error ? { error: result.error } : {})
+  });
+  return result;
+}
+
+function inputHash({ imageBase64, upc, hints }) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([String(imageBase64 || ''), upc, hints]))
+    .digest('hex');
+}
+
+// Returns ranked `candidates` and a `sessionId` for POST /recognize/:sessionId/confirm. `status`
+// is `ok` when the top candidate is an existing product at or above the auto-accept confidence,
+// `needs_confirmation` when the user should pick, and `no_match` when nothing came up. Every call
+// is logged as a RecognitionSession with its inputs hash, per-signal trace and latency.
+async function recognizeProduct({ imageBase64, upc, textHints, userId = null, origin = 'api' }) {
+  const startedAt = Date.now();
+  const hints = cleanHints(textHints);
+  const cleanUpc = upc ? canonicalGtin(upc) || '' : '';
+  const trace = [];
+  const signals = cleanUpc ? await traced(trace, SIGNAL.UPC, () => upcSignals(cleanUpc, SIGNAL.UPC, 1)) : [];
+  // A mistyped or misread UPC is ignored; the photo and hints still get a chance.
+  if (upc && !cleanUpc) trace.push({ source: SIGNAL.UPC, count: 0, latencyMs: 0, error: 'invalid GTIN check digit' });
+  const queryKeys = [];
+  let ai = null;
+
+  // A barcode in the photo is as good as a scanned one and much cheaper than the vision model.
+  let barcode = null;
+  if (!cleanUpc && imageBase64 && config.enableBarcodeDecoding) {
+    const decoded = await traced(trace, SIGNAL.BARCODE, () => barcodeSignals(imageBase64));
+    barcode = decoded.barcode;
+    signals.push(...decoded.signals);
   }
+  const scannedUpc = cleanUpc || barcode?.gtin || '';
 
-  const byText = await recognizeByTextHints(textHints);
-  if (byText) candidates.push(byText);
+  // A scanned barcode is exact, so the slower signals only run without one.
+  if (signals.length === 0) {
+    if (hints.length) signals.push(...(await traced(trace, SIGNAL.OCR, () => ocrSignals(hints))));
+    ai = imageBase64 ? await traced(trace, SIGNAL.AI, () => aiSignals(imageBase64, hints, scannedUpc)) : null;
+    if (ai) signals.push(...ai.signals);
+    if (ai?.guess) signals.push(...(await traced(trace, SIGNAL.CATALOG, () => catalogSignals(ai.guess))));
+    queryKeys.push(aliasKey({ title: hints.join(' ') }), ai?.guess ? aliasKey(ai.guess) : null);
+  } else if (!signals[0].product) {
+    // A barcode only known to the lookup service may still be an existing product without a UPC.
+    signals.push(...(await traced(trace, SIGNAL.CATALOG, () => catalogSignals(signals[0].guess))));
+  }
+  const keys = [...new Set(queryKeys.filter(Boolean))];
+  if (keys.length) signals.push(...(await traced(trace, SIGNAL.CONFIRMED, () => confirmedSignals(keys))));
 
-  const byImage = await recognizeByImage(imageBase64, textHints);
-  if (byImage) candidates.unshift(byImage);
+  const candidates = fuseCandidates(signals);
+  const top = candidates[0] || null;
+  const autoAccept = Number(config.recognitionAutoAcceptConfidence) || 0.9;
+  const status = !top ? 'no_match' : top.productId && top.confidence >= autoAccept ? 'ok' : 'needs_confirmation';
 
-  const recognizedProduct = candidates[0] || null;
-  const visualHints = [];
-  const visualQuery = recognizedProduct
-    ? `${recognizedProduct.brand} ${recognizedProduct.title}`.trim()
-    : '';
+  const session = await prisma.recognitionSession.create({
+    data: {
+      userId: userId || null,
+      origin,
+      inputHash: inputHash({ imageBase64, upc: cleanUpc, hints }),
+      upc: scannedUpc || null,
+      textHints: hints.length ? JSON.stringify(hints) : null,
+      hadImage: Boolean(imageBase64),
+      signals: JSON.stringify(trace),
+      aiModel: ai?.model || null,
+      aiPromptVersion: ai?.promptVersion || null,
+      candidates: JSON.stringify(candidates),
+      queryKeys: keys.length ? JSON.stringify(keys) : null,
+      resultStatus: status,
+      latencyMs: Date.now() - startedAt
+    }
+  });
 
   return {
-    recognizedProduct,
+    sessionId: session.id,
+    status,
+    recognizedProduct: top,
     candidates,
-    status: recognizedProduct ? 'ok' : 'no_match',
-    visualHints,
-    visualQuery
+    barcode,
+    visualHints: [],
+    visualQuery: top ? `${top.brand} ${top.title}`.trim() : '',
+    ...(await variantContext(top?.productId))
   };
 }
 
-module.exports = { recognizeProduct };
+async function existingOrEnsured(candidate) {
+  if (candidate.productId) {
+    const product = await prisma.product.findUnique({ where: { id: await canonicalProductId(candidate.productId) } });
+    if (product) return product;
+  }
+  return ensureProduct(candidate);
+}
+
+// Remembers what the user picked: the session's UPC goes onto a product that lacks one, and the
+// session's query texts, plus the title that was chosen or typed when it differs from the
+// product's, become RecognitionAlias rows that later recognitions pick up.
+async function recordConfirmation(session, product, now, chosenText) {
+  let confirmed = product;
+  if (session.upc && !product.upc) {
+    const taken = await prisma.product.findFirst({ where: { upc: session.upc } });
+    if (!taken) confirmed = await prisma.product.update({ where: { id: product.id }, data: { upc: session.upc } });
+  }
+  const keys = parseJson(session.queryKeys, []);
+  const chosenKey = chosenText ? aliasKey(chosenText) : null;
+  if (chosenKey && chosenKey !== aliasKey(product) && !keys.includes(chosenKey)) keys.push(chosenKey);
+  for (const key of keys) {
+    await prisma.recognitionAlias.upsert({
+      where: { key_productId: { key, productId: product.id } },
+      update: { confirmations: { increment: 1 }, lastConfirmedAt: now },
+      create: { key, productId: product.id, lastConfirmedAt: now }
+    });
+  }
+  return confirmed;
+}
+
+// Confirms one of the session's candidates (`candidateId`), another existing product
+// (`productId`), or a product the user typed in (`product: { title, brand, upc? }`). Unsaved
+// guesses become products only here.
+// Confirmations feed CONFIRMED signals for everyone, so only the signed-in user who started the
+// session may confirm it; anonymous sessions can't be confirmed.
+async function confirmRecognition({ sessionId, userId, candidateId, productId, product: manual }) {
+  const session = await prisma.recognitionSession.findUnique({ where: { id: sessionId } });
+  if (!session || (session.userId && session.userId !== userId)) {
+    throw recognitionError('Recognition session not found', 404, 'SESSION_NOT_FOUND');
+  }
+  if (!userId || !session.userId) {
+    throw recognitionError('Sign in before recognizing to confirm the result', 403, 'SESSION_NOT_OWNED');
+  }
+  if (!candidateId && !productId && !manual) {
+    throw recognitionError('candidateId, productId or product is required', 400, 'CHOICE_REQUIRED');
+  }
+  if (session.status === 'CONFIRMED') {
+    const repeated =
+      (candidateId && candidateId === session.confirmedCandidateId) ||
+      (productId && String(productId) === session.confirmedProductId);
+    if (!repeated) throw recognitionError('Recognition session is already confirmed', 409, 'ALREADY_CONFIRMED');
+    const product = await prisma.product.findUnique({
+      where: { id: await canonicalProductId(session.confirmedProductId) }
+    });
+    return { sessionId, status: session.status, product, ...(await variantContext(product?.id)) };
+  }
+
+  const candidates = parseJson(session.candidates, []);
+  let candidate = null;
+  let chosen = null;
+  let chosenText = null;
+  if (candidateId) {
+    candidate = candidates.find((c) => c.candidateId === String(candidateId)) || null;
+    if (!candidate) throw recognitionError('Candidate not found in this session', 404, 'CANDIDATE_NOT_FOUND');
+    chosen = await existingOrEnsured(candidate);
+    chosenText = candidate;
+  } else if (productId) {
+    chosen = await prisma.product.findUnique({ where: { id: await canonicalProductId(String(productId)) } });
+    if (!chosen) throw recognitionError('Product not found', 404, 'PRODUCT_NOT_FOUND');
+  } else {
+    const title = normalizeWhitespace(manual?.title);
+    if (!title) throw recognitionError('product.title is required', 400, 'TITLE_REQUIRED');
+    if (manual.upc && !canonicalGtin(manual.upc)) {
+      throw recognitionError('product.upc is not a valid UPC/EAN/GTIN', 400, 'INVALID_GTIN');
+    }
+    chosenText = { title, brand: normalizeWhitespace(manual.brand) || 'Unknown' };
+    chosen = await ensureProduct({
+      ...chosenText,
+      upc: manual.upc || session.upc || null,
+      imageUrl: manual.imageUrl || null
+    });
+  }
+  if (!chosen) throw recognitionError('Could not create a product from this candidate', 422, 'INVALID_CANDIDATE');
+
+  const now = new Date();
+  const confirmed = await recordConfirmation(session, chosen, now, chosenText);
+  await prisma.recognitionSession.update({
+    where: { id: session.id },
+    data: {
+      status: 'CONFIRMED',
+      confirmedCandidateId: candidate?.candidateId || null,
+      confirmedProductId: confirmed.id,
+      confirmedAt: now
+    }
+  });
+  return { sessionId, status: 'CONFIRMED', product: confirmed, ...(await variantContext(confirmed.id)) };
+}
+
+// Logged sessions, newest first, with their JSON columns parsed.
+async function listRecognitionSessions({ origin, status, limit = 50 } = {}) {
+  const sessions = await prisma.recognitionSession.findMany({
+    where: { ...(origin ? { origin } : {}), ...(status ? { status } : {}) },
+    orderBy: { createdAt: 'desc' },
+    take: Math.max(1, Math.min(200, Number(limit) || 50))
+  });
+  return sessions.map((session) => ({
+    ...session,
+    textHints: parseJson(session.textHints, []),
+    signals: parseJson(session.signals, []),
+    candidates: parseJson(session.candidates, []),
+    queryKeys: parseJson(session.queryKeys, [])
+  }));
+}
+
+module.exports = { SIGNAL, recognizeProduct, confirmRecognition, listRecognitionSessions };
@@ -0,0 +1,52 @@
+// Unpriced "search on <vendor>" links shown when live providers return few offers. They are never
+// stored as Offer rows, so they can't be ranked, alerted on, added to a cart or purchased.
+const SEARCH_LINK_VENDORS = [
+  { key: 'amazon', vendorName: 'Amazon', url: (q) => `https://www.amazon.com/s?k=${q}` },
+  { key: 'ebay', vendorName: 'eBay', url: (q) => `https://www.ebay.com/sch/i.html?_nkw=${q}` },
+  { key: 'walmart', vendorName: 'Walmart', url: (q) => `https://www.walmart.com/search?q=${q}` },
+  { key: 'target', vendorName: 'Target', url: (q) => `https://www.target.com/s?searchTerm=${q}` },
+  { key: 'bestbuy', vendorName: 'Best Buy', url: (q) => `https://www.bestbuy.com/site/searchpage.jsp?st=${q}` }
+];
+
+const LEGACY_FALLBACK_PREFIX = 'fallback:';
+
+// Prisma filter that leaves out legacy fallback rows.
+const PRICED_OFFER_WHERE = { NOT: { vendorId: { startsWith: LEGACY_FALLBACK_PREFIX } } };
+
+function vendorKey(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+// Offer rows written by the old fallback synthesis (fabricated prices).
+function isLegacyFallbackOffer(offer) {
+  return String(offer?.vendorId || '').startsWith(LEGACY_FALLBACK_PREFIX);
+}
+
+// One link per known vendor that has no priced offer yet.
+function buildSearchLinks(query, offers = []) {
+  const q = encodeURIComponent(String(query || '').replace(/\s+/g, ' ').trim());
+  if (!q) return [];
+  const covered = new Set();
+  for (const offer of offers) {
+    covered.add(vendorKey(offer.vendorName));
+    covered.add(vendorKey(String(offer.vendorId || '').split(':').pop()));
+  }
+  return SEARCH_LINK_VENDORS.filter((v) => !covered.has(v.key) && !covered.has(vendorKey(v.vendorName))).map(
+    (v) => ({
+      kind: 'SEARCH_LINK',
+      vendorId: `search:${v.key}`,
+      vendorName: v.vendorName,
+      label: `Search ${v.vendorName}`,
+      url: v.url(q)
+    })
+  );
+}
+
+module.exports = {
+  LEGACY_FALLBACK_PREFIX,
+  PRICED_OFFER_WHERE,
+  isLegacyFallbackOffer,
+  buildSearchLinks
+};
@@ -0,0 +1,63 @@
+const { prisma } = require('../db');
+
+const STOCK_REASON = {
+  PROVIDER_REPORTED: 'PROVIDER_REPORTED',
+  NOT_RETURNED: 'NOT_RETURNED',
+  RETURNED: 'RETURNED'
+};
+
+// Matches availability text from retailer/SerpAPI results. Returns true/false, or null when unknown.
+const OUT_OF_STOCK_PATTERNS = [
+  /out of stock/i,
+  /sold out/i,
+  /currently unavailable/i,
+  /temporarily unavailable/i,
+  /no longer available/i,
+  /not available/i,
+  /unavailable/i,
+  /backorder/i
+];
+const IN_STOCK_PATTERNS = [/in stock/i, /available/i, /only \d+ left/i, /ships (?:today|tomorrow|in)/i];
+
+function detectInStock(...texts) {
+  const text = texts
+    .filter((t) => t !== null && t !== undefined)
+    .map((t) => (Array.isArray(t) ? t.join(' ') : String(t)))
+    .join(' ');
+  if (!text.trim()) return null;
+  if (OUT_OF_STOCK_PATTERNS.some((re) => re.test(text))) return false;
+  if (IN_STOCK_PATTERNS.some((re) => re.test(text))) return true;
+  return null;
+}
+
+// Append a StockEvent when an offer's inStock flag flips.
+async function recordStockChange(previous, offer, reason, source = 'unknown') {
+  if (!offer?.id || !previous) return null;
+  if ((previous.inStock !== false) === (offer.inStock !== false)) return null;
+  return prisma.stockEvent.create({
+    data: {
+      offerId: offer.id,
+      productId: offer.productId,
+      vendorId: offer.vendorId,
+      vendorName: offer.vendorName,
+      inStock: offer.inStock !== false,
+      reason,
+      source: String(source || 'unknown')
+    }
+  });
+}
+
+async function getStockEvents(productId, { limit = 100 } = {}) {
+  return prisma.stockEvent.findMany({
+    where: { productId },
+    orderBy: { createdAt: 'desc' },
+    take: Math.max(1, Math.min(500, Number(limit) || 100))
+  });
+}
+
+module.exports = {
+  STOCK_REASON,
+  detectInStock,
+  recordStockChange,
+  getStockEvents
+};
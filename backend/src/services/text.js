@@ -0,0 +1,16 @@
+// String helpers shared by the offer providers and the services that store what they return.
+
+function normalizeWhitespace(value) {
+  return String(value || '').replace(/\s+/g, ' ').trim();
+}
+
+// "Best Buy Co." -> "best-buy-co", for ids built from merchant names and domains.
+function slugify(value, maxLength = 32) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, maxLength);
+}
+
+module.exports = { normalizeWhitespace, slugify };
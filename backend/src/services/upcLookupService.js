@@ -1,13 +1,10 @@
 const config = require('../config');
+const { canonicalGtin, displayGtin } = require('./gtin');
 
 function normalizeWhitespace(value) {
   return String(value || '').replace(/\s+/g, ' ').trim();
 }
 
-function normalizeUpc(value) {
-  return String(value || '').replace(/\D/g, '');
-}
-
 function buildAbort(timeoutMs) {
   const controller = new AbortController();
   const timeout = setTimeout(() => controller.abort(), Math.max(800, Number(timeoutMs) || 5000));
@@ -16,7 +13,7 @@ function buildAbort(timeoutMs) {
 
 async function lookupUpcItemDb(upc, timeoutMs) {
   if (!config.enableUpcItemDbLookup) return null;
-  const normalized = normalizeUpc(upc);
+  const normalized = displayGtin(upc);
   if (!normalized) return null;
 
   const base = String(config.upcItemDbApiBaseUrl || 'https://api.upcitemdb.com').replace(/\/+$/g, '');
@@ -39,7 +36,7 @@ async function lookupUpcItemDb(upc, timeoutMs) {
     if (!title) return null;
     return {
       source: 'upcitemdb',
-      upc: normalized,
+      upc: canonicalGtin(normalized),
       title,
       brand: brand || 'Unknown',
       imageUrl: imageUrl ? String(imageUrl) : null
@@ -51,7 +48,7 @@ async function lookupUpcItemDb(upc, timeoutMs) {
 
 async function lookupOpenFoodFacts(upc, timeoutMs) {
   if (!config.enableOpenFoodFactsLookup) return null;
-  const normalized = normalizeUpc(upc);
+  const normalized = displayGtin(upc);
   if (!normalized) return null;
 
   const base = String(config.openFoodFactsApiBaseUrl || 'https://world.openfoodfacts.org').replace(/\/+$/g, '');
@@ -70,7 +67,7 @@ async function lookupOpenFoodFacts(upc, timeoutMs) {
     if (!title) return null;
     return {
       source: 'openfoodfacts',
-      upc: normalized,
+      upc: canonicalGtin(normalized),
       title,
       brand: brand || 'Unknown',
       imageUrl: imageUrl ? String(imageUrl) : null
@@ -80,8 +77,10 @@ async function lookupOpenFoodFacts(upc, timeoutMs) {
   }
 }
 
+// Looks a GTIN up by its usual 8/12/13-digit form; results carry the canonical GTIN-14. Codes
+// that fail the check digit are never sent.
 async function lookupUpc(upc) {
-  if (!config.enableUpcDbLookup) return null;
+  if (!config.enableUpcDbLookup || !canonicalGtin(upc)) return null;
   const timeoutMs = config.upcDbLookupTimeoutMs || 5000;
 
   // Try UPCItemDB first, then OpenFoodFacts.
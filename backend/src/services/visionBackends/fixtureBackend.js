@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../../config');
+
+// Deterministic answers for tests and evaluations. VISION_FIXTURE_PATH is either a recognition
+// fixture array (entries with `imageBase64` or `image` plus `vision`, as in
+// scripts/fixtures/recognition.sample.json) or an object of sha256(imageBase64) -> model output.
+// Images without an entry get `{}`, which recognition treats as "no guess".
+const cache = { filePath: '', mtimeMs: 0, outputs: new Map() };
+
+function hashImage(imageBase64) {
+  return crypto.createHash('sha256').update(String(imageBase64 || '')).digest('hex');
+}
+
+function fixturePath() {
+  const raw = String(config.visionFixturePath || '').trim();
+  if (!raw) return '';
+  return path.isAbsolute(raw) ? raw : path.resolve(__dirname, '..', '..', '..', raw);
+}
+
+function loadOutputs() {
+  const filePath = fixturePath();
+  const stat = fs.statSync(filePath);
+  if (cache.filePath === filePath && cache.mtimeMs === stat.mtimeMs) return cache.outputs;
+
+  const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const outputs = new Map();
+  if (Array.isArray(parsed)) {
+    for (const fixture of parsed) {
+      if (!fixture?.vision) continue;
+      const imageBase64 = fixture.image
+        ? fs.readFileSync(path.resolve(path.dirname(filePath), fixture.image)).toString('base64')
+        : fixture.imageBase64;
+      if (imageBase64) outputs.set(hashImage(imageBase64), fixture.vision);
+    }
+  } else if (parsed && typeof parsed === 'object') {
+    for (const [hash, output] of Object.entries(parsed)) outputs.set(hash.toLowerCase(), output);
+  }
+  cache.filePath = filePath;
+  cache.mtimeMs = stat.mtimeMs;
+  cache.outputs = outputs;
+  return outputs;
+}
+
+const fixtureBackend = {
+  id: 'fixture',
+  name: 'Fixture file',
+  isAvailable() {
+    return Boolean(fixturePath());
+  },
+  model() {
+    return 'fixture';
+  },
+  async analyze({ imageBase64 }) {
+    const hash = hashImage(imageBase64);
+    const output = loadOutputs().get(hash) || {};
+    return { rawOutput: JSON.stringify(output), requestId: `fixture_${hash.slice(0, 12)}`, httpStatus: null };
+  },
+  async ping() {
+    return { requestId: null, status: `${loadOutputs().size} fixtures`, httpStatus: null };
+  }
+};
+
+module.exports = { fixtureBackend, hashImage };
@@ -0,0 +1,30 @@
+// POSTs JSON and returns { payload, httpStatus }. Non-2xx answers throw with `httpStatus` and
+// `payload` set; the request is aborted after `timeoutMs`.
+async function postJson(url, { headers = {}, body, timeoutMs }) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), Math.max(2000, Number(timeoutMs) || 9000));
+  try {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+    const payload = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      const err = new Error(payload?.error?.message || `HTTP ${res.status}`);
+      err.httpStatus = res.status;
+      err.payload = payload;
+      throw err;
+    }
+    return { payload, httpStatus: res.status };
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+function dataUrl(imageBase64) {
+  return `data:image/jpeg;base64,${imageBase64}`;
+}
+
+module.exports = { postJson, dataUrl };
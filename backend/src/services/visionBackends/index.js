@@ -0,0 +1,143 @@
+const config = require('../../config');
+const { openaiResponsesBackend } = require('./openaiResponsesBackend');
+const { openaiChatBackend } = require('./openaiChatBackend');
+const { fixtureBackend } = require('./fixtureBackend');
+
+// Vision backend interface:
+// {
+//   id: string,
+//   name: string,
+//   isAvailable(): boolean,
+//   model(): string,
+//   analyze({ prompt, imageBase64, hints, timeoutMs }): Promise<{ rawOutput, requestId, httpStatus, payloadPreview? }>,
+//   ping?({ timeoutMs }): Promise<{ requestId, status, httpStatus }>
+// }
+// Backends are tried in VISION_BACKENDS order; a backend that fails or answers with something
+// that isn't a JSON object falls through to the next one.
+const registry = new Map();
+const backendMetrics = new Map();
+
+function registerBackend(backend) {
+  if (!backend?.id || typeof backend.analyze !== 'function') {
+    throw new Error('Vision backend must have an id and an analyze() function');
+  }
+  registry.set(backend.id, backend);
+  backendMetrics.set(backend.id, {
+    calls: 0,
+    successes: 0,
+    failures: 0,
+    lastCallAt: null,
+    lastDurationMs: null,
+    lastHTTPStatus: null,
+    lastRequestId: null,
+    lastError: null
+  });
+}
+
+registerBackend(openaiResponsesBackend);
+registerBackend(openaiChatBackend);
+registerBackend(fixtureBackend);
+
+// Enabled backends in configured fallback order.
+function getEnabledBackends() {
+  const ids = Array.isArray(config.visionBackends) ? config.visionBackends : [];
+  return ids.map((id) => registry.get(id)).filter((backend) => backend && backend.isAvailable());
+}
+
+function tryParseJson(text) {
+  const raw = String(text || '').trim();
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    // Attempt to salvage a JSON object substring.
+    const start = raw.indexOf('{');
+    const end = raw.lastIndexOf('}');
+    if (start >= 0 && end > start) {
+      const slice = raw.slice(start, end + 1);
+      try {
+        return JSON.parse(slice);
+      } catch {
+        return null;
+      }
+    }
+    return null;
+  }
+}
+
+async function callBackend(backend, args) {
+  const metrics = backendMetrics.get(backend.id);
+  const started = Date.now();
+  metrics.calls += 1;
+  metrics.lastCallAt = new Date(started).toISOString();
+  try {
+    const result = await backend.analyze(args);
+    metrics.lastHTTPStatus = result.httpStatus ?? null;
+    metrics.lastRequestId = result.requestId || null;
+    const parsed = tryParseJson(result.rawOutput);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('Model output is not a JSON object');
+    }
+    metrics.successes += 1;
+    metrics.lastError = null;
+    return { ...result, parsedOutput: parsed };
+  } catch (error) {
+    metrics.failures += 1;
+    metrics.lastError = String(error?.message || error);
+    if (error?.httpStatus) metrics.lastHTTPStatus = error.httpStatus;
+    throw error;
+  } finally {
+    metrics.lastDurationMs = Date.now() - started;
+  }
+}
+
+// Runs the first backend that answers with a JSON object. Returns { backend, model, rawOutput,
+// parsedOutput, requestId, httpStatus, payloadPreview, failures[] }; throws when all of them fail.
+async function analyzeWithBackends({ prompt, imageBase64, hints, timeoutMs }) {
+  const failures = [];
+  for (const backend of getEnabledBackends()) {
+    try {
+      const result = await callBackend(backend, { prompt, imageBase64, hints, timeoutMs });
+      return { backend: backend.id, model: backend.model(), ...result, failures };
+    } catch (error) {
+      console.warn(`[Vision:${backend.id}] analyze failed`, error?.message || error);
+      failures.push({ backend: backend.id, error: String(error?.message || error) });
+    }
+  }
+  const err = new Error(
+    failures.length
+      ? `All vision backends failed: ${failures.map((f) => `${f.backend}: ${f.error}`).join('; ')}`
+      : 'No vision backend available'
+  );
+  err.failures = failures;
+  throw err;
+}
+
+// Pings the first enabled backend that supports it.
+async function pingFirstBackend({ timeoutMs }) {
+  const backend = getEnabledBackends().find((b) => typeof b.ping === 'function');
+  if (!backend) return null;
+  const result = await backend.ping({ timeoutMs });
+  return { backend: backend.id, model: backend.model(), ...result };
+}
+
+function getBackendStatus() {
+  const enabledIds = Array.isArray(config.visionBackends) ? config.visionBackends : [];
+  return [...registry.values()].map((backend) => ({
+    id: backend.id,
+    name: backend.name,
+    enabled: enabledIds.includes(backend.id),
+    priority: enabledIds.indexOf(backend.id),
+    available: backend.isAvailable(),
+    model: backend.model(),
+    metrics: { ...backendMetrics.get(backend.id) }
+  }));
+}
+
+module.exports = {
+  registerBackend,
+  getEnabledBackends,
+  analyzeWithBackends,
+  pingFirstBackend,
+  getBackendStatus
+};
@@ -0,0 +1,74 @@
+const config = require('../../config');
+const { postJson, dataUrl } = require('./http');
+
+function baseUrl() {
+  return String(config.visionChatBaseUrl || '').replace(/\/+$/g, '');
+}
+
+function headers() {
+  return config.visionChatApiKey ? { authorization: `Bearer ${config.visionChatApiKey}` } : {};
+}
+
+// Message content is a string on most servers, or an array of text parts on some.
+function extractMessageText(payload) {
+  const content = payload?.choices?.[0]?.message?.content;
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content
+      .filter((part) => typeof part?.text === 'string')
+      .map((part) => part.text)
+      .join('');
+  }
+  return '';
+}
+
+// OpenAI-compatible chat completions (`/v1/chat/completions`) with an image_url part, as served
+// by llama.cpp, Ollama, vLLM and similar local servers.
+const openaiChatBackend = {
+  id: 'openai-chat',
+  name: 'OpenAI-compatible chat completions',
+  isAvailable() {
+    return Boolean(baseUrl() && config.visionChatModel);
+  },
+  model() {
+    return config.visionChatModel;
+  },
+  async analyze({ prompt, imageBase64, hints, timeoutMs }) {
+    const body = {
+      model: config.visionChatModel,
+      max_tokens: Math.max(256, Number(config.openaiVisionMaxOutputTokens) || 1200),
+      ...(config.visionChatJsonMode ? { response_format: { type: 'json_object' } } : {}),
+      messages: [
+        {
+          role: 'user',
+          content: [
+            { type: 'text', text: prompt },
+            ...(hints.length ? [{ type: 'text', text: `OCR hints (may be partial/noisy): ${hints.join(', ')}` }] : []),
+            { type: 'image_url', image_url: { url: dataUrl(imageBase64) } }
+          ]
+        }
+      ]
+    };
+    const { payload, httpStatus } = await postJson(`${baseUrl()}/v1/chat/completions`, {
+      headers: headers(),
+      body,
+      timeoutMs
+    });
+    return {
+      rawOutput: extractMessageText(payload),
+      requestId: payload?.id || null,
+      httpStatus,
+      payloadPreview: JSON.stringify(payload).slice(0, 1800)
+    };
+  },
+  async ping({ timeoutMs }) {
+    const { payload, httpStatus } = await postJson(`${baseUrl()}/v1/chat/completions`, {
+      headers: headers(),
+      body: { model: config.visionChatModel, max_tokens: 16, messages: [{ role: 'user', content: 'ping' }] },
+      timeoutMs
+    });
+    return { requestId: payload?.id || null, status: payload?.choices?.[0]?.finish_reason || null, httpStatus };
+  }
+};
+
+module.exports = { openaiChatBackend };
@@ -0,0 +1,91 @@
+const config = require('../../config');
+const { postJson, dataUrl } = require('./http');
+
+function baseUrl() {
+  return String(config.openaiApiBaseUrl || 'https://api.openai.com').replace(/\/+$/g, '');
+}
+
+function extractOutputText(payload) {
+  const output = Array.isArray(payload?.output) ? payload.output : [];
+  for (const item of output) {
+    if (item?.type !== 'message') continue;
+    const content = Array.isArray(item?.content) ? item.content : [];
+    for (const c of content) {
+      if (c?.type === 'output_text' && typeof c?.text === 'string') {
+        return c.text;
+      }
+    }
+  }
+  return '';
+}
+
+function requestIdOf(payload) {
+  return payload?.id || payload?.request_id || payload?.response_id || null;
+}
+
+// OpenAI Responses API (`/v1/responses`), or anything that speaks it at OPENAI_API_BASE_URL.
+const openaiResponsesBackend = {
+  id: 'openai',
+  name: 'OpenAI Responses API',
+  isAvailable() {
+    return Boolean(config.openaiApiKey);
+  },
+  model() {
+    return config.openaiVisionModel;
+  },
+  async analyze({ prompt, imageBase64, hints, timeoutMs }) {
+    const body = {
+      model: config.openaiVisionModel,
+      max_output_tokens: Math.max(256, Number(config.openaiVisionMaxOutputTokens) || 1200),
+      text: { format: { type: 'json_object' } },
+      ...(config.openaiVisionReasoningEffort
+        ? { reasoning: { effort: String(config.openaiVisionReasoningEffort) } }
+        : {}),
+      input: [
+        {
+          role: 'user',
+          content: [
+            { type: 'input_text', text: prompt },
+            ...(hints.length
+              ? [
+                  {
+                    type: 'input_text',
+                    text: `OCR hints (may be partial/noisy): ${hints.join(', ')}`
+                  }
+                ]
+              : []),
+            {
+              type: 'input_image',
+              image_url: dataUrl(imageBase64)
+            }
+          ]
+        }
+      ]
+    };
+    const { payload, httpStatus } = await postJson(`${baseUrl()}/v1/responses`, {
+      headers: { authorization: `Bearer ${config.openaiApiKey}` },
+      body,
+      timeoutMs
+    });
+    return {
+      rawOutput: extractOutputText(payload),
+      requestId: requestIdOf(payload),
+      httpStatus,
+      payloadPreview: JSON.stringify(payload).slice(0, 1800)
+    };
+  },
+  async ping({ timeoutMs }) {
+    const { payload, httpStatus } = await postJson(`${baseUrl()}/v1/responses`, {
+      headers: { authorization: `Bearer ${config.openaiApiKey}` },
+      body: {
+        model: config.openaiVisionModel,
+        input: [{ role: 'user', content: [{ type: 'input_text', text: 'ping' }] }],
+        max_output_tokens: 64
+      },
+      timeoutMs
+    });
+    return { requestId: requestIdOf(payload), status: payload?.status || null, httpStatus };
+  }
+};
+
+module.exports = { openaiResponsesBackend };
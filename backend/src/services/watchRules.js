@@ -0,0 +1,309 @@
+// Structured watchlist alert rules, stored as JSON on Watchlist.rules:
+// {
+//   "match": { "any": [ { "type": "TARGET_PRICE", "cents": 19999, "basis": "TOTAL" },
+//                       { "all": [ { "type": "PCT_DROP", "pct": 10 }, { "type": "SHIPPING_IMPROVED" } ] } ] },
+//   "filters": { "vendors": { "include": ["amazon"], "exclude": [] }, "verifiedOnly": true,
+//                "conditions": ["NEW"], "maxEtaDays": 5, "attributes": { "size": ["24 oz"] } },
+//   "expiresAt": "2026-12-31T00:00:00.000Z"
+// }
+const CONDITION = {
+  TARGET_PRICE: 'TARGET_PRICE',
+  PCT_DROP: 'PCT_DROP',
+  SHIPPING_IMPROVED: 'SHIPPING_IMPROVED',
+  BACK_IN_STOCK: 'BACK_IN_STOCK'
+};
+
+const BASIS = { ITEM: 'ITEM', TOTAL: 'TOTAL' };
+const ITEM_CONDITIONS = ['NEW', 'USED', 'REFURBISHED'];
+const MAX_DEPTH = 3;
+const MAX_CONDITIONS = 20;
+
+function normalizeVendorList(value, path, errors) {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value)) {
+    errors.push(`${path} must be an array of vendor ids or names`);
+    return [];
+  }
+  return [...new Set(value.map((v) => String(v || '').trim().toLowerCase()).filter(Boolean))].slice(0, 50);
+}
+
+// { size: ['24 oz'], color: ['blue', 'black'] }: offers must be for a variant with one of the
+// listed values. Mostly useful with anyVariant watches ("any color, 24 oz only").
+function normalizeAttributeFilters(value, errors) {
+  if (value === undefined || value === null) return {};
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    errors.push('filters.attributes must be an object of attribute name to allowed values');
+    return {};
+  }
+  const attributes = {};
+  for (const [key, allowed] of Object.entries(value).slice(0, 10)) {
+    const list = Array.isArray(allowed) ? allowed : [allowed];
+    const values = [...new Set(list.map((v) => String(v ?? '').trim().toLowerCase()).filter(Boolean))].slice(0, 20);
+    if (values.length) attributes[key.trim().toLowerCase()] = values;
+  }
+  return attributes;
+}
+
+function validateLeaf(node, path, errors) {
+  const type = String(node.type || '').toUpperCase();
+  if (!CONDITION[type]) {
+    errors.push(`${path}.type must be one of ${Object.keys(CONDITION).join(', ')}`);
+    return null;
+  }
+  const basis = String(node.basis || BASIS.ITEM).toUpperCase();
+  if (!BASIS[basis]) errors.push(`${path}.basis must be ITEM or TOTAL`);
+
+  if (type === CONDITION.TARGET_PRICE) {
+    const cents = Math.round(Number(node.cents));
+    if (!Number.isFinite(cents) || cents <= 0) errors.push(`${path}.cents must be a positive integer`);
+    return { type, cents, basis };
+  }
+  if (type === CONDITION.PCT_DROP) {
+    const pct = Number(node.pct);
+    if (!Number.isFinite(pct) || pct <= 0 || pct >= 100) errors.push(`${path}.pct must be between 0 and 100`);
+    return { type, pct, basis };
+  }
+  return { type };
+}
+
+function validateNode(node, path, depth, errors, counter) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    errors.push(`${path} must be an object`);
+    return null;
+  }
+  const groupKey = Array.isArray(node.all) ? 'all' : Array.isArray(node.any) ? 'any' : null;
+  if (!groupKey) {
+    counter.count += 1;
+    return validateLeaf(node, path, errors);
+  }
+  if (depth >= MAX_DEPTH) {
+    errors.push(`${path} nests groups deeper than ${MAX_DEPTH} levels`);
+    return null;
+  }
+  if (node[groupKey].length === 0) errors.push(`${path}.${groupKey} must not be empty`);
+  const children = node[groupKey]
+    .map((child, idx) => validateNode(child, `${path}.${groupKey}[${idx}]`, depth + 1, errors, counter))
+    .filter(Boolean);
+  return { [groupKey]: children };
+}
+
+// Returns { rules, errors }. `rules` is the normalized form to store when errors is empty.
+function validateWatchRules(input, now = new Date()) {
+  const errors = [];
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { rules: null, errors: ['rules must be an object'] };
+  }
+
+  const counter = { count: 0 };
+  const match = validateNode(input.match, 'match', 0, errors, counter);
+  if (counter.count > MAX_CONDITIONS) errors.push(`rules may contain at most ${MAX_CONDITIONS} conditions`);
+
+  const rawFilters = input.filters && typeof input.filters === 'object' ? input.filters : {};
+  const conditions = Array.isArray(rawFilters.conditions)
+    ? [...new Set(rawFilters.conditions.map((c) => String(c || '').toUpperCase()))]
+    : [];
+  for (const c of conditions) {
+    if (!ITEM_CONDITIONS.includes(c)) errors.push(`filters.conditions entries must be one of ${ITEM_CONDITIONS.join(', ')}`);
+  }
+  let maxEtaDays = null;
+  if (rawFilters.maxEtaDays !== undefined && rawFilters.maxEtaDays !== null) {
+    maxEtaDays = Math.round(Number(rawFilters.maxEtaDays));
+    if (!Number.isFinite(maxEtaDays) || maxEtaDays <= 0) errors.push('filters.maxEtaDays must be a positive integer');
+  }
+  const filters = {
+    vendors: {
+      include: normalizeVendorList(rawFilters.vendors?.include, 'filters.vendors.include', errors),
+      exclude: normalizeVendorList(rawFilters.vendors?.exclude, 'filters.vendors.exclude', errors)
+    },
+    verifiedOnly: Boolean(rawFilters.verifiedOnly),
+    conditions,
+    maxEtaDays,
+    attributes: normalizeAttributeFilters(rawFilters.attributes, errors)
+  };
+
+  let expiresAt = null;
+  if (input.expiresAt !== undefined && input.expiresAt !== null) {
+    const parsed = new Date(input.expiresAt);
+    if (Number.isNaN(parsed.getTime())) errors.push('expiresAt must be an ISO date');
+    else if (parsed <= now) errors.push('expiresAt must be in the future');
+    else expiresAt = parsed.toISOString();
+  }
+
+  return { rules: errors.length ? null : { match, filters, expiresAt }, errors };
+}
+
+// Equivalent rules for items created with the flat pctDropThreshold/targetPriceCents/shippingImprovementOn
+// fields. Every watcher also hears when the product comes back in stock.
+function legacyRulesFor(watchItem) {
+  const any = [
+    { type: CONDITION.PCT_DROP, pct: watchItem.pctDropThreshold ?? 15, basis: BASIS.ITEM },
+    { type: CONDITION.BACK_IN_STOCK }
+  ];
+  if (watchItem.targetPriceCents) {
+    any.push({ type: CONDITION.TARGET_PRICE, cents: watchItem.targetPriceCents, basis: BASIS.ITEM });
+  }
+  if (watchItem.shippingImprovementOn) any.push({ type: CONDITION.SHIPPING_IMPROVED });
+  return {
+    match: { any },
+    filters: { vendors: { include: [], exclude: [] }, verifiedOnly: false, conditions: [], maxEtaDays: null, attributes: {} },
+    expiresAt: null
+  };
+}
+
+function parseStoredRules(watchItem) {
+  if (!watchItem?.rules) return legacyRulesFor(watchItem || {});
+  try {
+    const { rules } = validateWatchRules(JSON.parse(watchItem.rules), new Date(0));
+    return rules || legacyRulesFor(watchItem);
+  } catch {
+    return legacyRulesFor(watchItem);
+  }
+}
+
+function isExpired(rules, now = new Date()) {
+  return Boolean(rules?.expiresAt) && new Date(rules.expiresAt) <= now;
+}
+
+function vendorMatches(offer, token) {
+  const vendorId = String(offer.vendorId || '').toLowerCase();
+  return vendorId === token || vendorId.endsWith(`:${token}`) || String(offer.vendorName || '').toLowerCase() === token;
+}
+
+function applyFilters(offers, filters) {
+  return offers.filter((offer) => {
+    if (filters.vendors.include.length && !filters.vendors.include.some((t) => vendorMatches(offer, t))) return false;
+    if (filters.vendors.exclude.some((t) => vendorMatches(offer, t))) return false;
+    if (filters.verifiedOnly && !offer.listingVerified) return false;
+    // Offers without a reported condition are treated as new retail stock.
+    if (filters.conditions.length && !filters.conditions.includes(offer.itemCondition || 'NEW')) return false;
+    if (filters.maxEtaDays && offer.etaDays > filters.maxEtaDays) return false;
+    // Variant attributes come from the offer's product (offer.variant, see services/productVariants.js).
+    for (const [key, allowed] of Object.entries(filters.attributes || {})) {
+      if (!allowed.includes(String(offer.variant?.attributes?.[key] || '').toLowerCase())) return false;
+    }
+    return true;
+  });
+}
+
+// TOTAL basis is the landed total (estimated tax and duty) when the caller attached one.
+function total(offer) {
+  if (Number.isFinite(offer.landedTotalCents)) return offer.landedTotalCents;
+  return offer.priceCents + (offer.shippingCents || 0);
+}
+
+function evaluateLeaf(leaf, ctx) {
+  const { bestByItem, bestByTotal, watchItem } = ctx;
+  switch (leaf.type) {
+    case CONDITION.TARGET_PRICE:
+      if (leaf.basis === BASIS.TOTAL) return Boolean(bestByTotal) && total(bestByTotal) <= leaf.cents;
+      return Boolean(bestByItem) && bestByItem.priceCents <= leaf.cents;
+    case CONDITION.PCT_DROP: {
+      const useTotal = leaf.basis === BASIS.TOTAL;
+      const best = useTotal ? bestByTotal : bestByItem;
+      const baseline = useTotal ? watchItem.lastSeenBestTotalCents : watchItem.lastSeenBestPriceCents;
+      if (!best || !baseline) return false;
+      const current = useTotal ? total(best) : best.priceCents;
+      return ((baseline - current) / baseline) * 100 >= leaf.pct;
+    }
+    case CONDITION.SHIPPING_IMPROVED:
+      return (
+        ctx.minEta !== null &&
+        watchItem.lastSeenBestEtaDays !== null &&
+        watchItem.lastSeenBestEtaDays !== undefined &&
+        ctx.minEta < watchItem.lastSeenBestEtaDays
+      );
+    case CONDITION.BACK_IN_STOCK:
+      return watchItem.lastSeenInStock === false && ctx.inStock.length > 0;
+    default:
+      return false;
+  }
+}
+
+// The offer a matched condition was decided on, so alerts name the price that fired.
+function offerForLeaf(leaf, ctx) {
+  switch (leaf.type) {
+    case CONDITION.TARGET_PRICE:
+    case CONDITION.PCT_DROP:
+      return leaf.basis === BASIS.TOTAL ? ctx.bestByTotal : ctx.bestByItem;
+    case CONDITION.SHIPPING_IMPROVED:
+      return ctx.fastest;
+    default:
+      return ctx.bestByTotal;
+  }
+}
+
+// Returns whether the node matched; matched leaves are collected into `triggers`.
+function evaluateNode(node, ctx, triggers) {
+  if (Array.isArray(node.all)) {
+    const local = [];
+    const ok = node.all.every((child) => evaluateNode(child, ctx, local));
+    if (ok) triggers.push(...local);
+    return ok;
+  }
+  if (Array.isArray(node.any)) {
+    let ok = false;
+    for (const child of node.any) {
+      if (evaluateNode(child, ctx, triggers)) ok = true;
+    }
+    return ok;
+  }
+  const ok = evaluateLeaf(node, ctx);
+  if (ok) triggers.push(node);
+  return ok;
+}
+
+// `offers` are normalized offers for the product, including out-of-stock ones. Price and
+// shipping conditions only look at offers whose price is still fresh.
+function evaluateWatchRules(rules, { offers, watchItem, now = new Date() }) {
+  const candidates = applyFilters(Array.isArray(offers) ? offers : [], rules.filters);
+  const inStock = candidates.filter((o) => o.inStock !== false);
+  const fresh = inStock.filter((o) => !o.freshness?.stale);
+  const bestByTotal = fresh.reduce((best, o) => {
+    if (!best || total(o) < total(best)) return o;
+    return total(o) === total(best) && o.etaDays < best.etaDays ? o : best;
+  }, null);
+  const bestByItem = fresh.reduce((best, o) => (!best || o.priceCents < best.priceCents ? o : best), null);
+  const fastest = fresh.reduce((best, o) => {
+    if (!best || o.etaDays < best.etaDays) return o;
+    return o.etaDays === best.etaDays && total(o) < total(best) ? o : best;
+  }, null);
+  const ctx = {
+    watchItem,
+    inStock,
+    bestByTotal,
+    bestByItem,
+    fastest,
+    minEta: fastest ? fastest.etaDays : null
+  };
+  const base = { bestOffer: bestByTotal, bestByItem, inStock: inStock.length > 0 };
+
+  if (isExpired(rules, now)) {
+    return { matched: false, expired: true, triggers: [], triggerOffers: {}, ...base };
+  }
+
+  const triggers = [];
+  const matched = rules.match ? evaluateNode(rules.match, ctx, triggers) : false;
+  // First matched condition of each type -> the offer it matched on (null without a fresh price).
+  const triggerOffers = {};
+  for (const leaf of triggers) {
+    if (!(leaf.type in triggerOffers)) triggerOffers[leaf.type] = offerForLeaf(leaf, ctx) || null;
+  }
+  return {
+    matched,
+    expired: false,
+    triggers: Object.keys(triggerOffers),
+    triggerOffers,
+    ...base
+  };
+}
+
+module.exports = {
+  CONDITION,
+  BASIS,
+  validateWatchRules,
+  legacyRulesFor,
+  parseStoredRules,
+  isExpired,
+  vendorMatches,
+  evaluateWatchRules
+};
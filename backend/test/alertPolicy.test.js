@@ -0,0 +1,148 @@
+const { resetDb } = require('./helpers/fakeDb');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ALERT_TYPE, dispatchDealAlert, runDigests } = require('../src/services/alertPolicy');
+
+// In-memory alert log, pending notifications and users.
+function alertDb(users = []) {
+  const logs = [];
+  const notifications = [];
+  const userRows = new Map(users.map((user) => [user.id, { lastDigestAt: null, ...user }]));
+  const matches = (row, where) =>
+    Object.entries(where).every(([key, value]) => {
+      if (value?.gte) return row[key] >= value.gte;
+      if (value?.in) return value.in.includes(row[key]);
+      return row[key] === value;
+    });
+  resetDb({
+    alertLog: {
+      findFirst: async ({ where }) => logs.filter((log) => matches(log, where)).at(-1) || null,
+      findMany: async ({ where }) => logs.filter((log) => matches(log, where)),
+      count: async ({ where }) => logs.filter((log) => matches(log, where)).length,
+      create: async ({ data }) => logs.push({ id: `l${logs.length + 1}`, ...data }),
+      updateMany: async ({ where, data }) => {
+        logs.filter((log) => matches(log, where)).forEach((log) => Object.assign(log, data));
+      },
+      groupBy: async ({ where }) =>
+        [...new Set(logs.filter((log) => matches(log, where)).map((log) => log.userId))].map((userId) => ({ userId }))
+    },
+    pendingNotification: {
+      create: async ({ data }) => {
+        const row = { id: `n${notifications.length + 1}`, ...data };
+        notifications.push(row);
+        return row;
+      }
+    },
+    user: {
+      findUnique: async ({ where }) => userRows.get(where.id) || null,
+      update: async ({ where, data }) => Object.assign(userRows.get(where.id), data)
+    }
+  });
+  return { logs, notifications, users: userRows };
+}
+
+const at = (iso) => new Date(iso);
+const user = (preferences = {}) => ({ id: 'u1', notificationPreferences: JSON.stringify(preferences) });
+const watch = (id = 'w1') => ({ id, userId: 'u1', productId: `p_${id}` });
+const deal = (fields) => ({ bestOfferId: 'of1', priceCents: 900, etaDays: 3, ...fields });
+
+function alert(watchItem, owner, now, payload = deal()) {
+  return dispatchDealAlert({
+    watchItem,
+    user: owner,
+    alertType: ALERT_TYPE.PRICE_DROP,
+    message: `Deal on ${watchItem.productId}`,
+    payload,
+    now
+  });
+}
+
+test('the same deal is not repeated and new ones wait out the cooldown', async () => {
+  const { notifications } = alertDb();
+  const owner = user();
+
+  assert.equal((await alert(watch(), owner, at('2026-06-01T10:00:00Z'))).status, 'SENT');
+  assert.deepEqual(await alert(watch(), owner, at('2026-06-02T10:00:00Z')), {
+    status: 'SUPPRESSED',
+    reason: 'DUPLICATE'
+  });
+  // A cheaper price is a new deal, but PRICE_DROP alerts cool down for 12 hours.
+  const cheaper = deal({ priceCents: 800 });
+  assert.deepEqual(await alert(watch(), owner, at('2026-06-01T21:00:00Z'), cheaper), {
+    status: 'SUPPRESSED',
+    reason: 'COOLDOWN'
+  });
+  assert.equal((await alert(watch(), owner, at('2026-06-01T22:30:00Z'), cheaper)).status, 'SENT');
+  assert.deepEqual(
+    notifications.map((n) => [n.type, n.deliverAfter]),
+    [
+      ['DEAL_ALERT', null],
+      ['DEAL_ALERT', null]
+    ]
+  );
+});
+
+test('alerts during quiet hours are held until they end', async () => {
+  alertDb();
+  const owner = user({ quietHours: { enabled: true, start: '22:00', end: '07:00' } });
+  const outcome = await alert(watch(), owner, at('2026-06-01T23:15:00Z'));
+  assert.equal(outcome.status, 'SENT');
+  assert.deepEqual(outcome.deliverAfter, at('2026-06-02T07:00:00Z'));
+});
+
+test('alerts past the daily cap are queued for the next digest instead of sent', async () => {
+  const { logs, notifications } = alertDb();
+  const owner = user({ maxAlertsPerDay: 2 });
+
+  await alert(watch('w1'), owner, at('2026-06-01T08:00:00Z'));
+  await alert(watch('w2'), owner, at('2026-06-01T09:00:00Z'));
+  assert.deepEqual(await alert(watch('w3'), owner, at('2026-06-01T10:00:00Z')), {
+    status: 'QUEUED_FOR_DIGEST',
+    reason: 'DAILY_CAP'
+  });
+  assert.equal(notifications.length, 2);
+  assert.deepEqual(logs.map((log) => log.status), ['SENT', 'SENT', 'QUEUED_FOR_DIGEST']);
+  // The cap counts the user's local day, so the next morning alerts go out again.
+  const nextMorning = await alert(watch('w3'), owner, at('2026-06-02T08:00:00Z'), deal({ priceCents: 800 }));
+  assert.equal(nextMorning.status, 'SENT');
+});
+
+test('digest users get one notification at digestHour, not on the next worker tick', async () => {
+  const preferences = { digest: 'DAILY', digestHour: 9 };
+  const { logs, notifications, users } = alertDb([user(preferences)]);
+  const owner = user(preferences);
+
+  const queued = await alert(watch('w1'), owner, at('2026-06-01T10:00:00Z'));
+  assert.deepEqual(queued, { status: 'QUEUED_FOR_DIGEST', reason: 'DIGEST_MODE' });
+  await alert(watch('w2'), owner, at('2026-06-01T15:00:00Z'));
+
+  assert.deepEqual(await runDigests(at('2026-06-01T10:00:05Z')), []);
+  assert.deepEqual(await runDigests(at('2026-06-02T08:59:00Z')), []);
+
+  const [digest] = await runDigests(at('2026-06-02T09:00:00Z'));
+  assert.equal(digest.items, 2);
+  assert.equal(notifications.length, 1);
+  assert.equal(notifications[0].type, 'DEAL_DIGEST');
+  assert.ok(notifications[0].message.startsWith('2 deals on 2 watched items'));
+  assert.deepEqual(logs.map((log) => log.status), ['DIGESTED', 'DIGESTED']);
+  assert.deepEqual(users.get('u1').lastDigestAt, at('2026-06-02T09:00:00Z'));
+});
+
+test('extension deals keep their notification type and share the watch cooldown', async () => {
+  const { notifications } = alertDb();
+  const extensionDeal = (now, payload) =>
+    dispatchDealAlert({
+      watchItem: watch(),
+      user: user(),
+      alertType: ALERT_TYPE.PRICE_DROP,
+      notificationType: 'EXTENSION_PRICE_DROP',
+      message: 'Deal found',
+      payload,
+      now
+    });
+
+  assert.equal((await extensionDeal(at('2026-06-01T10:00:00Z'), deal())).status, 'SENT');
+  assert.equal(notifications[0].type, 'EXTENSION_PRICE_DROP');
+  const monitorDrop = await alert(watch(), user(), at('2026-06-01T11:00:00Z'), deal({ bestOfferId: 'of2' }));
+  assert.deepEqual(monitorDrop, { status: 'SUPPRESSED', reason: 'COOLDOWN' });
+});
@@ -0,0 +1,112 @@
+const { resetDb } = require('./helpers/fakeDb');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../src/config');
+const {
+  createMagicLink,
+  consumeMagicLink,
+  takeMagicLinkSlot,
+  resetMagicLinkLimits
+} = require('../src/services/authService');
+
+function withConfig(t, overrides) {
+  const previous = Object.fromEntries(Object.keys(overrides).map((key) => [key, config[key]]));
+  Object.assign(config, overrides);
+  t.after(() => Object.assign(config, previous));
+}
+
+// In-memory users, login links and auth tokens.
+function authDb(users = []) {
+  const tables = { user: [...users], loginLink: [], authToken: [] };
+  let nextId = 1;
+  // Unset columns read as null, as they do from the database.
+  const matches = (row, where) => Object.entries(where).every(([key, value]) => (row[key] ?? null) === value);
+  const model = (name) => ({
+    findUnique: async ({ where }) => {
+      const row = tables[name].find((candidate) => matches(candidate, where));
+      return row ? { ...row } : null;
+    },
+    create: async ({ data }) => {
+      const row = { id: `${name}_${nextId++}`, createdAt: new Date(), ...data };
+      tables[name].push(row);
+      return { ...row };
+    },
+    updateMany: async ({ where, data }) => {
+      const rows = tables[name].filter((row) => matches(row, where));
+      for (const row of rows) Object.assign(row, data);
+      return { count: rows.length };
+    }
+  });
+  resetDb({ user: model('user'), loginLink: model('loginLink'), authToken: model('authToken') });
+  return tables;
+}
+
+const tokenFrom = (link) => new URL(link.url).searchParams.get('token');
+
+test('requesting a link for a new address creates no user until the link is used', async () => {
+  const tables = authDb();
+  const link = await createMagicLink(' New.Person@Example.com ');
+
+  assert.equal(tables.user.length, 0);
+  assert.equal(tables.loginLink.length, 1);
+  assert.equal(tables.loginLink[0].email, 'new.person@example.com');
+  assert.equal(tables.loginLink[0].userId, null);
+  assert.notEqual(tables.loginLink[0].tokenHash, tokenFrom(link));
+  assert.match(link.url, /\/auth\/verify\?token=oc_link_/);
+
+  const session = await consumeMagicLink(tokenFrom(link));
+  assert.equal(tables.user.length, 1);
+  assert.equal(session.user.email, 'new.person@example.com');
+  assert.equal(tables.authToken[0].userId, session.user.id);
+  assert.equal(tables.authToken[0].kind, 'SESSION');
+  assert.match(session.token, /^oc_sess_/);
+});
+
+test('links for an existing account sign in that account', async () => {
+  const tables = authDb([{ id: 'u1', email: 'ada@example.com' }]);
+  const link = await createMagicLink('ada@example.com');
+  assert.equal(tables.loginLink[0].userId, 'u1');
+
+  const session = await consumeMagicLink(tokenFrom(link));
+  assert.equal(session.user.id, 'u1');
+  assert.equal(tables.user.length, 1);
+});
+
+test('links are single use and expire', async () => {
+  const tables = authDb();
+  const link = await createMagicLink('ada@example.com');
+  assert.ok(await consumeMagicLink(tokenFrom(link)));
+  assert.equal(await consumeMagicLink(tokenFrom(link)), null);
+
+  const expired = await createMagicLink('grace@example.com');
+  tables.loginLink[1].expiresAt = new Date(Date.now() - 1000);
+  assert.equal(await consumeMagicLink(tokenFrom(expired)), null);
+  assert.equal(await consumeMagicLink('oc_link_unknown'), null);
+  assert.equal(tables.user.length, 1);
+});
+
+test('invalid addresses get no link', async () => {
+  const tables = authDb();
+  assert.equal(await createMagicLink('not-an-email'), null);
+  assert.equal(tables.loginLink.length, 0);
+});
+
+test('link requests are limited per email and per IP within an hour', (t) => {
+  withConfig(t, { authMagicLinkPerEmailPerHour: 2, authMagicLinkPerIpPerHour: 3 });
+  resetMagicLinkLimits();
+  t.after(resetMagicLinkLimits);
+  const now = Date.parse('2026-10-19T12:00:00Z');
+
+  assert.equal(takeMagicLinkSlot({ email: 'a@example.com', ip: '10.0.0.1' }, now), true);
+  assert.equal(takeMagicLinkSlot({ email: 'a@example.com', ip: '10.0.0.2' }, now), true);
+  assert.equal(takeMagicLinkSlot({ email: 'a@example.com', ip: '10.0.0.3' }, now), false);
+
+  assert.equal(takeMagicLinkSlot({ email: 'b@example.com', ip: '10.0.0.1' }, now), true);
+  assert.equal(takeMagicLinkSlot({ email: 'c@example.com', ip: '10.0.0.1' }, now), true);
+  assert.equal(takeMagicLinkSlot({ email: 'd@example.com', ip: '10.0.0.1' }, now), false);
+  // A rejected request does not use up the other key's allowance.
+  assert.equal(takeMagicLinkSlot({ email: 'd@example.com', ip: '10.0.0.9' }, now), true);
+
+  const later = now + 60 * 60 * 1000;
+  assert.equal(takeMagicLinkSlot({ email: 'a@example.com', ip: '10.0.0.1' }, later), true);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PNG } = require('pngjs');
+const { BarcodeFormat, QRCodeWriter } = require('@zxing/library');
+const config = require('../src/config');
+const { decodeBarcode, decodeBarcodeSync, gtinFromQrText } = require('../src/services/barcodeService');
+
+// Base64 PNG of a QR code holding `text`, with a white margin.
+function qrPng(text, size = 240) {
+  const matrix = new QRCodeWriter().encode(text, BarcodeFormat.QR_CODE, size, size, new Map());
+  const png = new PNG({ width: size, height: size });
+  for (let y = 0; y < size; y += 1) {
+    for (let x = 0; x < size; x += 1) {
+      const i = (y * size + x) * 4;
+      const value = matrix.get(x, y) ? 0 : 255;
+      png.data[i] = value;
+      png.data[i + 1] = value;
+      png.data[i + 2] = value;
+      png.data[i + 3] = 255;
+    }
+  }
+  return PNG.sync.write(png).toString('base64');
+}
+
+function withConfig(t, overrides) {
+  const previous = Object.fromEntries(Object.keys(overrides).map((key) => [key, config[key]]));
+  Object.assign(config, overrides);
+  t.after(() => Object.assign(config, previous));
+}
+
+test('QR codes carry a GTIN as digits, a GS1 element string or a Digital Link', () => {
+  assert.equal(gtinFromQrText('0194253397595'), '00194253397595');
+  assert.equal(gtinFromQrText('(01)00194253397595'), '00194253397595');
+  assert.equal(gtinFromQrText(']Q3010019425339759510ABC'), '00194253397595');
+  assert.equal(gtinFromQrText('https://id.gs1.org/01/00194253397595/21/123'), '00194253397595');
+  assert.equal(gtinFromQrText('0194253397594'), null);
+  assert.equal(gtinFromQrText('https://example.com'), null);
+});
+
+test('photos are decoded on the worker thread', async () => {
+  const image = qrPng('https://id.gs1.org/01/00194253397595');
+  assert.deepEqual(await decodeBarcode(image), { gtin: '00194253397595', format: 'QR_CODE' });
+  assert.equal(await decodeBarcode(qrPng('hello')), null);
+  assert.equal(await decodeBarcode(Buffer.from('not an image').toString('base64')), null);
+});
+
+test('a decode that runs past the time limit gives up and the next photo gets a fresh decoder', async (t) => {
+  const image = qrPng('(01)00194253397595', 800);
+  withConfig(t, { barcodeDecodeTimeoutMs: 1 });
+  // Reading an 800px PNG and scanning it takes well over a millisecond.
+  assert.equal(await decodeBarcode(image), null);
+
+  config.barcodeDecodeTimeoutMs = 10000;
+  assert.equal((await decodeBarcode(image))?.gtin, '00194253397595');
+});
+
+test('oversized PNGs are rejected from their header', (t) => {
+  withConfig(t, { barcodeMaxImageMegapixels: 1 });
+  const header = Buffer.alloc(33);
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(header);
+  header.writeUInt32BE(13, 8);
+  header.write('IHDR', 12, 'ascii');
+  header.writeUInt32BE(20000, 16);
+  header.writeUInt32BE(20000, 20);
+  assert.equal(decodeBarcodeSync(header.toString('base64')), null);
+});
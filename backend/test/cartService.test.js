@@ -0,0 +1,308 @@
+const { resetDb } = require('./helpers/fakeDb');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  groupItemsByVendor,
+  revalidateCartItems,
+  cancelCheckout,
+  cancelVendorOrder,
+  refundVendorOrder,
+  updateVendorOrderStatus,
+  completeCheckoutChallenge
+} = require('../src/services/cartService');
+
+// In-memory checkout and vendor order tables. `where` supports plain equality plus the
+// `checkout: { userId }` filter used for ownership.
+function checkoutDb(checkout, vendorOrders) {
+  const checkouts = new Map([[checkout.id, { refundedCents: 0, currency: 'USD', ...checkout }]]);
+  const vendor = new Map(vendorOrders.map((vo) => [vo.id, { checkoutId: checkout.id, refundedCents: 0, ...vo }]));
+  const transactions = [];
+
+  const matches = (row, where, { owner } = {}) =>
+    Object.entries(where).every(([key, value]) =>
+      key === 'checkout' ? owner(row).userId === value.userId : row[key] === value
+    );
+  const apply = (row, data) => {
+    for (const [key, value] of Object.entries(data)) {
+      if (value?.increment !== undefined) row[key] += value.increment;
+      else if (value?.decrement !== undefined) row[key] -= value.decrement;
+      else row[key] = value;
+    }
+    return { ...row };
+  };
+  const owner = (vo) => checkouts.get(vo.checkoutId);
+  const vendorOrdersOf = (checkoutId) =>
+    [...vendor.values()].filter((vo) => vo.checkoutId === checkoutId).map((vo) => ({ ...vo, items: [] }));
+  const withVendorOrders = (row, include) =>
+    row && (include?.vendorOrders ? { ...row, vendorOrders: vendorOrdersOf(row.id) } : { ...row });
+  const findCheckout = ({ where, include }) =>
+    withVendorOrders([...checkouts.values()].find((c) => matches(c, where)), include);
+
+  const db = {
+    checkout: {
+      findUnique: async (args) => findCheckout(args),
+      findFirst: async (args) => findCheckout(args),
+      update: async ({ where, data }) => apply(checkouts.get(where.id), data),
+      updateMany: async ({ where, data }) => {
+        const rows = [...checkouts.values()].filter((c) => matches(c, where));
+        rows.forEach((row) => apply(row, data));
+        return { count: rows.length };
+      }
+    },
+    vendorOrder: {
+      findUnique: async ({ where }) => ({ ...vendor.get(where.id), items: [] }),
+      findFirst: async ({ where, include }) => {
+        const row = [...vendor.values()].find((vo) => matches(vo, where, { owner }));
+        if (!row) return null;
+        return include?.checkout ? { ...row, checkout: { ...owner(row) } } : { ...row };
+      },
+      findMany: async ({ where }) => [...vendor.values()].filter((vo) => matches(vo, where)).map((vo) => ({ ...vo })),
+      update: async ({ where, data }) => apply(vendor.get(where.id), data),
+      updateMany: async ({ where, data }) => {
+        const rows = [...vendor.values()].filter((vo) => matches(vo, where));
+        rows.forEach((row) => apply(row, data));
+        return { count: rows.length };
+      }
+    },
+    paymentTransaction: { create: async ({ data }) => transactions.push(data) }
+  };
+  db.$transaction = async (fn) => fn(db);
+  resetDb(db);
+  return { checkouts, vendor, transactions };
+}
+
+function paymentService(refundStatus = 'REFUNDED') {
+  const refunds = [];
+  return {
+    refunds,
+    refundPayment: async (id, amount) => {
+      refunds.push(amount);
+      return { status: refundStatus, paymentIntentId: id };
+    },
+    voidPayment: async (id) => ({ status: 'VOIDED', paymentIntentId: id })
+  };
+}
+
+const captured = {
+  id: 'c1',
+  userId: 'u1',
+  status: 'PLACED_WITH_VENDOR',
+  paymentIntentId: 'pi_1',
+  paymentStatus: 'CAPTURED',
+  totalCents: 3000,
+  capturedCents: 3000
+};
+const twoVendors = () => [
+  { id: 'vo1', status: 'PLACED_WITH_VENDOR', totalCents: 1000 },
+  { id: 'vo2', status: 'PLACED_WITH_VENDOR', totalCents: 2000 }
+];
+
+test('vendor order refunds are per vendor and roll up to the checkout', async () => {
+  const { checkouts, vendor } = checkoutDb(captured, twoVendors());
+  const payments = paymentService();
+  const params = { paymentService: payments, checkoutId: 'c1', userId: 'u1' };
+
+  await refundVendorOrder({ ...params, vendorOrderId: 'vo1', amountCents: 400 });
+  assert.equal(vendor.get('vo1').status, 'PLACED_WITH_VENDOR');
+  assert.equal(checkouts.get('c1').paymentStatus, 'PARTIALLY_REFUNDED');
+
+  await assert.rejects(refundVendorOrder({ ...params, vendorOrderId: 'vo1', amountCents: 700 }), {
+    httpStatus: 400,
+    code: 'INVALID_REFUND_AMOUNT'
+  });
+  await refundVendorOrder({ ...params, vendorOrderId: 'vo1' });
+  assert.equal(vendor.get('vo1').status, 'REFUNDED');
+  assert.equal(checkouts.get('c1').status, 'PLACED_WITH_VENDOR');
+
+  await refundVendorOrder({ ...params, vendorOrderId: 'vo2' });
+  assert.deepEqual(payments.refunds, [400, 600, 2000]);
+  assert.equal(checkouts.get('c1').refundedCents, 3000);
+  assert.equal(checkouts.get('c1').status, 'REFUNDED');
+  assert.equal(checkouts.get('c1').paymentStatus, 'REFUNDED');
+
+  await assert.rejects(refundVendorOrder({ ...params, userId: 'u2', vendorOrderId: 'vo2' }), { httpStatus: 404 });
+});
+
+test('cancelling one vendor order refunds only its total', async () => {
+  const { checkouts, vendor } = checkoutDb(captured, twoVendors());
+  const payments = paymentService();
+
+  await updateVendorOrderStatus('vo2', 'SHIPPED');
+  await cancelVendorOrder({ paymentService: payments, vendorOrderId: 'vo1', byVendor: true });
+  assert.deepEqual(payments.refunds, [1000]);
+  assert.equal(vendor.get('vo1').status, 'CANCELLED');
+  assert.equal(vendor.get('vo2').status, 'SHIPPED');
+  assert.equal(checkouts.get('c1').status, 'PLACED_WITH_VENDOR');
+
+  await assert.rejects(cancelVendorOrder({ paymentService: payments, vendorOrderId: 'vo2', byVendor: true }), {
+    httpStatus: 409,
+    code: 'INVALID_TRANSITION'
+  });
+});
+
+test('a failed vendor order refund is recorded and can be retried', async () => {
+  const { checkouts, vendor, transactions } = checkoutDb(captured, twoVendors());
+
+  const params = { checkoutId: 'c1', vendorOrderId: 'vo1', userId: 'u1' };
+  await cancelVendorOrder({ ...params, paymentService: paymentService('FAILED') });
+  assert.equal(vendor.get('vo1').status, 'CANCELLED');
+  assert.equal(vendor.get('vo1').refundedCents, 0);
+  assert.equal(checkouts.get('c1').refundedCents, 0);
+  assert.equal(checkouts.get('c1').paymentStatus, 'REFUND_FAILED');
+  assert.equal(transactions.at(-1).status, 'FAILED');
+
+  await refundVendorOrder({ ...params, paymentService: paymentService() });
+  assert.equal(vendor.get('vo1').refundedCents, 1000);
+  assert.equal(checkouts.get('c1').paymentStatus, 'PARTIALLY_REFUNDED');
+});
+
+test('a checkout is cancelled whole only before anything ships', async () => {
+  const { checkouts, vendor } = checkoutDb(captured, twoVendors());
+  const payments = paymentService();
+
+  await updateVendorOrderStatus('vo2', 'SHIPPED');
+  await assert.rejects(cancelCheckout({ paymentService: payments, checkoutId: 'c1', userId: 'u1' }), {
+    httpStatus: 409
+  });
+
+  vendor.get('vo2').status = 'PLACED_WITH_VENDOR';
+  await cancelCheckout({ paymentService: payments, checkoutId: 'c1', userId: 'u1' });
+  assert.deepEqual(payments.refunds, [1000, 2000]);
+  assert.equal(checkouts.get('c1').status, 'CANCELLED');
+  assert.equal(checkouts.get('c1').paymentStatus, 'REFUNDED');
+  assert.deepEqual([...vendor.values()].map((vo) => vo.status), ['CANCELLED', 'CANCELLED']);
+});
+
+test('before capture only the whole checkout can be cancelled, which voids the authorization', async () => {
+  const { checkouts, vendor } = checkoutDb(
+    { ...captured, status: 'AUTHORIZED', paymentStatus: 'AUTHORIZED', capturedCents: 0 },
+    twoVendors().map((vo) => ({ ...vo, status: 'AUTHORIZED' }))
+  );
+  const payments = paymentService();
+
+  const params = { paymentService: payments, checkoutId: 'c1', userId: 'u1' };
+  await assert.rejects(cancelVendorOrder({ ...params, vendorOrderId: 'vo1' }), {
+    httpStatus: 409,
+    code: 'CHECKOUT_NOT_CAPTURED'
+  });
+  await cancelCheckout(params);
+  assert.equal(checkouts.get('c1').paymentStatus, 'VOIDED');
+  assert.equal(vendor.get('vo1').status, 'CANCELLED');
+  assert.deepEqual(payments.refunds, []);
+});
+
+test('a capture that throws voids the authorization and cancels the checkout and its vendor orders', async () => {
+  const { checkouts, vendor, transactions } = checkoutDb(
+    { ...captured, status: 'PENDING', paymentStatus: 'REQUIRES_ACTION', capturedCents: 0 },
+    twoVendors().map((vo) => ({ ...vo, status: 'PENDING' }))
+  );
+  const payments = {
+    ...paymentService(),
+    completeChallenge: async (id) => ({ status: 'AUTHORIZED', paymentIntentId: id }),
+    capturePayment: async () => {
+      throw new Error('gateway timeout');
+    }
+  };
+
+  const result = await completeCheckoutChallenge({
+    paymentService: payments,
+    checkoutId: 'c1',
+    userId: 'u1',
+    challengeResponse: '123456'
+  });
+  assert.equal(result.paymentStatus, 'CAPTURE_FAILED');
+  assert.equal(checkouts.get('c1').status, 'CANCELLED');
+  assert.equal(checkouts.get('c1').paymentStatus, 'VOIDED');
+  assert.deepEqual([...vendor.values()].map((vo) => vo.status), ['CANCELLED', 'CANCELLED']);
+  assert.deepEqual(
+    transactions.map((t) => [t.type, t.status]),
+    [
+      ['CHALLENGE', 'AUTHORIZED'],
+      ['CAPTURE', 'ERROR'],
+      ['VOID', 'VOIDED']
+    ]
+  );
+});
+
+test('cart lines are priced after the best promotion and vendor orders record the discount', () => {
+  const item = (id, offer, quantity = 1) => ({
+    id,
+    productId: offer.productId,
+    offerId: offer.id,
+    quantity,
+    quotedPriceCents: offer.priceCents,
+    quotedShippingCents: offer.shippingCents,
+    offer: { currency: 'USD', etaDays: 3, ...offer }
+  });
+  const amazon = { vendorId: 'web:amazon', vendorName: 'Amazon' };
+  const ebay = { vendorId: 'web:ebay', vendorName: 'eBay' };
+  const items = [
+    item('i1', { id: 'of1', productId: 'p1', ...amazon, priceCents: 2000, shippingCents: 500 }, 2),
+    item('i2', { id: 'of2', productId: 'p2', ...amazon, priceCents: 1000, shippingCents: 300 }),
+    item('i3', { id: 'of3', productId: 'p3', ...ebay, priceCents: 1500, shippingCents: 0 })
+  ];
+  const promotion = { vendor: 'amazon', currency: 'USD' };
+  const promotions = [
+    { ...promotion, id: 'pr1', productId: 'p1', code: 'TEN', discountType: 'PERCENT', percentOff: 10 },
+    { ...promotion, id: 'pr2', productId: 'p2', code: null, discountType: 'FREE_SHIPPING' }
+  ];
+  const rateTable = { base: 'USD', rates: { USD: 1 } };
+
+  const totals = groupItemsByVendor(items, { useQuotes: true, rateTable, promotions });
+  const [amazonOrder, ebayOrder] = totals.vendors;
+  assert.deepEqual(
+    amazonOrder.items.map((line) => [line.unitPriceCents, line.listUnitPriceCents, line.promotion?.code ?? null]),
+    [
+      [1800, 2000, 'TEN'],
+      [1000, 1000, null]
+    ]
+  );
+  // p1 still ships at $5, so free shipping on p2 does not lower the shipment's charge.
+  const { subtotalCents, shippingCents, discountCents } = amazonOrder;
+  assert.deepEqual([subtotalCents, shippingCents, discountCents], [4600, 500, 400]);
+  assert.deepEqual([ebayOrder.subtotalCents, ebayOrder.discountCents], [1500, 0]);
+  assert.deepEqual([totals.discountCents, totals.totalCents], [400, 6600]);
+
+  const unpromoted = groupItemsByVendor(items, { useQuotes: true, rateTable });
+  assert.equal(unpromoted.totalCents, totals.totalCents + totals.discountCents);
+});
+
+test('checkout rejects stale, out-of-stock and repriced items like a single purchase would', async () => {
+  const requotes = [];
+  resetDb({ cartItem: { update: async ({ where, data }) => requotes.push([where.id, data]) } });
+  const now = new Date('2026-06-01T12:00:00Z');
+  const hoursAgo = (hours) => new Date(now.getTime() - hours * 60 * 60 * 1000);
+  const offer = { priceCents: 1000, shippingCents: 0, inStock: true, source: 'PROVIDER', providerId: 'mock' };
+  const item = (id, fields) => ({
+    id,
+    offerId: `of_${id}`,
+    quotedPriceCents: 1000,
+    quotedShippingCents: 0,
+    offer: { ...offer, lastVerifiedAt: hoursAgo(1), ...fields }
+  });
+
+  await revalidateCartItems([item('fresh')], now);
+  const items = [
+    item('fresh'),
+    item('stale', { lastVerifiedAt: hoursAgo(25) }),
+    item('never', { lastVerifiedAt: null }),
+    item('gone', { inStock: false }),
+    item('link', { vendorId: 'fallback:amazon' }),
+    item('repriced', { priceCents: 900 })
+  ];
+  const error = await revalidateCartItems(items, now).catch((err) => err);
+  assert.equal(error.code, 'CART_CHANGED');
+  assert.deepEqual(
+    error.details.issues.map((issue) => [issue.itemId, issue.reason]),
+    [
+      ['stale', 'STALE_PRICE'],
+      ['never', 'STALE_PRICE'],
+      ['gone', 'OUT_OF_STOCK'],
+      ['link', 'NOT_PURCHASABLE'],
+      ['repriced', 'PRICE_CHANGED']
+    ]
+  );
+  assert.equal(error.details.issues[0].ttlHours, 24);
+  // Only the repriced item gets a new quote; a stale price is not one to quote.
+  assert.deepEqual(requotes, [['repriced', { quotedPriceCents: 900, quotedShippingCents: 0 }]]);
+});
@@ -0,0 +1,56 @@
+require('./helpers/fakeDb');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseArgs, matches, predictionFor } = require('../scripts/evalRecognition');
+
+const sony = {
+  productId: 'p_sony',
+  upc: '00027242925120',
+  brand: 'Sony',
+  title: 'Sony WH-1000XM5 Wireless Noise Canceling Headphones'
+};
+
+test('expected products match by id, then GTIN, then legacy code, then title and brand', () => {
+  assert.equal(matches({ productId: 'p_sony' }, sony), true);
+  assert.equal(matches({ productId: 'p_other', upc: '027242925120' }, sony), false);
+
+  // Fixture codes in any GTIN form compare against the candidate's canonical GTIN-14.
+  assert.equal(matches({ upc: '027242925120' }, sony), true);
+  assert.equal(matches({ upc: '4006381333931' }, sony), false);
+
+  const airpods = { productId: 'p_air', upc: null, legacyUpc: '194253397594', brand: 'Apple', title: 'AirPods Pro' };
+  assert.equal(matches({ upc: '194253397594' }, airpods), true);
+  assert.equal(matches({ upc: '038000201992' }, airpods), false);
+
+  assert.equal(matches({ brand: 'Sony', title: 'Sony WH-1000XM5 Wireless Noise Canceling Headphones' }, sony), true);
+  assert.equal(matches({ brand: 'Owala', title: 'Owala FreeSip Stainless Steel Water Bottle 24 oz' }, sony), false);
+
+  assert.equal(matches(null, sony), false);
+  assert.equal(matches({ productId: 'p_sony' }, null), false);
+});
+
+test("a signal's prediction is the candidate it was most confident about", () => {
+  const candidates = [
+    { productId: 'a', signals: [{ source: 'OCR', confidence: 0.4 }, { source: 'AI', confidence: 0.9 }] },
+    { productId: 'b', signals: [{ source: 'OCR', confidence: 0.7 }] },
+    { productId: 'c', signals: [{ source: 'OCR', confidence: 0.7 }] }
+  ];
+  assert.equal(predictionFor(candidates, 'OCR').productId, 'b');
+  assert.equal(predictionFor(candidates, 'AI').productId, 'a');
+  assert.equal(predictionFor(candidates, 'UPC'), null);
+  assert.equal(predictionFor([], 'OCR'), null);
+});
+
+test('the eval needs an explicit database and never runs in production', () => {
+  assert.throws(() => parseArgs([], {}), /--database-url is required/);
+  assert.throws(
+    () => parseArgs(['--database-url', 'file:./eval.db'], { NODE_ENV: 'production' }),
+    /NODE_ENV=production/
+  );
+
+  const args = parseArgs(['--database-url', 'file:./eval.db', '--backend', 'fixture', '--json'], {});
+  assert.equal(args.databaseUrl, 'file:./eval.db');
+  assert.equal(args.backend, 'fixture');
+  assert.equal(args.json, true);
+  assert.throws(() => parseArgs(['--database-url', 'file:./eval.db', '--backend', 'nope'], {}), /Unknown backend/);
+});
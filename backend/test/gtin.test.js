@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isValidGtin, expandUpcE, canonicalGtin, displayGtin } = require('../src/services/gtin');
+const catalog = require('../src/data/mockCatalog.json');
+
+test('UPC-A, EAN-13 and GTIN-14 forms of one code share a canonical GTIN-14', () => {
+  for (const code of ['027242925120', '0027242925120', '00027242925120', '0-27242-92512-0', ' 027242 925120 ']) {
+    assert.equal(canonicalGtin(code), '00027242925120', code);
+  }
+  // Leading zeros lost in a spreadsheet.
+  assert.equal(canonicalGtin('27242925120'), '00027242925120');
+  assert.equal(canonicalGtin(27242925120), '00027242925120');
+  assert.equal(canonicalGtin('4006381333931'), '04006381333931');
+});
+
+test('eight-digit codes are UPC-E when they expand to a valid UPC-A, otherwise EAN-8', () => {
+  assert.equal(expandUpcE('04252614'), '042100005264');
+  assert.equal(canonicalGtin('04252614'), '00042100005264');
+  assert.equal(canonicalGtin('04252614', { format: 'UPC_E' }), '00042100005264');
+  // Read as EAN-8 the same digits fail the check digit.
+  assert.equal(canonicalGtin('04252614', { format: 'EAN_8' }), null);
+  assert.equal(canonicalGtin('96385074'), '00000096385074');
+  assert.equal(canonicalGtin('96385074', { format: 'UPC_E' }), null);
+  assert.equal(expandUpcE('24252614'), null);
+});
+
+test('codes that fail the check digit or have no GTIN length are not GTINs', () => {
+  for (const code of ['027242925121', '00027242925129', '1234567', '123456789012345', '', null, undefined, 'abc']) {
+    assert.equal(canonicalGtin(code), null, String(code));
+  }
+  assert.equal(isValidGtin('00027242925120'), true);
+  assert.equal(isValidGtin('27242925120'), false);
+});
+
+test('legacy demo catalog codes stay invalid rather than being corrected', () => {
+  const legacy = catalog.filter((entry) => entry.upc && !canonicalGtin(entry.upc)).map((entry) => entry.upc);
+  assert.deepEqual(legacy, ['194253397594', '038000201992', '044000002786']);
+  // Open Food Facts image paths are keyed by the same codes.
+  const pringles = catalog.find((entry) => entry.upc === '038000201992');
+  assert.match(pringles.imageUrl, /\/003\/800\/020\/1992\//);
+});
+
+test('display forms are the shortest standard form', () => {
+  assert.equal(displayGtin('00027242925120'), '027242925120');
+  assert.equal(displayGtin('04006381333931'), '4006381333931');
+  assert.equal(displayGtin('00000096385074'), '96385074');
+  assert.equal(displayGtin('10027242925127'), '10027242925127');
+  assert.equal(displayGtin('123'), '');
+});
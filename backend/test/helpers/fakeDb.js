@@ -0,0 +1,14 @@
+const path = require('path');
+
+// Unit tests never open SQLite. Requiring this first puts a plain object in place of src/db.js's
+// Prisma client; each test assigns the model methods it needs with resetDb().
+const dbPath = path.resolve(__dirname, '..', '..', 'src', 'db.js');
+const prisma = {};
+require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: { prisma } };
+
+function resetDb(models = {}) {
+  for (const key of Object.keys(prisma)) delete prisma[key];
+  return Object.assign(prisma, models);
+}
+
+module.exports = { prisma, resetDb };
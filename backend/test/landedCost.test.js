@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../src/config');
+const {
+  destinationFor,
+  estimateTaxes,
+  estimateLandedCost,
+  withLandedCosts
+} = require('../src/services/landedCost');
+const { convertMinor } = require('../src/services/exchangeRates');
+
+// Rates are per USD; amounts use the bundled src/data/taxRates.json.
+const rates = { base: 'USD', rates: { USD: 1, CAD: 1.35, GBP: 0.8 } };
+const shipment = (fields) => ({ itemCents: 10000, shippingCents: 1000, currency: 'USD', shipsFrom: 'US', ...fields });
+
+function withConfig(t, overrides) {
+  const previous = Object.fromEntries(Object.keys(overrides).map((key) => [key, config[key]]));
+  Object.assign(config, overrides);
+  t.after(() => Object.assign(config, previous));
+}
+
+test('destinations read addresses and order snapshots and default to the US', () => {
+  assert.equal(destinationFor(null), null);
+  assert.deepEqual(destinationFor({ state: ' ca ', zip: '94105' }), { country: 'US', state: 'CA', zip: '94105' });
+  assert.deepEqual(destinationFor({ shipCountry: 'gb', shipZip: 'SW1A 1AA' }), {
+    country: 'GB',
+    state: null,
+    zip: 'SW1A 1AA'
+  });
+  assert.equal(destinationFor({ country: 'Canada' }).country, 'US');
+});
+
+test('domestic sales tax prefers the zip prefix rate and taxes shipping only where the state does', () => {
+  // 900xx: combined 9.5%; California does not tax shipping.
+  let taxes = estimateTaxes(shipment(), destinationFor({ state: 'CA', zip: '90012' }), rates);
+  assert.deepEqual([taxes.taxCents, taxes.taxRate, taxes.jurisdiction], [950, 0.095, 'US-CA-900']);
+  assert.equal(taxes.crossBorder, false);
+
+  // 100xx: combined 8.875% on item + shipping in New York.
+  taxes = estimateTaxes(shipment(), destinationFor({ state: 'NY', zip: '10001' }), rates);
+  assert.deepEqual([taxes.taxCents, taxes.jurisdiction], [976, 'US-NY-100']);
+
+  // Unlisted prefix falls back to the 6.25% Texas state rate.
+  taxes = estimateTaxes(shipment(), destinationFor({ state: 'TX', zip: '79901' }), rates);
+  assert.deepEqual([taxes.taxCents, taxes.taxRate, taxes.jurisdiction], [688, 0.0625, 'US-TX']);
+
+  // No state or no table for the country: no estimate rather than a guess.
+  assert.equal(estimateTaxes(shipment(), destinationFor({ zip: 'abc' }), rates).taxCents, 0);
+  const german = estimateTaxes(shipment({ shipsFrom: 'DE', currency: 'EUR' }), { country: 'DE' }, rates);
+  assert.deepEqual([german.taxCents, german.jurisdiction], [0, null]);
+  assert.equal(estimateTaxes(shipment(), null, rates).taxCents, 0);
+});
+
+test('cross-border shipments pay duty above the de minimis value plus import VAT', (t) => {
+  withConfig(t, { enableImportDuties: true });
+  const canada = { country: 'CA', state: 'ON', zip: 'M5V' };
+
+  // $100 is CA$135, under the CA$150 threshold: VAT only.
+  let taxes = estimateTaxes(shipment(), canada, rates);
+  assert.deepEqual([taxes.dutyCents, taxes.taxCents, taxes.crossBorder], [0, 550, true]);
+
+  // $200 is CA$270: 6.5% duty on the goods, then 5% VAT on goods + shipping + duty.
+  taxes = estimateTaxes(shipment({ itemCents: 20000 }), canada, rates);
+  assert.deepEqual([taxes.dutyCents, taxes.dutyRate, taxes.taxCents], [1300, 0.065, 1115]);
+  assert.equal(taxes.jurisdiction, 'CA');
+
+  // Without a rate for the offer currency the shipment is treated as over the threshold.
+  taxes = estimateTaxes(shipment({ currency: 'JPY', itemCents: 1000, shippingCents: 0 }), canada, rates);
+  assert.equal(taxes.dutyCents, 65);
+  assert.equal(convertMinor(rates, 1000, 'JPY', 'CAD'), null);
+});
+
+test('import duties can be switched off', (t) => {
+  withConfig(t, { enableImportDuties: false });
+  const taxes = estimateTaxes(shipment({ itemCents: 20000 }), { country: 'GB' }, rates);
+  assert.deepEqual([taxes.taxCents, taxes.dutyCents, taxes.crossBorder, taxes.jurisdiction], [0, 0, true, 'GB']);
+});
+
+test('landed totals add price, shipping, tax and duty', (t) => {
+  withConfig(t, { enableImportDuties: true });
+  const offer = { priceCents: 5000, shippingCents: 500, currency: 'USD', shipsFrom: 'US' };
+  const ca = destinationFor({ state: 'CA', zip: '90012' });
+
+  const landed = estimateLandedCost(offer, ca, rates, { quantity: 2 });
+  assert.deepEqual([landed.taxCents, landed.landedTotalCents, landed.destination], [950, 11450, 'US-CA']);
+
+  const imported = estimateLandedCost({ ...offer, priceCents: 20000, shipsFrom: 'CN' }, ca, rates);
+  assert.deepEqual([imported.dutyCents, imported.taxCents, imported.landedTotalCents], [1000, 0, 21500]);
+
+  const [withDestination] = withLandedCosts([offer], ca, rates);
+  assert.equal(withDestination.landedTotalCents, 5975);
+  const [withoutDestination] = withLandedCosts([offer], null, rates);
+  assert.deepEqual([withoutDestination.landed, withoutDestination.landedTotalCents], [null, 5500]);
+});
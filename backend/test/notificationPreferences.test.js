@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_PREFERENCES,
+  normalizeNotificationPreferences,
+  parseStoredNotificationPreferences,
+  isInQuietHours,
+  deliverAfterFor,
+  localDayStart,
+  isDigestDue
+} = require('../src/services/notificationPreferences');
+
+const prefs = (fields) => normalizeNotificationPreferences(fields);
+
+test('updates merge onto stored preferences and bad values fall back', () => {
+  const stored = prefs({ digest: 'daily', quietHours: { enabled: true, start: '21:30' } });
+  const updated = normalizeNotificationPreferences(
+    { channels: { email: false }, quietHours: { end: '6:05' }, timezone: 'Mars/Olympus', maxAlertsPerDay: 500 },
+    stored
+  );
+  assert.deepEqual(updated.channels, { apns: true, webhook: true, email: false });
+  assert.deepEqual(updated.quietHours, { enabled: true, start: '21:30', end: '06:05' });
+  assert.deepEqual([updated.timezone, updated.maxAlertsPerDay, updated.digest], ['UTC', 100, 'DAILY']);
+  assert.equal(prefs({ quietHours: { start: '24:00' } }).quietHours.start, '22:00');
+  assert.deepEqual(parseStoredNotificationPreferences('{not json'), DEFAULT_PREFERENCES);
+});
+
+test('quiet hours wrap midnight in the user timezone and delay delivery to their end', () => {
+  // New York is UTC-4 in June.
+  const quiet = prefs({ timezone: 'America/New_York', quietHours: { enabled: true, start: '22:00', end: '07:00' } });
+  const lateEvening = new Date('2026-06-01T03:00:00Z');
+  assert.equal(isInQuietHours(quiet, lateEvening), true);
+  assert.deepEqual(deliverAfterFor(quiet, lateEvening), new Date('2026-06-01T11:00:00Z'));
+
+  const morning = new Date('2026-06-01T12:00:00Z');
+  assert.equal(isInQuietHours(quiet, morning), false);
+  assert.equal(deliverAfterFor(quiet, morning), null);
+  assert.equal(isInQuietHours({ ...quiet, quietHours: { ...quiet.quietHours, enabled: false } }, lateEvening), false);
+  assert.deepEqual(localDayStart(quiet, morning), new Date('2026-06-01T04:00:00Z'));
+});
+
+test('a first daily digest waits for digestHour instead of going out on the next tick', () => {
+  const daily = prefs({ digest: 'DAILY', digestHour: 9 });
+  const queued = { lastDigestAt: null, oldestQueuedAt: new Date('2026-06-01T10:00:00Z') };
+  assert.equal(isDigestDue(daily, queued, new Date('2026-06-01T10:00:05Z')), false);
+  assert.equal(isDigestDue(daily, queued, new Date('2026-06-02T08:59:00Z')), false);
+  assert.equal(isDigestDue(daily, queued, new Date('2026-06-02T09:00:00Z')), true);
+
+  // A digest sent weeks ago does not make a new alert due before the next digestHour either.
+  const longAgo = { ...queued, lastDigestAt: new Date('2026-05-01T09:00:00Z') };
+  assert.equal(isDigestDue(daily, longAgo, new Date('2026-06-01T10:00:05Z')), false);
+
+  // Already sent at this morning's digestHour: the next one is tomorrow.
+  const sent = { lastDigestAt: new Date('2026-06-02T09:00:00Z'), oldestQueuedAt: new Date('2026-06-01T10:00:00Z') };
+  assert.equal(isDigestDue(daily, sent, new Date('2026-06-02T12:00:00Z')), false);
+});
+
+test('weekly digests go out on digestWeekday', () => {
+  // 2026-06-01 is a Monday.
+  const weekly = prefs({ digest: 'WEEKLY', digestHour: 9, digestWeekday: 1 });
+  const queued = { lastDigestAt: null, oldestQueuedAt: new Date('2026-06-02T10:00:00Z') };
+  assert.equal(isDigestDue(weekly, queued, new Date('2026-06-07T12:00:00Z')), false);
+  assert.equal(isDigestDue(weekly, queued, new Date('2026-06-08T09:00:00Z')), true);
+});
@@ -0,0 +1,155 @@
+const { resetDb } = require('./helpers/fakeDb');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const config = require('../src/config');
+const {
+  webhookTransport,
+  isPublicAddress,
+  isBlockedWebhookUrl
+} = require('../src/services/notifications/webhookTransport');
+const { deliverNow } = require('../src/services/notificationDeliveryWorker');
+
+// Local receiver that records every request it gets.
+async function receiver(t) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.end('ok');
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return { requests, port: server.address().port };
+}
+
+function withConfig(t, overrides) {
+  const previous = Object.fromEntries(Object.keys(overrides).map((key) => [key, config[key]]));
+  Object.assign(config, overrides);
+  t.after(() => Object.assign(config, previous));
+}
+
+const notification = {
+  id: 'n1',
+  userId: 'u1',
+  type: 'PRICE_DROP',
+  productId: 'p1',
+  message: 'Price dropped',
+  payload: '{}',
+  createdAt: new Date()
+};
+
+test('private, loopback and link-local addresses are not public', () => {
+  const blocked = ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0'];
+  blocked.push('::1', '::', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1', '::ffff:10.0.0.1');
+  for (const address of blocked) assert.equal(isPublicAddress(address), false, address);
+  for (const address of ['93.184.216.34', '8.8.8.8', '2606:4700:4700::1111']) {
+    assert.equal(isPublicAddress(address), true, address);
+  }
+  assert.equal(isPublicAddress('example.com'), false);
+});
+
+test('settings reject literal private webhook hosts', (t) => {
+  withConfig(t, { notificationWebhookAllowPrivate: false });
+  assert.equal(isBlockedWebhookUrl('http://127.0.0.1:8080/hook'), true);
+  assert.equal(isBlockedWebhookUrl('http://[::1]/hook'), true);
+  assert.equal(isBlockedWebhookUrl('http://localhost/hook'), true);
+  assert.equal(isBlockedWebhookUrl('http://169.254.169.254/latest/meta-data'), true);
+  assert.equal(isBlockedWebhookUrl('https://hooks.example.com/omnicart'), false);
+});
+
+test('webhook deliveries never connect to private addresses', async (t) => {
+  withConfig(t, { notificationWebhookAllowPrivate: false });
+  const { requests, port } = await receiver(t);
+
+  for (const target of [`http://127.0.0.1:${port}/hook`, `http://localhost:${port}/hook`]) {
+    await assert.rejects(webhookTransport.send({ notification, target, deliveryId: 'd1' }), (error) => {
+      assert.equal(error.permanent, true);
+      assert.match(error.message, /private/);
+      return true;
+    });
+  }
+  assert.equal(requests.length, 0);
+});
+
+test('webhook deliveries are signed when private receivers are allowed', async (t) => {
+  withConfig(t, { notificationWebhookAllowPrivate: true, notificationWebhookSecret: 'shh' });
+  const { requests, port } = await receiver(t);
+
+  await webhookTransport.send({ notification, target: `http://localhost:${port}/hook`, deliveryId: 'd1' });
+  assert.equal(requests.length, 1);
+  const { headers, body } = requests[0];
+  const signed = `${headers['x-omnicart-timestamp']}.${body}`;
+  const expected = crypto.createHmac('sha256', 'shh').update(signed).digest('hex');
+  assert.equal(headers['x-omnicart-signature'], `sha256=${expected}`);
+  assert.equal(JSON.parse(body).id, 'n1');
+});
+
+// In-memory notification tables for the delivery worker.
+function notificationDb(user) {
+  const pending = { ...notification, fannedOutAt: null, deliveredAt: null, acknowledgedAt: null };
+  const deliveries = [];
+  resetDb({
+    user: { findUnique: async () => user },
+    deviceToken: { findMany: async () => [], findUnique: async () => null },
+    pendingNotification: {
+      findUnique: async () => ({ ...pending }),
+      update: async ({ data }) => Object.assign(pending, data),
+      updateMany: async ({ where, data }) => {
+        if (where.deliveredAt === null && pending.deliveredAt) return { count: 0 };
+        Object.assign(pending, data);
+        return { count: 1 };
+      }
+    },
+    notificationDelivery: {
+      create: async ({ data }) => {
+        const row = { id: `d${deliveries.length + 1}`, status: 'PENDING', attempts: 0, nextAttemptAt: new Date(0) };
+        Object.assign(row, data);
+        deliveries.push(row);
+        return row;
+      },
+      findMany: async ({ where }) =>
+        deliveries
+          .filter((d) => d.notificationId === where.notificationId && (!where.status || d.status === where.status))
+          .map((d) => ({ ...d, notification: pending })),
+      update: async ({ where, data }) => Object.assign(deliveries.find((d) => d.id === where.id), data)
+    }
+  });
+  return { pending, deliveries };
+}
+
+test('the mail stand-in records a send without marking the notification delivered', async (t) => {
+  withConfig(t, { notificationChannels: ['email'] });
+  const { pending, deliveries } = notificationDb({ id: 'u1', email: 'shopper@example.com' });
+
+  await deliverNow('n1');
+  assert.equal(deliveries.length, 1);
+  assert.equal(deliveries[0].status, 'SENT');
+  assert.equal(pending.deliveredAt, null);
+  assert.equal(pending.acknowledgedAt, null);
+});
+
+test('a confirmed webhook delivery marks the notification delivered but not acknowledged', async (t) => {
+  withConfig(t, { notificationChannels: ['webhook'], notificationWebhookAllowPrivate: true });
+  const { port } = await receiver(t);
+  const { pending, deliveries } = notificationDb({
+    id: 'u1',
+    notificationWebhookUrl: `http://localhost:${port}/hook`
+  });
+
+  await deliverNow('n1');
+  assert.equal(deliveries[0].status, 'SENT');
+  assert.ok(pending.deliveredAt instanceof Date);
+  assert.equal(pending.acknowledgedAt, null);
+});
+
+test('email is not a default notification channel', () => {
+  if (process.env.NOTIFICATION_CHANNELS) return;
+  assert.ok(!config.notificationChannels.includes('email'));
+});
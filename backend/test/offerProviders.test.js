@@ -0,0 +1,59 @@
+require('./helpers/fakeDb');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../src/config');
+const { registerProvider, fetchOfferByListing, canFetchByListing } = require('../src/services/offerProviders');
+const { normalizeWhitespace, slugify } = require('../src/services/text');
+
+function listingProvider(id, offer) {
+  const calls = [];
+  return {
+    calls,
+    provider: {
+      id,
+      name: id,
+      capabilities: { search: true, fetchByListing: true },
+      rateLimit: { requestsPerMinute: 0 },
+      isAvailable: () => true,
+      search: async () => [],
+      fetchByListing: async (args) => {
+        calls.push(args);
+        return offer;
+      }
+    }
+  };
+}
+
+test('fetchOfferByListing asks only the provider the offer came from', async () => {
+  const first = listingProvider('first', { vendorId: 'first:shop', priceCents: 100 });
+  const second = listingProvider('second', { vendorId: 'second:shop', priceCents: 200 });
+  registerProvider(first.provider);
+  registerProvider(second.provider);
+  config.offerProviders = ['first', 'second'];
+
+  const offer = await fetchOfferByListing({ productUrl: 'https://shop.test/p/1', providerId: 'second' });
+  assert.equal(offer.vendorId, 'second:shop');
+  assert.equal(offer.providerId, 'second');
+  assert.equal(first.calls.length, 0);
+  assert.deepEqual(second.calls[0].productUrl, 'https://shop.test/p/1');
+
+  const any = await fetchOfferByListing({ productUrl: 'https://shop.test/p/1' });
+  assert.equal(any.providerId, 'first');
+});
+
+test('providers without fetchByListing are skipped', async () => {
+  const { provider } = listingProvider('searchOnly', { vendorId: 'x', priceCents: 1 });
+  provider.capabilities = { search: true, fetchByListing: false };
+  registerProvider(provider);
+  config.offerProviders = ['searchOnly'];
+  assert.equal(canFetchByListing(provider), false);
+  assert.equal(await fetchOfferByListing({ productUrl: 'https://shop.test/p/2', providerId: 'searchOnly' }), null);
+});
+
+test('text helpers', () => {
+  assert.equal(normalizeWhitespace('  Sony \n WH-1000XM5\t'), 'Sony WH-1000XM5');
+  assert.equal(normalizeWhitespace(null), '');
+  assert.equal(slugify('Best Buy Co.'), 'best-buy-co');
+  assert.equal(slugify('a'.repeat(50)).length, 32);
+  assert.equal(slugify('www.example.com', 40), 'www-example-com');
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_WEIGHTS,
+  normalizeWeights,
+  parseStoredWeights,
+  rankOffers,
+  pickBestOffer
+} = require('../src/services/offerRanking');
+
+const offer = (id, fields) => ({
+  id,
+  vendorName: 'Unknown Shop',
+  priceCents: 10000,
+  shippingCents: 0,
+  currency: 'USD',
+  etaDays: 5,
+  inStock: true,
+  listingVerified: true,
+  ...fields
+});
+
+test('weights fall back to defaults per key and are normalized to sum to 1', () => {
+  assert.deepEqual(normalizeWeights(null), DEFAULT_WEIGHTS);
+  const weights = normalizeWeights({ price: 2, eta: 2, verification: 0, vendorTrust: 0, stock: 0 });
+  assert.deepEqual(weights, { price: 0.5, eta: 0.5, verification: 0, vendorTrust: 0, stock: 0 });
+  const partial = normalizeWeights({ price: -1, eta: 'fast' });
+  assert.equal(partial.price, DEFAULT_WEIGHTS.price);
+  assert.equal(partial.eta, DEFAULT_WEIGHTS.eta);
+  assert.deepEqual(normalizeWeights({ price: 0, eta: 0, verification: 0, vendorTrust: 0, stock: 0 }), DEFAULT_WEIGHTS);
+  assert.deepEqual(parseStoredWeights('{not json'), DEFAULT_WEIGHTS);
+});
+
+test('BALANCED trades price against delivery time by weight', () => {
+  const cheapSlow = offer('cheap', { priceCents: 9000, etaDays: 10 });
+  const pricierFast = offer('fast', { priceCents: 10000, etaDays: 2 });
+
+  const byPrice = rankOffers([cheapSlow, pricierFast], { strategy: 'BALANCED', weights: { price: 1, eta: 0 } });
+  assert.equal(byPrice.recommendedOfferId, 'cheap');
+
+  const bySpeed = rankOffers([cheapSlow, pricierFast], { strategy: 'BALANCED', weights: { price: 0.2, eta: 0.8 } });
+  assert.equal(bySpeed.recommendedOfferId, 'fast');
+  assert.equal(bySpeed.offers[0].score.components.eta, 1);
+  assert.equal(bySpeed.offers[1].score.components.eta, 0.2);
+});
+
+test('single-objective strategies sort lexicographically', () => {
+  const offers = [
+    offer('a', { priceCents: 10000, etaDays: 3 }),
+    offer('b', { priceCents: 9000, etaDays: 6 }),
+    offer('c', { priceCents: 9000, etaDays: 4 })
+  ];
+  assert.deepEqual(rankOffers(offers, { strategy: 'BEST_PRICE' }).offers.map((o) => o.id), ['c', 'b', 'a']);
+  assert.deepEqual(rankOffers(offers, { strategy: 'FASTEST_SHIPPING' }).offers.map((o) => o.id), ['a', 'c', 'b']);
+});
+
+test('out-of-stock and stale offers are never recommended over a fresh in-stock one', () => {
+  const ranked = rankOffers(
+    [
+      offer('gone', { priceCents: 5000, inStock: false }),
+      offer('stale', { priceCents: 6000, freshness: { stale: true } }),
+      offer('fresh', { priceCents: 9000 })
+    ],
+    { strategy: 'BEST_PRICE' }
+  );
+  assert.equal(ranked.offers.at(-1).id, 'gone');
+  assert.equal(ranked.recommendedOfferId, 'fresh');
+  assert.match(ranked.offers.find((o) => o.id === 'fresh').explanation, /^Recommended:/);
+  assert.match(ranked.offers.find((o) => o.id === 'stale').explanation, /not re-verified/);
+});
+
+test('landed totals and converted amounts win over list prices', () => {
+  const ranked = rankOffers(
+    [
+      offer('import', { priceCents: 8000, landedTotalCents: 11000 }),
+      offer('local', { priceCents: 9000, landedTotalCents: 9500 })
+    ],
+    { strategy: 'BEST_PRICE' }
+  );
+  assert.equal(ranked.recommendedOfferId, 'local');
+  const converted = pickBestOffer([
+    offer('eur', { priceCents: 9000, currency: 'EUR', converted: { priceCents: 9900, shippingCents: 0 } }),
+    offer('usd', { priceCents: 9500 })
+  ], 'BEST_PRICE');
+  assert.equal(converted.id, 'usd');
+});
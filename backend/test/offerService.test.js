@@ -0,0 +1,69 @@
+const { resetDb } = require('./helpers/fakeDb');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../src/config');
+const { registerProvider } = require('../src/services/offerProviders');
+const { refreshOffersForProduct } = require('../src/services/offerService');
+
+const product = { id: 'p1', title: 'WH-1000XM5', brand: 'Sony', upc: null };
+
+function offerTable(rows) {
+  const offers = rows.map((row, idx) => ({ id: `o${idx + 1}`, missedRefreshes: 0, inStock: true, ...row }));
+  const find = (productId, vendorId) => offers.find((o) => o.productId === productId && o.vendorId === vendorId);
+  resetDb({
+    product: { findUnique: async () => product },
+    offer: {
+      findUnique: async ({ where }) => find(where.productId_vendorId.productId, where.productId_vendorId.vendorId) || null,
+      findMany: async ({ where }) => offers.filter((o) => o.productId === where.productId),
+      upsert: async ({ where, update, create }) => {
+        const existing = find(where.productId_vendorId.productId, where.productId_vendorId.vendorId);
+        if (existing) return Object.assign(existing, update);
+        const created = { id: `o${offers.length + 1}`, missedRefreshes: 0, ...create };
+        offers.push(created);
+        return created;
+      },
+      update: async ({ where, data }) => Object.assign(offers.find((o) => o.id === where.id), data),
+      deleteMany: async () => ({ count: 0 })
+    },
+    priceObservation: { findFirst: async () => null, create: async ({ data }) => data },
+    stockEvent: { create: async ({ data }) => data }
+  });
+  return offers;
+}
+
+test('offers missing from search are re-read from their listing', async () => {
+  const fetched = [];
+  registerProvider({
+    id: 'listing',
+    name: 'listing',
+    capabilities: { search: true, fetchByListing: true },
+    rateLimit: { requestsPerMinute: 0 },
+    isAvailable: () => true,
+    search: async () => [{ vendorId: 'listing:other', priceCents: 5000, productUrl: 'https://other.test/p/9' }],
+    fetchByListing: async ({ productUrl }) => {
+      fetched.push(productUrl);
+      return { vendorId: 'listing:shop', vendorName: 'Shop', priceCents: 27999, productUrl, inStock: true };
+    }
+  });
+  config.offerProviders = ['listing'];
+  const offers = offerTable([
+    {
+      productId: 'p1',
+      vendorId: 'listing:shop',
+      providerId: 'listing',
+      source: 'PROVIDER',
+      priceCents: 29999,
+      productUrl: 'https://shop.test/p/1',
+      missedRefreshes: 1
+    }
+  ]);
+
+  await refreshOffersForProduct('p1', 'BALANCED');
+
+  assert.deepEqual(fetched, ['https://shop.test/p/1']);
+  const shop = offers.find((o) => o.vendorId === 'listing:shop');
+  assert.equal(shop.priceCents, 27999);
+  assert.equal(shop.missedRefreshes, 0);
+  assert.equal(shop.inStock, true);
+  assert.ok(offers.find((o) => o.vendorId === 'listing:other'));
+});
@@ -0,0 +1,363 @@
+const { prisma, resetDb } = require('./helpers/fakeDb');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  TRANSITIONS,
+  canTransition,
+  hashPurchaseRequest,
+  transitionOrder,
+  placeOrder,
+  cancelOrder,
+  refundOrder
+} = require('../src/services/orderService');
+const { MockPaymentService } = require('../src/services/payment/mockPaymentService');
+const { VisaPaymentService } = require('../src/services/payment/visaPaymentService');
+
+// In-memory order, status event and payment transaction tables, plus the active promotions.
+function orderDb(seed = [], { promotions = [] } = {}) {
+  const orders = new Map(seed.map((o) => [o.id, { refundedCents: 0, capturedCents: 0, currency: 'USD', ...o }]));
+  const events = [];
+  const transactions = [];
+  const matches = (row, where) => Object.entries(where).every(([k, v]) => row[k] === v);
+  // Copies, like Prisma: callers keep the row they read even after an update.
+  const find = (where) => {
+    const row = [...orders.values()].find((o) => matches(o, where));
+    return row ? { ...row } : null;
+  };
+  const db = {
+    order: {
+      findUnique: async ({ where }) => find(where),
+      findFirst: async ({ where }) => find(where),
+      create: async ({ data }) => {
+        const { statusEvents, ...row } = data;
+        if (row.idempotencyKey && find({ userId: row.userId, idempotencyKey: row.idempotencyKey })) {
+          throw Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+        }
+        const order = { id: `o${orders.size + 1}`, refundedCents: 0, capturedCents: 0, ...row };
+        orders.set(order.id, order);
+        events.push({ orderId: order.id, ...statusEvents.create });
+        return { ...order };
+      },
+      update: async ({ where, data }) => {
+        const row = orders.get(where.id);
+        for (const [key, value] of Object.entries(data)) {
+          row[key] = value?.decrement === undefined ? value : row[key] - value.decrement;
+        }
+        return { ...row };
+      },
+      updateMany: async ({ where, data }) => {
+        const rows = [...orders.values()].filter((o) => matches(o, where));
+        rows.forEach((o) => Object.assign(o, data));
+        return { count: rows.length };
+      }
+    },
+    orderStatusEvent: { create: async ({ data }) => events.push(data) },
+    paymentTransaction: { create: async ({ data }) => transactions.push(data) },
+    promotion: { findMany: async () => promotions }
+  };
+  db.$transaction = async (fn) => fn(db);
+  resetDb(db);
+  return { orders, events, transactions };
+}
+
+function paymentService(overrides = {}) {
+  const calls = [];
+  const record = (name, result) => async (...args) => {
+    calls.push([name, ...args]);
+    return typeof result === 'function' ? result(...args) : result;
+  };
+  return {
+    calls,
+    createPaymentIntent: record('create', { paymentIntentId: 'pi_1' }),
+    authorizePayment: record('authorize', { status: 'AUTHORIZED', paymentIntentId: 'pi_1' }),
+    capturePayment: record('capture', (id, amount) => ({ status: 'CAPTURED', capturedCents: amount })),
+    voidPayment: record('void', { status: 'VOIDED' }),
+    refundPayment: record('refund', { status: 'REFUNDED', refundId: 're_1' }),
+    ...overrides
+  };
+}
+
+const user = { id: 'u1' };
+const product = { id: 'p1' };
+const address = { name: 'A', line1: '1 Main St', city: 'Austin', state: 'TX', zip: '78701', country: 'US' };
+const offer = {
+  id: 'of1',
+  productId: 'p1',
+  vendorId: 'v1',
+  vendorName: 'Vendor',
+  title: 'Widget',
+  productUrl: 'https://vendor.example/widget',
+  priceCents: 1000,
+  shippingCents: 0,
+  currency: 'USD',
+  inStock: true,
+  source: 'PROVIDER',
+  providerId: 'mock',
+  lastVerifiedAt: new Date()
+};
+
+test('terminal statuses allow no transitions and every target is a known status', () => {
+  for (const status of ['FAILED', 'CANCELLED', 'REFUNDED']) assert.deepEqual(TRANSITIONS[status], []);
+  for (const targets of Object.values(TRANSITIONS)) {
+    for (const target of targets) assert.ok(TRANSITIONS[target], target);
+  }
+  assert.ok(canTransition('PLACED_WITH_VENDOR', 'SHIPPED'));
+  assert.ok(!canTransition('DELIVERED', 'SHIPPED'));
+  assert.ok(!canTransition('PENDING', 'PLACED_WITH_VENDOR'));
+  assert.ok(!canTransition('UNKNOWN', 'PENDING'));
+});
+
+test('transitionOrder guards on the status it read', async () => {
+  const { orders, events } = orderDb([{ id: 'o1', userId: 'u1', status: 'PLACED_WITH_VENDOR' }]);
+  await assert.rejects(transitionOrder('o1', 'DELIVERED'), { httpStatus: 409, code: 'INVALID_TRANSITION' });
+
+  const shipped = await transitionOrder('o1', 'SHIPPED', { note: 'On its way' });
+  assert.equal(shipped.status, 'SHIPPED');
+  assert.deepEqual(events.at(-1), {
+    orderId: 'o1',
+    fromStatus: 'PLACED_WITH_VENDOR',
+    toStatus: 'SHIPPED',
+    note: 'On its way'
+  });
+
+  // Another writer moves the order between the read and the guarded update.
+  const { findUnique } = prisma.order;
+  prisma.order.findUnique = async (args) => {
+    const row = await findUnique(args);
+    orders.get('o1').status = 'REFUNDED';
+    return row;
+  };
+  await assert.rejects(transitionOrder('o1', 'DELIVERED'), { httpStatus: 409, code: 'CONCURRENT_UPDATE' });
+});
+
+test('hashPurchaseRequest ignores key order but not values', () => {
+  const a = hashPurchaseRequest({ productId: 'p1', offerId: 'of1', shippingAddressId: 'a1' });
+  assert.equal(a, hashPurchaseRequest({ shippingAddressId: 'a1', offerId: 'of1', productId: 'p1' }));
+  assert.notEqual(a, hashPurchaseRequest({ productId: 'p1', offerId: 'of2', shippingAddressId: 'a1' }));
+});
+
+test('placeOrder authorizes, captures and hands off once per idempotency key', async () => {
+  const { orders } = orderDb();
+  const payments = paymentService();
+  const params = { paymentService: payments, user, product, offer, address, paymentMethodToken: 'tok' };
+  const requestHash = hashPurchaseRequest({ offerId: offer.id });
+
+  const first = await placeOrder({ ...params, idempotencyKey: 'k1', requestHash });
+  assert.equal(first.replay, false);
+  assert.equal(first.order.status, 'PLACED_WITH_VENDOR');
+  assert.equal(first.order.capturedCents, first.order.totalCents);
+
+  const again = await placeOrder({ ...params, idempotencyKey: 'k1', requestHash });
+  assert.equal(again.replay, true);
+  assert.equal(again.order.id, first.order.id);
+  assert.equal(orders.size, 1);
+  assert.equal(payments.calls.filter(([name]) => name === 'capture').length, 1);
+
+  await assert.rejects(
+    placeOrder({ ...params, idempotencyKey: 'k1', requestHash: hashPurchaseRequest({ offerId: 'other' }) }),
+    { httpStatus: 422, code: 'IDEMPOTENCY_MISMATCH' }
+  );
+});
+
+test('placeOrder charges the promoted price that offers were ranked on', async () => {
+  const promotion = { id: 'pr1', vendor: 'vendor', code: 'TAKE2', discountType: 'AMOUNT', amountOffCents: 200 };
+  orderDb([], { promotions: [{ ...promotion, productId: null, currency: 'USD' }] });
+  const payments = paymentService();
+
+  const params = { paymentService: payments, user, product, offer, address, paymentMethodToken: 'tok' };
+  const { order } = await placeOrder(params);
+  assert.deepEqual([order.priceCents, order.discountCents, order.promotionCode], [800, 200, 'TAKE2']);
+  // Texas state rate on the discounted price.
+  assert.equal(order.taxCents, 50);
+  assert.equal(order.totalCents, 850);
+  assert.equal(payments.calls.find(([name]) => name === 'create')[1], 850);
+});
+
+test('placeOrder rejects out-of-stock and stale offers before creating an order', async () => {
+  const { orders } = orderDb();
+  const params = { paymentService: paymentService(), user, product, address, paymentMethodToken: 'tok' };
+
+  await assert.rejects(placeOrder({ ...params, offer: { ...offer, inStock: false } }), {
+    httpStatus: 409,
+    code: 'OUT_OF_STOCK'
+  });
+  const lastWeek = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+  await assert.rejects(placeOrder({ ...params, offer: { ...offer, lastVerifiedAt: lastWeek } }), {
+    httpStatus: 409,
+    code: 'OFFER_STALE'
+  });
+  assert.equal(orders.size, 0);
+});
+
+test('a capture that throws voids the authorization and cancels the order', async () => {
+  const { orders, transactions } = orderDb();
+  const payments = paymentService({
+    capturePayment: async () => {
+      throw new Error('gateway timeout');
+    }
+  });
+
+  const params = { paymentService: payments, user, product, offer, address, paymentMethodToken: 'tok' };
+  const { order } = await placeOrder(params);
+  assert.equal(order.status, 'CANCELLED');
+  assert.equal(order.paymentStatus, 'VOIDED');
+  assert.equal(orders.get(order.id).status, 'CANCELLED');
+  assert.deepEqual(
+    transactions.map((t) => [t.type, t.status]),
+    [
+      ['AUTHORIZE', 'AUTHORIZED'],
+      ['CAPTURE', 'ERROR'],
+      ['VOID', 'VOIDED']
+    ]
+  );
+});
+
+test('an authorization that lands after the order was cancelled is voided', async () => {
+  const { orders, events } = orderDb();
+  const payments = paymentService({
+    authorizePayment: async (id) => {
+      // The shopper cancels while the provider is still authorizing.
+      await cancelOrder({ paymentService: payments, orderId: 'o1', userId: 'u1' });
+      return { status: 'AUTHORIZED', paymentIntentId: id };
+    }
+  });
+
+  const params = { paymentService: payments, user, product, offer, address, paymentMethodToken: 'tok' };
+  const result = await placeOrder(params);
+  assert.equal(result.order.status, 'CANCELLED');
+  assert.deepEqual([result.paymentStatus, orders.get('o1').paymentIntentId], ['VOIDED', 'pi_1']);
+  assert.deepEqual(payments.calls.map(([name]) => name), ['create', 'void']);
+  assert.ok(!events.some((event) => event.toStatus === 'AUTHORIZED'));
+});
+
+test('vendor cancellations and refunds move money like the shopper paths', async () => {
+  const { orders, events } = orderDb([
+    { id: 'o1', userId: 'u1', status: 'AUTHORIZED', paymentIntentId: 'pi_1', paymentStatus: 'AUTHORIZED', totalCents: 1000 },
+    { id: 'o2', userId: 'u1', status: 'SHIPPED', paymentIntentId: 'pi_2', totalCents: 1000, capturedCents: 1000 }
+  ]);
+  const payments = paymentService();
+
+  // Without byVendor the order has to belong to the caller.
+  await assert.rejects(cancelOrder({ paymentService: payments, orderId: 'o1', userId: 'u2' }), { httpStatus: 404 });
+
+  const cancelled = await cancelOrder({ paymentService: payments, orderId: 'o1', byVendor: true });
+  assert.equal(cancelled.status, 'CANCELLED');
+  assert.equal(cancelled.paymentStatus, 'VOIDED');
+  assert.equal(events.at(-1).note, 'Cancelled by vendor');
+
+  const refunded = await refundOrder({ paymentService: payments, orderId: 'o2', byVendor: true });
+  assert.equal(refunded.status, 'REFUNDED');
+  assert.equal(orders.get('o2').refundedCents, 1000);
+  assert.deepEqual(
+    payments.calls.map(([name, id]) => [name, id]),
+    [
+      ['void', 'pi_1'],
+      ['refund', 'pi_2']
+    ]
+  );
+});
+
+test('concurrent refunds cannot exceed the captured amount', async () => {
+  const { orders } = orderDb([
+    { id: 'o1', userId: 'u1', status: 'DELIVERED', paymentIntentId: 'pi_1', totalCents: 1000, capturedCents: 1000 }
+  ]);
+  let releaseProvider;
+  const providerGate = new Promise((resolve) => {
+    releaseProvider = resolve;
+  });
+  const payments = paymentService({
+    refundPayment: async () => {
+      await providerGate;
+      return { status: 'REFUNDED' };
+    }
+  });
+
+  const first = refundOrder({ paymentService: payments, orderId: 'o1', userId: 'u1', amountCents: 800 });
+  const second = refundOrder({ paymentService: payments, orderId: 'o1', userId: 'u1', amountCents: 800 });
+  await assert.rejects(second, { httpStatus: 409, code: 'CONCURRENT_UPDATE' });
+  releaseProvider();
+  const order = await first;
+  assert.equal(order.paymentStatus, 'PARTIALLY_REFUNDED');
+  assert.equal(orders.get('o1').refundedCents, 800);
+
+  await assert.rejects(refundOrder({ paymentService: payments, orderId: 'o1', userId: 'u1', amountCents: 800 }), {
+    httpStatus: 400,
+    code: 'INVALID_REFUND_AMOUNT'
+  });
+});
+
+test('a declined refund releases its reservation', async () => {
+  const { orders, transactions } = orderDb([
+    { id: 'o1', userId: 'u1', status: 'SHIPPED', paymentIntentId: 'pi_1', totalCents: 1000, capturedCents: 1000 }
+  ]);
+  const payments = paymentService({ refundPayment: async () => ({ status: 'FAILED', reason: 'nothing_to_refund' }) });
+
+  await assert.rejects(refundOrder({ paymentService: payments, orderId: 'o1', userId: 'u1' }), {
+    httpStatus: 409,
+    code: 'REFUND_FAILED'
+  });
+  assert.equal(orders.get('o1').refundedCents, 0);
+  assert.equal(orders.get('o1').status, 'SHIPPED');
+  assert.equal(transactions.at(-1).status, 'FAILED');
+});
+
+test('cancel claims the status before refunding and a failed refund can be retried', async () => {
+  const { orders } = orderDb([
+    { id: 'o1', userId: 'u1', status: 'PLACED_WITH_VENDOR', paymentIntentId: 'pi_1', totalCents: 1000, capturedCents: 1000 }
+  ]);
+  const statusAtRefund = [];
+  let refundStatus = 'FAILED';
+  const payments = paymentService({
+    refundPayment: async () => {
+      statusAtRefund.push(orders.get('o1').status);
+      return { status: refundStatus };
+    }
+  });
+
+  const cancelled = await cancelOrder({ paymentService: payments, orderId: 'o1', userId: 'u1' });
+  assert.deepEqual(statusAtRefund, ['CANCELLED']);
+  assert.equal(cancelled.status, 'CANCELLED');
+  assert.equal(cancelled.paymentStatus, 'REFUND_FAILED');
+  assert.equal(cancelled.refundedCents, 0);
+
+  // A second cancel loses to the first instead of refunding again.
+  await assert.rejects(cancelOrder({ paymentService: payments, orderId: 'o1', userId: 'u1' }), {
+    httpStatus: 409,
+    code: 'INVALID_TRANSITION'
+  });
+
+  refundStatus = 'REFUNDED';
+  const retried = await refundOrder({ paymentService: payments, orderId: 'o1', userId: 'u1' });
+  assert.equal(retried.status, 'CANCELLED');
+  assert.equal(retried.paymentStatus, 'REFUNDED');
+  assert.equal(retried.refundedCents, 1000);
+  assert.equal(statusAtRefund.length, 2);
+});
+
+test('a payment intent the provider forgot is a 409, not a crash', async () => {
+  const { orders } = orderDb([
+    { id: 'o1', userId: 'u1', status: 'DELIVERED', paymentIntentId: 'pi_gone', totalCents: 1000, capturedCents: 1000 }
+  ]);
+
+  await assert.rejects(refundOrder({ paymentService: new MockPaymentService(), orderId: 'o1', userId: 'u1' }), {
+    httpStatus: 409,
+    code: 'PAYMENT_INTENT_UNKNOWN'
+  });
+  assert.equal(orders.get('o1').refundedCents, 0);
+});
+
+test('refunds and challenges the Visa provider cannot do yet fail instead of reporting success', async () => {
+  const { orders, transactions } = orderDb([
+    { id: 'o1', userId: 'u1', status: 'DELIVERED', paymentIntentId: 'pi_visa', totalCents: 1000, capturedCents: 1000 }
+  ]);
+  const visa = new VisaPaymentService();
+
+  await assert.rejects(refundOrder({ paymentService: visa, orderId: 'o1', userId: 'u1' }), {
+    httpStatus: 501,
+    code: 'PAYMENT_NOT_IMPLEMENTED'
+  });
+  assert.equal(orders.get('o1').refundedCents, 0);
+  assert.equal(orders.get('o1').status, 'DELIVERED');
+  assert.equal(transactions.length, 0);
+  await assert.rejects(visa.completeChallenge('pi_visa', { code: '123456' }), { httpStatus: 501 });
+});
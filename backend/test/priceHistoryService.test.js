@@ -0,0 +1,101 @@
+const { resetDb } = require('./helpers/fakeDb');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getPriceHistory } = require('../src/services/priceHistoryService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS);
+
+// Observation and offer tables; `where` supports observedAt.gte and the legacy fallback filter.
+function historyDb(observations, offers) {
+  const queries = [];
+  const priced = (row) => !row.vendorId.startsWith('fallback:');
+  resetDb({
+    priceObservation: {
+      findMany: async ({ where }) => {
+        queries.push(where);
+        return observations
+          .filter((row) => priced(row) && row.observedAt >= where.observedAt.gte)
+          .sort((a, b) => a.observedAt - b.observedAt);
+      }
+    },
+    offer: { findMany: async () => offers.filter(priced) }
+  });
+  return queries;
+}
+
+const observation = (vendorId, days, priceCents, shippingCents = 0) => ({
+  productId: 'p1',
+  offerId: `of_${vendorId}`,
+  vendorId,
+  vendorName: vendorId,
+  priceCents,
+  shippingCents,
+  etaDays: 3,
+  inStock: true,
+  source: 'test',
+  observedAt: daysAgo(days)
+});
+const offer = (vendorId, priceCents, shippingCents = 0) => ({ vendorId, priceCents, shippingCents, etaDays: 3 });
+
+test('observations are grouped per vendor and the chart keeps only the requested days', async () => {
+  historyDb(
+    [
+      observation('amazon', 40, 1200),
+      observation('amazon', 10, 1000, 100),
+      observation('amazon', 2, 900, 100),
+      observation('ebay', 5, 950),
+      observation('fallback:walmart', 3, 1)
+    ],
+    [offer('amazon', 900, 100), offer('ebay', 950), offer('fallback:walmart', 1)]
+  );
+
+  const history = await getPriceHistory('p1', { days: 30 });
+  assert.equal(history.days, 30);
+  const [amazon, ebay] = history.vendors;
+  assert.deepEqual(history.vendors.map((v) => v.vendorId), ['amazon', 'ebay']);
+  assert.deepEqual(amazon.points.map((p) => p.totalCents), [1100, 1000]);
+  assert.deepEqual(amazon.stats, { minTotalCents: 1000, maxTotalCents: 1100, avgTotalCents: 1050, observations: 2 });
+  assert.equal(amazon.history, undefined);
+  assert.equal(ebay.currentTotalCents, 950);
+  assert.deepEqual(
+    [history.overall.observations, history.overall.currentBestTotalCents, history.overall.currentBestVendorId],
+    [3, 950, 'ebay']
+  );
+});
+
+test('lowest-in flags look back 90 days even when the chart asks for fewer', async () => {
+  const queries = historyDb(
+    [observation('amazon', 60, 800), observation('amazon', 20, 1000)],
+    [offer('amazon', 1000)]
+  );
+
+  const history = await getPriceHistory('p1', { days: 30 });
+  // Fetched 90 days back, though only the last 30 are charted.
+  assert.ok(Math.abs(queries[0].observedAt.gte.getTime() - daysAgo(90).getTime()) < 1000);
+  const [amazon] = history.vendors;
+  assert.equal(amazon.points.length, 1);
+  // $10 is the lowest in the last 30 days, but it was $8 within 90.
+  assert.deepEqual(amazon.isLowestIn, { 7: false, 30: true, 90: false });
+  assert.deepEqual(history.overall.isLowestIn, { 7: false, 30: true, 90: false });
+  // Lowest since the $10 observation replaced the $8 one, not since the $8 one.
+  assert.equal(amazon.lowestInDays, 20);
+  assert.equal(history.overall.lowestInDays, 20);
+});
+
+test('a price at or below everything observed is the lowest since the first observation', async () => {
+  historyDb([observation('amazon', 80, 1000), observation('amazon', 50, 1200)], [offer('amazon', 1000)]);
+
+  const history = await getPriceHistory('p1', { days: 120 });
+  const [amazon] = history.vendors;
+  assert.deepEqual(amazon.isLowestIn, { 7: false, 30: false, 90: true });
+  assert.equal(amazon.lowestInDays, 80);
+
+  // Nothing in stock right now: no claims.
+  historyDb([observation('amazon', 10, 1000)], []);
+  const soldOut = await getPriceHistory('p1');
+  assert.deepEqual(
+    [soldOut.vendors[0].lowestInDays, soldOut.overall.currentBestTotalCents, soldOut.overall.isLowestIn[30]],
+    [0, null, false]
+  );
+});
@@ -0,0 +1,94 @@
+const { resetDb } = require('./helpers/fakeDb');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluateWatchAlerts } = require('../src/services/priceMonitor');
+
+// One watch item on p1 with its offers; records watch updates and queued notifications.
+function monitorDb(watchItem, offers) {
+  const updates = [];
+  const notifications = [];
+  const logs = [];
+  resetDb({
+    watchlist: {
+      findMany: async () => [{ ...watchItem }],
+      update: async ({ data }) => {
+        updates.push(data);
+        Object.assign(watchItem, data);
+      }
+    },
+    offer: { findMany: async () => offers.map((offer) => ({ ...offer })) },
+    promotion: { findMany: async () => [] },
+    address: { findFirst: async () => null },
+    alertLog: {
+      findFirst: async () => null,
+      count: async () => 0,
+      create: async ({ data }) => logs.push(data)
+    },
+    pendingNotification: {
+      create: async ({ data }) => {
+        notifications.push(data);
+        return { id: `n${notifications.length}`, ...data };
+      }
+    }
+  });
+  return { updates, notifications };
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+const offer = (fields) => ({
+  productId: 'p1',
+  title: 'Widget',
+  shippingCents: 0,
+  currency: 'USD',
+  etaDays: 3,
+  inStock: true,
+  productUrl: 'https://vendor.example/widget',
+  providerId: 'mock',
+  lastVerifiedAt: new Date(),
+  ...fields
+});
+const watch = (rules, fields) => ({
+  id: 'w1',
+  userId: 'u1',
+  productId: 'p1',
+  product: { id: 'p1', title: 'Widget' },
+  user: { id: 'u1' },
+  rules: JSON.stringify({ match: rules }),
+  ...fields
+});
+
+test('back in stock waits for a fresh price instead of being lost to a stale one', async () => {
+  const watchItem = watch({ type: 'BACK_IN_STOCK' }, { lastSeenInStock: false });
+  const offers = [offer({ id: 'of1', vendorId: 'web:amazon', vendorName: 'Amazon', priceCents: 1000 })];
+  offers[0].lastVerifiedAt = new Date(Date.now() - 48 * HOUR_MS);
+  const { updates, notifications } = monitorDb(watchItem, offers);
+
+  assert.deepEqual(await evaluateWatchAlerts(), []);
+  assert.deepEqual(updates, []);
+  assert.equal(watchItem.lastSeenInStock, false);
+
+  offers[0].lastVerifiedAt = new Date();
+  const [alert] = await evaluateWatchAlerts();
+  assert.equal(alert.alertType, 'BACK_IN_STOCK');
+  assert.equal(notifications.length, 1);
+  assert.equal(watchItem.lastSeenInStock, true);
+});
+
+test('an item-price drop names the offer that dropped, not the cheapest total', async () => {
+  const watchItem = watch(
+    { type: 'PCT_DROP', pct: 10, basis: 'ITEM' },
+    { lastSeenInStock: true, lastSeenBestPriceCents: 1000, lastSeenBestTotalCents: 1000, lastSeenBestEtaDays: 3 }
+  );
+  const { updates } = monitorDb(watchItem, [
+    offer({ id: 'cheap-item', vendorId: 'web:ebay', vendorName: 'eBay', priceCents: 800, shippingCents: 900 }),
+    offer({ id: 'cheap-total', vendorId: 'web:amazon', vendorName: 'Amazon', priceCents: 1000 })
+  ]);
+
+  const [alert] = await evaluateWatchAlerts();
+  assert.equal(alert.alertType, 'PRICE_DROP');
+  const { bestOfferId, priceCents, dropPct } = alert.payload;
+  assert.deepEqual([bestOfferId, priceCents, dropPct], ['cheap-item', 800, 20]);
+  assert.match(alert.message, /dropped 20% to \$8\.00/);
+  // Each baseline keeps its own basis.
+  assert.deepEqual([updates[0].lastSeenBestPriceCents, updates[0].lastSeenBestTotalCents], [800, 1000]);
+});
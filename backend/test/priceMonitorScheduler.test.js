@@ -0,0 +1,128 @@
+const { resetDb } = require('./helpers/fakeDb');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../src/config');
+const { tick, getStatus } = require('../src/services/priceMonitorScheduler');
+
+const HOUR = 60 * 60 * 1000;
+
+function withConfig(t, overrides) {
+  const previous = Object.fromEntries(Object.keys(overrides).map((key) => [key, config[key]]));
+  Object.assign(config, overrides);
+  t.after(() => Object.assign(config, previous));
+}
+
+// The scheduler reads Date.now(); tests move it by hand.
+function withClock(t, start) {
+  const realNow = Date.now;
+  const clock = { now: start };
+  Date.now = () => clock.now;
+  t.after(() => {
+    Date.now = realNow;
+  });
+  return clock;
+}
+
+// Direct watcher counts per product, any-variant watches per family, family members and a week of
+// observed totals. Refreshes fail: demo drift reads offers first and the offer table is offline.
+function schedulerDb({ watchers = {}, anyVariant = {}, families = {}, totals = {} }) {
+  resetDb({
+    watchlist: {
+      groupBy: async () =>
+        Object.entries(watchers).map(([productId, count]) => ({ productId, _count: { _all: count } })),
+      findMany: async () =>
+        Object.entries(anyVariant).flatMap(([familyId, count]) => Array(count).fill({ product: { familyId } }))
+    },
+    product: {
+      findMany: async ({ where }) =>
+        Object.entries(families)
+          .filter(([familyId]) => where.familyId.in.includes(familyId))
+          .flatMap(([familyId, ids]) => ids.map((id) => ({ id, familyId })))
+    },
+    priceObservation: {
+      findMany: async ({ where }) =>
+        (totals[where.productId] || []).map((total) => ({ priceCents: total, shippingCents: 0 }))
+    },
+    offer: {
+      findMany: async () => {
+        throw new Error('offer store offline');
+      }
+    }
+  });
+}
+
+async function clearSchedule() {
+  schedulerDb({});
+  await tick();
+}
+
+const entryFor = (productId) => getStatus().upcoming.find((entry) => entry.productId === productId);
+
+test('watched products refresh more often with more watchers and choppier prices', async (t) => {
+  await clearSchedule();
+  withConfig(t, {
+    priceMonitorMode: 'demo',
+    priceMonitorBaseIntervalMs: 8 * HOUR,
+    priceMonitorMinIntervalMs: HOUR,
+    priceMonitorMaxIntervalMs: 24 * HOUR,
+    priceMonitorJitterPct: 0,
+    priceMonitorTickMs: 30000
+  });
+  const clock = withClock(t, Date.parse('2026-10-19T12:00:00Z'));
+  schedulerDb({
+    watchers: { flat: 4, choppy: 1, hot: 1000 },
+    anyVariant: { f1: 2 },
+    families: { f1: ['flat', 'sibling'] },
+    totals: { flat: [1000, 1000, 1000], choppy: [1000, 1100], hot: [500, 1500] }
+  });
+
+  assert.deepEqual(await tick(), { skipped: false, ran: 0 });
+
+  // 1 + log2(4) = 3; the family's two any-variant watches do not add to the four direct ones.
+  assert.equal(entryFor('flat').watcherCount, 4);
+  assert.equal(entryFor('flat').intervalMs, (8 * HOUR) / 3);
+  // Never watched directly, but an any-variant watch on its family keeps it fresh.
+  assert.equal(entryFor('sibling').watcherCount, 2);
+  assert.equal(entryFor('sibling').intervalMs, 4 * HOUR);
+  assert.ok(entryFor('choppy').volatility > 0);
+  assert.ok(entryFor('choppy').intervalMs < 8 * HOUR);
+  assert.equal(entryFor('hot').intervalMs, HOUR);
+  // Newly watched products wait one tick, not a full interval.
+  for (const entry of getStatus().upcoming) {
+    assert.equal(Date.parse(entry.nextRunAt), clock.now + 30000);
+    assert.equal(entry.lastRunAt, null);
+  }
+});
+
+test('due products run once, failures are recorded and unwatched products drop out', async (t) => {
+  await clearSchedule();
+  withConfig(t, {
+    priceMonitorMode: 'demo',
+    priceMonitorBaseIntervalMs: 8 * HOUR,
+    priceMonitorJitterPct: 0,
+    priceMonitorTickMs: 30000,
+    priceMonitorConcurrency: 2
+  });
+  const clock = withClock(t, Date.parse('2026-10-19T12:00:00Z'));
+  schedulerDb({ watchers: { a: 1, b: 1, c: 1 } });
+  await tick();
+
+  clock.now += 30000;
+  assert.deepEqual(await tick(), { skipped: false, ran: 3 });
+  const status = getStatus();
+  assert.deepEqual(status.recentRuns.slice(0, 3).map((run) => run.productId).sort(), ['a', 'b', 'c']);
+  for (const run of status.recentRuns.slice(0, 3)) {
+    assert.equal(run.status, 'error');
+    assert.equal(run.error, 'offer store offline');
+    assert.equal(run.mode, 'demo');
+  }
+  for (const entry of status.upcoming) {
+    assert.equal(entry.lastStatus, 'error');
+    assert.equal(Date.parse(entry.nextRunAt), clock.now + 8 * HOUR);
+  }
+  assert.deepEqual(await tick(), { skipped: false, ran: 0 });
+
+  schedulerDb({ watchers: { a: 1 } });
+  await tick();
+  assert.deepEqual(getStatus().upcoming.map((entry) => entry.productId), ['a']);
+});
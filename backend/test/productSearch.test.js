@@ -0,0 +1,48 @@
+const { resetDb } = require('./helpers/fakeDb');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildMatchQuery, searchProducts } = require('../src/services/productSearch');
+
+test('match queries require every word and treat the last one as a prefix', () => {
+  assert.equal(buildMatchQuery('Sony WH-1000XM5'), '"sony" AND ("wh 1000xm5"* OR "wh1000xm5"*)');
+  assert.equal(buildMatchQuery('Crème brûlée'), '"creme" AND "brulee"*');
+  assert.equal(buildMatchQuery('00027242925120'), '("00027242925120"* OR "27242925120"*)');
+  assert.equal(buildMatchQuery(' "*" -- '), '');
+});
+
+test('a search index dropped under a running server is set up again and refilled', async () => {
+  const statements = [];
+  let indexed = 1;
+  let dropped = false;
+  resetDb({
+    $executeRawUnsafe: async (sql) => {
+      statements.push(sql.trim().split(/\s+/).slice(0, 3).join(' '));
+      if (sql.startsWith('INSERT INTO ProductSearch')) indexed = 1;
+      return 0;
+    },
+    $queryRawUnsafe: async (sql) => [{ count: sql.includes('instr(upc') ? 0 : indexed }],
+    // FTS matches; the first query after startup finds the table gone, as after `npm run prisma:push`.
+    $queryRaw: async () => {
+      if (!dropped) {
+        dropped = true;
+        indexed = 0;
+        throw new Error('Raw query failed. Code: `1`. Message: `no such table: ProductSearch`');
+      }
+      return [{ productId: 'p1', rank: -2 }];
+    },
+    product: {
+      count: async () => 1,
+      findFirst: async () => null,
+      findMany: async () => [{ id: 'p1', title: 'Sony WH-1000XM5', brand: 'Sony', upc: null }]
+    },
+    offer: { findMany: async () => [] }
+  });
+
+  const result = await searchProducts({ query: 'sony' });
+  assert.equal(dropped, true);
+  assert.equal(result.engine, 'fts5');
+  assert.deepEqual(result.products.map((p) => p.id), ['p1']);
+  // Created at startup, created again after the drop, then refilled from Product.
+  assert.equal(statements.filter((s) => s === 'CREATE VIRTUAL TABLE').length, 2);
+  assert.deepEqual(statements.slice(-2), ['DELETE FROM ProductSearch', 'INSERT INTO ProductSearch']);
+});
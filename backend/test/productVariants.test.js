@@ -0,0 +1,145 @@
+const { resetDb } = require('./helpers/fakeDb');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  variantLabel,
+  validateVariantAttributes,
+  assignFamily,
+  variantsFor,
+  watchVariantScope,
+  withVariantInfo,
+  anyVariantWatchCounts
+} = require('../src/services/productVariants');
+
+// In-memory products, families and watches. Family lookups honour the brandKey/modelKey OR filter.
+function variantDb({ products = [], families = [], watches = [] } = {}) {
+  const productRows = new Map(products.map((p) => [p.id, { familyId: null, attributes: null, ...p }]));
+  const familyRows = new Map(families.map((f) => [f.id, f]));
+  let nextFamily = familyRows.size + 1;
+  const inList = (value, filter) => (filter?.in ? filter.in.includes(value) : value === filter);
+  resetDb({
+    product: {
+      findUnique: async ({ where }) => (productRows.has(where.id) ? { ...productRows.get(where.id) } : null),
+      findMany: async ({ where }) =>
+        [...productRows.values()]
+          .filter((p) => inList(p.familyId, where.familyId))
+          .sort((a, b) => a.title.localeCompare(b.title))
+          .map((p) => ({ ...p })),
+      update: async ({ where, data }) => ({ ...Object.assign(productRows.get(where.id), data) })
+    },
+    productFamily: {
+      findUnique: async ({ where }) => familyRows.get(where.id) || null,
+      findMany: async ({ where }) =>
+        [...familyRows.values()].filter((f) =>
+          where.OR.some((clause) =>
+            clause.brandKey !== undefined ? f.brandKey === clause.brandKey : inList(f.modelKey, clause.modelKey)
+          )
+        ),
+      create: async ({ data }) => {
+        const family = { id: `f${nextFamily++}`, ...data };
+        familyRows.set(family.id, family);
+        return family;
+      }
+    },
+    watchlist: {
+      findMany: async () =>
+        watches
+          .filter((w) => w.anyVariant)
+          .map((w) => ({ product: { familyId: productRows.get(w.productId).familyId } }))
+    }
+  });
+  return { productRows, familyRows };
+}
+
+test('variants of one product share a family named without their attributes', async () => {
+  const { productRows, familyRows } = variantDb({
+    products: [
+      { id: 'blue24', title: 'Owala FreeSip Water Bottle 24 oz, Blue', brand: 'Owala' },
+      { id: 'black32', title: 'Owala FreeSip Water Bottle 32oz Black', brand: 'Owala' },
+      { id: 'stanley', title: 'Stanley Quencher H2.0 Tumbler 40 oz', brand: 'Stanley' }
+    ]
+  });
+
+  for (const id of ['blue24', 'black32', 'stanley']) await assignFamily(productRows.get(id));
+
+  assert.equal(familyRows.size, 2);
+  const owala = familyRows.get(productRows.get('blue24').familyId);
+  assert.equal(owala.title, 'Owala FreeSip Water Bottle');
+  assert.equal(productRows.get('black32').familyId, owala.id);
+  assert.notEqual(productRows.get('stanley').familyId, owala.id);
+  assert.deepEqual(JSON.parse(productRows.get('blue24').attributes), { size: '24 oz', color: 'blue' });
+  assert.deepEqual(JSON.parse(productRows.get('black32').attributes), { size: '32 oz', color: 'black' });
+
+  const { family, variant, variants } = await variantsFor('black32');
+  assert.equal(family.title, 'Owala FreeSip Water Bottle');
+  assert.equal(variant.label, '32 oz, black');
+  assert.deepEqual(variants.map((v) => [v.id, v.label]), [['blue24', '24 oz, blue'], ['black32', '32 oz, black']]);
+});
+
+test('products already in a family keep it unless attributes are overridden', async () => {
+  const { productRows } = variantDb({
+    products: [{ id: 'p1', title: 'Owala FreeSip 24 oz', brand: 'Owala', familyId: 'f9', attributes: null }]
+  });
+  const unchanged = await assignFamily(productRows.get('p1'));
+  assert.equal(unchanged.attributes, null);
+
+  const updated = await assignFamily(productRows.get('p1'), { attributes: { color: 'Teal' } });
+  assert.equal(updated.familyId, 'f9');
+  assert.deepEqual(JSON.parse(updated.attributes), { size: '24 oz', color: 'teal' });
+});
+
+test('client attributes are limited to size, color and capacity', () => {
+  assert.deepEqual(validateVariantAttributes(undefined), { attributes: {}, errors: [] });
+  assert.deepEqual(validateVariantAttributes({ size: ' 24 oz ', color: '', capacity: 256 }), {
+    attributes: { size: '24 oz', capacity: '256' },
+    errors: []
+  });
+  assert.deepEqual(validateVariantAttributes({ flavor: 'lime', color: ['red'] }).errors, [
+    'attributes.flavor is not one of size, color, capacity',
+    'attributes.color must be a string'
+  ]);
+  assert.equal(validateVariantAttributes(['size']).attributes, null);
+  assert.equal(variantLabel({ color: 'blue', size: '24 oz' }), '24 oz, blue');
+  assert.equal(variantLabel(null), '');
+});
+
+test('any-variant watches cover every sibling and tag offers with their variant', async () => {
+  variantDb({
+    products: [
+      { id: 'blue24', title: 'Owala FreeSip 24 oz Blue', brand: 'Owala', familyId: 'f1' },
+      { id: 'black32', title: 'Owala FreeSip 32 oz Black', brand: 'Owala', familyId: 'f1' },
+      { id: 'stanley', title: 'Stanley Quencher 40 oz', brand: 'Stanley', familyId: 'f2' }
+    ],
+    watches: [
+      { productId: 'blue24', anyVariant: true },
+      { productId: 'black32', anyVariant: true },
+      { productId: 'stanley', anyVariant: false }
+    ]
+  });
+  const blue = { id: 'blue24', title: 'Owala FreeSip 24 oz Blue', familyId: 'f1' };
+  const stanley = { id: 'stanley', title: 'Stanley Quencher 40 oz', familyId: 'f2' };
+  const items = [
+    { productId: 'blue24', anyVariant: true, product: blue },
+    { productId: 'stanley', anyVariant: false, product: stanley }
+  ];
+
+  const scope = await watchVariantScope(items);
+  assert.deepEqual(scope.productIdsFor(items[0]).sort(), ['black32', 'blue24']);
+  assert.deepEqual(scope.productIdsFor(items[1]), ['stanley']);
+  assert.deepEqual(scope.productIds.sort(), ['black32', 'blue24', 'stanley']);
+
+  const [tagged, untouched] = withVariantInfo(
+    [{ id: 'o1', productId: 'black32' }, { id: 'o2', productId: 'elsewhere' }],
+    scope.products
+  );
+  assert.deepEqual(tagged.variant, {
+    productId: 'black32',
+    title: 'Owala FreeSip 32 oz Black',
+    attributes: { size: '32 oz', color: 'black' },
+    label: '32 oz, black'
+  });
+  assert.equal(untouched.variant, undefined);
+
+  // Both any-variant watches count for every product in the family; plain watches do not.
+  assert.deepEqual([...(await anyVariantWatchCounts())].sort(), [['black32', 2], ['blue24', 2]]);
+});
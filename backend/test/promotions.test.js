@@ -0,0 +1,91 @@
+require('./helpers/fakeDb');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validatePromotion, discountFor, applyBestPromotion } = require('../src/services/promotions');
+
+const now = new Date('2026-06-01T00:00:00Z');
+const rates = { base: 'USD', rates: { USD: 1, EUR: 0.9 } };
+const offer = {
+  productId: 'p1',
+  vendorId: 'web:amazon',
+  vendorName: 'Amazon',
+  priceCents: 10000,
+  shippingCents: 800,
+  currency: 'USD'
+};
+const promo = (fields) => ({ id: 'pr1', vendor: 'amazon', productId: null, code: 'SAVE', currency: 'USD', ...fields });
+
+test('promotions are normalized and every problem is reported', () => {
+  const { promotion, errors } = validatePromotion(
+    { domain: 'https://www.Amazon.com/deals', discountType: 'percent', percentOff: '15', code: ' save15 ' },
+    { source: 'EXTENSION', now }
+  );
+  assert.deepEqual(errors, []);
+  assert.equal(promotion.vendor, 'amazon');
+  assert.equal(promotion.code, 'SAVE15');
+  assert.equal(promotion.percentOff, 15);
+  assert.equal(promotion.source, 'EXTENSION');
+
+  const invalid = validatePromotion(
+    { discountType: 'AMOUNT', amountOffCents: 0, minSpendCents: -5, currency: 'dollars', expiresAt: '2020-01-01' },
+    { now }
+  );
+  assert.equal(invalid.promotion, null);
+  assert.deepEqual(invalid.errors, [
+    'vendor is required',
+    'amountOffCents must be a positive integer',
+    'minSpendCents must be a non-negative integer',
+    'currency must be an ISO 4217 code',
+    'expiresAt must be in the future'
+  ]);
+  assert.deepEqual(validatePromotion({ vendor: 'ebay', discountType: 'PERCENT', percentOff: 100 }).errors, [
+    'percentOff must be between 0 and 100'
+  ]);
+});
+
+test('discounts come off the item or the shipping and never exceed the price', () => {
+  assert.deepEqual(discountFor(offer, promo({ discountType: 'PERCENT', percentOff: 12.5 }), rates), {
+    itemDiscountCents: 1250,
+    shippingDiscountCents: 0,
+    savingsCents: 1250
+  });
+  const overDiscount = discountFor(offer, promo({ discountType: 'AMOUNT', amountOffCents: 50000 }), rates);
+  assert.equal(overDiscount.itemDiscountCents, 10000);
+  assert.deepEqual(discountFor(offer, promo({ discountType: 'FREE_SHIPPING' }), rates), {
+    itemDiscountCents: 0,
+    shippingDiscountCents: 800,
+    savingsCents: 800
+  });
+  // Free shipping on an offer that already ships free saves nothing.
+  assert.equal(discountFor({ ...offer, shippingCents: 0 }, promo({ discountType: 'FREE_SHIPPING' }), rates), null);
+});
+
+test('vendor, product, minimum spend and currency decide whether a promotion applies', () => {
+  const tenOff = { discountType: 'AMOUNT', amountOffCents: 1000 };
+  assert.equal(discountFor(offer, promo({ ...tenOff, vendor: 'ebay' }), rates), null);
+  assert.equal(discountFor(offer, promo({ ...tenOff, productId: 'p2' }), rates), null);
+  assert.equal(discountFor(offer, promo({ ...tenOff, minSpendCents: 10001 }), rates), null);
+  assert.ok(discountFor(offer, promo({ ...tenOff, minSpendCents: 10000 }), rates));
+
+  // €10 off a dollar offer converts at the table rate; an unknown currency does not apply.
+  assert.equal(discountFor(offer, promo({ ...tenOff, currency: 'EUR' }), rates).itemDiscountCents, 1111);
+  assert.equal(discountFor(offer, promo({ ...tenOff, currency: 'GBP' }), rates), null);
+});
+
+test('the promotion that saves the most is applied and the listed amounts are kept', () => {
+  const promotions = [
+    promo({ id: 'ship', code: null, discountType: 'FREE_SHIPPING' }),
+    promo({ id: 'pct', code: 'TENPCT', discountType: 'PERCENT', percentOff: 10 }),
+    promo({ id: 'other', vendor: 'walmart', discountType: 'PERCENT', percentOff: 50 })
+  ];
+  const priced = applyBestPromotion(offer, promotions, rates);
+  assert.deepEqual(
+    [priced.priceCents, priced.shippingCents, priced.listPriceCents, priced.listShippingCents],
+    [9000, 800, 10000, 800]
+  );
+  const { id, code, savingsCents } = priced.promotion;
+  assert.deepEqual([id, code, savingsCents], ['pct', 'TENPCT', 1000]);
+
+  const unchanged = applyBestPromotion(offer, promotions.slice(2), rates);
+  assert.deepEqual(unchanged, { ...offer, promotion: null });
+});
@@ -0,0 +1,77 @@
+const { resetDb } = require('./helpers/fakeDb');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { confirmRecognition } = require('../src/services/recognitionService');
+
+function sessions(rows) {
+  resetDb({
+    recognitionSession: { findUnique: async ({ where }) => rows.find((r) => r.id === where.id) || null }
+  });
+}
+
+test('only the user who started a recognition session can confirm it', async () => {
+  sessions([
+    { id: 's-owned', userId: 'u1', status: 'PENDING', candidates: '[]' },
+    { id: 's-anon', userId: null, status: 'PENDING', candidates: '[]' }
+  ]);
+
+  await assert.rejects(confirmRecognition({ sessionId: 's-owned', userId: 'u2', candidateId: 'c1' }), {
+    httpStatus: 404,
+    code: 'SESSION_NOT_FOUND'
+  });
+  await assert.rejects(confirmRecognition({ sessionId: 's-anon', userId: 'u2', candidateId: 'c1' }), {
+    httpStatus: 403,
+    code: 'SESSION_NOT_OWNED'
+  });
+  await assert.rejects(confirmRecognition({ sessionId: 's-anon', userId: null, candidateId: 'c1' }), {
+    httpStatus: 403
+  });
+  // The owner gets past the ownership check (and fails on the unknown candidate instead).
+  await assert.rejects(confirmRecognition({ sessionId: 's-owned', userId: 'u1', candidateId: 'c1' }), {
+    httpStatus: 404,
+    code: 'CANDIDATE_NOT_FOUND'
+  });
+});
+
+test('confirming a typed title for a known UPC keeps the product title and records an alias', async () => {
+  const product = {
+    id: 'p1',
+    title: 'Apple AirPods Pro (2nd Generation)',
+    brand: 'Unknown',
+    upc: '00036000291452',
+    imageUrl: null,
+    familyId: 'f1'
+  };
+  const updates = [];
+  const aliases = [];
+  resetDb({
+    recognitionSession: {
+      findUnique: async () => ({ id: 's1', userId: 'u1', status: 'PENDING', candidates: '[]', queryKeys: null }),
+      update: async () => ({})
+    },
+    product: {
+      findFirst: async () => ({ ...product }),
+      findUnique: async () => ({ ...product }),
+      findMany: async () => [{ ...product }],
+      update: async ({ data }) => {
+        updates.push(data);
+        return Object.assign(product, data);
+      }
+    },
+    productFamily: { findUnique: async () => null },
+    recognitionAlias: { upsert: async ({ create }) => aliases.push(create.key) }
+  });
+
+  const result = await confirmRecognition({
+    sessionId: 's1',
+    userId: 'u1',
+    product: { title: 'airpods pro 2 earbuds', brand: 'Apple', upc: '036000291452', imageUrl: 'https://img.example/a.jpg' }
+  });
+  assert.equal(result.product.title, 'Apple AirPods Pro (2nd Generation)');
+  // Empty fields are filled; the title is not touched.
+  assert.equal(updates.length, 1);
+  assert.equal(updates[0].title, undefined);
+  assert.deepEqual([updates[0].brand, updates[0].imageUrl], ['Apple', 'https://img.example/a.jpg']);
+  assert.equal(aliases.length, 1);
+  assert.match(aliases[0], /airpods.*earbuds/);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PRICED_OFFER_WHERE, isLegacyFallbackOffer, buildSearchLinks } = require('../src/services/searchLinks');
+
+test('search links cover every known vendor when there are no priced offers', () => {
+  const links = buildSearchLinks('  Sony   WH-1000XM5 & case ');
+  assert.deepEqual(
+    links.map((link) => link.vendorId),
+    ['search:amazon', 'search:ebay', 'search:walmart', 'search:target', 'search:bestbuy']
+  );
+  const amazon = links[0];
+  assert.deepEqual(amazon, {
+    kind: 'SEARCH_LINK',
+    vendorId: 'search:amazon',
+    vendorName: 'Amazon',
+    label: 'Search Amazon',
+    url: 'https://www.amazon.com/s?k=Sony%20WH-1000XM5%20%26%20case'
+  });
+  // Links carry no price, so nothing downstream can rank or buy them.
+  assert.ok(links.every((link) => !('priceCents' in link)));
+});
+
+test('vendors that already have a priced offer get no search link', () => {
+  const offers = [
+    { vendorId: 'web:amazon', vendorName: 'Amazon.com' },
+    { vendorId: 'affiliate:feed-7', vendorName: 'Best Buy' },
+    { vendorId: 'csv:ebay', vendorName: 'eBay seller 42' }
+  ];
+  assert.deepEqual(
+    buildSearchLinks('owala freesip', offers).map((link) => link.vendorName),
+    ['Walmart', 'Target']
+  );
+});
+
+test('blank queries get no links', () => {
+  assert.deepEqual(buildSearchLinks(''), []);
+  assert.deepEqual(buildSearchLinks('   '), []);
+  assert.deepEqual(buildSearchLinks(null), []);
+});
+
+test('rows written by the old fallback synthesis are recognized and filtered out', () => {
+  assert.equal(isLegacyFallbackOffer({ vendorId: 'fallback:amazon' }), true);
+  assert.equal(isLegacyFallbackOffer({ vendorId: 'web:amazon' }), false);
+  assert.equal(isLegacyFallbackOffer({ vendorId: 'search:amazon' }), false);
+  assert.equal(isLegacyFallbackOffer(null), false);
+  assert.deepEqual(PRICED_OFFER_WHERE, { NOT: { vendorId: { startsWith: 'fallback:' } } });
+});
@@ -0,0 +1,128 @@
+const { resetDb } = require('./helpers/fakeDb');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../src/config');
+const { registerProvider } = require('../src/services/offerProviders');
+const { refreshOffersForProduct } = require('../src/services/offerService');
+const { STOCK_REASON, detectInStock, recordStockChange } = require('../src/services/stockTrackingService');
+
+function withConfig(t, overrides) {
+  const previous = Object.fromEntries(Object.keys(overrides).map((key) => [key, config[key]]));
+  Object.assign(config, overrides);
+  t.after(() => Object.assign(config, previous));
+}
+
+const product = { id: 'p1', title: 'FreeSip 24 oz', brand: 'Owala', upc: null };
+
+// Offer rows plus the stock events written for them.
+function stockDb(rows) {
+  const offers = rows.map((row, idx) => ({ id: `o${idx + 1}`, missedRefreshes: 0, inStock: true, ...row }));
+  const events = [];
+  const find = ({ productId, vendorId }) => offers.find((o) => o.productId === productId && o.vendorId === vendorId);
+  resetDb({
+    product: { findUnique: async () => product },
+    offer: {
+      findUnique: async ({ where }) => {
+        const row = find(where.productId_vendorId);
+        return row ? { ...row } : null;
+      },
+      findMany: async ({ where }) => offers.filter((o) => o.productId === where.productId).map((o) => ({ ...o })),
+      upsert: async ({ where, update, create }) => {
+        const existing = find(where.productId_vendorId);
+        if (existing) return { ...Object.assign(existing, update) };
+        const created = { id: `o${offers.length + 1}`, missedRefreshes: 0, ...create };
+        offers.push(created);
+        return { ...created };
+      },
+      update: async ({ where, data }) => ({ ...Object.assign(offers.find((o) => o.id === where.id), data) }),
+      deleteMany: async () => ({ count: 0 })
+    },
+    priceObservation: { findFirst: async () => null, create: async ({ data }) => data },
+    stockEvent: {
+      create: async ({ data }) => {
+        events.push(data);
+        return data;
+      }
+    }
+  });
+  return { offers, events };
+}
+
+test('availability text reads as in stock, out of stock or unknown', () => {
+  assert.equal(detectInStock('In stock'), true);
+  assert.equal(detectInStock('Only 3 left', null), true);
+  assert.equal(detectInStock(['Ships tomorrow', 'Free returns']), true);
+  assert.equal(detectInStock('Currently unavailable'), false);
+  assert.equal(detectInStock('Sold out online', 'In stock at nearby stores'), false);
+  // "available" inside an out-of-stock phrase does not count as in stock.
+  assert.equal(detectInStock('Not available'), false);
+  assert.equal(detectInStock('Available for backorder'), false);
+  assert.equal(detectInStock('Free shipping'), null);
+  assert.equal(detectInStock(null, undefined, ''), null);
+});
+
+test('a stock event is written only when the flag flips', async () => {
+  const { events } = stockDb([]);
+  const offer = { id: 'o1', productId: 'p1', vendorId: 'web:shop', vendorName: 'Shop' };
+  const { PROVIDER_REPORTED, RETURNED } = STOCK_REASON;
+
+  assert.equal(await recordStockChange(null, { ...offer, inStock: true }, PROVIDER_REPORTED), null);
+  assert.equal(await recordStockChange({ inStock: true }, { ...offer, inStock: true }, PROVIDER_REPORTED), null);
+  await recordStockChange({ inStock: true }, { ...offer, inStock: false }, PROVIDER_REPORTED, 'web');
+  // A missing flag counts as in stock, as it does for offers.
+  await recordStockChange({ inStock: false }, { ...offer, inStock: undefined }, RETURNED);
+
+  assert.deepEqual(
+    events.map((e) => [e.offerId, e.inStock, e.reason, e.source]),
+    [
+      ['o1', false, 'PROVIDER_REPORTED', 'web'],
+      ['o1', true, 'RETURNED', 'unknown']
+    ]
+  );
+});
+
+test('offers a provider stops returning go out of stock after the miss limit and come back when listed', async (t) => {
+  let results = [];
+  registerProvider({
+    id: 'stock',
+    name: 'stock',
+    capabilities: { search: true },
+    rateLimit: { requestsPerMinute: 0 },
+    isAvailable: () => true,
+    search: async () => results
+  });
+  withConfig(t, { offerProviders: ['stock'], offerMissingRefreshLimit: 2 });
+  const listed = { vendorId: 'stock:shop', vendorName: 'Shop', priceCents: 3499, productUrl: 'https://shop.test/1' };
+  const other = { vendorId: 'stock:other', vendorName: 'Other', priceCents: 3999, productUrl: 'https://other.test/2' };
+  const { offers, events } = stockDb([]);
+  const shop = () => offers.find((o) => o.vendorId === 'stock:shop');
+
+  results = [listed, other];
+  await refreshOffersForProduct('p1', 'BALANCED');
+  assert.equal(shop().inStock, true);
+  assert.equal(events.length, 0);
+
+  // The provider still answers for the product but leaves Shop out.
+  results = [other];
+  await refreshOffersForProduct('p1', 'BALANCED');
+  assert.equal(shop().missedRefreshes, 1);
+  assert.equal(shop().inStock, true);
+  // A provider that returns nothing is not an answer about Shop.
+  results = [];
+  await refreshOffersForProduct('p1', 'BALANCED');
+  assert.equal(shop().missedRefreshes, 1);
+
+  results = [other];
+  await refreshOffersForProduct('p1', 'BALANCED');
+  assert.equal(shop().inStock, false);
+  assert.deepEqual(events.map((e) => [e.vendorId, e.inStock, e.reason, e.source]), [
+    ['stock:shop', false, 'NOT_RETURNED', 'stock']
+  ]);
+
+  results = [listed, other];
+  await refreshOffersForProduct('p1', 'BALANCED');
+  assert.equal(shop().inStock, true);
+  assert.equal(shop().missedRefreshes, 0);
+  assert.equal(events.at(-1).reason, 'RETURNED');
+  assert.equal(events.length, 2);
+});
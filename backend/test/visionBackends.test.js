@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const config = require('../src/config');
+const {
+  registerBackend,
+  getEnabledBackends,
+  analyzeWithBackends,
+  getBackendStatus
+} = require('../src/services/visionBackends');
+
+function withConfig(t, overrides) {
+  const previous = Object.fromEntries(Object.keys(overrides).map((key) => [key, config[key]]));
+  Object.assign(config, overrides);
+  t.after(() => Object.assign(config, previous));
+}
+
+function stubBackend(id, analyze, { available = true } = {}) {
+  const calls = [];
+  registerBackend({
+    id,
+    name: id,
+    isAvailable: () => available,
+    model: () => `${id}-model`,
+    analyze: async (args) => {
+      calls.push(args);
+      return analyze(args);
+    }
+  });
+  return calls;
+}
+
+const args = { prompt: 'Identify the product', imageBase64: 'aW1hZ2U=', hints: ['owala'], timeoutMs: 1000 };
+
+test('backends are used in VISION_BACKENDS order, skipping unknown and unavailable ones', (t) => {
+  stubBackend('stub-up', async () => ({ rawOutput: '{}' }));
+  stubBackend('stub-down', async () => ({ rawOutput: '{}' }), { available: false });
+  withConfig(t, { visionBackends: ['stub-down', 'missing', 'stub-up'], visionFixturePath: '' });
+
+  assert.deepEqual(getEnabledBackends().map((b) => b.id), ['stub-up']);
+  const status = getBackendStatus();
+  assert.deepEqual(
+    status.filter((b) => b.id.startsWith('stub-')).map((b) => [b.id, b.enabled, b.priority, b.available]),
+    [
+      ['stub-up', true, 2, true],
+      ['stub-down', true, 0, false]
+    ]
+  );
+  assert.equal(status.find((b) => b.id === 'openai-chat').enabled, false);
+});
+
+test('a backend that errors or answers without a JSON object falls through to the next', async (t) => {
+  const erroring = stubBackend('fail-http', async () => {
+    const err = new Error('HTTP 503');
+    err.httpStatus = 503;
+    throw err;
+  });
+  stubBackend('fail-prose', async () => ({ rawOutput: 'I think this is a water bottle.', requestId: 'req_prose' }));
+  const answering = stubBackend('answer', async () => ({
+    rawOutput: 'Sure! {"title":"Owala FreeSip","confidence":0.8} Hope that helps.',
+    requestId: 'req_ok',
+    httpStatus: 200
+  }));
+  const never = stubBackend('never', async () => ({ rawOutput: '{}' }));
+  withConfig(t, { visionBackends: ['fail-http', 'fail-prose', 'answer', 'never'] });
+
+  const result = await analyzeWithBackends(args);
+  assert.equal(result.backend, 'answer');
+  assert.equal(result.model, 'answer-model');
+  assert.deepEqual(result.parsedOutput, { title: 'Owala FreeSip', confidence: 0.8 });
+  assert.equal(result.requestId, 'req_ok');
+  assert.deepEqual(result.failures, [
+    { backend: 'fail-http', error: 'HTTP 503' },
+    { backend: 'fail-prose', error: 'Model output is not a JSON object' }
+  ]);
+  assert.deepEqual(erroring[0], args);
+  assert.equal(answering.length, 1);
+  assert.equal(never.length, 0);
+
+  const metrics = Object.fromEntries(getBackendStatus().map((b) => [b.id, b.metrics]));
+  assert.equal(metrics['fail-http'].failures, 1);
+  assert.equal(metrics['fail-http'].lastHTTPStatus, 503);
+  assert.equal(metrics['fail-prose'].lastError, 'Model output is not a JSON object');
+  assert.equal(metrics['fail-prose'].lastRequestId, 'req_prose');
+  assert.equal(metrics.answer.successes, 1);
+  assert.equal(metrics.answer.lastError, null);
+});
+
+test('when every backend fails the error lists each failure', async (t) => {
+  stubBackend('only-array', async () => ({ rawOutput: '[{"title":"x"}]' }));
+  withConfig(t, { visionBackends: ['only-array'] });
+  await assert.rejects(analyzeWithBackends(args), (error) => {
+    assert.equal(error.message, 'All vision backends failed: only-array: Model output is not a JSON object');
+    assert.deepEqual(error.failures, [{ backend: 'only-array', error: 'Model output is not a JSON object' }]);
+    return true;
+  });
+
+  withConfig(t, { visionBackends: [] });
+  await assert.rejects(analyzeWithBackends(args), { message: 'No vision backend available' });
+});
+
+test('the fixture backend answers each image with its fixture output', async (t) => {
+  withConfig(t, { visionBackends: ['fixture'], visionFixturePath: 'scripts/fixtures/recognition.sample.json' });
+
+  const sony = await analyzeWithBackends({ ...args, imageBase64: 'Zml4dHVyZS1waG90bzpzb255LXhtNS1mcm9udA==' });
+  assert.equal(sony.backend, 'fixture');
+  assert.equal(sony.parsedOutput.model, 'WH-1000XM5');
+  // Unknown images get an empty answer ("no guess"), not a failure.
+  const unknown = await analyzeWithBackends(args);
+  assert.deepEqual(unknown.parsedOutput, {});
+  assert.deepEqual(unknown.failures, []);
+});
+
+test('the chat completions backend sends the image as a data URL and reads text parts', async (t) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ url: req.url, authorization: req.headers.authorization, body: JSON.parse(body) });
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(
+        JSON.stringify({
+          id: 'chatcmpl_1',
+          choices: [{ message: { content: [{ type: 'text', text: '{"brand":' }, { type: 'text', text: '"Owala"}' }] } }]
+        })
+      );
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  withConfig(t, {
+    visionBackends: ['openai-chat'],
+    visionChatBaseUrl: `http://127.0.0.1:${server.address().port}/`,
+    visionChatApiKey: 'local-key',
+    visionChatModel: 'llava',
+    visionChatJsonMode: true
+  });
+
+  const result = await analyzeWithBackends(args);
+  assert.equal(result.backend, 'openai-chat');
+  assert.equal(result.model, 'llava');
+  assert.deepEqual(result.parsedOutput, { brand: 'Owala' });
+  assert.equal(result.requestId, 'chatcmpl_1');
+
+  const [request] = requests;
+  assert.equal(request.url, '/v1/chat/completions');
+  assert.equal(request.authorization, 'Bearer local-key');
+  assert.equal(request.body.model, 'llava');
+  assert.deepEqual(request.body.response_format, { type: 'json_object' });
+  const content = request.body.messages[0].content;
+  assert.deepEqual(content.at(-1), { type: 'image_url', image_url: { url: 'data:image/jpeg;base64,aW1hZ2U=' } });
+  assert.match(content[1].text, /owala/);
+});
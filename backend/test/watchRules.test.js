@@ -0,0 +1,178 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  validateWatchRules,
+  legacyRulesFor,
+  parseStoredRules,
+  evaluateWatchRules
+} = require('../src/services/watchRules');
+
+const now = new Date('2026-06-01T00:00:00Z');
+
+test('valid rules are normalized', () => {
+  const { rules, errors } = validateWatchRules(
+    {
+      match: {
+        any: [{ type: 'target_price', cents: '199.6' }, { all: [{ type: 'PCT_DROP', pct: 10, basis: 'total' }] }]
+      },
+      filters: { vendors: { include: [' Amazon ', 'amazon', ''] }, conditions: ['new', 'NEW'], maxEtaDays: '5' },
+      expiresAt: '2026-12-31'
+    },
+    now
+  );
+  assert.deepEqual(errors, []);
+  assert.deepEqual(rules.match, {
+    any: [
+      { type: 'TARGET_PRICE', cents: 200, basis: 'ITEM' },
+      { all: [{ type: 'PCT_DROP', pct: 10, basis: 'TOTAL' }] }
+    ]
+  });
+  assert.deepEqual(rules.filters.vendors, { include: ['amazon'], exclude: [] });
+  assert.deepEqual(rules.filters.conditions, ['NEW']);
+  assert.equal(rules.filters.maxEtaDays, 5);
+  assert.equal(rules.expiresAt, '2026-12-31T00:00:00.000Z');
+});
+
+test('invalid rules report every problem with its path', () => {
+  const { rules, errors } = validateWatchRules(
+    {
+      match: {
+        any: [
+          { type: 'PRICE_ALERT' },
+          { type: 'PCT_DROP', pct: 100 },
+          { type: 'TARGET_PRICE', cents: 0, basis: 'LANDED' },
+          { all: [] }
+        ]
+      },
+      filters: { conditions: ['MINT'], maxEtaDays: -1, vendors: { include: 'amazon' }, attributes: ['size'] },
+      expiresAt: '2026-01-01T00:00:00Z'
+    },
+    now
+  );
+  assert.equal(rules, null);
+  assert.deepEqual(errors, [
+    'match.any[0].type must be one of TARGET_PRICE, PCT_DROP, SHIPPING_IMPROVED, BACK_IN_STOCK',
+    'match.any[1].pct must be between 0 and 100',
+    'match.any[2].basis must be ITEM or TOTAL',
+    'match.any[2].cents must be a positive integer',
+    'match.any[3].all must not be empty',
+    'filters.conditions entries must be one of NEW, USED, REFURBISHED',
+    'filters.maxEtaDays must be a positive integer',
+    'filters.vendors.include must be an array of vendor ids or names',
+    'filters.attributes must be an object of attribute name to allowed values',
+    'expiresAt must be in the future'
+  ]);
+  assert.deepEqual(validateWatchRules([]).errors, ['rules must be an object']);
+  assert.deepEqual(validateWatchRules({ match: null }).errors, ['match must be an object']);
+});
+
+test('rules are capped in depth and size', () => {
+  const leaf = { type: 'BACK_IN_STOCK' };
+  const deep = { any: [{ all: [{ any: [{ all: [leaf] }] }] }] };
+  assert.deepEqual(validateWatchRules({ match: deep }).errors, [
+    'match.any[0].all[0].any[0] nests groups deeper than 3 levels'
+  ]);
+
+  const wide = { any: Array.from({ length: 21 }, () => leaf) };
+  assert.deepEqual(validateWatchRules({ match: wide }).errors, ['rules may contain at most 20 conditions']);
+  assert.deepEqual(validateWatchRules({ match: { any: wide.any.slice(0, 20) } }).errors, []);
+});
+
+test('stored rules fall back to the legacy fields when unreadable, but keep past expiry dates', () => {
+  const watchItem = { pctDropThreshold: 20, targetPriceCents: 5000, shippingImprovementOn: true };
+  assert.deepEqual(parseStoredRules({ ...watchItem, rules: '{not json' }), legacyRulesFor(watchItem));
+  assert.deepEqual(parseStoredRules({ ...watchItem, rules: '{"match":{"type":"NOPE"}}' }), legacyRulesFor(watchItem));
+  assert.deepEqual(
+    legacyRulesFor(watchItem).match.any.map((leaf) => leaf.type),
+    ['PCT_DROP', 'BACK_IN_STOCK', 'TARGET_PRICE', 'SHIPPING_IMPROVED']
+  );
+
+  const expired = parseStoredRules({
+    rules: JSON.stringify({ match: { type: 'BACK_IN_STOCK' }, expiresAt: '2020-01-01T00:00:00Z' })
+  });
+  assert.equal(expired.expiresAt, '2020-01-01T00:00:00.000Z');
+  assert.equal(evaluateWatchRules(expired, { offers: [], watchItem: {}, now }).expired, true);
+});
+
+const offer = (overrides) => ({
+  vendorId: 'web:amazon',
+  vendorName: 'Amazon',
+  priceCents: 1000,
+  shippingCents: 500,
+  etaDays: 3,
+  inStock: true,
+  freshness: { stale: false },
+  ...overrides
+});
+
+test('any/all groups, bases and filters decide which offers can trigger', () => {
+  const offers = [
+    offer({ priceCents: 900, shippingCents: 900 }),
+    offer({ vendorId: 'web:ebay', vendorName: 'eBay', priceCents: 1100, shippingCents: 0, itemCondition: 'USED' }),
+    offer({ vendorId: 'web:walmart', vendorName: 'Walmart', priceCents: 500, freshness: { stale: true } })
+  ];
+  const watchItem = { lastSeenBestPriceCents: 1000, lastSeenBestTotalCents: 1300, lastSeenBestEtaDays: 3 };
+  const rules = (match, filters = {}) => validateWatchRules({ match, filters }, now).rules;
+  const ctx = { offers, watchItem, now };
+
+  // The stale $5 offer is ignored; the cheapest fresh item is $9, the cheapest total $11 (eBay).
+  let result = evaluateWatchRules(rules({ type: 'TARGET_PRICE', cents: 900 }), ctx);
+  assert.deepEqual([result.matched, result.triggers], [true, ['TARGET_PRICE']]);
+  result = evaluateWatchRules(rules({ type: 'TARGET_PRICE', cents: 1000, basis: 'TOTAL' }), ctx);
+  assert.equal(result.matched, false);
+  assert.equal(result.bestOffer.vendorId, 'web:ebay');
+
+  // An `all` group only contributes triggers when every child matched.
+  const both = { any: [{ all: [{ type: 'PCT_DROP', pct: 10, basis: 'TOTAL' }, { type: 'SHIPPING_IMPROVED' }] }] };
+  result = evaluateWatchRules(rules(both), ctx);
+  assert.deepEqual([result.matched, result.triggers], [false, []]);
+  result = evaluateWatchRules(rules({ any: [...both.any, { type: 'PCT_DROP', pct: 10, basis: 'TOTAL' }] }), ctx);
+  assert.deepEqual([result.matched, result.triggers], [true, ['PCT_DROP']]);
+
+  // New-only drops the used eBay listing, so the best total goes back to Amazon's $18.
+  const newOnly = { conditions: ['NEW'] };
+  result = evaluateWatchRules(rules({ type: 'TARGET_PRICE', cents: 1800, basis: 'TOTAL' }, newOnly), ctx);
+  assert.equal(result.matched, true);
+  assert.equal(result.bestOffer.vendorId, 'web:amazon');
+  // Excluding both leaves only the stale Walmart offer.
+  const noAmazonOrEbay = { vendors: { exclude: ['amazon', 'ebay'] } };
+  result = evaluateWatchRules(rules({ type: 'TARGET_PRICE', cents: 5000 }, noAmazonOrEbay), ctx);
+  assert.equal(result.matched, false);
+});
+
+test('back in stock needs an in-stock offer after the item was last seen out of stock', () => {
+  const rules = validateWatchRules({ match: { type: 'BACK_IN_STOCK' } }, now).rules;
+  const offers = [offer({ inStock: false }), offer({ freshness: { stale: true } })];
+  // Stale offers still count as in stock; only price conditions need fresh prices.
+  assert.equal(evaluateWatchRules(rules, { offers, watchItem: { lastSeenInStock: false }, now }).matched, true);
+  assert.equal(evaluateWatchRules(rules, { offers, watchItem: { lastSeenInStock: true }, now }).matched, false);
+  const outOfStock = { offers: offers.slice(0, 1), watchItem: { lastSeenInStock: false }, now };
+  assert.equal(evaluateWatchRules(rules, outOfStock).matched, false);
+});
+
+test('each matched condition reports the offer it was decided on', () => {
+  const offers = [
+    offer({ id: 'item', priceCents: 800, shippingCents: 900, etaDays: 5 }),
+    offer({ id: 'total', priceCents: 1000, shippingCents: 0, etaDays: 4 }),
+    offer({ id: 'fast', priceCents: 1500, shippingCents: 0, etaDays: 1 })
+  ];
+  const watchItem = { lastSeenBestPriceCents: 1000, lastSeenBestTotalCents: 1200, lastSeenBestEtaDays: 3 };
+  const match = {
+    any: [
+      { type: 'PCT_DROP', pct: 10 },
+      { type: 'TARGET_PRICE', cents: 1000, basis: 'TOTAL' },
+      { type: 'SHIPPING_IMPROVED' }
+    ]
+  };
+  const result = evaluateWatchRules(validateWatchRules({ match }, now).rules, { offers, watchItem, now });
+  assert.deepEqual(result.triggers, ['PCT_DROP', 'TARGET_PRICE', 'SHIPPING_IMPROVED']);
+  assert.deepEqual(
+    Object.entries(result.triggerOffers).map(([type, o]) => [type, o.id]),
+    [
+      ['PCT_DROP', 'item'],
+      ['TARGET_PRICE', 'total'],
+      ['SHIPPING_IMPROVED', 'fast']
+    ]
+  );
+  assert.deepEqual([result.bestOffer.id, result.bestByItem.id], ['total', 'item']);
+});